@@ -15,6 +15,8 @@ export default [
       globals: {
         describe: "readonly",
         it: "readonly",
+        beforeEach: "readonly",
+        afterEach: "readonly",
       },
     },
   },
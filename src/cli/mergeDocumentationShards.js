@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Git merge driver for the shards of the documentation reference storage
+ *
+ * Usage:
+ *   node src/cli/mergeDocumentationShards.js <base> <current> <other>
+ *
+ * Setup in the repository holding the upgraded objects:
+ *   git config merge.bc-al-docrefs.driver "node <extension>/src/cli/mergeDocumentationShards.js %O %A %B"
+ *   echo ".index/documentation-references/** merge=bc-al-docrefs" >> .gitattributes
+ *
+ * The shards are merged against their common base: references changed on one
+ * side take that change, including moves and removals, and references edited
+ * on both sides keep the edit with the later lastModified (ties are decided
+ * by userId). The result is written to <current>, as git
+ * expects; the exit code is 1 when a side cannot be read, which leaves the
+ * conflict to be resolved by hand.
+ */
+const fs = require("fs");
+const { formatShard, mergeShards } = require("../utils/documentationStorage");
+
+const USAGE = "Usage: mergeDocumentationShards <base> <current> <other>";
+
+/**
+ * Merge the current and other version of a shard into the current file
+ * @param {string} baseFile - %O, empty when both sides added the shard
+ * @param {string} currentFile - %A, receives the result
+ * @param {string} otherFile - %B
+ */
+function run(baseFile, currentFile, otherFile) {
+  const baseText = fs.readFileSync(baseFile, "utf8");
+  const base = baseText.trim() ? JSON.parse(baseText) : {};
+  const current = JSON.parse(fs.readFileSync(currentFile, "utf8"));
+  const other = JSON.parse(fs.readFileSync(otherFile, "utf8"));
+  fs.writeFileSync(currentFile, formatShard(mergeShards(current, other, base)));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length !== 3) {
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    run(args[0], args[1], args[2]);
+  } catch (error) {
+    console.error(`Error merging documentation references: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { run };
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Command line entry point for splitting C/AL exports outside of VS Code
+ *
+ * Usage:
+ *   node src/cli/splitCalObjects.js <source.txt> [options]
+ *
+ * Options:
+ *   --out <folder>       Output folder (default: <source folder>/extracted_objects)
+ *   --layout <type|flat> Write objects into "<type>s" subfolders or one flat folder (default: type)
+ *   --template <tmpl>    Path template, e.g. "{type}/{id}_{name}.txt" (overrides --layout)
+ *   --on-conflict <p>    overwrite | skip | keepBoth for existing files with different content (default: overwrite)
+ *   --encoding <enc>     Source encoding: auto | utf8 | utf16le | utf16be | cp1252 | cp850 (default: auto)
+ *   --target-encoding <enc>
+ *                        Encoding of written files: utf8 | utf8bom | utf16le | cp1252 | cp850 (default: utf8)
+ *   --types <list>       Only these object types, e.g. "Table,Page"
+ *   --ids <ranges>       Only these IDs, e.g. "50000-99999,18"
+ *   --name <patterns>    Only names matching these wildcards, e.g. "Sales*,*Customer*"
+ *   --version-list <list>
+ *                        Only objects whose Version List contains one of these texts
+ *   --dry-run            List the objects that would be extracted without writing anything
+ *   --manifest <file>    Also write the JSON manifest to this file
+ *   --help               Show usage
+ *
+ * The JSON manifest of the produced objects is printed to stdout,
+ * diagnostics go to stderr. Splitting into a folder that was split before only
+ * rewrites new or changed objects; the manifest lists added, changed and removed objects.
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  splitObjectFile,
+  validatePathTemplate,
+  previewObjectFile,
+  CONFLICT_POLICIES,
+} = require("../utils/objectSplitter");
+const {
+  parseList,
+  parseIdRanges,
+  describeObjectFilter,
+} = require("../utils/objectFilter");
+const {
+  SOURCE_ENCODINGS,
+  TARGET_ENCODINGS,
+} = require("../utils/encodingHelper");
+
+const LAYOUTS = ["type", "flat"];
+
+// "prompt" needs an interactive user, which the CLI does not have
+const CLI_CONFLICT_POLICIES = CONFLICT_POLICIES.filter((p) => p !== "prompt");
+
+const USAGE = `Usage: splitCalObjects <source.txt> [--out <folder>] [--layout type|flat] [--template <template>] [--on-conflict ${CLI_CONFLICT_POLICIES.join(
+  "|"
+)}] [--encoding <encoding>] [--target-encoding <encoding>] [--types <list>] [--ids <ranges>] [--name <patterns>] [--version-list <list>] [--dry-run] [--manifest <file>]`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {{source: string, out: string, layout: string, template: string, onConflict: string, encoding: string, targetEncoding: string, filter: Object, dryRun: boolean, manifest: string, help: boolean}}
+ */
+function parseArgs(argv) {
+  const options = {
+    source: "",
+    out: "",
+    layout: "type",
+    template: "",
+    onConflict: "overwrite",
+    encoding: "auto",
+    targetEncoding: "utf8",
+    filter: {},
+    dryRun: false,
+    manifest: "",
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--out":
+      case "-o":
+        options.out = requireValue(argv, ++i, arg);
+        break;
+      case "--layout":
+        options.layout = requireValue(argv, ++i, arg);
+        break;
+      case "--template":
+        options.template = requireValue(argv, ++i, arg);
+        break;
+      case "--on-conflict":
+        options.onConflict = requireValue(argv, ++i, arg);
+        break;
+      case "--encoding":
+        options.encoding = requireValue(argv, ++i, arg);
+        break;
+      case "--target-encoding":
+        options.targetEncoding = requireValue(argv, ++i, arg);
+        break;
+      case "--types":
+        options.filter.types = parseList(requireValue(argv, ++i, arg));
+        break;
+      case "--ids":
+        options.filter.idRanges = parseIdRanges(requireValue(argv, ++i, arg));
+        break;
+      case "--name":
+        options.filter.namePatterns = parseList(requireValue(argv, ++i, arg));
+        break;
+      case "--version-list":
+        options.filter.versionListContains = parseList(
+          requireValue(argv, ++i, arg)
+        );
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--manifest":
+        options.manifest = requireValue(argv, ++i, arg);
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        if (options.source) {
+          throw new Error(`Unexpected argument: ${arg}`);
+        }
+        options.source = arg;
+    }
+  }
+
+  if (!LAYOUTS.includes(options.layout)) {
+    throw new Error(
+      `Invalid layout "${options.layout}", expected one of: ${LAYOUTS.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!CLI_CONFLICT_POLICIES.includes(options.onConflict)) {
+    throw new Error(
+      `Invalid conflict policy "${
+        options.onConflict
+      }", expected one of: ${CLI_CONFLICT_POLICIES.join(", ")}`
+    );
+  }
+
+  if (!SOURCE_ENCODINGS.includes(options.encoding)) {
+    throw new Error(
+      `Invalid encoding "${
+        options.encoding
+      }", expected one of: ${SOURCE_ENCODINGS.join(", ")}`
+    );
+  }
+
+  if (!TARGET_ENCODINGS.includes(options.targetEncoding)) {
+    throw new Error(
+      `Invalid target encoding "${
+        options.targetEncoding
+      }", expected one of: ${TARGET_ENCODINGS.join(", ")}`
+    );
+  }
+
+  if (options.template) {
+    validatePathTemplate(options.template);
+  }
+
+  return options;
+}
+
+function requireValue(argv, index, name) {
+  const value = argv[index];
+  if (value === undefined || value.startsWith("--")) {
+    throw new Error(`Missing value for ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Split a C/AL export and build the manifest
+ * @param {Object} options - Parsed options (see parseArgs)
+ * @returns {Promise<Object>} Manifest describing the produced objects, or the objects
+ *   that would be produced for a dry run
+ */
+async function run(options) {
+  const sourceFilePath = path.resolve(options.source);
+  if (!fs.existsSync(sourceFilePath)) {
+    throw new Error(`Source file not found: ${sourceFilePath}`);
+  }
+
+  const outputFolderPath = path.resolve(
+    options.out || path.join(path.dirname(sourceFilePath), "extracted_objects")
+  );
+
+  const filter = options.filter || {};
+  const splitOptions = {
+    pathTemplate: options.template || undefined,
+    conflictPolicy: options.onConflict || "overwrite",
+    sourceEncoding: options.encoding || "auto",
+    targetEncoding: options.targetEncoding || "utf8",
+    filter,
+  };
+
+  let manifest;
+  if (options.dryRun) {
+    const preview = await previewObjectFile(
+      sourceFilePath,
+      outputFolderPath,
+      options.layout === "type",
+      splitOptions
+    );
+    manifest = {
+      source: sourceFilePath,
+      outputPath: outputFolderPath,
+      dryRun: true,
+      filter: preview.filter,
+      sourceEncoding: preview.sourceEncoding,
+      createdAt: new Date().toISOString(),
+      objectCount: preview.includedCount,
+      excludedCount: preview.excludedCount,
+      objects: preview.objects,
+    };
+  } else {
+    const result = await splitObjectFile(
+      sourceFilePath,
+      outputFolderPath,
+      options.layout === "type",
+      splitOptions
+    );
+    manifest = {
+      source: sourceFilePath,
+      outputPath: outputFolderPath,
+      layout: options.layout,
+      pathTemplate: options.template || null,
+      conflictPolicy: options.onConflict || "overwrite",
+      filter: describeObjectFilter(filter),
+      sourceEncoding: result.sourceEncoding,
+      targetEncoding: result.targetEncoding,
+      createdAt: new Date().toISOString(),
+      objectCount: result.objects.length,
+      excludedCount: result.excludedCount,
+      objectCountsByType: result.objectCountsByType,
+      conflicts: result.conflicts,
+      changes: result.changes,
+      objectLocations: result.objectLocations,
+      summaryFile: result.summaryFile,
+      objects: result.objects,
+    };
+  }
+
+  if (options.manifest) {
+    fs.writeFileSync(
+      path.resolve(options.manifest),
+      JSON.stringify(manifest, null, 2)
+    );
+  }
+
+  return manifest;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help || !options.source) {
+    console.error(USAGE);
+    process.exitCode = options.help ? 0 : 2;
+    return;
+  }
+
+  try {
+    const manifest = await run(options);
+    process.stdout.write(JSON.stringify(manifest, null, 2) + "\n");
+  } catch (error) {
+    console.error(`Error splitting objects: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, run };
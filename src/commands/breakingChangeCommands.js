@@ -0,0 +1,162 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const symbolCache = require("../symbolCache");
+const { findObsoleteUsages } = require("../utils/obsoleteSymbols");
+const {
+  compareSymbolInventories,
+  toBreakingChangeSymbols,
+  describeApp,
+  describeBreakingUsage,
+  formatBreakingChangeReport,
+  formatBreakingChangeReportHtml,
+} = require("../utils/symbolInventory");
+
+const DIAGNOSTIC_SOURCE = "BC/AL Breaking Changes";
+
+const diagnosticCollection = vscode.languages.createDiagnosticCollection(
+  "bc-al-breaking-changes"
+);
+
+/**
+ * Let the user pick a cached app version
+ * @param {Object[]} inventories - Symbol inventories of the cached apps
+ * @param {string} placeHolder
+ * @returns {Promise<Object|undefined>}
+ */
+async function pickInventory(inventories, placeHolder) {
+  const selected = await vscode.window.showQuickPick(
+    inventories.map((inventory) => ({
+      label: describeApp(inventory.app),
+      description: inventory.app.publisher,
+      detail: inventory.app.appPath,
+      inventory,
+    })),
+    { placeHolder }
+  );
+  return selected && selected.inventory;
+}
+
+// Files are only read, not opened, so positions are computed from the text
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  return new vscode.Position(
+    before.split("\n").length - 1,
+    offset - before.lastIndexOf("\n") - 1
+  );
+}
+
+/**
+ * Find the usages of the breaking changes in the AL files of the workspace
+ * and show them in the problems panel
+ * @param {Object[]} changes - Result of compareSymbolInventories
+ * @param {Object} to - Inventory of the new version
+ * @returns {Promise<Array<{file: string, line: number, change: string}>>}
+ */
+async function findWorkspaceUsages(changes, to) {
+  const symbols = toBreakingChangeSymbols(changes);
+  const files = await vscode.workspace.findFiles(
+    "**/*.al",
+    "{**/.alpackages/**,**/.index/**,**/node_modules/**}"
+  );
+
+  diagnosticCollection.clear();
+  const usages = [];
+  for (const uri of files) {
+    const text = fs.readFileSync(uri.fsPath, "utf8");
+    const fileUsages = findObsoleteUsages(text, symbols);
+    if (fileUsages.length === 0) continue;
+
+    const diagnostics = [];
+    for (const usage of fileUsages) {
+      const start = positionAt(text, usage.start);
+      const change = describeBreakingUsage(usage);
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(start, positionAt(text, usage.end)),
+        `${change} in ${describeApp(to.app)}`,
+        vscode.DiagnosticSeverity.Error
+      );
+      diagnostic.source = DIAGNOSTIC_SOURCE;
+      diagnostic.code = "breaking-change";
+      diagnostics.push(diagnostic);
+      usages.push({
+        file: vscode.workspace.asRelativePath(uri),
+        line: start.line + 1,
+        change,
+      });
+    }
+    diagnosticCollection.set(uri, diagnostics);
+  }
+  return usages;
+}
+
+/**
+ * Compare two cached versions of an app and report the removed and renamed
+ * objects, fields, procedures and events, and where the workspace uses them
+ */
+async function generateBreakingChangeReport() {
+  try {
+    const inventories = symbolCache.getSymbolInventories();
+    if (inventories.length < 2) {
+      vscode.window.showWarningMessage(
+        "Refresh the symbol cache with the .app packages of both versions to compare them."
+      );
+      return;
+    }
+
+    const from = await pickInventory(
+      inventories,
+      "Select the version to upgrade from"
+    );
+    if (!from) return;
+    const to = await pickInventory(
+      inventories.filter((inventory) => inventory !== from),
+      "Select the version to upgrade to"
+    );
+    if (!to) return;
+
+    const report = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Comparing symbols...",
+      },
+      async () => {
+        const changes = compareSymbolInventories(from, to);
+        const usages = await findWorkspaceUsages(changes, to);
+        return { from, to, changes, usages };
+      }
+    );
+
+    const doc = await vscode.workspace.openTextDocument({
+      content: formatBreakingChangeReport(report),
+      language: "markdown",
+    });
+    await vscode.window.showTextDocument(doc, vscode.ViewColumn.Beside);
+
+    const action = await vscode.window.showInformationMessage(
+      `${report.changes.length} breaking changes, ${report.usages.length} usages in the workspace.`,
+      "Save as HTML"
+    );
+    if (action === "Save as HTML") {
+      const uri = await vscode.window.showSaveDialog({
+        filters: { HTML: ["html"] },
+        saveLabel: "Save Report",
+      });
+      if (uri) {
+        fs.writeFileSync(
+          uri.fsPath,
+          formatBreakingChangeReportHtml(report),
+          "utf8"
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Error generating breaking change report:", error);
+    vscode.window.showErrorMessage(
+      `Error generating breaking change report: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  generateBreakingChangeReport,
+};
@@ -0,0 +1,182 @@
+const vscode = require("vscode");
+const path = require("path");
+const configManager = require("../utils/configManager");
+const { readCalObjectFile } = require("../utils/calCustomisationDetector");
+const { parseObjectHeader, getSection } = require("../utils/calObjectSections");
+const { convertTable } = require("../utils/calTableConverter");
+const { convertPage } = require("../utils/calPageConverter");
+const { createWorkspaceObjectIdAllocator } = require("../utils/appJsonReader");
+const { saveAlCodeToFile } = require("../utils/alFileSaver");
+const { unquote } = require("../utils/alSyntax");
+const { getFieldsForTable } = require("../utils/fieldCollector");
+const symbolCache = require("../symbolCache");
+const {
+  translateStatements,
+  translateTrigger,
+  translateCodeSection,
+} = require("../utils/calCodeTranslator");
+
+/**
+ * Field names of a C/AL record type like "Record 37" from the symbol and field
+ * caches, used to expand WITH blocks
+ * @param {string} type - C/AL variable type
+ * @returns {string[]|null} Null if the table is unknown
+ */
+function getRecordFields(type) {
+  const match = (type || "").match(/^(?:TEMPORARY\s+)?Record\s+(.+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  let tableName = unquote(match[1].trim());
+  if (/^\d+$/.test(tableName)) {
+    const table = Object.values(symbolCache.symbols || {}).find(
+      (symbol) =>
+        symbol.Type &&
+        symbol.Type.toLowerCase() === "table" &&
+        String(symbol.Id) === tableName
+    );
+    if (!table) {
+      return null;
+    }
+    tableName = table.Name;
+  }
+
+  const fields = getFieldsForTable(tableName);
+  return fields.length > 0 ? fields : null;
+}
+
+/**
+ * Convert a C/AL object to AL without an AI model. The converted objects are
+ * saved like AI generated code, so they are linked to the C/AL file in the
+ * .index and post-processed the same way.
+ * @param {vscode.Uri} [uri] - C/AL object file, defaults to the active editor
+ */
+async function convertCalObjectToAl(uri) {
+  try {
+    let filePath = uri && uri.fsPath;
+    if (!filePath) {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || path.extname(editor.document.fileName) !== ".txt") {
+        vscode.window.showErrorMessage(
+          "Open a C/AL object file (.txt) to convert it."
+        );
+        return;
+      }
+      filePath = editor.document.uri.fsPath;
+    }
+
+    const content = readCalObjectFile(filePath);
+    const header = parseObjectHeader(content);
+    if (!header) {
+      vscode.window.showErrorMessage(
+        `${path.basename(filePath)} does not contain a C/AL object.`
+      );
+      return;
+    }
+
+    const objectType = header.type.toLowerCase();
+    if (objectType !== "table" && objectType !== "page") {
+      vscode.window.showErrorMessage(
+        `Rule-based conversion is not available for ${header.type} objects, use 'Run Configured AI Prompt' instead.`
+      );
+      return;
+    }
+
+    const optionFields = configManager.getConfigValue(
+      "calConverter.optionFields",
+      "option"
+    );
+    const nextObjectId =
+      objectType === "table" && optionFields === "enum"
+        ? await createWorkspaceObjectIdAllocator()
+        : null;
+    const { code, enums = [] } =
+      objectType === "table"
+        ? convertTable(content, {
+            optionFields,
+            nextEnumId: () => nextObjectId("enum"),
+            getRecordFields,
+          })
+        : convertPage(content, { getRecordFields });
+
+    for (const enumObject of enums) {
+      await saveAlCodeToFile(enumObject.code, filePath);
+    }
+    const savedPath = await saveAlCodeToFile(code, filePath);
+    if (!savedPath) {
+      return;
+    }
+
+    const doc = await vscode.workspace.openTextDocument(savedPath);
+    await vscode.window.showTextDocument(doc, vscode.ViewColumn.Beside);
+  } catch (error) {
+    console.error("Error converting C/AL object:", error);
+    vscode.window.showErrorMessage(
+      `Error converting C/AL object: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Translate the selected C/AL code, or the CODE section of the C/AL object in
+ * the active editor, and show the AL code beside it
+ */
+async function translateCalCode() {
+  try {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+      vscode.window.showErrorMessage("No active editor found");
+      return;
+    }
+
+    let code = editor.selection.isEmpty
+      ? null
+      : editor.document.getText(editor.selection);
+    if (!code) {
+      code = getSection(editor.document.getText(), "CODE");
+    }
+    if (!code || code.trim().length === 0) {
+      vscode.window.showErrorMessage(
+        "Select C/AL code or open a C/AL object with a CODE section."
+      );
+      return;
+    }
+
+    const options = { getRecordFields };
+    let lines;
+    if (/^\s*(\[.*\]\s*)*(LOCAL\s+)?PROCEDURE\s/im.test(code)) {
+      const { variables, procedures } = translateCodeSection(code, options);
+      lines = [
+        ...(variables.length > 0
+          ? ["var", ...variables.map((line) => `    ${line}`), ""]
+          : []),
+        ...procedures.flatMap((procedure) => [...procedure.lines, ""]),
+      ];
+    } else if (/^\s*(VAR|BEGIN)\b/i.test(code)) {
+      lines = translateTrigger(code.split(/\r?\n/), options);
+    } else {
+      lines = translateStatements(code.split(/\r?\n/), {
+        variables: new Set(),
+        variableTypes: {},
+        getRecordFields,
+      });
+    }
+
+    const document = await vscode.workspace.openTextDocument({
+      content: lines.join("\n").trimEnd() + "\n",
+      language: "al",
+    });
+    await vscode.window.showTextDocument(document, vscode.ViewColumn.Beside);
+  } catch (error) {
+    console.error("Error translating C/AL code:", error);
+    vscode.window.showErrorMessage(
+      `Error translating C/AL code: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  convertCalObjectToAl,
+  translateCalCode,
+};
@@ -0,0 +1,265 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const { parseCALToJSON } = require("../../al-parser-lib/calParser");
+const configManager = require("../utils/configManager");
+const { parseObjectProperties } = require("../utils/calObjectProperties");
+const {
+  detectCustomisations,
+  readCalObjectFile,
+  findStandardObject,
+  saveCustomisations,
+  formatCustomisationReport,
+} = require("../utils/calCustomisationDetector");
+const {
+  generateTableExtension,
+  generatePageExtension,
+} = require("../utils/alExtensionGenerator");
+const {
+  getIdRanges,
+  createWorkspaceObjectIdAllocator,
+} = require("../utils/appJsonReader");
+const { saveAlCodeToFile } = require("../utils/alFileSaver");
+
+/**
+ * Get the path of the standard base export, asking for it if it is not configured
+ * @returns {Promise<string|undefined>}
+ */
+async function getStandardObjectsPath() {
+  const configuredPath = configManager.getConfigValue(
+    "customisationDetector.standardObjectsPath",
+    ""
+  );
+  if (configuredPath) {
+    return configuredPath;
+  }
+
+  const selection = await vscode.window.showOpenDialog({
+    canSelectFiles: true,
+    canSelectFolders: true,
+    canSelectMany: false,
+    filters: { "C/AL Export": ["txt"] },
+    openLabel: "Select Standard Base Export",
+    title:
+      "Select the standard NAV export (.txt) or the folder it was split into",
+  });
+  if (!selection || selection.length === 0) {
+    return undefined;
+  }
+
+  const standardPath = selection[0].fsPath;
+  await configManager.setConfigValue(
+    "customisationDetector.standardObjectsPath",
+    standardPath
+  );
+  return standardPath;
+}
+
+/**
+ * Parse a C/AL object for the detector
+ * @param {string} content - Object text
+ * @param {string} filePath - File the object was read from, for error messages
+ * @returns {Object} parseCALToJSON result with the Version List
+ */
+function parseCalObject(content, filePath) {
+  const parsed = parseCALToJSON(content);
+  if (!parsed || !parsed.type) {
+    throw new Error(`Could not parse the C/AL object in ${filePath}`);
+  }
+  const properties = parseObjectProperties(content);
+  return { ...parsed, versionList: properties ? properties.versionList : "" };
+}
+
+/**
+ * Compare a customer C/AL object with the matching object of the standard
+ * base export. The result is saved as customisations.json in the object's
+ * .index folder.
+ * @param {vscode.Uri} [uri] - C/AL object file, defaults to the active editor
+ * @returns {Promise<{customisations: Object, customer: Object, filePath: string}|undefined>}
+ *   undefined if there is nothing to compare
+ */
+async function detectCustomisationsForFile(uri) {
+  let filePath = uri && uri.fsPath;
+  if (!filePath) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || path.extname(editor.document.fileName) !== ".txt") {
+      vscode.window.showErrorMessage(
+        "Open a C/AL object file (.txt) to detect its customisations."
+      );
+      return undefined;
+    }
+    filePath = editor.document.uri.fsPath;
+  }
+
+  const content = readCalObjectFile(filePath);
+  const headerMatch = content.match(/^\s*OBJECT\s+(\w+)\s+(\d+)/);
+  if (!headerMatch) {
+    vscode.window.showErrorMessage(
+      `${path.basename(filePath)} does not contain a C/AL object.`
+    );
+    return undefined;
+  }
+  const [, type, id] = headerMatch;
+
+  const standardPath = await getStandardObjectsPath();
+  if (!standardPath) {
+    return undefined;
+  }
+
+  const standardObject = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `Looking up standard ${type} ${id}...`,
+      cancellable: false,
+    },
+    () => findStandardObject(standardPath, type, id)
+  );
+  if (!standardObject) {
+    vscode.window.showInformationMessage(
+      `${type} ${id} does not exist in the standard export, the whole object is a customisation.`
+    );
+    return undefined;
+  }
+
+  const customer = parseCalObject(content, filePath);
+  const customisations = detectCustomisations(
+    customer,
+    parseCalObject(standardObject.content, standardObject.file)
+  );
+
+  const upgradedObjectFolders = configManager.getConfigValue(
+    "upgradedObjectFolders",
+    null
+  );
+  if (upgradedObjectFolders && upgradedObjectFolders.basePath) {
+    const indexPath = path.join(upgradedObjectFolders.basePath, ".index");
+    if (fs.existsSync(indexPath)) {
+      saveCustomisations(indexPath, {
+        ...customisations,
+        customerFile: filePath,
+        standardFile: standardObject.file,
+      });
+    }
+  }
+
+  return { customisations, customer, filePath };
+}
+
+/**
+ * Show which fields, controls, triggers, procedures and code lines of a
+ * customer C/AL object were added or modified compared to the standard base
+ * export.
+ * @param {vscode.Uri} [uri] - C/AL object file, defaults to the active editor
+ */
+async function detectCalCustomisations(uri) {
+  try {
+    const result = await detectCustomisationsForFile(uri);
+    if (!result) {
+      return;
+    }
+
+    const doc = await vscode.workspace.openTextDocument({
+      content: formatCustomisationReport(result.customisations),
+      language: "markdown",
+    });
+    await vscode.window.showTextDocument(doc, vscode.ViewColumn.Beside);
+  } catch (error) {
+    console.error("Error detecting C/AL customisations:", error);
+    vscode.window.showErrorMessage(
+      `Error detecting customisations: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Generate a tableextension or pageextension with the fields and controls
+ * added to a customer C/AL table or page. The generated objects are saved
+ * like other AL code, so they are linked to the C/AL file in the .index and
+ * renumbered into the app.json ID ranges.
+ * @param {vscode.Uri} [uri] - C/AL object file, defaults to the active editor
+ */
+async function generateAlExtensionFromCustomisations(uri) {
+  try {
+    const result = await detectCustomisationsForFile(uri);
+    if (!result) {
+      return;
+    }
+    const { customisations, customer, filePath } = result;
+    const objectType = customisations.object.type.toLowerCase();
+
+    if (objectType !== "table" && objectType !== "page") {
+      vscode.window.showErrorMessage(
+        `Extensions can only be generated for tables and pages, not for ${customisations.object.type} objects.`
+      );
+      return;
+    }
+
+    const idRanges = getIdRanges();
+    const nextObjectId = await createWorkspaceObjectIdAllocator();
+    const objectId = nextObjectId(`${objectType}extension`);
+    const generated =
+      objectType === "table"
+        ? generateTableExtension(customisations, {
+            objectId,
+            nextEnumId: () => nextObjectId("enum"),
+            idRanges,
+            usedFieldIds: (customer.fields || []).map((field) =>
+              parseInt(field.id, 10)
+            ),
+          })
+        : generatePageExtension(customisations, customer, { objectId });
+
+    if (
+      objectType === "table"
+        ? customisations.fields.added.length === 0
+        : customisations.controls.added.length === 0
+    ) {
+      const answer = await vscode.window.showWarningMessage(
+        `${customisations.object.type} ${
+          customisations.object.id
+        } has no added ${
+          objectType === "table" ? "fields" : "controls"
+        }. Generate an empty extension with the TODO list anyway?`,
+        "Generate",
+        "Cancel"
+      );
+      if (answer !== "Generate") {
+        return;
+      }
+    }
+
+    for (const enumObject of generated.enums || []) {
+      await saveAlCodeToFile(enumObject.code, filePath);
+    }
+    const savedPath = await saveAlCodeToFile(generated.code, filePath);
+    if (!savedPath) {
+      return;
+    }
+
+    const renumbered = (generated.fieldIds || []).filter(
+      (field) => field.from !== field.to
+    );
+    if (renumbered.length > 0) {
+      vscode.window.showInformationMessage(
+        `Renumbered ${
+          renumbered.length
+        } field(s) into the app.json ID ranges: ${renumbered
+          .map((field) => `${field.name} ${field.from} → ${field.to}`)
+          .join(", ")}`
+      );
+    }
+
+    const doc = await vscode.workspace.openTextDocument(savedPath);
+    await vscode.window.showTextDocument(doc, vscode.ViewColumn.Beside);
+  } catch (error) {
+    console.error("Error generating AL extension:", error);
+    vscode.window.showErrorMessage(
+      `Error generating AL extension: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  detectCalCustomisations,
+  generateAlExtensionFromCustomisations,
+};
@@ -0,0 +1,222 @@
+const vscode = require("vscode");
+const path = require("path");
+const configManager = require("../utils/configManager");
+const { getKnownAssignees } = require("../utils/documentationAssignments");
+
+/**
+ * Let the user pick a team member from the current user, the teamMembers
+ * setting and the existing assignees, or enter another one
+ * @param {Object} provider - File reference provider
+ * @param {string} placeHolder
+ * @param {{label: string, current?: string|null}} none - Item picking "",
+ *   e.g. "Unassign"
+ * @returns {Promise<string|undefined>} The user identifier, "" for the none
+ *   item, undefined when cancelled
+ */
+async function pickAssignee(provider, placeHolder, none) {
+  const userId = vscode.workspace
+    .getConfiguration("bc-al-upgradeassistant")
+    .get("userId");
+  const assignees = getKnownAssignees({
+    userId,
+    teamMembers: configManager.getConfigValue("teamMembers", []),
+    storageData: provider._readDocumentationStorage(),
+  });
+
+  const picked = await vscode.window.showQuickPick(
+    [
+      ...assignees.map((assignee) => ({
+        label: `$(person) ${assignee}`,
+        description: [
+          assignee === userId ? "you" : "",
+          assignee === none.current ? "current" : "",
+        ]
+          .filter(Boolean)
+          .join(", "),
+        assignee,
+      })),
+      { label: "$(edit) Other...", other: true },
+      {
+        label: `$(circle-slash) ${none.label}`,
+        description: none.current === "" ? "current" : "",
+        assignee: "",
+      },
+    ],
+    { placeHolder }
+  );
+  if (!picked) {
+    return undefined;
+  }
+  if (picked.other) {
+    const entered = await vscode.window.showInputBox({
+      prompt: "User identifier of the team member",
+      placeHolder: "e.g. the userId setting of the team member",
+    });
+    return entered ? entered.trim() || undefined : undefined;
+  }
+  return picked.assignee;
+}
+
+/**
+ * Files and references selected by a tree item, explorer selection or the
+ * cursor of the active editor
+ * @param {Object} provider - File reference provider
+ * @param {Object|vscode.Uri} [item]
+ * @param {vscode.Uri[]} [uris] - Explorer selection
+ * @returns {{description: string, targets: Array<{filePath: string, filterRefs?: function(Object): boolean}>}|null}
+ */
+function getAssignmentTargets(provider, item, uris) {
+  // The explorer passes its selection, the editor context menu only the
+  // file of the editor, whose reference at the cursor is assigned
+  if (item instanceof vscode.Uri && Array.isArray(uris)) {
+    const files = uris.length > 0 ? uris : [item];
+    return {
+      description:
+        files.length === 1
+          ? `the references of ${path.basename(files[0].fsPath)}`
+          : `the references of ${files.length} files`,
+      targets: files.map((uri) => ({ filePath: uri.fsPath })),
+    };
+  }
+
+  const treeItem = item instanceof vscode.Uri ? undefined : item;
+  let filePath = treeItem && treeItem.filePath;
+  let docRef =
+    treeItem && treeItem.docId && treeItem.lineNumber !== undefined
+      ? { id: treeItem.docId, lineNumber: treeItem.lineNumber }
+      : null;
+
+  if (!filePath) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+      return null;
+    }
+    filePath = editor.document.uri.fsPath;
+    // Without a reference at the cursor the whole file is assigned
+    const line = editor.selection.active.line + 1;
+    docRef =
+      provider
+        ._findDocumentationReferences(editor.document.getText(), filePath)
+        .find((ref) => ref.lineNumber === line) || null;
+  }
+
+  if (docRef) {
+    return {
+      description: docRef.id,
+      targets: [
+        {
+          filePath,
+          filterRefs: (ref) =>
+            ref.id === docRef.id && ref.lineNumber === docRef.lineNumber,
+        },
+      ],
+    };
+  }
+  if (
+    treeItem &&
+    treeItem.taskId &&
+    treeItem.contextValue === "documentationRefTaskGroup"
+  ) {
+    return {
+      description: `the references of task ${treeItem.taskId}`,
+      targets: [
+        { filePath, filterRefs: (ref) => ref.taskId === treeItem.taskId },
+      ],
+    };
+  }
+  return {
+    description: `the references of ${path.basename(filePath)}`,
+    targets: [{ filePath }],
+  };
+}
+
+/**
+ * Assign a documentation reference, the references of a task group or all
+ * references of migration files to a team member
+ * @param {Object} provider - File reference provider
+ * @param {Object|vscode.Uri} [item] - Tree item or explorer file
+ * @param {vscode.Uri[]} [uris] - Explorer selection
+ */
+async function assignDocumentationReferences(provider, item, uris) {
+  try {
+    const selection = getAssignmentTargets(provider, item, uris);
+    if (!selection) {
+      vscode.window.showInformationMessage(
+        "Select a documentation reference or migration file to assign."
+      );
+      return;
+    }
+
+    const assignee = await pickAssignee(
+      provider,
+      `Assign ${selection.description} to`,
+      {
+        label: "Unassign",
+        current: item && item.docRef ? item.docRef.assignee : undefined,
+      }
+    );
+    if (assignee === undefined) {
+      return;
+    }
+
+    let count = 0;
+    for (const target of selection.targets) {
+      const assigned = provider.assignDocumentationReferences(
+        target.filePath,
+        assignee,
+        target.filterRefs
+      );
+      if (assigned < 0) {
+        throw new Error(
+          `Could not assign the references of ${path.basename(target.filePath)}`
+        );
+      }
+      count += assigned;
+    }
+
+    if (count === 0) {
+      vscode.window.showInformationMessage(
+        "No documentation references found to assign."
+      );
+    } else {
+      vscode.window.setStatusBarMessage(
+        assignee
+          ? `${count} documentation references assigned to ${assignee}`
+          : `${count} documentation references unassigned`,
+        3000
+      );
+    }
+  } catch (error) {
+    console.error("Error assigning documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error assigning documentation references: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Only show the documentation references assigned to one team member
+ * @param {Object} provider - File reference provider
+ */
+async function filterByAssignee(provider) {
+  try {
+    const assignee = await pickAssignee(
+      provider,
+      "Show the documentation references assigned to",
+      { label: "Unassigned", current: provider.assigneeFilter }
+    );
+    if (assignee !== undefined) {
+      provider.setAssigneeFilter(assignee);
+    }
+  } catch (error) {
+    console.error("Error filtering documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error filtering documentation references: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  assignDocumentationReferences,
+  filterByAssignee,
+};
@@ -0,0 +1,93 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const configManager = require("../utils/configManager");
+const {
+  toExportRows,
+  formatCsv,
+  formatJsonLines,
+  createXlsx,
+} = require("../utils/documentationExport");
+
+const EXPORT_FORMATS = [
+  {
+    label: "CSV",
+    description: "Comma separated values",
+    extension: "csv",
+    write: async (filePath, rows) =>
+      fs.writeFileSync(filePath, formatCsv(rows), "utf8"),
+  },
+  {
+    label: "JSON Lines",
+    description: "One JSON object per line",
+    extension: "jsonl",
+    write: async (filePath, rows) =>
+      fs.writeFileSync(filePath, formatJsonLines(rows), "utf8"),
+  },
+  {
+    label: "Excel Workbook",
+    description: "XLSX",
+    extension: "xlsx",
+    write: async (filePath, rows) =>
+      fs.writeFileSync(filePath, await createXlsx(rows)),
+  },
+];
+
+/**
+ * Export the status of all documentation references of the upgraded objects
+ * to a CSV, JSON Lines or Excel file
+ * @param {Object} provider - File reference provider
+ */
+async function exportDocumentationReferences(provider) {
+  try {
+    const format = await vscode.window.showQuickPick(EXPORT_FORMATS, {
+      placeHolder: "Select the export format",
+    });
+    if (!format) return;
+
+    const basePath = configManager.getConfigValue(
+      "upgradedObjectFolders",
+      null
+    )?.basePath;
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: basePath
+        ? vscode.Uri.file(
+            path.join(basePath, `documentation-references.${format.extension}`)
+          )
+        : undefined,
+      filters: { [format.label]: [format.extension] },
+      saveLabel: "Export",
+    });
+    if (!uri) return;
+
+    const count = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Exporting documentation references...",
+      },
+      async () => {
+        const refs = await provider.getAllDocumentationReferences();
+        await format.write(
+          uri.fsPath,
+          toExportRows(refs, basePath, provider.documentationStates)
+        );
+        return refs.length;
+      }
+    );
+
+    vscode.window.showInformationMessage(
+      `Exported ${count} documentation references to ${path.basename(
+        uri.fsPath
+      )}.`
+    );
+  } catch (error) {
+    console.error("Error exporting documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error exporting documentation references: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  exportDocumentationReferences,
+};
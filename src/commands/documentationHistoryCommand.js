@@ -0,0 +1,102 @@
+const vscode = require("vscode");
+
+/**
+ * Ask before applying a history entry whose references were changed again
+ * since, e.g. by a later toggle or a merged change of a colleague
+ * @param {Object} provider - File reference provider
+ * @param {Object} entry - History entry
+ * @param {"before"|"after"} side - Side about to be applied
+ * @param {string} action - Button text
+ * @returns {Promise<boolean>} True to go on
+ */
+async function confirmConflicts(provider, entry, side, action) {
+  const conflicts = provider.getDocumentationHistoryConflicts(entry, side);
+  if (conflicts.length === 0) {
+    return true;
+  }
+  const answer = await vscode.window.showWarningMessage(
+    `${conflicts.length} of the ${entry.changes.length} references of "${entry.label}" were changed again since. ${action} anyway and overwrite these changes?`,
+    { modal: true },
+    action
+  );
+  return answer === action;
+}
+
+/**
+ * Undo the last documentation reference status or note change
+ * @param {Object} provider - File reference provider
+ */
+async function undoDocumentationChange(provider) {
+  try {
+    const entry = provider.getNextHistoryEntry("undo");
+    if (!entry) {
+      vscode.window.showInformationMessage("Nothing to undo.");
+      return;
+    }
+    if (!(await confirmConflicts(provider, entry, "before", "Undo"))) {
+      return;
+    }
+    provider.undoDocumentationChange();
+    vscode.window.setStatusBarMessage(`Undone: ${entry.label}`, 3000);
+  } catch (error) {
+    console.error("Error undoing documentation reference change:", error);
+    vscode.window.showErrorMessage(
+      `Error undoing documentation reference change: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Redo the last undone documentation reference change
+ * @param {Object} provider - File reference provider
+ */
+async function redoDocumentationChange(provider) {
+  try {
+    const entry = provider.getNextHistoryEntry("redo");
+    if (!entry) {
+      vscode.window.showInformationMessage("Nothing to redo.");
+      return;
+    }
+    if (!(await confirmConflicts(provider, entry, "after", "Redo"))) {
+      return;
+    }
+    provider.redoDocumentationChange();
+    vscode.window.setStatusBarMessage(`Redone: ${entry.label}`, 3000);
+  } catch (error) {
+    console.error("Error redoing documentation reference change:", error);
+    vscode.window.showErrorMessage(
+      `Error redoing documentation reference change: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Restore the statuses and notes a change of the History view replaced. The
+ * revert is recorded as a new change, so it can be undone as well
+ * @param {Object} provider - File reference provider
+ * @param {Object} item - History entry tree item
+ */
+async function revertDocumentationChange(provider, item) {
+  try {
+    if (!item || !item.entry) {
+      vscode.window.showErrorMessage("Select a change in the History view.");
+      return;
+    }
+    if (!(await confirmConflicts(provider, item.entry, "before", "Revert"))) {
+      return;
+    }
+    provider.revertDocumentationChange(item.entry);
+    vscode.window.setStatusBarMessage(`Reverted: ${item.entry.label}`, 3000);
+  } catch (error) {
+    console.error("Error reverting documentation reference change:", error);
+    vscode.window.showErrorMessage(
+      `Error reverting documentation reference change: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  undoDocumentationChange,
+  redoDocumentationChange,
+  revertDocumentationChange,
+};
@@ -0,0 +1,77 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const configManager = require("../utils/configManager");
+const {
+  parseImportRows,
+  planImport,
+  formatImportReport,
+} = require("../utils/documentationImport");
+
+/**
+ * Import documentation reference statuses and notes from a CSV file written
+ * by the export. The changes and conflicts are shown before anything is
+ * written; conflicting rows are skipped
+ * @param {Object} provider - File reference provider
+ */
+async function importDocumentationReferences(provider) {
+  try {
+    const [uri] =
+      (await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { CSV: ["csv"] },
+        openLabel: "Import",
+      })) || [];
+    if (!uri) return;
+
+    const basePath = configManager.getConfigValue(
+      "upgradedObjectFolders",
+      null
+    )?.basePath;
+    const states = provider.documentationStates;
+    const { rows, errors } = parseImportRows(
+      fs.readFileSync(uri.fsPath, "utf8"),
+      states
+    );
+    const refs = await provider.getAllDocumentationReferences();
+    const plan = planImport(rows, refs, basePath, states);
+
+    const doc = await vscode.workspace.openTextDocument({
+      content: formatImportReport(plan, errors, states),
+      language: "markdown",
+    });
+    await vscode.window.showTextDocument(doc, vscode.ViewColumn.Beside);
+
+    if (plan.changes.length === 0) {
+      vscode.window.showInformationMessage(
+        "The import contains no changes to apply."
+      );
+      return;
+    }
+
+    const skipped = plan.conflicts.length + errors.length;
+    const action = await vscode.window.showWarningMessage(
+      `Apply ${plan.changes.length} changes to the documentation references?${
+        skipped > 0
+          ? ` ${skipped} conflicting or invalid rows are skipped.`
+          : ""
+      }`,
+      { modal: true },
+      "Apply"
+    );
+    if (action !== "Apply") return;
+
+    provider.applyDocumentationImport(plan.changes);
+    vscode.window.showInformationMessage(
+      `Applied ${plan.changes.length} changes to the documentation references.`
+    );
+  } catch (error) {
+    console.error("Error importing documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error importing documentation references: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  importDocumentationReferences,
+};
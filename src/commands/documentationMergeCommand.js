@@ -0,0 +1,53 @@
+const vscode = require("vscode");
+const { mergeStorageConflicts } = require("../utils/documentationStorage");
+
+/**
+ * Resolve the git conflict markers in the documentation storage. References
+ * edited on both sides keep the edit with the later lastModified, ties are
+ * decided by userId
+ * @param {Object} provider - File reference provider
+ */
+async function mergeDocumentationReferenceConflicts(provider) {
+  try {
+    const location = provider._getDocumentationStorageLocation();
+    if (!location) {
+      vscode.window.showErrorMessage(
+        "No documentation reference storage found. Configure the upgraded objects folder first."
+      );
+      return;
+    }
+
+    const { merged, failed } = mergeStorageConflicts(location);
+    if (merged.length === 0 && failed.length === 0) {
+      vscode.window.showInformationMessage(
+        "The documentation reference storage has no merge conflicts."
+      );
+      return;
+    }
+
+    provider.refresh();
+    if (failed.length > 0) {
+      failed.forEach(({ file, error }) =>
+        console.error(`Error merging documentation references ${file}:`, error)
+      );
+      vscode.window.showErrorMessage(
+        `Merged ${merged.length} documentation reference files, ${
+          failed.length
+        } could not be merged: ${failed.map(({ file }) => file).join(", ")}`
+      );
+      return;
+    }
+    vscode.window.showInformationMessage(
+      `Merged ${merged.length} documentation reference files. Stage them to complete the merge.`
+    );
+  } catch (error) {
+    console.error("Error merging documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error merging documentation references: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  mergeDocumentationReferenceConflicts,
+};
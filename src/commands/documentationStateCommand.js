@@ -0,0 +1,50 @@
+const vscode = require("vscode");
+
+/**
+ * Let the user pick one of the documentation reference states
+ * @param {Array<Object>} states - States of the file reference provider
+ * @param {string} placeHolder
+ * @param {string} [currentStateId] - Marked as current
+ * @returns {Promise<Object|undefined>} The picked state, undefined when cancelled
+ */
+async function pickDocumentationState(states, placeHolder, currentStateId) {
+  const picked = await vscode.window.showQuickPick(
+    states.map((state) => ({
+      label: `$(${state.icon}) ${state.label}`,
+      description: state.id === currentStateId ? "current" : "",
+      detail: state.countsAsDone ? "Counts as completed" : undefined,
+      state,
+    })),
+    { placeHolder }
+  );
+  return picked && picked.state;
+}
+
+/**
+ * Only show the documentation references in one state
+ * @param {Object} provider - File reference provider
+ */
+async function filterByDocumentationState(provider) {
+  try {
+    const state = await pickDocumentationState(
+      provider.documentationStates,
+      "Show the documentation references in this state",
+      provider.filterMode.startsWith("state:")
+        ? provider.filterMode.slice("state:".length)
+        : undefined
+    );
+    if (state) {
+      provider.setFilterMode(`state:${state.id}`);
+    }
+  } catch (error) {
+    console.error("Error filtering documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error filtering documentation references: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  pickDocumentationState,
+  filterByDocumentationState,
+};
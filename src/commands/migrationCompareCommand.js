@@ -0,0 +1,254 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const configManager = require("../utils/configManager");
+const { readCalObjectFile } = require("../utils/calCustomisationDetector");
+const { compareMigratedObject } = require("../utils/migrationCompare");
+const { escapeHtml } = require("../utils/htmlHelper");
+
+const KIND_TITLES = {
+  field: "Fields",
+  control: "Controls",
+  trigger: "Triggers",
+  procedure: "Procedures",
+};
+
+const STATUS_LABELS = {
+  matched: "✅ Matched",
+  missing: "❌ No AL counterpart",
+  added: "➕ Only in AL",
+};
+
+/**
+ * Path of the .index folder of the upgraded objects
+ * @returns {string|null}
+ */
+function getIndexPath() {
+  const upgradedObjectFolders = configManager.getConfigValue(
+    "upgradedObjectFolders",
+    null
+  );
+  if (!upgradedObjectFolders || !upgradedObjectFolders.basePath) {
+    return null;
+  }
+  return path.join(upgradedObjectFolders.basePath, ".index");
+}
+
+/**
+ * Let the user pick one of the migration files linked to the AL object
+ * @param {string[]} migrationFiles
+ * @returns {Promise<string|undefined>}
+ */
+async function pickMigrationFile(migrationFiles) {
+  const existing = migrationFiles.filter((file) => fs.existsSync(file));
+  if (existing.length <= 1) {
+    return existing[0];
+  }
+  const selected = await vscode.window.showQuickPick(
+    existing.map((file) => ({
+      label: path.basename(file),
+      detail: file,
+    })),
+    { placeHolder: "Select the C/AL object to compare with" }
+  );
+  return selected && selected.detail;
+}
+
+function renderCell(element, side) {
+  if (!element) {
+    return '<td class="empty"></td>';
+  }
+  return `<td><a href="#" data-side="${side}" data-line="${
+    element.line
+  }">${escapeHtml(element.label)}</a></td>`;
+}
+
+/**
+ * HTML of the compare view
+ * @param {vscode.Webview} webview
+ * @param {Object} comparison
+ * @returns {string}
+ */
+function getWebviewContent(webview, comparison) {
+  const { calObject, alObject, calFile, alFile, rows, summary, filtered } =
+    comparison;
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  let body = "";
+  for (const kind of Object.keys(KIND_TITLES)) {
+    const kindRows = rows.filter((row) => row.kind === kind);
+    if (kindRows.length === 0) continue;
+    body += `<tr class="section"><th colspan="3">${KIND_TITLES[kind]}</th></tr>\n`;
+    for (const row of kindRows) {
+      body += `<tr class="${row.status}">${renderCell(
+        row.cal,
+        "cal"
+      )}${renderCell(row.al, "al")}<td>${
+        STATUS_LABELS[row.status]
+      }</td></tr>\n`;
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${
+    webview.cspSource
+  } 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<style>
+  body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 2px 8px; border-bottom: 1px solid var(--vscode-panel-border); }
+  tr.section th { padding-top: 12px; font-size: 1.1em; }
+  tr.missing td { background: var(--vscode-diffEditor-removedTextBackground); }
+  tr.added td { background: var(--vscode-diffEditor-insertedTextBackground); }
+  a { color: var(--vscode-textLink-foreground); text-decoration: none; }
+  .summary { margin-bottom: 12px; }
+</style>
+</head>
+<body>
+<h2>${escapeHtml(calObject)} ↔ ${escapeHtml(alObject)}</h2>
+<div class="summary">
+  <div>C/AL: ${escapeHtml(calFile)}</div>
+  <div>AL: ${escapeHtml(alFile)}</div>
+  <p><strong>${summary.completeness}% complete</strong>: ${
+    summary.matched
+  } matched, ${summary.missing} without AL counterpart, ${
+    summary.added
+  } only in AL${
+    filtered
+      ? ". Only the customisations of the standard object are compared."
+      : "."
+  }</p>
+</div>
+<table>
+<tr><th>C/AL</th><th>AL</th><th>Status</th></tr>
+${body}</table>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  document.querySelectorAll("a[data-side]").forEach((link) =>
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      vscode.postMessage({
+        command: "open",
+        side: link.dataset.side,
+        line: Number(link.dataset.line),
+      });
+    })
+  );
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Compare an AL object with the C/AL object it was migrated from, linked
+ * through referencedMigrationFiles in its info.json
+ * @param {string} alFile - AL file
+ * @param {string} calFile - C/AL migration file
+ * @param {string|null} indexPath - .index folder, for saved customisations
+ * @returns {Object} Data of the compare view
+ */
+function compareObjects(alFile, calFile, indexPath) {
+  const { cal, al, filtered, rows, summary } = compareMigratedObject(
+    readCalObjectFile(calFile),
+    fs.readFileSync(alFile, "utf8"),
+    indexPath
+  );
+  return {
+    calObject: cal.object
+      ? `${cal.object.type} ${cal.object.id} ${cal.object.name}`
+      : path.basename(calFile),
+    alObject: al.object
+      ? `${al.object.type} ${al.object.id} ${al.object.name}`
+      : path.basename(alFile),
+    calFile,
+    alFile,
+    rows,
+    summary,
+    filtered,
+  };
+}
+
+async function openAtLine(filePath, line) {
+  const document = await vscode.workspace.openTextDocument(filePath);
+  const position = new vscode.Position(Math.max(line, 0), 0);
+  await vscode.window.showTextDocument(document, {
+    viewColumn: vscode.ViewColumn.One,
+    selection: new vscode.Range(position, position),
+  });
+}
+
+/**
+ * Show the C/AL object and the AL object it was migrated to side by side,
+ * aligned per field, control, trigger and procedure
+ * @param {vscode.Uri} [uri] - AL file, defaults to the active editor
+ */
+async function compareWithCalObject(uri) {
+  try {
+    const alFile = uri
+      ? uri.fsPath
+      : vscode.window.activeTextEditor &&
+        vscode.window.activeTextEditor.document.fileName;
+    if (!alFile || path.extname(alFile).toLowerCase() !== ".al") {
+      vscode.window.showErrorMessage("Open an AL file to compare.");
+      return;
+    }
+
+    const header = fs
+      .readFileSync(alFile, "utf8")
+      .match(/^\s*(\w+)\s+(\d+)\s+/m);
+    const indexPath = getIndexPath();
+    const infoFile =
+      header &&
+      indexPath &&
+      path.join(indexPath, header[1].toLowerCase(), header[2], "info.json");
+    const info =
+      infoFile && fs.existsSync(infoFile)
+        ? JSON.parse(fs.readFileSync(infoFile, "utf8"))
+        : null;
+    if (!info || !info.referencedMigrationFiles?.length) {
+      vscode.window.showWarningMessage(
+        "No C/AL migration file is linked to this AL object."
+      );
+      return;
+    }
+
+    const calFile = await pickMigrationFile(info.referencedMigrationFiles);
+    if (!calFile) return;
+
+    const comparison = compareObjects(alFile, calFile, indexPath);
+    const panel = vscode.window.createWebviewPanel(
+      "bc-al-upgradeassistant.migrationCompare",
+      `Compare: ${path.basename(alFile)}`,
+      vscode.ViewColumn.Beside,
+      { enableScripts: true }
+    );
+    panel.webview.html = getWebviewContent(panel.webview, comparison);
+    panel.webview.onDidReceiveMessage(async (message) => {
+      try {
+        if (message.command === "open") {
+          await openAtLine(
+            message.side === "cal" ? calFile : alFile,
+            message.line
+          );
+        }
+      } catch (error) {
+        console.error("Error opening compared object:", error);
+        vscode.window.showErrorMessage(`Error opening file: ${error.message}`);
+      }
+    });
+  } catch (error) {
+    console.error("Error comparing with C/AL object:", error);
+    vscode.window.showErrorMessage(
+      `Error comparing with C/AL object: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  compareWithCalObject,
+};
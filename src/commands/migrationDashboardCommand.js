@@ -0,0 +1,318 @@
+const vscode = require("vscode");
+const path = require("path");
+const crypto = require("crypto");
+const configManager = require("../utils/configManager");
+const {
+  buildDashboardData,
+  recordSnapshot,
+  renderBurnDownSvg,
+} = require("../utils/migrationDashboard");
+const { escapeHtml } = require("../utils/htmlHelper");
+
+// Delay before a change of the documentation storage refreshes the panel and
+// the snapshot of the day
+const REFRESH_DELAY = 1000;
+
+let currentPanel = null;
+
+function renderProgressTable(title, groups, states) {
+  if (groups.length === 0) {
+    return "";
+  }
+  const rows = groups
+    .map(
+      (group) => `<tr>
+  <td title="${escapeHtml(group.description || "")}">${escapeHtml(
+        group.name
+      )}</td>
+  <td><div class="bar"><div class="done" style="width: ${
+    group.percent
+  }%"></div></div></td>
+  <td>${group.percent}%</td>
+  ${states.map((state) => `<td>${group.byState[state.id]}</td>`).join("")}<td>${
+        group.total
+      }</td>
+</tr>`
+    )
+    .join("\n");
+  return `<h2>${title}</h2>
+<table>
+<tr><th></th><th></th><th></th>${states
+    .map((state) => `<th>${escapeHtml(state.label)}</th>`)
+    .join("")}<th>Total</th></tr>
+${rows}
+</table>`;
+}
+
+function renderReferenceLink(ref, label) {
+  return `<a href="#" data-file="${escapeHtml(ref.filePath)}" data-line="${
+    ref.lineNumber
+  }">${escapeHtml(label)}</a>`;
+}
+
+/**
+ * HTML of the dashboard
+ * @param {vscode.Webview} webview
+ * @param {Object} data - Result of buildDashboardData
+ * @param {Object[]} snapshots - Snapshots of the burn-down chart
+ * @returns {string}
+ */
+function getWebviewContent(webview, data, snapshots) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const { states, totals } = data;
+  const stateCounts = states
+    .map(
+      (state) =>
+        `${totals.byState[state.id]} ${escapeHtml(state.label.toLowerCase())}`
+    )
+    .join(", ");
+
+  const pendingById = data.byId
+    .filter((group) => group.pendingRefs.length > 0)
+    .map(
+      (group) => `<details>
+<summary>${escapeHtml(group.name)} (${
+        group.pendingRefs.length
+      } pending)</summary>
+<ul>
+${group.pendingRefs
+  .map(
+    (ref) =>
+      `<li>${renderReferenceLink(
+        ref,
+        `${path.basename(ref.filePath)}:${ref.lineNumber}`
+      )} ${escapeHtml(ref.context || "")}</li>`
+  )
+  .join("\n")}
+</ul>
+</details>`
+    )
+    .join("\n");
+
+  const topPendingFiles = data.topPendingFiles
+    .map(
+      (file) =>
+        `<tr><td>${renderReferenceLink(
+          file,
+          path.basename(file.filePath)
+        )}</td><td>${file.pending}</td><td>${file.total}</td></tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${
+    webview.cspSource
+  } 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<style>
+  body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+  table { border-collapse: collapse; margin-bottom: 12px; }
+  th, td { text-align: left; padding: 2px 8px; border-bottom: 1px solid var(--vscode-panel-border); }
+  .bar { width: 160px; height: 10px; background: var(--vscode-editorWidget-background); }
+  .bar .done { height: 100%; background: var(--vscode-charts-green); }
+  .burndown { max-width: 600px; font-size: 10px; fill: var(--vscode-foreground); }
+  .burndown polyline { fill: none; stroke-width: 2; }
+  .burndown polyline.total { stroke: var(--vscode-charts-blue); }
+  .burndown polyline.pending { stroke: var(--vscode-charts-orange); }
+  .burndown circle.pending { fill: var(--vscode-charts-orange); }
+  .burndown .axis { stroke: var(--vscode-panel-border); }
+  a { color: var(--vscode-textLink-foreground); text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>Migration Dashboard</h1>
+<p><strong>${totals.percent}% complete</strong>: ${stateCounts} of ${
+    totals.total
+  } documentation references.
+<button id="refresh">Refresh</button></p>
+<h2>Burn-down</h2>
+${renderBurnDownSvg(snapshots)}
+<p>Total references in blue, references that are not done in orange.</p>
+${renderProgressTable("Progress per Documentation ID", data.byId, states)}
+${renderProgressTable("Progress per Object Type", data.byObjectType, states)}
+${renderProgressTable("Completed per User", data.byUser, states)}
+<h2>Top Pending Files</h2>
+<table>
+<tr><th>File</th><th>Pending</th><th>Total</th></tr>
+${topPendingFiles}
+</table>
+<h2>Pending References</h2>
+${pendingById}
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  document.querySelectorAll("a[data-file]").forEach((link) =>
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      vscode.postMessage({
+        command: "open",
+        filePath: link.dataset.file,
+        lineNumber: Number(link.dataset.line),
+      });
+    })
+  );
+  document.getElementById("refresh").addEventListener("click", () =>
+    vscode.postMessage({ command: "refresh" })
+  );
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Recompute the dashboard and record today's snapshot
+ * @param {vscode.WebviewPanel} panel
+ * @param {Object} provider - File reference provider
+ * @param {string} basePath - Base path of the upgraded objects
+ */
+async function updateDashboard(panel, provider, basePath) {
+  const refs = await provider.getAllDocumentationReferences();
+  const data = buildDashboardData(refs, provider.documentationStates);
+  const snapshots = recordSnapshot(path.join(basePath, ".index"), data.totals);
+  panel.webview.html = getWebviewContent(panel.webview, data, snapshots);
+}
+
+/**
+ * Record today's snapshot on the first change of the documentation storage
+ * of the day, so the burn-down chart has a point for every day with progress,
+ * not only for the days the dashboard was opened. Collecting the references
+ * reads every C/AL file, so later changes of the day only update the snapshot
+ * while the dashboard is open
+ * @param {vscode.ExtensionContext} context
+ * @param {Object} provider - File reference provider
+ */
+function registerSnapshotRecording(context, provider) {
+  let snapshotTimer = null;
+  let recordedDate = null;
+  const today = () => new Date().toISOString().slice(0, 10);
+  const recordTodaysSnapshot = async () => {
+    try {
+      const upgradedObjectFolders = configManager.getConfigValue(
+        "upgradedObjectFolders",
+        null
+      );
+      if (!upgradedObjectFolders?.basePath) {
+        return;
+      }
+      const date = today();
+      const refs = await provider.getAllDocumentationReferences();
+      recordSnapshot(
+        path.join(upgradedObjectFolders.basePath, ".index"),
+        buildDashboardData(refs, provider.documentationStates).totals
+      );
+      recordedDate = date;
+    } catch (error) {
+      console.error("Error recording migration snapshot:", error);
+    }
+  };
+
+  context.subscriptions.push(
+    provider.onDidChangeDocumentationStorage(() => {
+      if (currentPanel || recordedDate === today()) {
+        return;
+      }
+      clearTimeout(snapshotTimer);
+      snapshotTimer = setTimeout(recordTodaysSnapshot, REFRESH_DELAY);
+    }),
+    { dispose: () => clearTimeout(snapshotTimer) }
+  );
+}
+
+/**
+ * Show the migration dashboard: progress per documentation ID, object type
+ * and user, a burn-down chart from daily snapshots and the pending files.
+ * The dashboard refreshes when documentation references are toggled
+ * @param {Object} provider - File reference provider
+ */
+async function showMigrationDashboard(provider) {
+  try {
+    const upgradedObjectFolders = configManager.getConfigValue(
+      "upgradedObjectFolders",
+      null
+    );
+    if (!upgradedObjectFolders?.basePath) {
+      throw new Error(
+        "Base path not configured in upgradedObjectFolders settings"
+      );
+    }
+    const basePath = upgradedObjectFolders.basePath;
+
+    if (currentPanel) {
+      currentPanel.reveal();
+      await updateDashboard(currentPanel, provider, basePath);
+      return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "bc-al-upgradeassistant.migrationDashboard",
+      "Migration Dashboard",
+      vscode.ViewColumn.One,
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+    currentPanel = panel;
+
+    const update = () =>
+      updateDashboard(panel, provider, basePath).catch((error) => {
+        console.error("Error updating migration dashboard:", error);
+        vscode.window.showErrorMessage(
+          `Error updating migration dashboard: ${error.message}`
+        );
+      });
+
+    // Toggling a reference writes the shard of its file in the storage folder
+    const storageLocation = provider._getDocumentationStorageLocation();
+    const storageWatcher = vscode.workspace.createFileSystemWatcher(
+      new vscode.RelativePattern(
+        vscode.Uri.file(storageLocation ? storageLocation.folder : basePath),
+        "**/*.json"
+      )
+    );
+    let refreshTimer = null;
+    const scheduleUpdate = () => {
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(update, REFRESH_DELAY);
+    };
+    const subscriptions = [
+      storageWatcher,
+      storageWatcher.onDidChange(scheduleUpdate),
+      storageWatcher.onDidCreate(scheduleUpdate),
+      storageWatcher.onDidDelete(scheduleUpdate),
+      panel.webview.onDidReceiveMessage((message) => {
+        if (message.command === "open") {
+          vscode.commands.executeCommand(
+            "bc-al-upgradeassistant.openDocumentationReference",
+            message.filePath,
+            message.lineNumber
+          );
+        } else if (message.command === "refresh") {
+          update();
+        }
+      }),
+    ];
+    panel.onDidDispose(() => {
+      clearTimeout(refreshTimer);
+      subscriptions.forEach((subscription) => subscription.dispose());
+      currentPanel = null;
+    });
+
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Collecting documentation references...",
+      },
+      update
+    );
+  } catch (error) {
+    console.error("Error showing migration dashboard:", error);
+    vscode.window.showErrorMessage(
+      `Error showing migration dashboard: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  showMigrationDashboard,
+  registerSnapshotRecording,
+};
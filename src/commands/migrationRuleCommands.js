@@ -0,0 +1,292 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const configManager = require("../utils/configManager");
+const { loadMigrationRules } = require("../utils/migrationRuleLoader");
+const {
+  runRuleTests,
+  findRuleMatches,
+  createRuleEdits,
+  createMatchEdits,
+  mergeVariableEdits,
+} = require("../utils/migrationRuleEngine");
+const {
+  appendMigrationRuleRun,
+  classifyChanges,
+} = require("../utils/migrationRuleLog");
+const { normalizePathForStorage } = require("../utils/documentationHelper");
+
+/**
+ * Markdown report of the rule test samples
+ * @param {{rules: Object[], errors: string[], files: string[]}} ruleSet
+ * @returns {{content: string, failed: number}}
+ */
+function formatRuleTestReport({ rules, errors, files }) {
+  let content = "# Migration Rule Tests\n\n";
+  content += `Rule files: ${files
+    .map((file) => path.basename(file))
+    .join(", ")}\n\n`;
+
+  if (errors.length > 0) {
+    content += "## Errors\n\n";
+    content += errors.map((error) => `- ${error}`).join("\n") + "\n\n";
+  }
+
+  let failed = 0;
+  for (const rule of rules) {
+    const results = runRuleTests(rule);
+    const ruleFailed = results.filter((result) => !result.passed).length;
+    failed += ruleFailed;
+
+    content += `## ${rule.id}\n\n${rule.description}\n\n`;
+    if (results.length === 0) {
+      content += "No test samples.\n\n";
+      continue;
+    }
+    content += `${results.length - ruleFailed} of ${
+      results.length
+    } samples passed.\n\n`;
+    results.forEach((result, index) => {
+      if (result.passed) return;
+      content += `### Sample ${index + 1} failed\n\n`;
+      content += "Expected:\n\n```al\n" + result.expected + "\n```\n\n";
+      content += "Actual:\n\n```al\n" + result.actual + "\n```\n\n";
+    });
+  }
+
+  return { content, failed };
+}
+
+/**
+ * Run the test samples of all migration rules of the workspace
+ */
+async function testMigrationRules() {
+  try {
+    const ruleSet = loadMigrationRules();
+    if (ruleSet.files.length === 0) {
+      vscode.window.showWarningMessage(
+        "No migration rule file found. Add al-migration-rules.json or al-migration-rules.yaml to the workspace, or configure bc-al-upgradeassistant.migrationRules.files."
+      );
+      return;
+    }
+
+    const { content, failed } = formatRuleTestReport(ruleSet);
+    const document = await vscode.workspace.openTextDocument({
+      content,
+      language: "markdown",
+    });
+    await vscode.window.showTextDocument(document, vscode.ViewColumn.Beside);
+
+    if (failed > 0 || ruleSet.errors.length > 0) {
+      vscode.window.showWarningMessage(
+        `Migration rules: ${failed} failed samples, ${ruleSet.errors.length} errors.`
+      );
+    } else {
+      vscode.window.showInformationMessage(
+        `All samples of ${ruleSet.rules.length} migration rules passed.`
+      );
+    }
+  } catch (error) {
+    console.error("Error testing migration rules:", error);
+    vscode.window.showErrorMessage(
+      `Error testing migration rules: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Proposed changes of the migration rules for the AL files of a folder
+ * @param {string} basePath - Upgraded objects folder
+ * @param {Object[]} rules - Compiled rules
+ * @returns {Promise<{files: number, planned: Array<{document: vscode.TextDocument, matches: Object[]}>}>}
+ */
+async function planFolderMigration(basePath, rules) {
+  const files = glob.sync("**/*.al", {
+    cwd: basePath,
+    absolute: true,
+    nodir: true,
+    ignore: ["**/.index/**", "**/node_modules/**"],
+  });
+
+  const planned = [];
+  for (const file of files) {
+    // Only files with matches are opened, the edits are based on the open document
+    if (findRuleMatches(fs.readFileSync(file, "utf8"), rules).length === 0) {
+      continue;
+    }
+    const document = await vscode.workspace.openTextDocument(file);
+    const { matches } = createRuleEdits(document.getText(), rules);
+    if (matches.length > 0) {
+      planned.push({ document, matches });
+    }
+  }
+  return { files: files.length, planned };
+}
+
+/**
+ * Apply the migration rules to all AL files of the upgraded objects folder.
+ * The changes are shown in the refactoring preview, where each one can be
+ * accepted or rejected, and the run is recorded in the .index folder.
+ */
+async function applyMigrationRulesToFolder() {
+  try {
+    const upgradedObjectFolders = configManager.getConfigValue(
+      "upgradedObjectFolders",
+      null
+    );
+    if (!upgradedObjectFolders || !upgradedObjectFolders.basePath) {
+      vscode.window.showErrorMessage(
+        "Configure bc-al-upgradeassistant.upgradedObjectFolders.basePath to apply migration rules."
+      );
+      return;
+    }
+    const basePath = upgradedObjectFolders.basePath;
+
+    const { rules, errors, files: ruleFiles } = loadMigrationRules();
+    if (errors.length > 0) {
+      vscode.window.showWarningMessage(
+        `Some migration rules were skipped: ${errors.join("; ")}`
+      );
+    }
+    if (rules.length === 0) {
+      vscode.window.showWarningMessage("No migration rules found.");
+      return;
+    }
+
+    const { files, planned } = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Searching code for migration rules...",
+      },
+      () => planFolderMigration(basePath, rules)
+    );
+
+    const edit = new vscode.WorkspaceEdit();
+    const changes = [];
+    for (const { document, matches } of planned) {
+      const text = document.getText();
+      const file = normalizePathForStorage(
+        path.relative(basePath, document.uri.fsPath)
+      );
+      const variableEdits = [];
+      const variableRules = new Map(); // Rule descriptions by edit offset
+
+      for (const match of matches) {
+        const [replacement, ...matchVariableEdits] = createMatchEdits(
+          text,
+          match
+        );
+        edit.replace(
+          document.uri,
+          new vscode.Range(
+            document.positionAt(replacement.start),
+            document.positionAt(replacement.end)
+          ),
+          replacement.text,
+          {
+            label: match.rule.description,
+            description: file,
+            needsConfirmation: true,
+          }
+        );
+        for (const variableEdit of matchVariableEdits) {
+          variableEdits.push(variableEdit);
+          if (!variableRules.has(variableEdit.start)) {
+            variableRules.set(variableEdit.start, new Set());
+          }
+          variableRules.get(variableEdit.start).add(match.rule.description);
+        }
+
+        changes.push({
+          file,
+          line: document.positionAt(match.start).line + 1,
+          ruleId: match.rule.id,
+          original: text.slice(match.start, match.end),
+          replacement: replacement.text,
+        });
+      }
+
+      // One var section per procedure, even if several rules need variables
+      for (const variableEdit of mergeVariableEdits(variableEdits)) {
+        edit.insert(
+          document.uri,
+          document.positionAt(variableEdit.start),
+          variableEdit.text,
+          {
+            label: `Declare variables for ${[
+              ...variableRules.get(variableEdit.start),
+            ].join(", ")}`,
+            description: file,
+            needsConfirmation: true,
+          }
+        );
+      }
+    }
+
+    const run = {
+      runAt: new Date().toISOString(),
+      user: configManager.getConfigValue("userId", "") || "",
+      ruleFiles,
+      filesScanned: files,
+      status: "nothing-to-apply",
+      changes: [],
+    };
+    const indexPath = path.join(basePath, ".index");
+
+    if (changes.length === 0) {
+      appendMigrationRuleRun(indexPath, run);
+      vscode.window.showInformationMessage(
+        `No migration rule applies to the ${files} AL files.`
+      );
+      return;
+    }
+
+    const applied = await vscode.workspace.applyEdit(edit);
+    if (!applied) {
+      appendMigrationRuleRun(indexPath, {
+        ...run,
+        status: "cancelled",
+        changes: changes.map((change) => ({ ...change, status: "cancelled" })),
+      });
+      return;
+    }
+
+    const remainingMatches = {};
+    for (const { document } of planned) {
+      if (document.isDirty) {
+        await document.save();
+      }
+      const text = document.getText();
+      remainingMatches[
+        normalizePathForStorage(path.relative(basePath, document.uri.fsPath))
+      ] = findRuleMatches(text, rules).map((match) => ({
+        ruleId: match.rule.id,
+        original: text.slice(match.start, match.end),
+      }));
+    }
+
+    const classified = classifyChanges(changes, remainingMatches);
+    const logFile = appendMigrationRuleRun(indexPath, {
+      ...run,
+      status: "applied",
+      changes: classified,
+    });
+    const appliedCount = classified.filter(
+      (change) => change.status === "applied"
+    ).length;
+    vscode.window.showInformationMessage(
+      `Applied ${appliedCount} of ${changes.length} migration rule changes in ${planned.length} files. The run was logged to ${logFile}.`
+    );
+  } catch (error) {
+    console.error("Error applying migration rules:", error);
+    vscode.window.showErrorMessage(
+      `Error applying migration rules: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  testMigrationRules,
+  applyMigrationRulesToFolder,
+};
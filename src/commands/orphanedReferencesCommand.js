@@ -0,0 +1,28 @@
+const vscode = require("vscode");
+const { formatOrphanedReferencesReport } = require("../utils/referenceAnchors");
+
+/**
+ * Show the stored documentation reference statuses that could not be
+ * re-attached to their references after the lines of a file changed
+ * @param {Object} provider - File reference provider
+ */
+async function showOrphanedDocumentationReferences(provider) {
+  try {
+    const doc = await vscode.workspace.openTextDocument({
+      content: formatOrphanedReferencesReport(
+        provider.getOrphanedDocumentationReferences()
+      ),
+      language: "markdown",
+    });
+    await vscode.window.showTextDocument(doc, vscode.ViewColumn.Beside);
+  } catch (error) {
+    console.error("Error showing orphaned documentation references:", error);
+    vscode.window.showErrorMessage(
+      `Error showing orphaned documentation references: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  showOrphanedDocumentationReferences,
+};
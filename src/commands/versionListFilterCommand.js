@@ -0,0 +1,101 @@
+const vscode = require("vscode");
+const path = require("path");
+const configManager = require("../utils/configManager");
+const {
+  listCalObjects,
+  countVersionTags,
+  versionListMatches,
+} = require("../utils/calObjectIndex");
+
+/**
+ * Let the user pick a Version List tag of the split C/AL objects and limit the
+ * BC/AL File Info view to objects carrying it. Afterwards the matching objects
+ * can be opened from a list, e.g. to work through all objects of one add-on.
+ * @param {Object} fileReferenceProvider The BC/AL File Info tree provider
+ */
+async function filterByVersionList(fileReferenceProvider) {
+  try {
+    const upgradedObjectFolders = configManager.getConfigValue(
+      "upgradedObjectFolders",
+      null
+    );
+    if (!upgradedObjectFolders || !upgradedObjectFolders.basePath) {
+      vscode.window.showErrorMessage(
+        "No upgraded objects folder configured. Split a C/AL export first."
+      );
+      return;
+    }
+
+    const basePath = upgradedObjectFolders.basePath;
+    const calObjects = listCalObjects(path.join(basePath, ".index"));
+    if (calObjects.length === 0) {
+      vscode.window.showWarningMessage(
+        "No C/AL object properties found in the index. Split the C/AL export again to collect them."
+      );
+      return;
+    }
+
+    const items = countVersionTags(calObjects).map(({ version, count }) => ({
+      label: version,
+      description: `${count} object${count === 1 ? "" : "s"}`,
+    }));
+    if (fileReferenceProvider.versionFilter) {
+      items.unshift({
+        label: "$(clear-all) Clear Version List Filter",
+        clear: true,
+      });
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select a Version List tag, or type part of one",
+      matchOnDescription: true,
+    });
+    if (!selected) {
+      return;
+    }
+
+    if (selected.clear) {
+      fileReferenceProvider.setVersionFilter(null);
+      return;
+    }
+
+    fileReferenceProvider.setVersionFilter(selected.label);
+
+    const matchingObjects = calObjects.filter((object) =>
+      versionListMatches(object.versionList, selected.label)
+    );
+    const action = await vscode.window.showInformationMessage(
+      `Showing ${matchingObjects.length} C/AL object(s) with "${selected.label}" in the Version List.`,
+      "Open Object..."
+    );
+    if (action !== "Open Object...") {
+      return;
+    }
+
+    const objectItem = await vscode.window.showQuickPick(
+      matchingObjects.map((object) => ({
+        label: `${object.type} ${object.id} ${object.name}`,
+        description: object.versionList,
+        detail: object.modified ? `Modified, ${object.date}` : object.date,
+        file: path.join(basePath, object.file),
+      })),
+      {
+        placeHolder: `Objects with "${selected.label}"`,
+        matchOnDescription: true,
+      }
+    );
+    if (objectItem) {
+      const document = await vscode.workspace.openTextDocument(objectItem.file);
+      await vscode.window.showTextDocument(document);
+    }
+  } catch (error) {
+    console.error("Error filtering by Version List:", error);
+    vscode.window.showErrorMessage(
+      `Error filtering by Version List: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  filterByVersionList,
+};
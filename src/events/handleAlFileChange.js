@@ -9,6 +9,7 @@ const { findAppJsonFile } = require("../utils/appJsonReader");
 const { readJsonFile } = require("../jsonUtils");
 const { updateIndexAfterObjectChange } = require("./utils/indexManager");
 const { findMigrationReferences } = require("../utils/migrationHelper");
+const { preserveCalObjectInfo } = require("../utils/calObjectIndex");
 const { initializeFieldCache, processAlFile } = require("../utils/cacheHelper");
 
 /**
@@ -247,11 +248,15 @@ function createNewIndexEntry(filePath, objectType, objectNumber, indexPath) {
       fs.mkdirSync(objectNumberFolder, { recursive: true });
     }
 
-    // Check if the info.json file already exists
+    // Check if the info.json file already exists. A file holding only the
+    // properties of a split C/AL object does not count as an index entry.
     const infoFilePath = path.join(objectNumberFolder, "info.json");
     if (fs.existsSync(infoFilePath)) {
-      console.log(`Index entry already exists for ${filePath}`);
-      return;
+      const existingInfo = JSON.parse(fs.readFileSync(infoFilePath, "utf8"));
+      if (existingInfo.originalPath) {
+        console.log(`Index entry already exists for ${filePath}`);
+        return;
+      }
     }
 
     // Find migration references for this object
@@ -270,7 +275,11 @@ function createNewIndexEntry(filePath, objectType, objectNumber, indexPath) {
       referencedMigrationFiles: migrationReferences,
     };
 
-    fs.writeFileSync(infoFilePath, JSON.stringify(infoData, null, 2), "utf8");
+    fs.writeFileSync(
+      infoFilePath,
+      JSON.stringify(preserveCalObjectInfo(infoFilePath, infoData), null, 2),
+      "utf8"
+    );
 
     console.log(`Created new index entry for ${filePath}`);
   } catch (error) {
@@ -10,6 +10,16 @@ const { readJsonFile } = require("../jsonUtils"); // Added readJsonFile
 const { initializeFieldCache } = require("../utils/cacheHelper"); // Import field cache initializer
 const { fileEvents } = require("../utils/alFileSaver");
 const { postCorrections } = require("./utils/postCorrections");
+const {
+  registerMigrationRuleDiagnostics,
+} = require("./utils/migrationRuleDiagnostics");
+const {
+  registerObsoleteSymbolDiagnostics,
+} = require("./utils/obsoleteSymbolDiagnostics");
+const {
+  preserveCalObjectInfo,
+  removeAlObjectInfo,
+} = require("../utils/calObjectIndex");
 const {
   createNewIndexEntry,
   handleAlFileChange,
@@ -153,10 +163,11 @@ function processAlFile(filePath, indexPath, orginFilePath) {
           : [],
     };
 
-    // Save file info to index
+    // Save file info to index, keeping the properties of a split C/AL object
+    const infoFilePath = path.join(objectNumberFolder, "info.json");
     fs.writeFileSync(
-      path.join(objectNumberFolder, "info.json"),
-      JSON.stringify(fileInfo, null, 2),
+      infoFilePath,
+      JSON.stringify(preserveCalObjectInfo(infoFilePath, fileInfo), null, 2),
       "utf8"
     );
 
@@ -416,8 +427,8 @@ async function handleAlFileDelete(filePath, context) {
             const infoData = JSON.parse(fs.readFileSync(infoFilePath, "utf8"));
 
             if (infoData.originalPath === filePath) {
-              // Delete the info.json file
-              fs.unlinkSync(infoFilePath);
+              // Delete the info.json file unless it holds C/AL object properties
+              removeAlObjectInfo(infoFilePath);
               console.log(`Removed index entry for ${filePath}`);
 
               // Try to clean up empty folders
@@ -639,6 +650,8 @@ function registerfileEvents(context) {
   // Set up file watchers for real-time monitoring
   setupFileWatcher(context);
   setupTxtFileWatcher(context);
+  registerMigrationRuleDiagnostics(context);
+  registerObsoleteSymbolDiagnostics(context);
 
   if (context && context.subscriptions) {
     context.subscriptions.push(disposable);
@@ -2,6 +2,11 @@ const fs = require("fs");
 const path = require("path");
 const configManager = require("../../utils/configManager");
 const { updateMigrationReferences } = require("../../utils/migrationHelper");
+const {
+  CAL_OBJECT_KEY,
+  preserveCalObjectInfo,
+  removeAlObjectInfo,
+} = require("../../utils/calObjectIndex");
 
 function updateIndexAfterObjectChange(filePath, oldContent, newContent) {
   if (!filePath || !oldContent || !newContent) {
@@ -36,22 +41,25 @@ function updateIndexAfterObjectChange(filePath, oldContent, newContent) {
 
   if (fs.existsSync(oldInfoFilePath)) {
     const infoData = JSON.parse(fs.readFileSync(oldInfoFilePath, "utf8"));
+    // The C/AL object properties stay with the old type and number
+    delete infoData[CAL_OBJECT_KEY];
     const newObjectTypeFolder = path.join(indexPath, newType);
     const newObjectNumberFolder = path.join(newObjectTypeFolder, newNumber);
 
     fs.mkdirSync(newObjectTypeFolder, { recursive: true });
     fs.mkdirSync(newObjectNumberFolder, { recursive: true });
 
-    const updatedInfo = {
+    const newInfoFilePath = path.join(newObjectNumberFolder, "info.json");
+    const updatedInfo = preserveCalObjectInfo(newInfoFilePath, {
       ...infoData,
       originalPath: filePath,
       objectType: newType,
       objectNumber: newNumber,
       lastUpdated: new Date().toISOString(),
-    };
+    });
 
     fs.writeFileSync(
-      path.join(newObjectNumberFolder, "info.json"),
+      newInfoFilePath,
       JSON.stringify(updatedInfo, null, 2),
       "utf8"
     );
@@ -67,7 +75,7 @@ function updateIndexAfterObjectChange(filePath, oldContent, newContent) {
       );
 
       try {
-        fs.unlinkSync(oldInfoFilePath);
+        removeAlObjectInfo(oldInfoFilePath);
         if (fs.readdirSync(oldObjectNumberFolder).length === 0) {
           fs.rmdirSync(oldObjectNumberFolder);
         }
@@ -87,18 +95,15 @@ function updateIndexAfterObjectChange(filePath, oldContent, newContent) {
   fs.mkdirSync(newObjectTypeFolder, { recursive: true });
   fs.mkdirSync(newObjectNumberFolder, { recursive: true });
 
-  const newInfo = {
+  const newInfoFilePath = path.join(newObjectNumberFolder, "info.json");
+  const newInfo = preserveCalObjectInfo(newInfoFilePath, {
     objectType: newType,
     objectNumber: newNumber,
     indexedAt: new Date().toISOString(),
     referencedMigrationFiles: [],
-  };
+  });
 
-  fs.writeFileSync(
-    path.join(newObjectNumberFolder, "info.json"),
-    JSON.stringify(newInfo, null, 2),
-    "utf8"
-  );
+  fs.writeFileSync(newInfoFilePath, JSON.stringify(newInfo, null, 2), "utf8");
 
   return newInfo;
 }
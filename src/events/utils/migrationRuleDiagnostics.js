@@ -0,0 +1,209 @@
+const vscode = require("vscode");
+const path = require("path");
+const { getConfigValue } = require("../../utils/configManager");
+const {
+  DEFAULT_RULE_FILES,
+  getConfiguredRuleFilePaths,
+  loadMigrationRules,
+} = require("../../utils/migrationRuleLoader");
+const { findRuleMatches } = require("../../utils/migrationRuleEngine");
+
+const DIAGNOSTIC_SOURCE = "BC/AL Upgrade Assistant";
+
+// Wait for a pause in typing before checking a changed document again
+const CHANGE_DELAY = 500;
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  information: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint,
+};
+
+const diagnosticCollection = vscode.languages.createDiagnosticCollection(
+  "bc-al-migration-rules"
+);
+
+// Load errors are shown once per distinct message
+const reportedErrors = new Set();
+
+// Matches by document, valid for one version of the document and the rules
+const matchCache = new Map();
+
+function reportRuleErrors(errors) {
+  for (const error of errors) {
+    if (reportedErrors.has(error)) continue;
+    reportedErrors.add(error);
+    console.error("Error in migration rules:", error);
+    vscode.window.showErrorMessage(`Migration rule error: ${error}`);
+  }
+}
+
+/**
+ * Matches of the migration rules in a document, computed once per document
+ * version and shared by the diagnostics and the quick fixes
+ * @param {vscode.TextDocument} document
+ * @returns {Object[]} Result of findRuleMatches
+ */
+function getMigrationRuleMatches(document) {
+  const key = document.uri.toString();
+  const cached = matchCache.get(key);
+  if (cached && cached.version === document.version) {
+    return cached.matches;
+  }
+
+  const { rules, errors } = loadMigrationRules();
+  reportRuleErrors(errors);
+  const matches =
+    rules.length > 0 ? findRuleMatches(document.getText(), rules) : [];
+  matchCache.set(key, { version: document.version, matches });
+  return matches;
+}
+
+/**
+ * Check an AL document against the migration rules and show the matches as
+ * diagnostics, which offer the quick fixes of the MigrationRuleActionProvider
+ * @param {vscode.TextDocument} document
+ */
+function updateMigrationRuleDiagnostics(document) {
+  try {
+    if (!document || document.languageId !== "al") {
+      return;
+    }
+
+    const diagnostics = getMigrationRuleMatches(document).map((match) => {
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(
+          document.positionAt(match.start),
+          document.positionAt(match.end)
+        ),
+        match.rule.description,
+        SEVERITIES[match.rule.severity]
+      );
+      diagnostic.source = DIAGNOSTIC_SOURCE;
+      diagnostic.code = match.rule.id;
+      return diagnostic;
+    });
+    diagnosticCollection.set(document.uri, diagnostics);
+  } catch (error) {
+    console.error("Error checking migration rules:", error);
+  }
+}
+
+/**
+ * Watch a rule file, calling onChange when it is created, changed or deleted
+ * @param {vscode.GlobPattern} pattern
+ * @param {Function} onChange
+ * @returns {vscode.FileSystemWatcher}
+ */
+function watchRuleFiles(pattern, onChange) {
+  const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+  watcher.onDidChange(onChange);
+  watcher.onDidCreate(onChange);
+  watcher.onDidDelete(onChange);
+  return watcher;
+}
+
+/**
+ * Run the migration rules when AL files are opened, changed or saved and when
+ * a rule file changes
+ * @param {vscode.ExtensionContext} context
+ */
+function registerMigrationRuleDiagnostics(context) {
+  const isEnabled = () => getConfigValue("migrationRules.diagnostics", true);
+  const changeTimers = new Map();
+
+  const update = (document) => {
+    if (isEnabled()) updateMigrationRuleDiagnostics(document);
+  };
+
+  const scheduleUpdate = (document) => {
+    if (document.languageId !== "al" || !isEnabled()) return;
+    const key = document.uri.toString();
+    clearTimeout(changeTimers.get(key));
+    changeTimers.set(
+      key,
+      setTimeout(() => {
+        changeTimers.delete(key);
+        if (!document.isClosed) update(document);
+      }, CHANGE_DELAY)
+    );
+  };
+
+  const refreshOpenDocuments = () => {
+    matchCache.clear();
+    diagnosticCollection.clear();
+    if (!isEnabled()) return;
+    for (const document of vscode.workspace.textDocuments) {
+      updateMigrationRuleDiagnostics(document);
+    }
+  };
+
+  const ruleFileWatcher = watchRuleFiles(
+    `**/{${DEFAULT_RULE_FILES.join(",")}}`,
+    refreshOpenDocuments
+  );
+
+  // The configured files may be outside the workspace, so each gets its own
+  // watcher, recreated when migrationRules.files changes
+  let configuredFileWatchers = [];
+  const watchConfiguredRuleFiles = () => {
+    configuredFileWatchers.forEach((watcher) => watcher.dispose());
+    configuredFileWatchers = getConfiguredRuleFilePaths().map((file) =>
+      watchRuleFiles(
+        new vscode.RelativePattern(
+          vscode.Uri.file(path.dirname(file)),
+          path.basename(file)
+        ),
+        refreshOpenDocuments
+      )
+    );
+  };
+  watchConfiguredRuleFiles();
+
+  const subscriptions = [
+    diagnosticCollection,
+    ruleFileWatcher,
+    vscode.workspace.onDidOpenTextDocument(update),
+    vscode.workspace.onDidChangeTextDocument((event) =>
+      scheduleUpdate(event.document)
+    ),
+    vscode.workspace.onDidSaveTextDocument(update),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      const key = document.uri.toString();
+      clearTimeout(changeTimers.get(key));
+      changeTimers.delete(key);
+      matchCache.delete(key);
+      diagnosticCollection.delete(document.uri);
+    }),
+    { dispose: () => changeTimers.forEach((timer) => clearTimeout(timer)) },
+    {
+      dispose: () =>
+        configuredFileWatchers.forEach((watcher) => watcher.dispose()),
+    },
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (
+        event.affectsConfiguration(
+          "bc-al-upgradeassistant.migrationRules.files"
+        )
+      ) {
+        watchConfiguredRuleFiles();
+      }
+      if (event.affectsConfiguration("bc-al-upgradeassistant.migrationRules")) {
+        refreshOpenDocuments();
+      }
+    }),
+  ];
+
+  if (context && context.subscriptions) {
+    context.subscriptions.push(...subscriptions);
+  }
+  refreshOpenDocuments();
+}
+
+module.exports = {
+  DIAGNOSTIC_SOURCE,
+  getMigrationRuleMatches,
+  updateMigrationRuleDiagnostics,
+  registerMigrationRuleDiagnostics,
+};
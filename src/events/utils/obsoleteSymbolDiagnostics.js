@@ -0,0 +1,124 @@
+const vscode = require("vscode");
+const symbolCache = require("../../symbolCache");
+const { getConfigValue } = require("../../utils/configManager");
+const {
+  findObsoleteUsages,
+  formatObsoleteMessage,
+} = require("../../utils/obsoleteSymbols");
+
+const DIAGNOSTIC_SOURCE = "BC/AL Obsolete Symbols";
+
+const diagnosticCollection = vscode.languages.createDiagnosticCollection(
+  "bc-al-obsolete-symbols"
+);
+
+// Usages by document version, cleared when the obsolete symbols change. The
+// symbol cache updates its maps in place, so their identity does not tell
+const usageCache = new Map();
+
+/**
+ * Usages of obsolete symbols in a document, computed once per document
+ * version and shared by the diagnostics and the hover
+ * @param {vscode.TextDocument} document
+ * @returns {Array<Object>} Result of findObsoleteUsages
+ */
+function getObsoleteUsages(document) {
+  const key = document.uri.toString();
+  const cached = usageCache.get(key);
+  if (cached && cached.version === document.version) {
+    return cached.usages;
+  }
+
+  const usages = findObsoleteUsages(
+    document.getText(),
+    symbolCache.obsoleteSymbols
+  );
+  usageCache.set(key, { version: document.version, usages });
+  return usages;
+}
+
+/**
+ * Show the usages of symbols that are obsolete (Pending or Removed) in the
+ * cached symbols of the target version as diagnostics. Removed symbols are
+ * errors, as the code will not compile against that version.
+ * @param {vscode.TextDocument} document
+ */
+function updateObsoleteSymbolDiagnostics(document) {
+  try {
+    if (!document || document.languageId !== "al") {
+      return;
+    }
+
+    const diagnostics = getObsoleteUsages(document).map((usage) => {
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(
+          document.positionAt(usage.start),
+          document.positionAt(usage.end)
+        ),
+        formatObsoleteMessage(usage),
+        usage.state === "Removed"
+          ? vscode.DiagnosticSeverity.Error
+          : vscode.DiagnosticSeverity.Warning
+      );
+      diagnostic.source = DIAGNOSTIC_SOURCE;
+      diagnostic.code = `obsolete-${usage.state.toLowerCase()}`;
+      diagnostic.tags = [vscode.DiagnosticTag.Deprecated];
+      return diagnostic;
+    });
+    diagnosticCollection.set(document.uri, diagnostics);
+  } catch (error) {
+    console.error("Error checking obsolete symbols:", error);
+  }
+}
+
+/**
+ * Check AL files for obsolete symbols when they are opened or saved and
+ * after the symbol cache was loaded or refreshed
+ * @param {vscode.ExtensionContext} context
+ */
+function registerObsoleteSymbolDiagnostics(context) {
+  const isEnabled = () => getConfigValue("obsoleteSymbols.diagnostics", true);
+
+  const refreshOpenDocuments = () => {
+    usageCache.clear();
+    diagnosticCollection.clear();
+    if (!isEnabled()) return;
+    for (const document of vscode.workspace.textDocuments) {
+      updateObsoleteSymbolDiagnostics(document);
+    }
+  };
+
+  const update = (document) => {
+    if (isEnabled()) updateObsoleteSymbolDiagnostics(document);
+  };
+
+  const subscriptions = [
+    diagnosticCollection,
+    vscode.workspace.onDidOpenTextDocument(update),
+    vscode.workspace.onDidSaveTextDocument(update),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      diagnosticCollection.delete(document.uri);
+      usageCache.delete(document.uri.toString());
+    }),
+    symbolCache.onDidUpdateSymbols(refreshOpenDocuments),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (
+        event.affectsConfiguration("bc-al-upgradeassistant.obsoleteSymbols")
+      ) {
+        refreshOpenDocuments();
+      }
+    }),
+  ];
+
+  if (context && context.subscriptions) {
+    context.subscriptions.push(...subscriptions);
+  }
+  refreshOpenDocuments();
+}
+
+module.exports = {
+  DIAGNOSTIC_SOURCE,
+  getObsoleteUsages,
+  updateObsoleteSymbolDiagnostics,
+  registerObsoleteSymbolDiagnostics,
+};
@@ -15,6 +15,7 @@ const {
 
 const { EXTENSION_ID } = require("./constants");
 const { registerViews } = require("./views/registerViews");
+const CompletenessDecorationProvider = require("./views/completenessDecorationProvider");
 const {
   FieldSuggestionActionProvider,
 } = require("./providers/fieldSuggestionProvider");
@@ -30,14 +31,23 @@ const {
 const {
   LayoutPropertiesActionProvider,
 } = require("./providers/layoutPropertiesActionProvider");
+const {
+  MigrationRuleActionProvider,
+} = require("./providers/migrationRuleActionProvider");
 const { logger } = require("./utils/logger");
+const { preserveCalObjectInfo } = require("./utils/calObjectIndex");
 const ALObjectHoverProvider = require("./hover/alObjectHoverProvider");
+const {
+  pickDocumentationState,
+} = require("./commands/documentationStateCommand");
+const {
+  BUILT_IN_STATES,
+  countByState,
+  getCompoundState,
+} = require("./utils/documentationStates");
 
 let globalStatusBarItems = {};
 
-// Add an event emitter for file decorations
-const fileDecorationEventEmitter = new vscode.EventEmitter();
-
 /**
  * Extension activation handler
  * @param {vscode.ExtensionContext} context - Extension context
@@ -252,6 +262,72 @@ async function activate(context) {
       )
     );
 
+    // Register command to move a documentation reference to another state
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "bc-al-upgradeassistant.setDocumentationReferenceState",
+        async (item) => {
+          let target;
+          if (
+            item &&
+            item.filePath &&
+            item.docId &&
+            item.lineNumber !== undefined
+          ) {
+            target = {
+              filePath: item.filePath,
+              id: item.docId,
+              lineNumber: item.lineNumber,
+              state: item.docRef?.lifecycleState?.id,
+            };
+          } else {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) return;
+
+            const docRef = findDocRefAtLine(
+              fileReferenceProvider,
+              editor.document,
+              editor.selection.active.line
+            );
+            if (!docRef) return;
+
+            target = {
+              filePath: editor.document.uri.fsPath,
+              id: docRef.id,
+              lineNumber: docRef.lineNumber,
+              state: docRef.lifecycleState?.id,
+            };
+          }
+
+          const state = await pickDocumentationState(
+            fileReferenceProvider.documentationStates,
+            `State of ${target.id}`,
+            target.state
+          );
+          if (!state) return;
+
+          if (
+            fileReferenceProvider.setDocumentationReferenceState(
+              target.filePath,
+              target.id,
+              target.lineNumber,
+              state.id
+            )
+          ) {
+            updateAllTabsForFile(target.filePath, fileReferenceProvider);
+            vscode.window.setStatusBarMessage(
+              `${target.id} set to ${state.label}`,
+              3000
+            );
+          } else {
+            vscode.window.showErrorMessage(
+              `Failed to set the state of ${target.id}`
+            );
+          }
+        }
+      )
+    );
+
     // Watch for changes to settings.json files in workspace folders
     if (vscode.workspace.workspaceFolders) {
       vscode.workspace.workspaceFolders.forEach((folder) => {
@@ -431,46 +507,14 @@ async function activate(context) {
     }
 
     // Register a file decoration provider to show documentation status in file explorer
-    const fileDecorationProvider = {
-      onDidChangeFileDecorations: fileDecorationEventEmitter.event,
-      provideFileDecoration: (uri) => {
-        // Skip if not a plaintext file
-        if (path.extname(uri.fsPath) !== ".txt") return null;
-
-        // Check if file has documentation references and if they are all done
-        try {
-          const content = fs.readFileSync(uri.fsPath, "utf8");
-          const refs = fileReferenceProvider._findDocumentationReferences(
-            content,
-            uri.fsPath
-          );
-
-          if (refs.length === 0) return null;
-
-          const allDone = refs.every((ref) => ref.done || ref.notImplemented);
-
-          if (allDone) {
-            return {
-              badge: "✓",
-              tooltip: "All documentation references completed",
-              color: new vscode.ThemeColor("charts.green"),
-            };
-          } else {
-            return {
-              badge: "⏳",
-              tooltip: "Documentation references in progress",
-              color: new vscode.ThemeColor("charts.blue"),
-            };
-          }
-        } catch (error) {
-          logger.error("Error providing file decoration:", error);
-          return null;
-        }
-      },
-    };
-
+    const completenessDecorationProvider = new CompletenessDecorationProvider(
+      fileReferenceProvider
+    );
     context.subscriptions.push(
-      vscode.window.registerFileDecorationProvider(fileDecorationProvider)
+      completenessDecorationProvider,
+      vscode.window.registerFileDecorationProvider(
+        completenessDecorationProvider
+      )
     );
 
     // Then update your updateTabIcon function to be simpler:
@@ -1245,6 +1289,17 @@ async function activate(context) {
       )
     );
 
+    // Register quick fixes for the migration rules of the workspace
+    context.subscriptions.push(
+      vscode.languages.registerCodeActionsProvider(
+        { scheme: "file", language: "al" },
+        new MigrationRuleActionProvider(),
+        {
+          providedCodeActionKinds: [vscode.CodeActionKind.QuickFix],
+        }
+      )
+    );
+
     logger.info(`${EXTENSION_ID} extension activated successfully`);
   } catch (error) {
     logger.error("Error during extension activation:", error);
@@ -1436,7 +1491,7 @@ function updateAllTabsForFile(filePath, provider) {
               );
               const allDone =
                 refs.length > 0 &&
-                refs.every((ref) => ref.done || ref.notImplemented);
+                refs.every((ref) => ref.lifecycleState.countsAsDone);
               updateTabIcon(tab, allDone ? "done-icon" : "default-icon");
             } catch (err) {
               logger.error(`Error reading file ${filePath}:`, err);
@@ -1446,10 +1501,6 @@ function updateAllTabsForFile(filePath, provider) {
       }
     }
 
-    // Notify VS Code that file decorations have changed for this file
-    // This forces the file explorer to re-evaluate this file's decoration
-    fileDecorationEventEmitter.fire(vscode.Uri.file(filePath));
-
     // Also trigger a manual refresh of the file explorer
     setTimeout(() => {
       vscode.commands.executeCommand(
@@ -1578,31 +1629,35 @@ async function generateDocumentationSummary(provider) {
     }
 
     // Calculate statistics
+    const states = provider.documentationStates;
     const totalRefs = allRefs.length;
-    const doneCount = allRefs.filter((ref) => ref.done).length;
-    const notImplementedCount = allRefs.filter(
-      (ref) => ref.notImplemented
+    const stateCounts = countByState(allRefs, states).filter(
+      ({ state, count }) => count > 0 || BUILT_IN_STATES.includes(state)
+    );
+    const completedCount = allRefs.filter(
+      (ref) => ref.lifecycleState.countsAsDone
     ).length;
-    const pendingCount = totalRefs - doneCount - notImplementedCount;
-
-    const donePercent = ((doneCount / totalRefs) * 100).toFixed(1);
-    const notImplementedPercent = (
-      (notImplementedCount / totalRefs) *
-      100
-    ).toFixed(1);
-    const pendingPercent = ((pendingCount / totalRefs) * 100).toFixed(1);
+    const percentOf = (count) => ((count / totalRefs) * 100).toFixed(1);
 
     // Get current date and time
     const now = new Date();
     const generationTime = now.toLocaleString();
 
-    // Create statistics section
+    // Create statistics section, done and not implemented first
     const statsSection =
       `## Statistics (Generated on ${generationTime})\n\n` +
       `- Total References: ${totalRefs}\n` +
-      `- ✅ Done: ${doneCount} (${donePercent}%)\n` +
-      `- ❌ Not Implemented: ${notImplementedCount} (${notImplementedPercent}%)\n` +
-      `- ⏳ Pending: ${pendingCount} (${pendingPercent}%)\n\n`;
+      `- Completed: ${completedCount} (${percentOf(completedCount)}%)\n` +
+      [
+        ...stateCounts.filter(({ state }) => state.id !== "pending"),
+        ...stateCounts.filter(({ state }) => state.id === "pending"),
+      ]
+        .map(
+          ({ state, count }) =>
+            `- ${state.symbol} ${state.label}: ${count} (${percentOf(count)}%)\n`
+        )
+        .join("") +
+      "\n";
 
     // Create file-based report
     let fileContent = `# Documentation References by File\n\n${statsSection}`;
@@ -1610,14 +1665,10 @@ async function generateDocumentationSummary(provider) {
     const fileGroups = groupBy(allRefs, "filePath");
 
     for (const [file, refs] of Object.entries(fileGroups)) {
-      const groupStatus = getCompoundStatus(refs);
+      const groupStatus = getCompoundState(refs, states);
       fileContent += `### ${path.basename(file)} (${groupStatus})\n\n`;
       for (const ref of refs) {
-        const status = ref.notImplemented
-          ? "❌ Not Implemented"
-          : ref.done
-          ? "✅ Done"
-          : "⏳ Pending";
+        const status = `${ref.lifecycleState.symbol} ${ref.lifecycleState.label}`;
         const userInfo = ref.userId ? `${ref.userId}` : "";
         const dateInfo = ref.lastModified
           ? ` (${new Date(ref.lastModified).toLocaleString()})`
@@ -1635,14 +1686,10 @@ async function generateDocumentationSummary(provider) {
     let idContent = `# Documentation References by ID\n\n${statsSection}`;
     const idGroups = groupBy(allRefs, (ref) => extractFullId(ref.context));
     for (const [id, refs] of Object.entries(idGroups)) {
-      const groupStatus = getCompoundStatus(refs);
+      const groupStatus = getCompoundState(refs, states);
       idContent += `### ${id} (${groupStatus})\n\n`;
       for (const ref of refs) {
-        const status = ref.notImplemented
-          ? "❌ Not Implemented"
-          : ref.done
-          ? "✅ Done"
-          : "⏳ Pending";
+        const status = `${ref.lifecycleState.symbol} ${ref.lifecycleState.label}`;
         const userInfo = ref.userId ? `${ref.userId}` : "";
         const dateInfo = ref.lastModified
           ? ` (${new Date(ref.lastModified).toLocaleString()})`
@@ -1695,26 +1742,6 @@ function extractFullId(context) {
   return match ? match[1] : "Unknown";
 }
 
-function getCompoundStatus(refs) {
-  const allDone = refs.every((ref) => ref.done && !ref.notImplemented);
-  const allNotImplemented = refs.every(
-    (ref) => ref.notImplemented && !ref.done
-  );
-  const hasPending = refs.some((ref) => !ref.done && !ref.notImplemented);
-  const mixedDoneNotImplemented =
-    refs.every((ref) => ref.done || ref.notImplemented) && !hasPending;
-
-  if (hasPending) {
-    return "⏳ Pending";
-  } else if (allDone || mixedDoneNotImplemented) {
-    return "✅ Done";
-  } else if (allNotImplemented) {
-    return "❌ Not Implemented";
-  } else {
-    return "Mixed";
-  }
-}
-
 function checkDocumentationReferences(document, provider) {
   if (!document || !provider) return false;
 
@@ -1728,7 +1755,7 @@ function checkDocumentationReferences(document, provider) {
     if (refs.length === 0) return false;
 
     // Return true if all references are either done or not implemented
-    return refs.every((ref) => ref.done || ref.notImplemented);
+    return refs.every((ref) => ref.lifecycleState.countsAsDone);
   } catch (error) {
     console.error("Error checking documentation references:", error);
     return false;
@@ -1993,7 +2020,10 @@ async function addReferenceToFile(filePath, objectInfo, provider) {
       referencedMigrationFiles: [filePath], // Include current file as a referenced migration file
     };
 
-    fs.writeFileSync(infoFilePath, JSON.stringify(infoData, null, 2));
+    fs.writeFileSync(
+      infoFilePath,
+      JSON.stringify(preserveCalObjectInfo(infoFilePath, infoData), null, 2)
+    );
 
     return true;
   } catch (error) {
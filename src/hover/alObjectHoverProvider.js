@@ -4,10 +4,14 @@ const {
   extractReportLayouts,
   extractReportExtensionLayouts,
 } = require("../utils/alLayoutParser");
+const {
+  getObsoleteUsages,
+} = require("../events/utils/obsoleteSymbolDiagnostics");
 const { logger } = require("../utils/logger");
 
 /**
- * Hover provider for AL objects that shows layout information and object IDs
+ * Hover provider for AL objects that shows layout information, object IDs
+ * and why a used symbol is obsolete
  */
 class ALObjectHoverProvider {
   /**
@@ -38,6 +42,12 @@ class ALObjectHoverProvider {
 
       logger.info(`[Hover] Line text: "${lineText}"`);
 
+      // Check for usages of obsolete symbols
+      const obsoleteHover = this.checkObsoleteSymbol(document, position);
+      if (obsoleteHover) {
+        return obsoleteHover;
+      }
+
       // Check for report declarations
       const reportHover = this.checkReportDeclaration(
         document,
@@ -187,6 +197,53 @@ class ALObjectHoverProvider {
     return null;
   }
 
+  /**
+   * Check if the position is on a usage of an obsolete symbol and provide hover
+   * @param {vscode.TextDocument} document - The document
+   * @param {vscode.Position} position - The position
+   * @returns {vscode.Hover | null} - The hover information
+   */
+  checkObsoleteSymbol(document, position) {
+    if (Object.keys(symbolCache.obsoleteSymbols || {}).length === 0) {
+      return null;
+    }
+
+    const offset = document.offsetAt(position);
+    const usage = getObsoleteUsages(document).find(
+      (item) => offset >= item.start && offset <= item.end
+    );
+    if (!usage) {
+      return null;
+    }
+
+    const markdown = new vscode.MarkdownString();
+    const symbol = usage.memberName
+      ? `${usage.kind} **${usage.memberName}** of ${usage.objectType} **${usage.objectName}**`
+      : `${usage.objectType} **${usage.objectName}**`;
+
+    markdown.appendMarkdown(`### ⚠️ Obsolete ${usage.kind}\n\n`);
+    markdown.appendMarkdown(`${symbol}\n\n`);
+    markdown.appendMarkdown(`**State:** ${usage.state}\n\n`);
+    if (usage.tag) {
+      markdown.appendMarkdown(`**Tag:** ${usage.tag}\n\n`);
+    }
+    markdown.appendMarkdown(
+      `**Reason:** ${usage.reason || "*No reason given*"}\n\n`
+    );
+
+    logger.info(
+      `[Hover] Created obsolete hover for ${usage.objectType} ${usage.objectName}`
+    );
+
+    return new vscode.Hover(
+      markdown,
+      new vscode.Range(
+        document.positionAt(usage.start),
+        document.positionAt(usage.end)
+      )
+    );
+  }
+
   /**
    * Create hover content for report layouts
    * @param {Array} layouts - The layouts array
@@ -0,0 +1,85 @@
+const vscode = require("vscode");
+const {
+  createMatchEdits,
+  createMatchesEdits,
+} = require("../utils/migrationRuleEngine");
+const {
+  DIAGNOSTIC_SOURCE,
+  getMigrationRuleMatches,
+} = require("../events/utils/migrationRuleDiagnostics");
+
+function toWorkspaceEdit(document, edits) {
+  const workspaceEdit = new vscode.WorkspaceEdit();
+  for (const edit of edits) {
+    workspaceEdit.replace(
+      document.uri,
+      new vscode.Range(
+        document.positionAt(edit.start),
+        document.positionAt(edit.end)
+      ),
+      edit.text
+    );
+  }
+  return workspaceEdit;
+}
+
+/**
+ * Code Action Provider applying the migration rules the diagnostics of
+ * migrationRuleDiagnostics.js point to
+ */
+class MigrationRuleActionProvider {
+  /**
+   * Provide quick fixes for migration rule diagnostics
+   * @param {vscode.TextDocument} document - The document
+   * @param {vscode.Range} range - The range
+   * @param {vscode.CodeActionContext} context - The context
+   * @returns {vscode.CodeAction[]} - The code actions
+   */
+  provideCodeActions(document, range, context) {
+    const diagnostics = (context.diagnostics || []).filter(
+      (diagnostic) => diagnostic.source === DIAGNOSTIC_SOURCE
+    );
+    if (diagnostics.length === 0 || document.languageId !== "al") {
+      return [];
+    }
+
+    const text = document.getText();
+    const matches = getMigrationRuleMatches(document);
+    const actions = [];
+
+    for (const diagnostic of diagnostics) {
+      const start = document.offsetAt(diagnostic.range.start);
+      const match = matches.find(
+        (candidate) =>
+          candidate.rule.id === diagnostic.code && candidate.start === start
+      );
+      if (!match) continue;
+
+      const action = new vscode.CodeAction(
+        `Apply migration rule: ${match.rule.description}`,
+        vscode.CodeActionKind.QuickFix
+      );
+      action.edit = toWorkspaceEdit(document, createMatchEdits(text, match));
+      action.diagnostics = [diagnostic];
+      action.isPreferred = true;
+      actions.push(action);
+    }
+
+    if (matches.length > 1 && actions.length > 0) {
+      const { edits } = createMatchesEdits(text, matches);
+      const fixAll = new vscode.CodeAction(
+        "Apply all migration rules in this file",
+        vscode.CodeActionKind.QuickFix
+      );
+      fixAll.edit = toWorkspaceEdit(document, edits);
+      fixAll.diagnostics = diagnostics;
+      actions.push(fixAll);
+    }
+
+    return actions;
+  }
+}
+
+module.exports = {
+  MigrationRuleActionProvider,
+};
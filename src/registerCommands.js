@@ -11,9 +11,54 @@ const { registerCommandOnce } = require("./utils/commandHelper");
 const { EXTENSION_ID } = require("./constants");
 const { registerClipboardMonitor } = require("./clipboardMonitor");
 const { suggestFieldNames } = require("./commands/fieldSuggestionCommand");
+const { filterByVersionList } = require("./commands/versionListFilterCommand");
+const {
+  filterByDocumentationState,
+} = require("./commands/documentationStateCommand");
+const {
+  assignDocumentationReferences,
+  filterByAssignee,
+} = require("./commands/documentationAssignmentCommand");
+const {
+  detectCalCustomisations,
+  generateAlExtensionFromCustomisations,
+} = require("./commands/customisationDetectorCommand");
+const {
+  convertCalObjectToAl,
+  translateCalCode,
+} = require("./commands/calConverterCommand");
 const {
   openLayoutFileExternally,
 } = require("./commands/openLayoutFileExternally");
+const {
+  testMigrationRules,
+  applyMigrationRulesToFolder,
+} = require("./commands/migrationRuleCommands");
+const {
+  generateBreakingChangeReport,
+} = require("./commands/breakingChangeCommands");
+const { compareWithCalObject } = require("./commands/migrationCompareCommand");
+const {
+  showMigrationDashboard,
+  registerSnapshotRecording,
+} = require("./commands/migrationDashboardCommand");
+const {
+  exportDocumentationReferences,
+} = require("./commands/documentationExportCommand");
+const {
+  importDocumentationReferences,
+} = require("./commands/documentationImportCommand");
+const {
+  showOrphanedDocumentationReferences,
+} = require("./commands/orphanedReferencesCommand");
+const {
+  mergeDocumentationReferenceConflicts,
+} = require("./commands/documentationMergeCommand");
+const {
+  undoDocumentationChange,
+  redoDocumentationChange,
+  revertDocumentationChange,
+} = require("./commands/documentationHistoryCommand");
 
 function registerOpenLayoutFileExternallyCommand(context) {
   registerCommandOnce(
@@ -28,6 +73,11 @@ function registerCommands(context, fileReferenceProvider) {
   registerRefreshSymbolCacheCommand(context);
   registerRefreshFieldCacheCommand(context);
   registerSplitCalObjectsByPathCommand(context);
+  registerCustomisationCommands(context);
+  registerCalConverterCommands(context);
+  registerMigrationRuleCommands(context);
+  registerBreakingChangeReportCommand(context);
+  registerMigrationCompareCommand(context);
   registerPromptClaudeCommand(context);
   registerModelCommands(context);
   registerClipboardMonitor(context);
@@ -78,14 +128,102 @@ function registerCommands(context, fileReferenceProvider) {
       "bc-al-upgradeassistant.clearTaskFilters",
       () => {
         fileReferenceProvider.setFilterMode('all');
+        fileReferenceProvider.setVersionFilter(null);
+        fileReferenceProvider.setAssigneeFilter(null);
       }
     );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.filterByVersionList",
+      () => filterByVersionList(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.filterByState",
+      () => filterByDocumentationState(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.filterByAssignee",
+      () => filterByAssignee(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.assignDocumentationReferences",
+      (item, uris) =>
+        assignDocumentationReferences(fileReferenceProvider, item, uris)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.showMigrationDashboard",
+      () => showMigrationDashboard(fileReferenceProvider)
+    );
+    registerSnapshotRecording(context, fileReferenceProvider);
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.exportDocumentationReferences",
+      () => exportDocumentationReferences(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.importDocumentationReferences",
+      () => importDocumentationReferences(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.showOrphanedDocumentationReferences",
+      () => showOrphanedDocumentationReferences(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.mergeDocumentationReferenceConflicts",
+      () => mergeDocumentationReferenceConflicts(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.undoDocumentationChange",
+      () => undoDocumentationChange(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.redoDocumentationChange",
+      () => redoDocumentationChange(fileReferenceProvider)
+    );
+
+    registerCommandOnce(
+      context,
+      "bc-al-upgradeassistant.revertDocumentationChange",
+      (item) => revertDocumentationChange(fileReferenceProvider, item)
+    );
   } else {
     console.error("FileReferenceProvider not available for registering filter commands.");
     const errorMessage = "Filter commands are unavailable as the File Reference Provider could not be initialized.";
     registerCommandOnce(context, "bc-al-upgradeassistant.filterDoneTasks", () => vscode.window.showErrorMessage(errorMessage));
     registerCommandOnce(context, "bc-al-upgradeassistant.filterNotDoneTasks", () => vscode.window.showErrorMessage(errorMessage));
     registerCommandOnce(context, "bc-al-upgradeassistant.clearTaskFilters", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.filterByVersionList", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.filterByState", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.filterByAssignee", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.assignDocumentationReferences", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.showMigrationDashboard", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.exportDocumentationReferences", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.importDocumentationReferences", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.showOrphanedDocumentationReferences", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.mergeDocumentationReferenceConflicts", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.undoDocumentationChange", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.redoDocumentationChange", () => vscode.window.showErrorMessage(errorMessage));
+    registerCommandOnce(context, "bc-al-upgradeassistant.revertDocumentationChange", () => vscode.window.showErrorMessage(errorMessage));
   }
 }
 
@@ -166,6 +304,64 @@ function registerSplitCalObjectsByPathCommand(context) {
   );
 }
 
+function registerCustomisationCommands(context) {
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.detectCalCustomisations`,
+    detectCalCustomisations
+  );
+
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.generateAlExtensionFromCustomisations`,
+    generateAlExtensionFromCustomisations
+  );
+}
+
+function registerCalConverterCommands(context) {
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.convertCalObjectToAl`,
+    convertCalObjectToAl
+  );
+
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.translateCalCode`,
+    translateCalCode
+  );
+}
+
+function registerMigrationRuleCommands(context) {
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.testMigrationRules`,
+    testMigrationRules
+  );
+
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.applyMigrationRulesToFolder`,
+    applyMigrationRulesToFolder
+  );
+}
+
+function registerBreakingChangeReportCommand(context) {
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.generateBreakingChangeReport`,
+    generateBreakingChangeReport
+  );
+}
+
+function registerMigrationCompareCommand(context) {
+  registerCommandOnce(
+    context,
+    `${EXTENSION_ID}.compareWithCalObject`,
+    compareWithCalObject
+  );
+}
+
 function registerPromptClaudeCommand(context) {
   registerCommandOnce(context, `${EXTENSION_ID}.runPrompt`, async () => {
     try {
@@ -14,6 +14,13 @@ const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
 const mkdir = util.promisify(fs.mkdir);
 const fieldCollector = require("./utils/fieldCollector");
+const { SYMBOL_INVENTORY_FILE } = require("./utils/symbolInventory");
+const { selectObsoleteSymbols } = require("./utils/obsoleteSymbols");
+
+// Format of the per-app caches. Apps cached with an older format are processed
+// again on the next refresh; 2 added the obsolete symbols per app and the
+// inventory
+const APP_CACHE_VERSION = 2;
 
 class SymbolCache {
   constructor() {
@@ -28,10 +35,13 @@ class SymbolCache {
       "extract"
     );
     this.metadataPath = path.join(this.cachePath, "cache_metadata.json");
+    this.obsoletePath = path.join(this.cachePath, "obsolete.json");
     // Add per-app cache paths
     this.appCachesPath = path.join(this.cachePath, "app_caches");
     this.symbols = {};
     this.procedures = {}; // Store procedures by objectType:objectName
+    this.obsoleteSymbols = {}; // Obsolete objects and members by type:name
+    this.obsoleteByApp = {}; // { appPath: { app, obsolete } }
     this.metadata = {}; // Store { appPath: { mtimeMs: number } }
     this.dependencies = []; // Store app version dependencies from app.json
     this.appPaths = [];
@@ -89,15 +99,41 @@ class SymbolCache {
         this.metadata = {};
       }
 
+      if (fs.existsSync(this.obsoletePath)) {
+        const obsoleteData = await readFile(this.obsoletePath, "utf8");
+        // Files of the former format hold one map for all apps
+        this.obsoleteByApp = JSON.parse(obsoleteData).apps || {};
+      }
+      this.updateObsoleteSymbols();
+
       // Load each app's cache if it exists
       for (const appPath of this.appPaths) {
         await this.loadAppCache(appPath);
       }
+      symbolsUpdatedEmitter.fire();
     } catch (error) {
       logger.error("SymbolCache: Error loading cache:", error);
       this.symbols = {};
       this.procedures = {};
+      this.obsoleteSymbols = {};
+      this.obsoleteByApp = {};
+    }
+  }
+
+  /**
+   * Select the obsolete symbols of the target versions from the cached apps,
+   * dropping the apps that are no longer configured
+   */
+  updateObsoleteSymbols() {
+    for (const appPath of Object.keys(this.obsoleteByApp)) {
+      if (!this.appPaths.includes(appPath)) {
+        delete this.obsoleteByApp[appPath];
+      }
     }
+    this.obsoleteSymbols = selectObsoleteSymbols(
+      Object.values(this.obsoleteByApp),
+      this.dependencies
+    );
   }
 
   async loadAppCache(appPath) {
@@ -144,6 +180,10 @@ class SymbolCache {
         writeFile(symbolsFilePath, JSON.stringify(this.symbols, null, 2)),
         writeFile(proceduresFilePath, JSON.stringify(this.procedures, null, 2)),
         writeFile(this.metadataPath, JSON.stringify(this.metadata, null, 2)), // Save metadata
+        writeFile(
+          this.obsoletePath,
+          JSON.stringify({ apps: this.obsoleteByApp })
+        ),
       ]);
       logger.info("SymbolCache: Saved symbols, procedures, and metadata.");
       return true;
@@ -160,6 +200,8 @@ class SymbolCache {
     logger.info("SymbolCache: Clearing cache and metadata.");
     this.symbols = {};
     this.procedures = {};
+    this.obsoleteSymbols = {};
+    this.obsoleteByApp = {};
     this.metadata = {}; // Clear metadata object
     // Attempt to save the cleared state (which also removes/empties files)
     await this.saveCache();
@@ -180,6 +222,28 @@ class SymbolCache {
     return Object.keys(this.procedures);
   }
 
+  /**
+   * Symbol inventories of the cached apps, one per .app file and version
+   * @returns {Array<{app: Object, objects: Object}>}
+   */
+  getSymbolInventories() {
+    if (!fs.existsSync(this.appCachesPath)) {
+      return [];
+    }
+
+    const inventories = [];
+    for (const dir of fs.readdirSync(this.appCachesPath)) {
+      const file = path.join(this.appCachesPath, dir, SYMBOL_INVENTORY_FILE);
+      if (!fs.existsSync(file)) continue;
+      try {
+        inventories.push(JSON.parse(fs.readFileSync(file, "utf8")));
+      } catch (error) {
+        logger.error(`SymbolCache: Error reading ${file}:`, error);
+      }
+    }
+    return inventories;
+  }
+
   async refreshCacheInBackground() {
     if (this.isRefreshing || activeRefreshJobs.size > 0) {
       vscode.window.showInformationMessage(
@@ -194,6 +258,7 @@ class SymbolCache {
 
     this.isRefreshing = true;
     activeRefreshJobs.clear();
+    this.updateObsoleteSymbols();
     let skippedCount = 0;
     let jobsSent = 0;
 
@@ -263,6 +328,7 @@ class SymbolCache {
               const stats = await fs.promises.stat(appPath);
               const currentMtimeMs = stats.mtimeMs;
               const cachedMtimeMs = this.metadata[appPath]?.mtimeMs;
+              const cachedVersion = this.metadata[appPath]?.cacheVersion;
               const { symbolsPath, proceduresPath } =
                 this.getAppCachePaths(appPath);
               const cacheExists =
@@ -271,7 +337,8 @@ class SymbolCache {
               if (
                 cacheExists &&
                 cachedMtimeMs &&
-                currentMtimeMs === cachedMtimeMs
+                currentMtimeMs === cachedMtimeMs &&
+                cachedVersion === APP_CACHE_VERSION
               ) {
                 console.log(
                   `[CacheRefresh] Skipping ${path.basename(
@@ -415,6 +482,7 @@ const symbolCacheInstance = new SymbolCache(); // Create the singleton instance
 let workerInstance = null; // Module-level variable for the single worker
 let activeRefreshJobs = new Map(); // Track ongoing app processing jobs { appPath: { mtimeMs: number } }
 let progressReporter = null; // To hold the progress object from withProgress
+const symbolsUpdatedEmitter = new vscode.EventEmitter(); // Fired after the cache was loaded or refreshed
 
 /**
  * Handles messages received from the single worker process.
@@ -438,12 +506,18 @@ function handleWorkerMessage(message) {
       // Update instance state
       Object.assign(symbolCacheInstance.symbols, message.symbols);
       Object.assign(symbolCacheInstance.procedures, message.procedures);
+      symbolCacheInstance.obsoleteByApp[message.appPath] = {
+        app: message.app,
+        obsolete: message.obsolete,
+      };
+      symbolCacheInstance.updateObsoleteSymbols();
 
       // Update metadata using mtime stored when the job started
       if (activeRefreshJobs.has(message.appPath)) {
         const jobInfo = activeRefreshJobs.get(message.appPath);
         symbolCacheInstance.metadata[message.appPath] = {
           mtimeMs: jobInfo.mtimeMs,
+          cacheVersion: APP_CACHE_VERSION,
         };
         activeRefreshJobs.delete(message.appPath); // Mark job as complete
         // logger.verbose(`[Main] Completed symbol job for ${path.basename(message.appPath)}. Remaining jobs: ${activeRefreshJobs.size}`); // Verbose
@@ -540,6 +614,7 @@ async function checkRefreshCompletion() {
     symbolCacheInstance.isRefreshing = false;
     progressReporter = null; // Clear reporter
     vscode.window.setStatusBarMessage("Symbol cache refresh complete.", 5000);
+    symbolsUpdatedEmitter.fire();
   }
 }
 
@@ -604,3 +679,4 @@ function getSymbolCacheWorker() {
 module.exports = symbolCacheInstance; // Export the singleton instance
 module.exports.getSymbolCacheWorker = getSymbolCacheWorker;
 module.exports.ensureWorkerIsRunning = ensureWorkerIsRunning;
+module.exports.onDidUpdateSymbols = symbolsUpdatedEmitter.event;
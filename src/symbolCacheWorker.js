@@ -12,6 +12,14 @@ const rmdir = util.promisify(fs.rmdir);
 
 // Import the worker-specific logger that doesn't depend on vscode
 const { logger } = require("./utils/workerLogger");
+const {
+  parseSymbolReference,
+  extractObsoleteSymbols,
+} = require("./utils/obsoleteSymbols");
+const {
+  SYMBOL_INVENTORY_FILE,
+  createSymbolInventory,
+} = require("./utils/symbolInventory");
 
 /**
  * Parse AL table content to extract field names
@@ -498,6 +506,8 @@ async function processAppFile(appPath, options) {
   let extractDir = null; // Declare outside, initialize to null
   let symbols = {}; // Declare outside
   let procedures = {}; // Declare outside
+  let obsolete = {}; // Obsolete symbols from SymbolReference.json
+  let app = null; // Id, name, publisher and version from SymbolReference.json
   let alFiles = []; // Declare alFiles outside the if block
   let sourceDir = null; // Declare sourceDir outside
 
@@ -537,6 +547,30 @@ async function processAppFile(appPath, options) {
 
     process.send({ type: "progress", message: "Processing symbols..." });
 
+    // Collect the ObsoleteState of tables, fields, procedures and events, and
+    // keep an inventory of the app to compare versions
+    const symbolReferenceFile = zip.file(/^SymbolReference\.json$/i)[0];
+    if (symbolReferenceFile) {
+      try {
+        const symbolReference = parseSymbolReference(
+          await symbolReferenceFile.async("string")
+        );
+        obsolete = extractObsoleteSymbols(symbolReference);
+        const inventory = createSymbolInventory(symbolReference, appPath);
+        app = inventory.app;
+        if (appCachePath) {
+          await writeFile(
+            path.join(appCachePath, SYMBOL_INVENTORY_FILE),
+            JSON.stringify(inventory)
+          );
+        }
+      } catch (error) {
+        logger.error(
+          `[Worker] Error reading SymbolReference.json of ${appFileName}: ${error.message}`
+        );
+      }
+    }
+
     // Extract source files if enabled
     if (enableSrcExtraction && srcExtractionPath) {
       await extractSourceFiles(appPath, zip, srcExtractionPath);
@@ -782,6 +816,8 @@ async function processAppFile(appPath, options) {
       type: "success",
       symbols,
       procedures,
+      obsolete,
+      app,
       appPath,
     });
   } catch (error) {
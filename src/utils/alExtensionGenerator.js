@@ -0,0 +1,384 @@
+const { parsePropertyList } = require("./calCustomisationDetector");
+const {
+  quoteIdentifier,
+  quoteObjectName,
+  unquote,
+  parseMultiLanguageValue,
+  formatCaption,
+  convertDataType,
+  limitName,
+  generateEnum,
+  formatCommentedCode,
+} = require("./alSyntax");
+const { convertProperty } = require("./calPropertyConverter");
+
+/**
+ * Generate AL tableextension/pageextension skeletons from the customisations
+ * detected in a C/AL table or page (see calCustomisationDetector.js).
+ *
+ * Only added fields and controls are emitted. Modified elements and C/AL code
+ * are listed as TODO comments, so the generated objects compile and can be
+ * completed by hand.
+ */
+
+// Handled separately or without meaning in AL
+const IGNORED_PROPERTIES = new Set([
+  "CaptionML",
+  "OptionString",
+  "OptionCaptionML",
+  "Name",
+  "SourceExpr",
+]);
+
+/**
+ * Assign field IDs inside the app.json ID ranges. IDs that are already inside
+ * a range are kept, others get the next free ID. Unlike filterToIdRanges of
+ * alCodeFilter, which drops the fields outside the ranges, the added fields
+ * are kept with a new ID.
+ * @param {number[]} fieldIds - IDs of the added fields
+ * @param {Array<{from: number, to: number}>} idRanges - Ranges from app.json
+ * @param {Iterable<number>} usedIds - IDs already used by the table
+ * @returns {Map<number, number>} New ID by original ID
+ * @throws {Error} If the ranges have no free ID left
+ */
+function renumberFieldIds(fieldIds, idRanges, usedIds) {
+  const inRanges = (id) =>
+    idRanges.length === 0 ||
+    idRanges.some((range) => id >= range.from && id <= range.to);
+  const used = new Set(usedIds);
+  const result = new Map();
+
+  const sortedIds = [...fieldIds].sort((a, b) => a - b);
+  for (const id of sortedIds) {
+    if (inRanges(id)) {
+      result.set(id, id);
+      used.add(id);
+    }
+  }
+
+  for (const id of sortedIds) {
+    if (result.has(id)) continue;
+
+    let newId = null;
+    for (const range of idRanges) {
+      for (let candidate = range.from; candidate <= range.to; candidate++) {
+        if (!used.has(candidate)) {
+          newId = candidate;
+          break;
+        }
+      }
+      if (newId !== null) break;
+    }
+    if (newId === null) {
+      throw new Error(`No free field ID left in the app.json ID ranges`);
+    }
+    result.set(id, newId);
+    used.add(newId);
+  }
+
+  return result;
+}
+
+function findElementTriggers(customisations, kind, id) {
+  const prefix = `${kind} ${id}`;
+  return customisations.triggers.filter(
+    (trigger) =>
+      trigger.scope === prefix || trigger.scope.startsWith(`${prefix} `)
+  );
+}
+
+function formatModifiedElements(title, elements) {
+  if (elements.length === 0) return [];
+  return [
+    `    // TODO: ${title} modified in C/AL, review for modify() blocks:`,
+    ...elements.map((element) =>
+      `    //   ${element.id} ${element.name}`.trimEnd()
+    ),
+  ];
+}
+
+/**
+ * Generate a tableextension with the fields added to a C/AL table
+ * @param {Object} customisations - Result of detectCustomisations for a table
+ * @param {Object} options
+ * @param {number} options.objectId - ID of the tableextension
+ * @param {function(): number} [options.nextEnumId] - ID of the next generated
+ *   enum, counts up from objectId + 1 by default
+ * @param {Array<{from: number, to: number}>} options.idRanges - ID ranges from app.json
+ * @param {number[]} [options.usedFieldIds] - Field IDs already used by the table
+ * @returns {{code: string, enums: Array<{id: number, name: string, code: string}>, fieldIds: Array<{name: string, from: number, to: number}>}}
+ */
+function generateTableExtension(customisations, options) {
+  const { objectId, idRanges, usedFieldIds = [] } = options;
+  let defaultEnumId = objectId + 1;
+  const nextEnumId = options.nextEnumId || (() => defaultEnumId++);
+  const tableName = customisations.object.name;
+  const addedFields = customisations.fields.added;
+
+  const idMap = renumberFieldIds(
+    addedFields.map((field) => field.id),
+    idRanges,
+    usedFieldIds.filter((id) => !addedFields.some((field) => field.id === id))
+  );
+
+  const enums = [];
+  const lines = [
+    `tableextension ${objectId} ${quoteObjectName(
+      limitName(tableName, " Ext")
+    )} extends ${quoteIdentifier(tableName)}`,
+    "{",
+    "    fields",
+    "    {",
+  ];
+
+  addedFields.forEach((field, index) => {
+    const properties = field.properties || {};
+    let dataType = convertDataType(field.type);
+    if (dataType === null) {
+      const enumName = limitName(`${tableName} ${field.name}`);
+      const enumId = nextEnumId();
+      enums.push({
+        id: enumId,
+        name: enumName,
+        code: generateEnum(enumId, enumName, properties),
+      });
+      dataType = `Enum ${quoteIdentifier(enumName)}`;
+    }
+
+    if (index > 0) lines.push("");
+    lines.push(
+      `        field(${idMap.get(field.id)}; ${quoteIdentifier(
+        field.name
+      )}; ${dataType})`
+    );
+    lines.push("        {");
+    if (idMap.get(field.id) !== field.id) {
+      lines.push(`            // C/AL field ID ${field.id}`);
+    }
+
+    for (const line of formatCaption(
+      "Caption",
+      parseMultiLanguageValue(properties.CaptionML),
+      field.name
+    )) {
+      lines.push(`            ${line}`);
+    }
+    lines.push("            DataClassification = CustomerContent;");
+
+    for (const [name, value] of Object.entries(properties)) {
+      if (IGNORED_PROPERTIES.has(name)) continue;
+      const line = convertProperty(name, value, { dataType: field.type });
+      lines.push(
+        line ? `            ${line}` : `            // TODO: ${name}=${value}`
+      );
+    }
+
+    for (const trigger of findElementTriggers(
+      customisations,
+      "Field",
+      field.id
+    )) {
+      lines.push("");
+      lines.push(`            trigger ${trigger.name}()`);
+      lines.push("            begin");
+      lines.push("                // TODO: convert C/AL code");
+      lines.push(
+        ...formatCommentedCode(
+          trigger.addedLines.map((line) => line.text),
+          "                "
+        )
+      );
+      lines.push("            end;");
+    }
+    lines.push("        }");
+  });
+
+  lines.push("    }");
+  const todos = [
+    ...formatModifiedElements("Fields", customisations.fields.modified),
+    ...customisations.triggers
+      .filter((trigger) => trigger.scope === "Object")
+      .map(
+        (trigger) =>
+          `    // TODO: C/AL trigger ${trigger.name} ${trigger.change}, move the code to an event subscriber`
+      ),
+    ...customisations.procedures.added.map(
+      (procedure) => `    // TODO: C/AL procedure ${procedure.name} added`
+    ),
+  ];
+  if (todos.length > 0) {
+    lines.push("", ...todos);
+  }
+  lines.push("}");
+
+  return {
+    code: lines.join("\n") + "\n",
+    enums,
+    fieldIds: addedFields.map((field) => ({
+      name: field.name,
+      from: field.id,
+      to: idMap.get(field.id),
+    })),
+  };
+}
+
+/**
+ * Name of a C/AL page control as used by the converted standard page
+ * @param {Object} control - Control with parsed properties
+ * @returns {string}
+ */
+function getControlName(control) {
+  const properties = control.properties || {};
+  if (properties.Name) return unquote(properties.Name);
+  const sourceExpr = (properties.SourceExpr || "").trim();
+  if (/^("[^"]+"|\w+)$/.test(sourceExpr)) return unquote(sourceExpr);
+  return `Control${control.id}`;
+}
+
+function generateControl(control, customisations) {
+  const properties = control.properties || {};
+  const name = getControlName(control);
+  const lines = [];
+
+  if (/^field$/i.test(control.type) && properties.SourceExpr) {
+    const sourceExpr = properties.SourceExpr.trim();
+    const fieldMatch = sourceExpr.match(/^("[^"]+"|\w+)$/);
+    const source = fieldMatch
+      ? `Rec.${quoteIdentifier(unquote(sourceExpr))}`
+      : sourceExpr;
+    lines.push(`field(${quoteIdentifier(name)}; ${source})`);
+  } else if (/^part$/i.test(control.type) && properties.PagePartID) {
+    lines.push(
+      `part(${quoteIdentifier(name)}; ${properties.PagePartID.replace(
+        /^Page/i,
+        ""
+      ).trim()})`
+    );
+  } else {
+    return [
+      `// TODO: C/AL ${control.type} control ${control.id} ${name} not converted`,
+    ];
+  }
+
+  lines.push("{");
+  lines.push("    ApplicationArea = All;");
+  if (properties.CaptionML) {
+    for (const line of formatCaption(
+      "Caption",
+      parseMultiLanguageValue(properties.CaptionML),
+      name
+    )) {
+      lines.push(`    ${line}`);
+    }
+  }
+  for (const trigger of findElementTriggers(
+    customisations,
+    "Control",
+    control.id
+  )) {
+    lines.push("");
+    lines.push(`    trigger ${trigger.name}()`);
+    lines.push("    begin");
+    lines.push("        // TODO: convert C/AL code");
+    lines.push(
+      ...formatCommentedCode(
+        trigger.addedLines.map((line) => line.text),
+        "        "
+      )
+    );
+    lines.push("    end;");
+  }
+  lines.push("}");
+  return lines;
+}
+
+/**
+ * Generate a pageextension with the controls added to a C/AL page. Added
+ * controls are placed after the preceding standard control.
+ * @param {Object} customisations - Result of detectCustomisations for a page
+ * @param {Object} customerPage - Customer page as returned by parseCALToJSON,
+ *   used for the order of the controls
+ * @param {Object} options
+ * @param {number} options.objectId - ID of the pageextension
+ * @returns {{code: string}}
+ */
+function generatePageExtension(customisations, customerPage, options) {
+  const pageName = customisations.object.name;
+  const addedById = new Map(
+    customisations.controls.added.map((control) => [
+      String(control.id),
+      control,
+    ])
+  );
+
+  // Group consecutive added controls by the standard control they follow
+  const blocks = [];
+  let anchor = null;
+  let currentBlock = null;
+  for (const control of customerPage.controls || []) {
+    const added = addedById.get(String(control.id));
+    if (!added) {
+      anchor = getControlName({
+        id: control.id,
+        properties: parsePropertyList(control.properties).properties,
+      });
+      currentBlock = null;
+      continue;
+    }
+    if (!currentBlock) {
+      currentBlock = { anchor, controls: [] };
+      blocks.push(currentBlock);
+    }
+    currentBlock.controls.push(added);
+  }
+
+  const lines = [
+    `pageextension ${options.objectId} ${quoteObjectName(
+      limitName(pageName, " Ext")
+    )} extends ${quoteIdentifier(pageName)}`,
+    "{",
+    "    layout",
+    "    {",
+  ];
+
+  blocks.forEach((block, index) => {
+    if (index > 0) lines.push("");
+    lines.push(
+      block.anchor
+        ? `        addafter(${quoteIdentifier(block.anchor)})`
+        : "        addfirst(Content) // TODO: check the area name"
+    );
+    lines.push("        {");
+    block.controls.forEach((control, controlIndex) => {
+      if (controlIndex > 0) lines.push("");
+      for (const line of generateControl(control, customisations)) {
+        lines.push(`            ${line}`);
+      }
+    });
+    lines.push("        }");
+  });
+
+  lines.push("    }");
+  const todos = [
+    ...formatModifiedElements("Controls", customisations.controls.modified),
+    ...formatModifiedElements("Actions", customisations.actions.modified),
+    ...customisations.actions.added.map(
+      (action) => `    // TODO: C/AL action ${action.id} ${action.name} added`
+    ),
+    ...customisations.procedures.added.map(
+      (procedure) => `    // TODO: C/AL procedure ${procedure.name} added`
+    ),
+  ];
+  if (todos.length > 0) {
+    lines.push("", ...todos.map((line) => line.trimEnd()));
+  }
+  lines.push("}");
+
+  return { code: lines.join("\n") + "\n" };
+}
+
+module.exports = {
+  renumberFieldIds,
+  generateTableExtension,
+  generatePageExtension,
+};
@@ -0,0 +1,265 @@
+/**
+ * Helpers to write AL code from converted C/AL objects: identifiers, string
+ * literals, captions with their translations and data types.
+ */
+
+// C/AL language codes (Windows LCID abbreviations) to AL culture names
+const LANGUAGE_CODES = {
+  ENU: "en-US",
+  ENG: "en-GB",
+  ENC: "en-CA",
+  ENA: "en-AU",
+  ENZ: "en-NZ",
+  DEU: "de-DE",
+  DES: "de-CH",
+  DEA: "de-AT",
+  FRA: "fr-FR",
+  FRS: "fr-CH",
+  FRB: "fr-BE",
+  FRC: "fr-CA",
+  ITA: "it-IT",
+  ITS: "it-CH",
+  NLD: "nl-NL",
+  NLB: "nl-BE",
+  DAN: "da-DK",
+  SVE: "sv-SE",
+  NOR: "nb-NO",
+  FIN: "fi-FI",
+  ISL: "is-IS",
+  ESP: "es-ES",
+  ESM: "es-MX",
+  CSY: "cs-CZ",
+  PLK: "pl-PL",
+  RUS: "ru-RU",
+};
+
+const SIMPLE_DATA_TYPES = {
+  integer: "Integer",
+  biginteger: "BigInteger",
+  decimal: "Decimal",
+  boolean: "Boolean",
+  date: "Date",
+  time: "Time",
+  datetime: "DateTime",
+  duration: "Duration",
+  guid: "Guid",
+  blob: "Blob",
+  dateformula: "DateFormula",
+  recordid: "RecordId",
+  tablefilter: "TableFilter",
+  media: "Media",
+  mediaset: "MediaSet",
+};
+
+// Maximum length of AL object names
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * Quote an AL identifier if needed
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name}"`;
+}
+
+/**
+ * Object name for an object declaration. Names are always quoted, the
+ * post-corrections only recognise declarations with quoted names.
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteObjectName(name) {
+  return `"${name}"`;
+}
+
+/**
+ * AL string literal
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteString(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+function unquote(text) {
+  const trimmed = String(text).trim();
+  return trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')
+    ? trimmed.slice(1, -1)
+    : trimmed;
+}
+
+/**
+ * Split a C/AL multi-language value into its languages
+ * @param {string} value - e.g. "[ENU=Bonus Group;DEU=Bonusgruppe]" or "ENU=Name"
+ * @returns {Object<string, string>} Text by C/AL language code, e.g. { ENU: "Bonus Group" }
+ */
+function parseMultiLanguageValue(value) {
+  const result = {};
+  let content = String(value || "").trim();
+  if (content.startsWith("[") && content.endsWith("]")) {
+    content = content.slice(1, -1);
+  }
+
+  // Split at ; outside of "..." quotes
+  const entries = [];
+  let current = "";
+  let inQuotes = false;
+  for (const char of content) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ";" && !inQuotes) {
+      entries.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  for (const entry of entries) {
+    const match = entry.trim().match(/^(\w{3})=(.*)$/);
+    if (match) {
+      result[match[1].toUpperCase()] = unquote(match[2]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Caption lines in the layout used by this extension: translations as
+ * //<culture>= comments directly before the Caption property
+ * @param {string} propertyName - "Caption" or "OptionCaption"
+ * @param {Object<string, string>} texts - Text by C/AL language code
+ * @param {string} fallback - Caption if there is no ENU text
+ * @returns {string[]}
+ */
+function formatCaption(propertyName, texts, fallback) {
+  const lines = [];
+  for (const [language, text] of Object.entries(texts)) {
+    if (language === "ENU" || text === "") continue;
+    lines.push(`//${LANGUAGE_CODES[language] || language}=${text}`);
+  }
+  lines.push(
+    `${propertyName} = ${quoteString(
+      texts.ENU !== undefined ? texts.ENU : fallback
+    )};`
+  );
+  return lines;
+}
+
+/**
+ * Convert a C/AL data type
+ * @param {string} dataType - e.g. "Code20", "Decimal", "Option"
+ * @returns {string|null} AL data type, null for Option (becomes an enum)
+ */
+function convertDataType(dataType) {
+  const sized = String(dataType).match(/^(Code|Text)(\d+)$/i);
+  if (sized) {
+    const type = sized[1].toLowerCase() === "code" ? "Code" : "Text";
+    return `${type}[${sized[2]}]`;
+  }
+  if (/^option$/i.test(dataType)) {
+    return null;
+  }
+  return SIMPLE_DATA_TYPES[String(dataType).toLowerCase()] || dataType;
+}
+
+/**
+ * Shorten an object name to the 30 characters AL allows
+ * @param {string} name
+ * @param {string} [suffix] - Appended after shortening, e.g. " Ext"
+ * @returns {string}
+ */
+function limitName(name, suffix = "") {
+  const maxLength = MAX_NAME_LENGTH - suffix.length;
+  return `${name.substring(0, maxLength).trim()}${suffix}`;
+}
+
+/**
+ * Members of a C/AL OptionString
+ * @param {string} optionString - e.g. "None,Silver,Gold" or "[ ,Silver,Gold]"
+ * @returns {string[]} Member names, a blank member is returned as " "
+ */
+function parseOptionString(optionString) {
+  // Option strings starting with a blank member are written as [ ,A,B]
+  return (optionString || "")
+    .replace(/^\[(.*)\]$/, "$1")
+    .split(",")
+    .map((member) => (member.trim() === "" ? " " : member.trim()));
+}
+
+/**
+ * Translated captions of the members of a C/AL Option field
+ * @param {string} optionCaptionML - OptionCaptionML value
+ * @returns {Object<string, string[]>} Member captions by C/AL language code
+ */
+function parseOptionCaptions(optionCaptionML) {
+  const captions = {};
+  for (const [language, text] of Object.entries(
+    parseMultiLanguageValue(optionCaptionML)
+  )) {
+    captions[language] = text.split(",");
+  }
+  return captions;
+}
+
+/**
+ * Enum for a C/AL Option field
+ * @param {number} id - Enum ID
+ * @param {string} name - Enum name
+ * @param {Object<string, string>} properties - Field properties with OptionString and OptionCaptionML
+ * @returns {string} AL code
+ */
+function generateEnum(id, name, properties) {
+  const members = parseOptionString(properties.OptionString);
+  const captions = parseOptionCaptions(properties.OptionCaptionML);
+
+  const lines = [
+    `enum ${id} ${quoteObjectName(name)}`,
+    "{",
+    "    Extensible = true;",
+  ];
+  members.forEach((memberName, index) => {
+    const texts = {};
+    for (const [language, values] of Object.entries(captions)) {
+      if (values[index] !== undefined) texts[language] = values[index];
+    }
+
+    lines.push("");
+    lines.push(`    value(${index}; ${quoteIdentifier(memberName)})`);
+    lines.push("    {");
+    for (const line of formatCaption("Caption", texts, memberName)) {
+      lines.push(`        ${line}`);
+    }
+    lines.push("    }");
+  });
+  lines.push("}");
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Comment out C/AL code lines
+ * @param {string[]} lines
+ * @param {string} indent
+ * @returns {string[]}
+ */
+function formatCommentedCode(lines, indent) {
+  return lines.map((line) => `${indent}// ${line}`.trimEnd());
+}
+
+module.exports = {
+  LANGUAGE_CODES,
+  quoteIdentifier,
+  quoteObjectName,
+  quoteString,
+  unquote,
+  parseMultiLanguageValue,
+  formatCaption,
+  convertDataType,
+  limitName,
+  parseOptionString,
+  parseOptionCaptions,
+  generateEnum,
+  formatCommentedCode,
+};
@@ -2,6 +2,12 @@ const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
 const { readJsonFile } = require("../jsonUtils");
+const configManager = require("./configManager");
+const {
+  parseAlObjectDeclaration,
+  readIndexedObjects,
+  createObjectIdAllocator,
+} = require("./objectIdAllocator");
 
 // Default ID range to use when no ranges are defined
 const DEFAULT_ID_RANGE = [{ from: 50000, to: 59000 }];
@@ -96,8 +102,43 @@ function isIdInRanges(id, ranges) {
   return ranges.some((range) => id >= range.from && id <= range.to);
 }
 
+/**
+ * Create an allocator for new objects: it hands out the lowest ID of an
+ * object type in the app.json ID ranges that is used neither by an AL file
+ * of the workspace nor by an object of the .index folder
+ * @returns {Promise<function(string): number>} Next free ID of an object type
+ */
+async function createWorkspaceObjectIdAllocator() {
+  const usedObjects = [];
+  const alFiles = await vscode.workspace.findFiles(
+    "**/*.al",
+    "**/node_modules/**"
+  );
+  for (const file of alFiles) {
+    try {
+      const object = parseAlObjectDeclaration(
+        fs.readFileSync(file.fsPath, "utf8")
+      );
+      if (object) usedObjects.push(object);
+    } catch (error) {
+      console.warn(`Could not read ${file.fsPath}:`, error);
+    }
+  }
+
+  const basePath = configManager.getConfigValue(
+    "upgradedObjectFolders",
+    null
+  )?.basePath;
+  if (basePath) {
+    usedObjects.push(...readIndexedObjects(path.join(basePath, ".index")));
+  }
+
+  return createObjectIdAllocator(getIdRanges(), usedObjects);
+}
+
 module.exports = {
   findAppJsonFile,
   getIdRanges,
   isIdInRanges,
+  createWorkspaceObjectIdAllocator,
 };
@@ -0,0 +1,1095 @@
+const {
+  parsePropertyList,
+  parseCodeSection,
+} = require("./calCustomisationDetector");
+const {
+  quoteIdentifier,
+  quoteString,
+  unquote,
+  parseMultiLanguageValue,
+  formatCaption,
+  convertDataType,
+} = require("./alSyntax");
+
+/**
+ * Rule-based translation of C/AL trigger and procedure code to AL. The
+ * translation covers the mechanical part of a conversion:
+ *
+ * - Keywords in lower case, built-in functions in their AL spelling
+ * - WITH ... DO blocks expanded to explicit record prefixes
+ * - FORM and CurrForm mapped to Page and CurrPage
+ * - Variable declarations without @IDs, TextConst as Label
+ *
+ * Constructs AL does not support (Automation, OCX, runtime control
+ * properties, ...) are kept and flagged with a TODO comment.
+ */
+
+const KEYWORDS = new Set([
+  "AND",
+  "ARRAY",
+  "BEGIN",
+  "CASE",
+  "DIV",
+  "DO",
+  "DOWNTO",
+  "ELSE",
+  "END",
+  "EXIT",
+  "FALSE",
+  "FOR",
+  "IF",
+  "IN",
+  "LOCAL",
+  "MOD",
+  "NOT",
+  "OF",
+  "OR",
+  "PROCEDURE",
+  "REPEAT",
+  "TEMPORARY",
+  "THEN",
+  "TO",
+  "TRUE",
+  "UNTIL",
+  "VAR",
+  "WHILE",
+  "WITH",
+  "XOR",
+]);
+
+// AL spelling of built-in functions and methods, by upper case C/AL name
+const FUNCTION_NAMES = Object.fromEntries(
+  [
+    "Abs",
+    "Activate",
+    "AddLink",
+    "Ascending",
+    "CalcDate",
+    "CalcFields",
+    "CalcSums",
+    "ChangeCompany",
+    "Clear",
+    "ClearAll",
+    "ClearMarks",
+    "Close",
+    "Commit",
+    "CompanyName",
+    "Confirm",
+    "ConvertStr",
+    "Copy",
+    "CopyFilter",
+    "CopyFilters",
+    "CopyStr",
+    "Count",
+    "CreateDateTime",
+    "CreateGuid",
+    "CurrentDateTime",
+    "CurrentKey",
+    "Date2DMY",
+    "Date2DWY",
+    "DateTime2Date",
+    "DateTime2Time",
+    "DelChr",
+    "Delete",
+    "DeleteAll",
+    "DelStr",
+    "DMY2Date",
+    "Error",
+    "Evaluate",
+    "Field",
+    "FieldCaption",
+    "FieldCount",
+    "FieldError",
+    "FieldExist",
+    "FieldIndex",
+    "FieldName",
+    "FieldNo",
+    "FilterGroup",
+    "Find",
+    "FindFirst",
+    "FindLast",
+    "FindSet",
+    "Format",
+    "Get",
+    "GetFilter",
+    "GetFilters",
+    "GetPosition",
+    "GetRangeMax",
+    "GetRangeMin",
+    "GetRecord",
+    "GetSelectionFilter",
+    "GetTable",
+    "GetView",
+    "GuiAllowed",
+    "HasFilter",
+    "HasLinks",
+    "Hyperlink",
+    "IncStr",
+    "Init",
+    "Insert",
+    "InsStr",
+    "IsEmpty",
+    "IsTemporary",
+    "KeyIndex",
+    "LockTable",
+    "LookupMode",
+    "LowerCase",
+    "Mark",
+    "MarkedOnly",
+    "MaxStrLen",
+    "Message",
+    "Modify",
+    "ModifyAll",
+    "Next",
+    "NormalDate",
+    "Open",
+    "PadStr",
+    "Relation",
+    "Rename",
+    "Reset",
+    "Round",
+    "Run",
+    "RunModal",
+    "SaveAsPdf",
+    "SelectStr",
+    "SetAutoCalcFields",
+    "SetCurrentKey",
+    "SetFilter",
+    "SetPosition",
+    "SetRange",
+    "SetRecFilter",
+    "SetRecord",
+    "SetSelectionFilter",
+    "SetTable",
+    "SetTableView",
+    "SetView",
+    "Sleep",
+    "StrLen",
+    "StrPos",
+    "StrSubstNo",
+    "TableCaption",
+    "TableName",
+    "TestField",
+    "Today",
+    "TransferFields",
+    "Update",
+    "UpperCase",
+    "UserId",
+    "Validate",
+    "WorkDate",
+  ].map((name) => [name.toUpperCase(), name])
+);
+
+// Record methods that C/AL allows unqualified inside WITH blocks
+const RECORD_METHODS = new Set([
+  "CALCFIELDS",
+  "CALCSUMS",
+  "COPY",
+  "COPYFILTER",
+  "COPYFILTERS",
+  "COUNT",
+  "DELETE",
+  "DELETEALL",
+  "FIELDCAPTION",
+  "FIELDERROR",
+  "FIELDNO",
+  "FILTERGROUP",
+  "FIND",
+  "FINDFIRST",
+  "FINDLAST",
+  "FINDSET",
+  "GET",
+  "GETFILTER",
+  "GETFILTERS",
+  "GETRANGEMAX",
+  "GETRANGEMIN",
+  "INIT",
+  "INSERT",
+  "ISEMPTY",
+  "LOCKTABLE",
+  "MARK",
+  "MARKEDONLY",
+  "MODIFY",
+  "MODIFYALL",
+  "NEXT",
+  "RENAME",
+  "RESET",
+  "SETAUTOCALCFIELDS",
+  "SETCURRENTKEY",
+  "SETFILTER",
+  "SETRANGE",
+  "SETRECFILTER",
+  "TABLECAPTION",
+  "TESTFIELD",
+  "TRANSFERFIELDS",
+  "VALIDATE",
+]);
+
+const OBJECT_TYPE_NAMES = {
+  DATABASE: "Database",
+  FORM: "Page",
+  PAGE: "Page",
+  REPORT: "Report",
+  CODEUNIT: "Codeunit",
+  XMLPORT: "Xmlport",
+  QUERY: "Query",
+};
+
+const TYPE_NAMES = Object.fromEntries(
+  [
+    "Action",
+    "BigInteger",
+    "BigText",
+    "Boolean",
+    "Byte",
+    "Char",
+    "Code",
+    "Codeunit",
+    "Date",
+    "DateFormula",
+    "DateTime",
+    "Decimal",
+    "Dialog",
+    "Duration",
+    "ExecutionMode",
+    "FieldRef",
+    "FilterPageBuilder",
+    "Guid",
+    "InStream",
+    "Integer",
+    "KeyRef",
+    "Notification",
+    "Option",
+    "OutStream",
+    "Page",
+    "Query",
+    "Record",
+    "RecordId",
+    "RecordRef",
+    "Report",
+    "TableFilter",
+    "Text",
+    "Time",
+    "TransactionType",
+    "Variant",
+    "Xmlport",
+  ].map((name) => [name.toUpperCase(), name])
+);
+
+// Variable types without an AL equivalent
+const UNSUPPORTED_TYPES = {
+  AUTOMATION: "Automation is not supported in AL, use .NET interop or an API",
+  OCX: "OCX controls are not supported in AL",
+  DOTNET:
+    "DotNet variables need a dotnet package declaration and do not work in the cloud",
+  FILE: "File is not available in the cloud, use streams and UploadIntoStream/DownloadFromStream",
+  BINARY: "Binary is not supported in AL",
+};
+
+// Functions without an AL equivalent
+const UNSUPPORTED_FUNCTIONS = {
+  CREATE: "Automation is not supported in AL",
+  ISCLEAR: "Automation is not supported in AL",
+  SHELL: "SHELL is not supported in AL",
+  ENVIRON: "ENVIRON is not supported in AL",
+  ISSERVICETIER:
+    "ISSERVICETIER does not exist in AL, the code always runs on the service tier",
+  RECORDLEVELLOCKING: "RECORDLEVELLOCKING does not exist in AL",
+};
+
+// Control properties that C/AL forms could change at runtime
+const CONTROL_PROPERTIES = new Set([
+  "VISIBLE",
+  "EDITABLE",
+  "ENABLED",
+  "CAPTION",
+  "UPDATEFORECOLOR",
+  "UPDATEFONTBOLD",
+  "UPDATESELECTED",
+  "UPDATEINDENT",
+  "HEIGHT",
+  "WIDTH",
+  "XPOS",
+  "YPOS",
+]);
+
+const INDENT = "    ";
+
+/**
+ * Split C/AL code into tokens. Whitespace and comments are kept as tokens, so
+ * joining the texts gives the original code.
+ * @param {string} code
+ * @returns {Array<{type: string, text: string}>} Types: ws, comment, string,
+ *   quoted (identifier), ident, number, op
+ */
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, end) => {
+    tokens.push({ type, text: code.slice(i, end) });
+    i = end;
+  };
+
+  while (i < code.length) {
+    const char = code[i];
+    const rest = code.slice(i);
+    let match;
+
+    if (/\s/.test(char)) {
+      push("ws", i + rest.match(/^\s+/)[0].length);
+    } else if (rest.startsWith("//")) {
+      const end = code.indexOf("\n", i);
+      push("comment", end === -1 ? code.length : end);
+    } else if (char === "{") {
+      const end = code.indexOf("}", i);
+      push("comment", end === -1 ? code.length : end + 1);
+    } else if (char === "'") {
+      let end = i + 1;
+      while (end < code.length) {
+        if (code[end] === "'" && code[end + 1] === "'") {
+          end += 2;
+        } else if (code[end] === "'") {
+          break;
+        } else {
+          end++;
+        }
+      }
+      push("string", Math.min(end + 1, code.length));
+    } else if (char === '"') {
+      const end = code.indexOf('"', i + 1);
+      push("quoted", end === -1 ? code.length : end + 1);
+    } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+      push("ident", i + match[0].length);
+    } else if ((match = rest.match(/^\d+(\.\d+(?!\.))?/))) {
+      push("number", i + match[0].length);
+    } else if ((match = rest.match(/^(::|:=|\+=|-=|\*=|\/=|<>|<=|>=|\.\.)/))) {
+      push("op", i + match[0].length);
+    } else {
+      push("op", i + 1);
+    }
+  }
+  return tokens;
+}
+
+function isSignificant(token) {
+  return token.type !== "ws" && token.type !== "comment";
+}
+
+function upper(token) {
+  return token && token.type === "ident" ? token.text.toUpperCase() : null;
+}
+
+function nextSignificant(tokens, index) {
+  for (let i = index + 1; i < tokens.length; i++) {
+    if (isSignificant(tokens[i])) return i;
+  }
+  return -1;
+}
+
+function previousSignificant(tokens, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (isSignificant(tokens[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Index after the statement following a WITH ... DO, and whether the
+ * statement is a BEGIN ... END block
+ */
+function findStatementEnd(tokens, start) {
+  if (upper(tokens[start]) === "BEGIN") {
+    let depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+      const word = upper(tokens[i]);
+      if (word === "BEGIN" || word === "CASE") depth++;
+      if (word === "END" && --depth === 0) {
+        return { end: i, block: true };
+      }
+    }
+    return { end: tokens.length - 1, block: true };
+  }
+
+  let depth = 0;
+  let openIfs = 0;
+  for (let i = start; i < tokens.length; i++) {
+    const word = upper(tokens[i]);
+    if (word === "BEGIN" || word === "CASE") depth++;
+    if (depth === 0) {
+      if (word === "IF") openIfs++;
+      if (word === "ELSE" && openIfs-- === 0) {
+        return { end: previousSignificant(tokens, i), block: false };
+      }
+      if (word === "END" || word === "UNTIL") {
+        return { end: previousSignificant(tokens, i), block: false };
+      }
+      if (tokens[i].text === ";") {
+        return { end: i, block: false };
+      }
+    }
+    if (word === "END") depth--;
+  }
+  return { end: tokens.length - 1, block: false };
+}
+
+/**
+ * Replace the innermost WITH ... DO statements until none is left
+ * @param {Array<Object>} tokens
+ * @param {Object} context - Variables and field resolver
+ * @returns {Array<Object>}
+ */
+function expandWithStatements(tokens, context) {
+  for (;;) {
+    let withIndex = -1;
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      if (upper(tokens[i]) === "WITH") {
+        withIndex = i;
+        break;
+      }
+    }
+    if (withIndex === -1) {
+      return tokens;
+    }
+
+    let doIndex = withIndex + 1;
+    while (doIndex < tokens.length && upper(tokens[doIndex]) !== "DO") {
+      doIndex++;
+    }
+    const record = tokens
+      .slice(withIndex + 1, doIndex)
+      .map((token) => token.text)
+      .join("")
+      .trim();
+
+    const bodyStart = nextSignificant(tokens, doIndex);
+    if (bodyStart === -1) {
+      tokens.splice(withIndex, doIndex - withIndex + 1);
+      continue;
+    }
+    const { end, block } = findStatementEnd(tokens, bodyStart);
+
+    const fields = context.getRecordFields
+      ? context.getRecordFields(
+          context.variableTypes[unquote(record).toLowerCase()]
+        )
+      : null;
+    const unresolved = prefixRecordReferences(
+      tokens,
+      block ? bodyStart + 1 : bodyStart,
+      end,
+      record,
+      fields,
+      context
+    );
+
+    // The BEGIN ... END of the block is only dropped where a statement list is allowed
+    const before = upper(tokens[previousSignificant(tokens, withIndex)]);
+    const unwrap =
+      block &&
+      (previousSignificant(tokens, withIndex) === -1 ||
+        tokens[previousSignificant(tokens, withIndex)].text === ";" ||
+        before === "BEGIN" ||
+        before === "REPEAT");
+
+    const todo = `WITH ${record} was expanded, check unqualified references to its fields`;
+    const replacement = [];
+    if (unresolved && unwrap) {
+      replacement.push(
+        { type: "comment", text: `// TODO: ${todo}` },
+        { type: "ws", text: "\n" }
+      );
+    } else if (unresolved) {
+      tokens[bodyStart].todo = todo;
+    }
+
+    if (unwrap) {
+      let afterEnd = end;
+      const semicolon = nextSignificant(tokens, end);
+      if (semicolon !== -1 && tokens[semicolon].text === ";") {
+        afterEnd = semicolon;
+      }
+      const body = tokens.slice(bodyStart + 1, end);
+      if (body.length > 0 && body[0].type === "ws") body.shift();
+      if (body.length > 0 && body[body.length - 1].type === "ws") body.pop();
+      tokens.splice(
+        withIndex,
+        afterEnd - withIndex + 1,
+        ...replacement,
+        ...body
+      );
+    } else {
+      tokens.splice(withIndex, bodyStart - withIndex, ...replacement);
+    }
+  }
+}
+
+/**
+ * Prefix the fields and record methods of a WITH record
+ * @returns {boolean} True if identifiers remained that could be fields of the record
+ */
+function prefixRecordReferences(tokens, start, end, record, fields, context) {
+  const fieldNames = fields
+    ? new Set(fields.map((field) => field.toLowerCase()))
+    : null;
+  let unresolved = false;
+
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== "ident" && token.type !== "quoted") continue;
+    if (token.prefix) continue;
+
+    const previous = tokens[previousSignificant(tokens, i)];
+    if (previous && (previous.text === "." || previous.text === "::")) continue;
+
+    const name = unquote(token.text);
+    const lowerName = name.toLowerCase();
+    if (context.variables.has(lowerName)) continue;
+
+    const next = tokens[nextSignificant(tokens, i)];
+    let isRecordReference;
+    if (token.type === "quoted") {
+      isRecordReference =
+        !(next && next.text === "(") &&
+        (!fieldNames || fieldNames.has(lowerName));
+    } else {
+      const word = name.toUpperCase();
+      if (
+        KEYWORDS.has(word) ||
+        OBJECT_TYPE_NAMES[word] ||
+        (FUNCTION_NAMES[word] && !RECORD_METHODS.has(word))
+      ) {
+        continue;
+      }
+      isRecordReference =
+        RECORD_METHODS.has(word) || (fieldNames && fieldNames.has(lowerName));
+      if (!isRecordReference && !fieldNames && !(next && next.text === "(")) {
+        unresolved = true;
+      }
+    }
+
+    if (isRecordReference) {
+      token.prefix = record;
+    }
+  }
+  return unresolved;
+}
+
+/**
+ * Translate identifiers and comments, flag unsupported constructs
+ * @returns {Array<Object>} Tokens, flagged tokens carry a todo text
+ */
+function translateTokens(tokens) {
+  tokens.forEach((token, index) => {
+    if (token.type === "comment" && token.text.startsWith("{")) {
+      token.text = `/*${token.text.slice(1, -1)}*/`;
+      return;
+    }
+    if (token.type !== "ident") return;
+
+    const word = token.text.toUpperCase();
+    const previous = tokens[previousSignificant(tokens, index)];
+    const next = tokens[nextSignificant(tokens, index)];
+    const afterDot = !!token.prefix || (previous && previous.text === ".");
+
+    if (!afterDot && KEYWORDS.has(word)) {
+      token.text = word.toLowerCase();
+    } else if (
+      !afterDot &&
+      OBJECT_TYPE_NAMES[word] &&
+      next &&
+      (next.text === "." || next.text === "::")
+    ) {
+      token.text = OBJECT_TYPE_NAMES[word];
+    } else if (word === "CURRFORM" || word === "CURRPAGE") {
+      token.text = "CurrPage";
+      // CurrPage.<control>.<property> := ... was possible in C/AL forms
+      const controlIndex = nextSignificant(
+        tokens,
+        nextSignificant(tokens, index)
+      );
+      const dotIndex = nextSignificant(tokens, controlIndex);
+      const property = tokens[nextSignificant(tokens, dotIndex)];
+      if (
+        next &&
+        next.text === "." &&
+        dotIndex !== -1 &&
+        tokens[dotIndex].text === "." &&
+        property &&
+        CONTROL_PROPERTIES.has(property.text.toUpperCase())
+      ) {
+        token.todo =
+          "control properties cannot be changed at runtime in AL, bind the property to a variable";
+      }
+    } else if (
+      !afterDot &&
+      UNSUPPORTED_FUNCTIONS[word] &&
+      next &&
+      next.text === "("
+    ) {
+      token.text = FUNCTION_NAMES[word] || token.text;
+      token.todo = UNSUPPORTED_FUNCTIONS[word];
+    } else if (FUNCTION_NAMES[word]) {
+      token.text = FUNCTION_NAMES[word];
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Join tokens to lines, flagged tokens get a TODO comment at the end of their line
+ */
+function joinTokens(tokens) {
+  let text = "";
+  let todos = [];
+  const flush = () => {
+    if (todos.length > 0) {
+      text += ` // TODO: ${[...new Set(todos)].join("; ")}`;
+      todos = [];
+    }
+  };
+
+  for (const token of tokens) {
+    if (token.todo) todos.push(token.todo);
+    if (token.type === "ws" && token.text.includes("\n")) {
+      flush();
+    }
+    text += token.prefix ? `${token.prefix}.${token.text}` : token.text;
+  }
+  flush();
+  return text;
+}
+
+/**
+ * Indent AL statements by their block structure
+ * @param {string[]} lines - Trimmed lines
+ * @returns {string[]}
+ */
+function indentStatements(lines) {
+  const result = [];
+  const openBlocks = [];
+  let depth = 0;
+  let continuation = 0;
+  let inBlockComment = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (inBlockComment || line.startsWith("//") || line === "") {
+      result.push(line && `${INDENT.repeat(depth + continuation)}${line}`);
+      if (line.includes("*/")) inBlockComment = false;
+      continue;
+    }
+    if (line.startsWith("/*") && !line.includes("*/")) inBlockComment = true;
+
+    const code = line
+      .replace(/'([^']|'')*'/g, "''")
+      .replace(/\/\/.*$/, "")
+      .trim()
+      .toLowerCase();
+    let level = depth + continuation;
+    if (/^(end|until)\b/.test(code)) {
+      const block = openBlocks.pop() || { level: 0, depth: 0 };
+      level = block.level;
+      depth = block.depth;
+      continuation = 0;
+    } else if (/^else\b/.test(code)) {
+      level = depth;
+      continuation = 0;
+    }
+    result.push(`${INDENT.repeat(level)}${line}`);
+
+    if (/\b(begin|repeat)$/.test(code) || /^case\b.*\bof$/.test(code)) {
+      openBlocks.push({ level, depth });
+      depth = level + 1;
+      continuation = 0;
+    } else if (/\b(then|else|do)$/.test(code) || /:$/.test(code)) {
+      continuation = level + 1 - depth;
+    } else if (/;$/.test(code)) {
+      continuation = 0;
+    }
+  }
+  return result;
+}
+
+/**
+ * Translate statements, e.g. the lines between BEGIN and END of a trigger
+ * @param {string[]} lines - C/AL code lines
+ * @param {Object} context
+ * @returns {string[]} AL lines, indented relative to the block
+ */
+function translateStatements(lines, context) {
+  const tokens = expandWithStatements(tokenize(lines.join("\n")), context);
+  return indentStatements(joinTokens(translateTokens(tokens)).split("\n"));
+}
+
+function convertOptionMembers(text) {
+  return text
+    .split(",")
+    .map((member) =>
+      quoteIdentifier(member.trim() === "" ? " " : member.trim())
+    )
+    .join(",");
+}
+
+/**
+ * Translate a variable type
+ * @param {string} type - C/AL type, e.g. "TEMPORARY Record 18", "ARRAY [10] OF Text[30]"
+ * @returns {{type: string, todo: string|null}}
+ */
+function translateType(type) {
+  let text = type.trim();
+  let temporary = false;
+  let array = "";
+
+  const temporaryMatch = text.match(/^TEMPORARY\s+(.*)$/i);
+  if (temporaryMatch) {
+    temporary = true;
+    text = temporaryMatch[1];
+  }
+  const arrayMatch = text.match(/^ARRAY\s*\[([^\]]+)\]\s+OF\s+(.*)$/i);
+  if (arrayMatch) {
+    array = `array[${arrayMatch[1].replace(/\s/g, "")}] of `;
+    text = arrayMatch[2];
+  }
+
+  const optionMatch = text.match(/^'(.*)'$/);
+  if (optionMatch) {
+    return {
+      type: `${array}Option ${convertOptionMembers(optionMatch[1])}`,
+      todo: null,
+    };
+  }
+
+  const [word] = text.split(/[\s[]/);
+  const upperWord = word.toUpperCase();
+  if (UNSUPPORTED_TYPES[upperWord]) {
+    return { type: text, todo: UNSUPPORTED_TYPES[upperWord] };
+  }
+
+  let rest = text.slice(word.length);
+  let name;
+  if (upperWord === "FORM") {
+    name = "Page";
+  } else if (/^(Code|Text)\d+$/i.test(word)) {
+    name = convertDataType(word);
+  } else {
+    name = TYPE_NAMES[upperWord] || word;
+  }
+  let todo = null;
+  if (/\bWITHEVENTS\b/i.test(rest)) {
+    rest = rest.replace(/\s*\bWITHEVENTS\b/i, "");
+    todo = "WITHEVENTS is only supported for DotNet variables in AL";
+  }
+  rest = rest.replace(/\bSECURITYFILTERING\b/i, "SecurityFiltering");
+
+  return {
+    type: `${array}${name}${rest}${temporary ? " temporary" : ""}`,
+    todo,
+  };
+}
+
+/**
+ * Translate a variable or parameter declaration
+ * @param {string} line - e.g. "Cust@1000 : Record 18;"
+ * @returns {{name: string, type: string, lines: string[]}|null} AL lines, null
+ *   if the line is no declaration
+ */
+function translateDeclaration(line) {
+  const match = line
+    .trim()
+    .match(/^(VAR\s+)?("[^"]+"|\w+)(?:@\d+)?\s*:\s*([\s\S]+?);?$/i);
+  if (!match) {
+    return null;
+  }
+  const [, byReference, rawName, rawType] = match;
+  const name = unquote(rawName);
+  const prefix = `${byReference ? "var " : ""}${quoteIdentifier(name)}`;
+
+  const textConst = rawType.match(/^TextConst\s+'([\s\S]*)'$/i);
+  if (textConst) {
+    const texts = parseMultiLanguageValue(textConst[1].replace(/''/g, "'"));
+    const english =
+      texts.ENU !== undefined ? texts.ENU : Object.values(texts)[0] || "";
+    const captionLines = formatCaption("Label", { ...texts, ENU: english }, "");
+    return {
+      name,
+      type: "Label",
+      lines: [
+        ...captionLines.slice(0, -1),
+        `${prefix}: Label ${quoteString(english)};`,
+      ],
+    };
+  }
+
+  const { type, todo } = translateType(rawType);
+  const declaration = `${prefix}: ${type};`;
+  return {
+    name,
+    type: rawType.trim(),
+    lines: todo ? [`// TODO: ${todo}`, `// ${declaration}`] : [declaration],
+  };
+}
+
+function createContext(options, declarations) {
+  const variables = new Set(options.variables || []);
+  const variableTypes = { ...(options.variableTypes || {}) };
+  for (const declaration of declarations) {
+    variables.add(declaration.name.toLowerCase());
+    variableTypes[declaration.name.toLowerCase()] = declaration.type;
+  }
+  return {
+    variables,
+    variableTypes,
+    getRecordFields: options.getRecordFields,
+  };
+}
+
+/**
+ * Split a code block into its VAR declarations and the statements between
+ * BEGIN and the final END;
+ */
+function splitCodeBlock(lines) {
+  const trimmed = lines.map((line) => line.trim());
+  const begin = trimmed.findIndex((line) => /^BEGIN\b/i.test(line));
+  if (begin === -1) {
+    return { declarations: [], statements: trimmed };
+  }
+  let end = trimmed.length - 1;
+  while (end > begin && !/^END;?$/i.test(trimmed[end])) end--;
+
+  const declarations = trimmed
+    .slice(0, begin)
+    .filter((line) => !/^VAR$/i.test(line) && line !== "")
+    .map(translateDeclaration)
+    .filter(Boolean);
+  const firstStatement = trimmed[begin].replace(/^BEGIN\b/i, "").trim();
+  return {
+    declarations,
+    statements: [
+      ...(firstStatement ? [firstStatement] : []),
+      ...trimmed.slice(begin + 1, end > begin ? end : undefined),
+    ],
+  };
+}
+
+function formatBlock(declarations, statements, context) {
+  const lines = [];
+  if (declarations.length > 0) {
+    lines.push("var");
+    for (const declaration of declarations) {
+      lines.push(...declaration.lines.map((line) => `${INDENT}${line}`));
+    }
+  }
+  lines.push("begin");
+  lines.push(
+    ...translateStatements(statements, context).map((line) =>
+      line ? `${INDENT}${line}` : line
+    )
+  );
+  lines.push("end;");
+  return lines;
+}
+
+/**
+ * Translate the code of a trigger
+ * @param {string[]} lines - C/AL code from VAR or BEGIN to the final END;
+ * @param {Object} [options]
+ * @param {string[]} [options.variables] - Names of the global variables
+ * @param {Object<string, string>} [options.variableTypes] - C/AL types of the
+ *   global variables by lower case name
+ * @param {function(string): string[]|null} [options.getRecordFields] - Field
+ *   names of the table a variable type like "Record 37" refers to, used to
+ *   expand WITH blocks
+ * @returns {string[]} AL code from var or begin to end;
+ */
+function translateTrigger(lines, options = {}) {
+  const { declarations, statements } = splitCodeBlock(lines);
+  return formatBlock(
+    declarations,
+    statements,
+    createContext(options, declarations)
+  );
+}
+
+function translateAttribute(line) {
+  const match = line.match(/^\[(\w+)(?:\((.*)\))?\]$/);
+  if (!match) {
+    return [`// TODO: ${line}`];
+  }
+  const [, name, args = ""] = match;
+  switch (name.toLowerCase()) {
+    case "external":
+      return [];
+    case "integration":
+      return [
+        `[IntegrationEvent(${args || "false,false"})]`.replace(/,/g, ", "),
+      ];
+    case "business":
+      return [`[BusinessEvent(${args || "false"})]`.replace(/,/g, ", ")];
+    case "eventsubscriber": {
+      const [objectType, objectId, event, element = '""', license, permission] =
+        args.split(",").map((arg) => arg.trim());
+      const skip = (value) => (/^skip$/i.test(value || "") ? "true" : "false");
+      return [
+        `[EventSubscriber(ObjectType::${objectType}, ${objectId}, ${quoteString(
+          unquote(event)
+        )}, ${quoteString(unquote(element))}, ${skip(license)}, ${skip(
+          permission
+        )})]`,
+      ];
+    }
+    default:
+      return [`[${name}${args ? `(${args})` : ""}]`];
+  }
+}
+
+/**
+ * Translate a procedure
+ * @param {string[]} lines - C/AL lines from the attributes and the PROCEDURE
+ *   header to the final END;
+ * @param {Object} [options] - See translateTrigger
+ * @returns {{name: string, lines: string[]}}
+ */
+function translateProcedure(lines, options = {}) {
+  const trimmed = lines.map((line) => line.trim());
+  const headerIndex = trimmed.findIndex((line) => /PROCEDURE\s/i.test(line));
+  const header = trimmed[headerIndex].match(
+    /^(LOCAL\s+)?(?:PROCEDURE|EVENT)\s+("[^"]+"|\w+)@\d+\s*\(([\s\S]*?)\)\s*(?:("[^"]+"|\w+)(?:@\d+)?\s*)?(?::\s*([^;]+))?;?$/i
+  );
+  if (!header) {
+    return {
+      name: trimmed[headerIndex],
+      lines: [
+        "// TODO: procedure header not translated",
+        ...trimmed.map((line) => `// ${line}`),
+      ],
+    };
+  }
+
+  const [, local, rawName, rawParameters, returnName, returnType] = header;
+  const name = unquote(rawName);
+  const parameters = rawParameters
+    .split(";")
+    .map((parameter) => parameter.trim())
+    .filter(Boolean)
+    .map(translateDeclaration)
+    .filter(Boolean);
+
+  const attributes = trimmed
+    .slice(0, headerIndex)
+    .flatMap((line) => translateAttribute(line));
+  let signature = `${local ? "local " : ""}procedure ${quoteIdentifier(
+    name
+  )}(${parameters
+    .map((parameter) =>
+      parameter.lines[parameter.lines.length - 1].replace(/;$/, "")
+    )
+    .join("; ")})`;
+  if (returnType) {
+    const { type } = translateType(returnType);
+    signature += returnName
+      ? ` ${quoteIdentifier(unquote(returnName))}: ${type}`
+      : `: ${type}`;
+  }
+
+  const { declarations, statements } = splitCodeBlock(
+    trimmed.slice(headerIndex + 1)
+  );
+  const context = createContext(options, [...parameters, ...declarations]);
+  const todos = parameters
+    .filter((parameter) => parameter.lines.length > 1)
+    .map((parameter) => parameter.lines[0]);
+
+  return {
+    name,
+    lines: [
+      ...todos,
+      ...attributes,
+      signature,
+      ...formatBlock(declarations, statements, context),
+    ],
+  };
+}
+
+/**
+ * Translate the CODE section of an object
+ * @param {string} code - CODE section as returned by parseCALToJSON
+ * @param {Object} [options] - See translateTrigger
+ * @returns {{variables: string[], procedures: Array<{name: string, lines: string[]}>}}
+ *   AL lines of the global var section and of each procedure
+ */
+function translateCodeSection(code, options = {}) {
+  const { variables, procedures } = parseCodeSection(code);
+  const declarations = Object.entries(variables)
+    .map(([name, type]) =>
+      translateDeclaration(`${quoteIdentifier(name)} : ${type}`)
+    )
+    .filter(Boolean);
+  const context = {
+    ...options,
+    variables: [
+      ...(options.variables || []),
+      ...declarations.map((declaration) => declaration.name.toLowerCase()),
+    ],
+    variableTypes: Object.fromEntries(
+      declarations.map((declaration) => [
+        declaration.name.toLowerCase(),
+        declaration.type,
+      ])
+    ),
+  };
+
+  return {
+    variables: declarations.flatMap((declaration) => declaration.lines),
+    procedures: procedures.map((procedure) =>
+      translateProcedure(procedure.lines, context)
+    ),
+    context,
+  };
+}
+
+/**
+ * Translate all code of an object as returned by parseCALToJSON
+ * @param {Object} parsed - parseCALToJSON result
+ * @param {Object} [options] - See translateTrigger
+ * @returns {{triggers: Array<{name: string, lines: string[]}>, fieldTriggers: Array<{id: number, field: string, name: string, lines: string[]}>, variables: string[], procedures: Array<{name: string, lines: string[]}>}}
+ */
+function translateCalObject(parsed, options = {}) {
+  const { variables, procedures, context } = translateCodeSection(
+    parsed.code,
+    options
+  );
+
+  const triggers = (parsed.triggers || []).map((trigger) => ({
+    name: trigger.name,
+    lines: translateTrigger(String(trigger.code || "").split(/\r?\n/), context),
+  }));
+
+  const fieldTriggers = [];
+  for (const element of [
+    ...(parsed.fields || []),
+    ...(parsed.controls || []),
+  ]) {
+    const { triggers: elementTriggers } = parsePropertyList(element.properties);
+    for (const [name, lines] of Object.entries(elementTriggers)) {
+      fieldTriggers.push({
+        id: element.id,
+        field: element.name || "",
+        name,
+        lines: translateTrigger(lines, context),
+      });
+    }
+  }
+
+  return { triggers, fieldTriggers, variables, procedures };
+}
+
+module.exports = {
+  tokenize,
+  indentStatements,
+  translateStatements,
+  translateDeclaration,
+  translateTrigger,
+  translateProcedure,
+  translateCodeSection,
+  translateCalObject,
+};
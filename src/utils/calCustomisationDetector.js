@@ -0,0 +1,849 @@
+const fs = require("fs");
+const path = require("path");
+const { splitVersionList } = require("./calObjectProperties");
+const {
+  readObjectFromExport,
+  detectFileEncoding,
+} = require("./objectSplitter");
+const { decodeBuffer } = require("./encodingHelper");
+const { getObjectKey, loadSplitState } = require("./splitIndex");
+
+/**
+ * Structured diff between a customer C/AL object and the standard NAV object
+ * it was derived from. Both objects are compared in the shape returned by
+ * parseCALToJSON, so every element is matched by its ID (fields, controls,
+ * actions) or name (triggers, procedures, variables).
+ */
+
+const CUSTOMISATIONS_FILE = "customisations.json";
+
+// Above this many line pairs the line diff only compares which lines occur on each side
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Remove strings, quoted identifiers and comments from a line of C/AL code
+ * @param {string} line
+ * @param {{inComment: boolean}} state - Carries "{ ... }" comments across lines
+ * @returns {string}
+ */
+function stripStringsAndComments(line, state) {
+  let result = "";
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (state.inComment) {
+      if (char === "}") state.inComment = false;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "{") {
+      state.inComment = true;
+    } else if (char === "/" && line[i + 1] === "/") {
+      break;
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Track BEGIN/CASE ... END nesting of trigger code
+ * @param {Object} block - { depth, begun, state }
+ * @param {string} line
+ */
+function updateBlockDepth(block, line) {
+  const code = stripStringsAndComments(line, block.state);
+  for (const [keyword] of code.matchAll(/\b(BEGIN|CASE|END)\b/gi)) {
+    if (/^end$/i.test(keyword)) {
+      block.depth--;
+    } else {
+      block.depth++;
+      block.begun = true;
+    }
+  }
+}
+
+function countBrackets(text) {
+  let count = 0;
+  let inString = false;
+  for (const char of text) {
+    if (char === '"') inString = !inString;
+    if (inString) continue;
+    if (char === "[") count++;
+    if (char === "]") count--;
+  }
+  return count;
+}
+
+/**
+ * Parse the property list of a C/AL object, field, control or action
+ *
+ *   CaptionML=[ENU=No.;
+ *              DEU=Nr.];
+ *   OnValidate=BEGIN
+ *                TestNoSeries;
+ *              END;
+ *
+ * @param {string} text - Property text, one property per line
+ * @returns {{properties: Object<string, string>, triggers: Object<string, string[]>}}
+ *   Property values with multi-line values joined, and trigger code lines
+ */
+function parsePropertyList(text) {
+  const properties = {};
+  const triggers = {};
+  let current = null;
+
+  const store = () => {
+    if (current.isTrigger) {
+      triggers[current.name] = current.lines;
+    } else {
+      properties[current.name] = current.lines.join("").replace(/;$/, "");
+    }
+    current = null;
+  };
+
+  for (const rawLine of (text || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (!current) {
+      const match = line.match(/^([A-Za-z][\w ]*?)=(.*)$/);
+      if (!match) continue;
+
+      const name = match[1].trim();
+      const value = match[2].trim();
+      if (/^On\w+$/.test(name) && /^(BEGIN|VAR)\b/i.test(value)) {
+        current = {
+          name,
+          isTrigger: true,
+          lines: [value],
+          depth: 0,
+          begun: false,
+          state: { inComment: false },
+        };
+        updateBlockDepth(current, value);
+      } else {
+        current = {
+          name,
+          isTrigger: false,
+          lines: [value],
+          brackets: countBrackets(value),
+        };
+      }
+    } else if (current.isTrigger) {
+      current.lines.push(line);
+      updateBlockDepth(current, line);
+    } else {
+      current.lines.push(line);
+      current.brackets += countBrackets(line);
+    }
+
+    if (current.isTrigger) {
+      if (current.begun && current.depth <= 0) store();
+    } else if (current.brackets <= 0 && line.endsWith(";")) {
+      store();
+    }
+  }
+
+  if (current) store();
+
+  return { properties, triggers };
+}
+
+/**
+ * Split the CODE section of a C/AL object into global variables and procedures
+ * @param {string} code - CODE section as returned by parseCALToJSON
+ * @returns {{variables: Object<string, string>, procedures: Array<{name: string, local: boolean, lines: string[]}>}}
+ */
+function parseCodeSection(code) {
+  const variables = {};
+  const procedures = [];
+  let current = null;
+  let pendingAttributes = [];
+
+  for (const rawLine of (code || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    const header = line.match(/^(LOCAL\s+)?PROCEDURE\s+("[^"]+"|[\w]+)@\d+/i);
+    if (header) {
+      current = {
+        name: header[2].replace(/^"|"$/g, ""),
+        local: !!header[1],
+        lines: [...pendingAttributes, line],
+      };
+      procedures.push(current);
+      pendingAttributes = [];
+      continue;
+    }
+
+    // [EventSubscriber(...)] and similar attributes belong to the next procedure
+    if (/^\[.*\]$/.test(line)) {
+      pendingAttributes.push(line);
+      continue;
+    }
+    if (pendingAttributes.length > 0) {
+      if (current) current.lines.push(...pendingAttributes);
+      pendingAttributes = [];
+    }
+
+    if (current) {
+      current.lines.push(line);
+    } else {
+      const variable = line.match(/^("[^"]+"|\w+)@\d+\s*:\s*(.+?);?$/);
+      if (variable) {
+        variables[variable[1].replace(/^"|"$/g, "")] = variable[2].trim();
+      }
+    }
+  }
+
+  // Drop blank lines and the END. of the object after the last END;
+  for (const procedure of procedures) {
+    const lastEnd = procedure.lines.lastIndexOf("END;");
+    if (lastEnd !== -1) {
+      procedure.lines = procedure.lines.slice(0, lastEnd + 1);
+    }
+    procedure.lines = procedure.lines.filter((line) => line !== "");
+  }
+
+  return { variables, procedures };
+}
+
+/**
+ * Line diff based on the longest common subsequence, lines are compared
+ * without indentation
+ * @param {string[]} standardLines
+ * @param {string[]} customerLines
+ * @returns {{added: Array<{line: number, text: string}>, removed: Array<{line: number, text: string}>}}
+ *   Added lines with their line number in the customer code, removed lines
+ *   with their line number in the standard code (1-based)
+ */
+function diffLines(standardLines, customerLines) {
+  const a = standardLines.map((line) => line.trim());
+  const b = customerLines.map((line) => line.trim());
+  const added = [];
+  const removed = [];
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    // Too large for a full diff, report lines that only occur on one side
+    const countLines = (lines) => {
+      const counts = new Map();
+      lines.forEach((line) => counts.set(line, (counts.get(line) || 0) + 1));
+      return counts;
+    };
+    const standardCounts = countLines(a);
+    const customerCounts = countLines(b);
+    b.forEach((text, i) => {
+      if ((standardCounts.get(text) || 0) > 0) {
+        standardCounts.set(text, standardCounts.get(text) - 1);
+      } else {
+        added.push({ line: i + 1, text });
+      }
+    });
+    a.forEach((text, i) => {
+      if ((customerCounts.get(text) || 0) > 0) {
+        customerCounts.set(text, customerCounts.get(text) - 1);
+      } else {
+        removed.push({ line: i + 1, text });
+      }
+    });
+    return { added, removed };
+  }
+
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      removed.push({ line: i + 1, text: a[i++] });
+    } else {
+      added.push({ line: j + 1, text: b[j++] });
+    }
+  }
+  while (i < a.length) removed.push({ line: i + 1, text: a[i++] });
+  while (j < b.length) added.push({ line: j + 1, text: b[j++] });
+
+  return { added, removed };
+}
+
+function diffValues(standardValues, customerValues) {
+  const added = [];
+  const modified = [];
+  const removed = [];
+
+  for (const [name, value] of Object.entries(customerValues)) {
+    if (!(name in standardValues)) {
+      added.push({ name, value });
+    } else if (standardValues[name] !== value) {
+      modified.push({ name, standard: standardValues[name], customer: value });
+    }
+  }
+  for (const [name, value] of Object.entries(standardValues)) {
+    if (!(name in customerValues)) {
+      removed.push({ name, value });
+    }
+  }
+
+  return { added, modified, removed };
+}
+
+function diffTriggers(scope, standardTriggers, customerTriggers, result) {
+  const names = new Set([
+    ...Object.keys(standardTriggers),
+    ...Object.keys(customerTriggers),
+  ]);
+
+  for (const name of names) {
+    const standardLines = standardTriggers[name];
+    const customerLines = customerTriggers[name];
+    let change;
+    let lines;
+
+    if (!standardLines) {
+      change = "added";
+      lines = diffLines([], customerLines);
+    } else if (!customerLines) {
+      change = "removed";
+      lines = diffLines(standardLines, []);
+    } else {
+      lines = diffLines(standardLines, customerLines);
+      if (lines.added.length === 0 && lines.removed.length === 0) continue;
+      change = "modified";
+    }
+
+    result.triggers.push({
+      scope,
+      name,
+      change,
+      addedLines: lines.added,
+      removedLines: lines.removed,
+    });
+    result.codeLines.added += lines.added.length;
+    result.codeLines.removed += lines.removed.length;
+  }
+}
+
+function getElementLabel(element, properties) {
+  return (
+    element.name ||
+    properties.Name ||
+    properties.SourceExpr ||
+    properties.CaptionML ||
+    ""
+  );
+}
+
+/**
+ * Compare the elements of one section (fields, controls or actions) by ID
+ * @returns {{added: Object[], modified: Object[], removed: Object[]}}
+ */
+function diffElements(kind, standardElements, customerElements, result) {
+  const section = { added: [], modified: [], removed: [] };
+  const parse = (element) => ({
+    ...element,
+    ...parsePropertyList(element.properties),
+  });
+  const standardById = new Map(
+    (standardElements || []).map((element) => [
+      String(element.id),
+      parse(element),
+    ])
+  );
+  const customerIds = new Set();
+
+  for (const element of (customerElements || []).map(parse)) {
+    const id = String(element.id);
+    customerIds.add(id);
+    const label = getElementLabel(element, element.properties);
+    const scope = `${kind} ${id} ${label}`.trim();
+    const standard = standardById.get(id);
+
+    if (!standard) {
+      section.added.push({
+        id: element.id,
+        name: label,
+        type: element.dataType || element.type || "",
+        properties: element.properties,
+        triggers: Object.keys(element.triggers),
+      });
+      diffTriggers(scope, {}, element.triggers, result);
+      continue;
+    }
+
+    const changes = diffValues(standard.properties, element.properties);
+    for (const key of ["name", "dataType", "type", "level"]) {
+      if (
+        element[key] !== undefined &&
+        String(element[key]) !== String(standard[key])
+      ) {
+        changes.modified.unshift({
+          name: key,
+          standard: standard[key],
+          customer: element[key],
+        });
+      }
+    }
+
+    const triggerCount = result.triggers.length;
+    diffTriggers(scope, standard.triggers, element.triggers, result);
+    const changedTriggers = result.triggers
+      .slice(triggerCount)
+      .map((trigger) => trigger.name);
+
+    if (
+      changes.added.length ||
+      changes.modified.length ||
+      changes.removed.length ||
+      changedTriggers.length
+    ) {
+      section.modified.push({
+        id: element.id,
+        name: label,
+        properties: changes,
+        triggers: changedTriggers,
+      });
+    }
+  }
+
+  for (const [id, element] of standardById) {
+    if (!customerIds.has(id)) {
+      section.removed.push({
+        id: element.id,
+        name: getElementLabel(element, element.properties),
+      });
+    }
+  }
+
+  return section;
+}
+
+function diffProcedures(standardProcedures, customerProcedures, result) {
+  const section = { added: [], modified: [], removed: [] };
+  const standardByName = new Map(
+    standardProcedures.map((procedure) => [
+      procedure.name.toLowerCase(),
+      procedure,
+    ])
+  );
+  const customerNames = new Set();
+
+  for (const procedure of customerProcedures) {
+    const key = procedure.name.toLowerCase();
+    customerNames.add(key);
+    const standard = standardByName.get(key);
+
+    if (!standard) {
+      section.added.push({
+        name: procedure.name,
+        local: procedure.local,
+        lines: procedure.lines,
+      });
+      result.codeLines.added += procedure.lines.length;
+      continue;
+    }
+
+    const lines = diffLines(standard.lines, procedure.lines);
+    if (lines.added.length || lines.removed.length) {
+      section.modified.push({
+        name: procedure.name,
+        addedLines: lines.added,
+        removedLines: lines.removed,
+      });
+      result.codeLines.added += lines.added.length;
+      result.codeLines.removed += lines.removed.length;
+    }
+  }
+
+  for (const [key, procedure] of standardByName) {
+    if (!customerNames.has(key)) {
+      section.removed.push({ name: procedure.name });
+      result.codeLines.removed += procedure.lines.length;
+    }
+  }
+
+  return section;
+}
+
+function triggersToMap(triggers) {
+  const map = {};
+  for (const trigger of triggers || []) {
+    map[trigger.name] = String(trigger.code || "").split(/\r?\n/);
+  }
+  return map;
+}
+
+/**
+ * Detect the customisations of a C/AL object
+ * @param {Object} customer - Customer object as returned by parseCALToJSON,
+ *   with its Version List in versionList
+ * @param {Object} standard - Standard object of the base export, same shape
+ * @returns {Object} Customisations: customisationTags (Version List tags missing
+ *   in the standard object), properties, fields, controls, actions, triggers,
+ *   procedures, variables, codeLines ({added, removed}) and isCustomised
+ */
+function detectCustomisations(customer, standard) {
+  const customerVersions = splitVersionList(customer.versionList);
+  const standardVersions = new Set(splitVersionList(standard.versionList));
+
+  const result = {
+    object: {
+      type: customer.type,
+      id: parseInt(customer.id, 10),
+      name: customer.name,
+      versionList: customer.versionList || "",
+    },
+    standard: {
+      type: standard.type,
+      id: parseInt(standard.id, 10),
+      name: standard.name,
+      versionList: standard.versionList || "",
+    },
+    customisationTags: customerVersions.filter(
+      (version) => !standardVersions.has(version)
+    ),
+    properties: diffValues(
+      standard.properties || {},
+      customer.properties || {}
+    ),
+    fields: null,
+    controls: null,
+    actions: null,
+    triggers: [],
+    procedures: null,
+    variables: null,
+    codeLines: { added: 0, removed: 0 },
+    isCustomised: false,
+  };
+
+  diffTriggers(
+    "Object",
+    triggersToMap(standard.triggers),
+    triggersToMap(customer.triggers),
+    result
+  );
+  result.fields = diffElements(
+    "Field",
+    standard.fields,
+    customer.fields,
+    result
+  );
+  result.controls = diffElements(
+    "Control",
+    standard.controls,
+    customer.controls,
+    result
+  );
+  result.actions = diffElements(
+    "Action",
+    standard.actions,
+    customer.actions,
+    result
+  );
+
+  const standardCode = parseCodeSection(standard.code);
+  const customerCode = parseCodeSection(customer.code);
+  result.procedures = diffProcedures(
+    standardCode.procedures,
+    customerCode.procedures,
+    result
+  );
+  result.variables = diffValues(standardCode.variables, customerCode.variables);
+
+  const hasChanges = (section) =>
+    section.added.length > 0 ||
+    section.modified.length > 0 ||
+    section.removed.length > 0;
+  result.isCustomised =
+    [
+      result.properties,
+      result.fields,
+      result.controls,
+      result.actions,
+      result.procedures,
+      result.variables,
+    ].some(hasChanges) || result.triggers.length > 0;
+
+  return result;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Read a single C/AL object file in whatever encoding it was written
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readCalObjectFile(filePath) {
+  return decodeBuffer(fs.readFileSync(filePath), detectFileEncoding(filePath));
+}
+
+/**
+ * Find the standard object in a base export
+ * @param {string} standardPath - Base export .txt file, or a folder holding the
+ *   split base export (see splitObjectFile)
+ * @param {string} type - Object type, e.g. "Table"
+ * @param {string|number} id - Object ID
+ * @returns {Promise<{content: string, file: string}|null>} Object text and the file it was read from
+ */
+async function findStandardObject(standardPath, type, id) {
+  if (!fs.existsSync(standardPath)) {
+    throw new Error(`Standard objects path ${standardPath} does not exist`);
+  }
+
+  if (fs.statSync(standardPath).isFile()) {
+    const content = await readObjectFromExport(standardPath, type, id);
+    return content === null ? null : { content, file: standardPath };
+  }
+
+  // Split base export: look the object up in the split state first
+  const state = loadSplitState(standardPath);
+  const entry = state && state.objects[getObjectKey({ type, id })];
+  if (entry && fs.existsSync(path.join(standardPath, entry.file))) {
+    const file = path.join(standardPath, entry.file);
+    return { content: readCalObjectFile(file), file };
+  }
+
+  const header = new RegExp(
+    `^\\s*OBJECT\\s+${escapeRegExp(String(type))}\\s+${parseInt(id, 10)}\\b`,
+    "i"
+  );
+  const folders = [standardPath];
+  while (folders.length > 0) {
+    const folder = folders.pop();
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      const fullPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith(".")) folders.push(fullPath);
+      } else if (entry.name.toLowerCase().endsWith(".txt")) {
+        const content = readCalObjectFile(fullPath);
+        if (header.test(content)) {
+          return { content, file: fullPath };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save detected customisations next to the object's info.json
+ * @param {string} indexPath - Path of the .index folder
+ * @param {Object} customisations - Result of detectCustomisations
+ * @returns {string} Path of the written file
+ */
+function saveCustomisations(indexPath, customisations) {
+  const folder = path.join(
+    indexPath,
+    String(customisations.object.type).toLowerCase(),
+    String(customisations.object.id)
+  );
+  fs.mkdirSync(folder, { recursive: true });
+
+  const filePath = path.join(folder, CUSTOMISATIONS_FILE);
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(
+      { detectedAt: new Date().toISOString(), ...customisations },
+      null,
+      2
+    ),
+    "utf8"
+  );
+  return filePath;
+}
+
+/**
+ * Load customisations saved by saveCustomisations
+ * @param {string} indexPath - Path of the .index folder
+ * @param {string} type - Object type
+ * @param {string|number} id - Object ID
+ * @returns {Object|null}
+ */
+function loadCustomisations(indexPath, type, id) {
+  const filePath = path.join(
+    indexPath,
+    String(type).toLowerCase(),
+    String(id),
+    CUSTOMISATIONS_FILE
+  );
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading customisations ${filePath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Format detected customisations as markdown
+ * @param {Object} customisations - Result of detectCustomisations
+ * @returns {string}
+ */
+function formatCustomisationReport(customisations) {
+  const { object, standard } = customisations;
+  const count = (section) =>
+    `${section.added.length} | ${section.modified.length} | ${section.removed.length}`;
+
+  let content = `# Customisations of ${object.type} ${object.id} ${object.name}\n\n`;
+  content += `Compared with standard ${standard.type} ${standard.id} ${standard.name}\n\n`;
+  content += `- Version List: \`${object.versionList}\` (standard: \`${standard.versionList}\`)\n`;
+  if (customisations.customisationTags.length > 0) {
+    content += `- Customisation tags: ${customisations.customisationTags
+      .map((tag) => `\`${tag}\``)
+      .join(", ")}\n`;
+  }
+  content += `- Code lines: +${customisations.codeLines.added} / -${customisations.codeLines.removed}\n\n`;
+
+  if (!customisations.isCustomised) {
+    return content + `No differences to the standard object found.\n`;
+  }
+
+  content += `| | Added | Modified | Removed |\n`;
+  content += `|---|---|---|---|\n`;
+  content += `| Properties | ${count(customisations.properties)} |\n`;
+  content += `| Fields | ${count(customisations.fields)} |\n`;
+  content += `| Controls | ${count(customisations.controls)} |\n`;
+  content += `| Actions | ${count(customisations.actions)} |\n`;
+  content += `| Procedures | ${count(customisations.procedures)} |\n`;
+  content += `| Variables | ${count(customisations.variables)} |\n\n`;
+
+  const formatChanges = (changes) =>
+    [
+      ...changes.added.map((c) => `  - added ${c.name} = \`${c.value}\``),
+      ...changes.modified.map(
+        (c) => `  - changed ${c.name}: \`${c.standard}\` → \`${c.customer}\``
+      ),
+      ...changes.removed.map((c) => `  - removed ${c.name}`),
+    ].join("\n");
+
+  const elementSections = [
+    ["Fields", customisations.fields],
+    ["Controls", customisations.controls],
+    ["Actions", customisations.actions],
+  ];
+  for (const [title, section] of elementSections) {
+    if (
+      !section.added.length &&
+      !section.modified.length &&
+      !section.removed.length
+    ) {
+      continue;
+    }
+    content += `## ${title}\n\n`;
+    for (const element of section.added) {
+      content += `- ➕ ${element.id} ${element.name} ${element.type}\n`;
+    }
+    for (const element of section.modified) {
+      content += `- ✏️ ${element.id} ${element.name}\n`;
+      const changes = formatChanges(element.properties);
+      if (changes) content += `${changes}\n`;
+      for (const trigger of element.triggers) {
+        content += `  - code changed in ${trigger}\n`;
+      }
+    }
+    for (const element of section.removed) {
+      content += `- ➖ ${element.id} ${element.name}\n`;
+    }
+    content += `\n`;
+  }
+
+  const properties = formatChanges(customisations.properties);
+  if (properties) {
+    content += `## Object Properties\n\n${properties.replace(
+      /^ {2}/gm,
+      ""
+    )}\n\n`;
+  }
+
+  const variables = formatChanges(customisations.variables);
+  if (variables) {
+    content += `## Global Variables\n\n${variables.replace(/^ {2}/gm, "")}\n\n`;
+  }
+
+  const codeBlock = (lines, prefix) =>
+    lines.map((line) => `${prefix} ${line.text}`).join("\n");
+
+  if (customisations.triggers.length > 0) {
+    content += `## Triggers\n\n`;
+    for (const trigger of customisations.triggers) {
+      content += `### ${trigger.scope} - ${trigger.name} (${trigger.change})\n\n`;
+      content += "```diff\n";
+      content += [
+        codeBlock(trigger.removedLines, "-"),
+        codeBlock(trigger.addedLines, "+"),
+      ]
+        .filter(Boolean)
+        .join("\n");
+      content += "\n```\n\n";
+    }
+  }
+
+  const procedures = customisations.procedures;
+  if (
+    procedures.added.length ||
+    procedures.modified.length ||
+    procedures.removed.length
+  ) {
+    content += `## Procedures\n\n`;
+    for (const procedure of procedures.added) {
+      content += `### ➕ ${procedure.name}${
+        procedure.local ? " (local)" : ""
+      }\n\n`;
+      content += "```diff\n";
+      content += procedure.lines.map((line) => `+ ${line}`).join("\n");
+      content += "\n```\n\n";
+    }
+    for (const procedure of procedures.modified) {
+      content += `### ✏️ ${procedure.name}\n\n`;
+      content += "```diff\n";
+      content += [
+        codeBlock(procedure.removedLines, "-"),
+        codeBlock(procedure.addedLines, "+"),
+      ]
+        .filter(Boolean)
+        .join("\n");
+      content += "\n```\n\n";
+    }
+    for (const procedure of procedures.removed) {
+      content += `### ➖ ${procedure.name}\n\n`;
+    }
+  }
+
+  return content;
+}
+
+module.exports = {
+  CUSTOMISATIONS_FILE,
+  parsePropertyList,
+  parseCodeSection,
+  diffLines,
+  detectCustomisations,
+  readCalObjectFile,
+  findStandardObject,
+  saveCustomisations,
+  loadCustomisations,
+  formatCustomisationReport,
+};
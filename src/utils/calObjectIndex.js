@@ -0,0 +1,204 @@
+const fs = require("fs");
+const path = require("path");
+const { splitVersionList } = require("./calObjectProperties");
+
+/**
+ * C/AL object properties in the object index.
+ *
+ * The AL index and the split C/AL objects share .index/<type>/<id>/info.json,
+ * e.g. a customer table 50000 keeps the same number after migration. The C/AL
+ * side is therefore stored under its own "calObject" key, and every writer of
+ * info.json keeps the key of the other side:
+ *
+ *   {
+ *     "originalPath": "...", "objectType": "table", ...,   // AL index
+ *     "calObject": {                                        // split C/AL object
+ *       "type": "Table", "id": 50000, "name": "...", "file": "Tables/Table50000_X.txt",
+ *       "date": "25.10.18", "time": "12:00:00", "modified": true,
+ *       "versionList": "NAVW114.00,ABC1.02", "versions": ["NAVW114.00", "ABC1.02"],
+ *       "updatedAt": "..."
+ *     }
+ *   }
+ */
+const CAL_OBJECT_KEY = "calObject";
+
+/**
+ * Path of the info.json of an object
+ * @param {string} indexPath - Path of the .index folder
+ * @param {string} type - Object type, e.g. "Table"
+ * @param {string|number} id - Object ID
+ * @returns {string}
+ */
+function getInfoFilePath(indexPath, type, id) {
+  return path.join(
+    indexPath,
+    String(type).toLowerCase(),
+    String(id),
+    "info.json"
+  );
+}
+
+function readInfoFile(infoFilePath) {
+  if (!fs.existsSync(infoFilePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(infoFilePath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading index file ${infoFilePath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Store the properties of a split C/AL object in its info.json, other
+ * content of the file is kept
+ * @param {string} indexPath - Path of the .index folder
+ * @param {{type: string, id: number, name: string, file: string, properties: Object|null}} object
+ *   Split object, file is relative to the split output folder and properties as
+ *   returned by parseObjectProperties
+ * @returns {string} Path of the info.json
+ */
+function writeCalObjectInfo(indexPath, object) {
+  const infoFilePath = getInfoFilePath(indexPath, object.type, object.id);
+  fs.mkdirSync(path.dirname(infoFilePath), { recursive: true });
+
+  const properties = object.properties || {};
+  const info = readInfoFile(infoFilePath) || {};
+  info[CAL_OBJECT_KEY] = {
+    type: object.type,
+    id: object.id,
+    name: object.name,
+    file: object.file.split(path.sep).join("/"),
+    date: properties.date || "",
+    time: properties.time || "",
+    modified: !!properties.modified,
+    versionList: properties.versionList || "",
+    versions: properties.versions || splitVersionList(properties.versionList),
+    updatedAt: new Date().toISOString(),
+  };
+
+  fs.writeFileSync(infoFilePath, JSON.stringify(info, null, 2), "utf8");
+  return infoFilePath;
+}
+
+/**
+ * Read the C/AL object properties of an object
+ * @param {string} indexPath - Path of the .index folder
+ * @param {string} type - Object type
+ * @param {string|number} id - Object ID
+ * @returns {Object|null} The calObject entry or null
+ */
+function readCalObjectInfo(indexPath, type, id) {
+  const info = readInfoFile(getInfoFilePath(indexPath, type, id));
+  return (info && info[CAL_OBJECT_KEY]) || null;
+}
+
+/**
+ * Keep the C/AL object properties of an existing info.json when the AL
+ * index rewrites it
+ * @param {string} infoFilePath - Path of the info.json about to be written
+ * @param {Object} info - New content
+ * @returns {Object} New content, including the existing calObject entry
+ */
+function preserveCalObjectInfo(infoFilePath, info) {
+  const existing = readInfoFile(infoFilePath);
+  if (!existing || !existing[CAL_OBJECT_KEY] || info[CAL_OBJECT_KEY]) {
+    return info;
+  }
+  return { ...info, [CAL_OBJECT_KEY]: existing[CAL_OBJECT_KEY] };
+}
+
+/**
+ * Remove the AL index entry from an info.json. The file is only deleted
+ * when it holds no C/AL object properties.
+ * @param {string} infoFilePath - Path of the info.json
+ * @returns {boolean} True if the file was deleted
+ */
+function removeAlObjectInfo(infoFilePath) {
+  const existing = readInfoFile(infoFilePath);
+  if (existing && existing[CAL_OBJECT_KEY]) {
+    fs.writeFileSync(
+      infoFilePath,
+      JSON.stringify({ [CAL_OBJECT_KEY]: existing[CAL_OBJECT_KEY] }, null, 2),
+      "utf8"
+    );
+    return false;
+  }
+
+  fs.unlinkSync(infoFilePath);
+  return true;
+}
+
+/**
+ * List the C/AL object properties of all objects in the index
+ * @param {string} indexPath - Path of the .index folder
+ * @returns {Object[]} calObject entries sorted by type and ID
+ */
+function listCalObjects(indexPath) {
+  const objects = [];
+  if (!fs.existsSync(indexPath)) {
+    return objects;
+  }
+
+  for (const typeEntry of fs.readdirSync(indexPath, { withFileTypes: true })) {
+    if (!typeEntry.isDirectory()) continue;
+    const typeFolder = path.join(indexPath, typeEntry.name);
+
+    for (const idEntry of fs.readdirSync(typeFolder, { withFileTypes: true })) {
+      if (!idEntry.isDirectory()) continue;
+      const info = readInfoFile(
+        path.join(typeFolder, idEntry.name, "info.json")
+      );
+      if (info && info[CAL_OBJECT_KEY]) {
+        objects.push(info[CAL_OBJECT_KEY]);
+      }
+    }
+  }
+
+  return objects.sort(
+    (a, b) =>
+      String(a.type).localeCompare(String(b.type)) ||
+      Number(a.id) - Number(b.id)
+  );
+}
+
+/**
+ * Count the objects carrying each version tag
+ * @param {Object[]} calObjects - Entries returned by listCalObjects
+ * @returns {Array<{version: string, count: number}>} Sorted by version tag
+ */
+function countVersionTags(calObjects) {
+  const counts = new Map();
+  for (const object of calObjects) {
+    for (const version of object.versions || []) {
+      counts.set(version, (counts.get(version) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([version, count]) => ({ version, count }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Check whether a Version List carries a version tag or text
+ * @param {string} versionList - e.g. "NAVW114.00,ABC1.02"
+ * @param {string} filter - Version tag or part of it, e.g. "ABC"
+ * @returns {boolean}
+ */
+function versionListMatches(versionList, filter) {
+  if (!filter) return true;
+  return (versionList || "").toLowerCase().includes(filter.toLowerCase());
+}
+
+module.exports = {
+  CAL_OBJECT_KEY,
+  getInfoFilePath,
+  writeCalObjectInfo,
+  readCalObjectInfo,
+  preserveCalObjectInfo,
+  removeAlObjectInfo,
+  listCalObjects,
+  countVersionTags,
+  versionListMatches,
+};
@@ -0,0 +1,76 @@
+/**
+ * Parse the OBJECT-PROPERTIES block of a C/AL object
+ *
+ *   OBJECT-PROPERTIES
+ *   {
+ *     Date=25.10.18;
+ *     Time=12:00:00;
+ *     Modified=Yes;
+ *     Version List=NAVW114.00,ABC1.02;
+ *   }
+ *
+ * Date and Time are kept as exported, since their format depends on the
+ * regional settings of the exporting client.
+ * @param {string|string[]} content - Object text or its lines
+ * @returns {{date: string, time: string, modified: boolean, versionList: string, versions: string[]}|null}
+ *   Parsed properties, or null if the object has no OBJECT-PROPERTIES block
+ */
+function parseObjectProperties(content) {
+  const lines = Array.isArray(content) ? content : content.split(/\r?\n/);
+
+  let start = -1;
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed === "OBJECT-PROPERTIES") {
+      start = i;
+      break;
+    }
+    // The block always precedes the other sections
+    if (/^(PROPERTIES|FIELDS|CONTROLS|CODE|ELEMENTS|DATASET)$/.test(trimmed)) {
+      return null;
+    }
+  }
+
+  if (start === -1) {
+    return null;
+  }
+
+  const raw = {};
+  for (let i = start + 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed === "{") continue;
+    if (trimmed.startsWith("}")) break;
+
+    const match = trimmed.match(/^([^=]+)=(.*?);?$/);
+    if (match) {
+      raw[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+  }
+
+  const versionList = raw["version list"] || "";
+
+  return {
+    date: raw.date || "",
+    time: raw.time || "",
+    modified: (raw.modified || "").toLowerCase() === "yes",
+    versionList,
+    versions: splitVersionList(versionList),
+  };
+}
+
+/**
+ * Split a Version List into its version tags
+ * @param {string} versionList - e.g. "NAVW114.00,ABC1.02"
+ * @returns {string[]} e.g. ["NAVW114.00", "ABC1.02"]
+ */
+function splitVersionList(versionList) {
+  return (versionList || "")
+    .split(",")
+    .map((version) => version.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseObjectProperties,
+  splitVersionList,
+};
@@ -0,0 +1,120 @@
+/**
+ * Read the sections of a single C/AL object in text export format. Sections
+ * (PROPERTIES, FIELDS, KEYS, CONTROLS, CODE, ...) start at an indentation of
+ * two spaces, their entries are enclosed in { } and separated into columns
+ * by semicolons:
+ *
+ *   FIELDS
+ *   {
+ *     { 1   ;   ;No.                 ;Code20        ;CaptionML=ENU=No. }
+ *   }
+ */
+
+/**
+ * Type, ID and name of the object
+ * @param {string} content - Object text
+ * @returns {{type: string, id: number, name: string}|null}
+ */
+function parseObjectHeader(content) {
+  const match = content.match(/^\s*OBJECT\s+(\w+)\s+(\d+)\s+(.+?)\s*$/m);
+  if (!match) {
+    return null;
+  }
+  return { type: match[1], id: parseInt(match[2], 10), name: match[3] };
+}
+
+/**
+ * Body of a section, without the enclosing braces
+ * @param {string} content - Object text
+ * @param {string} sectionName - e.g. "FIELDS"
+ * @returns {string|null} null if the object has no such section
+ */
+function getSection(content, sectionName) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex((line) =>
+    new RegExp(`^ {2}${sectionName}\\s*$`).test(line)
+  );
+  if (start === -1 || !/^ {2}\{\s*$/.test(lines[start + 1] || "")) {
+    return null;
+  }
+
+  const body = [];
+  for (let i = start + 2; i < lines.length; i++) {
+    if (/^ {2}\}\s*$/.test(lines[i])) {
+      return body.join("\n");
+    }
+    body.push(lines[i]);
+  }
+  return null;
+}
+
+/**
+ * Split a section body into its { ... } entries. Entries start with a brace at
+ * the smallest indentation of the body, everything up to the next entry
+ * belongs to the entry (multi-line properties and triggers).
+ * @param {string} sectionBody - As returned by getSection
+ * @returns {string[]} Entry texts without the enclosing braces
+ */
+function splitSectionEntries(sectionBody) {
+  if (!sectionBody) {
+    return [];
+  }
+  const lines = sectionBody.split("\n");
+  const indents = lines
+    .filter((line) => /^\s*\{/.test(line))
+    .map((line) => line.match(/^\s*/)[0].length);
+  if (indents.length === 0) {
+    return [];
+  }
+  const entryIndent = Math.min(...indents);
+  const entryStart = new RegExp(`^ {${entryIndent}}\\{`);
+
+  const entries = [];
+  let current = null;
+  for (const line of lines) {
+    if (entryStart.test(line)) {
+      current = [line.slice(entryIndent + 1)];
+      entries.push(current);
+    } else if (current) {
+      current.push(line);
+    }
+  }
+
+  return entries.map((entryLines) =>
+    entryLines
+      .join("\n")
+      .replace(/\s*\}\s*$/, "")
+      .trimEnd()
+  );
+}
+
+/**
+ * Split an entry into its columns. The last column (the property list) may
+ * contain semicolons and is returned unchanged.
+ * @param {string} entry - Entry text as returned by splitSectionEntries
+ * @param {number} columnCount - Number of columns including the property list
+ * @returns {string[]}
+ */
+function splitEntryColumns(entry, columnCount) {
+  const columns = [];
+  let rest = entry;
+  for (let i = 0; i < columnCount - 1; i++) {
+    const separator = rest.indexOf(";");
+    if (separator === -1) {
+      columns.push(rest.trim());
+      rest = "";
+    } else {
+      columns.push(rest.slice(0, separator).trim());
+      rest = rest.slice(separator + 1);
+    }
+  }
+  columns.push(rest.trim());
+  return columns;
+}
+
+module.exports = {
+  parseObjectHeader,
+  getSection,
+  splitSectionEntries,
+  splitEntryColumns,
+};
@@ -0,0 +1,486 @@
+const { parsePropertyList } = require("./calCustomisationDetector");
+const {
+  parseObjectHeader,
+  getSection,
+  splitSectionEntries,
+  splitEntryColumns,
+} = require("./calObjectSections");
+const {
+  quoteIdentifier,
+  quoteObjectName,
+  unquote,
+  parseMultiLanguageValue,
+  formatCaption,
+} = require("./alSyntax");
+const {
+  convertPropertyLines,
+  convertTriggers,
+  convertCodeSection,
+} = require("./calTableConverter");
+const { translateCodeSection } = require("./calCodeTranslator");
+
+/**
+ * Rule-based conversion of C/AL pages to AL. The CONTROLS section becomes the
+ * layout tree (areas, groups, fields and parts nested by IndentationLevel),
+ * the ActionList becomes the actions tree. Promoted actions are added to the
+ * Promoted area as actionrefs. Trigger code is translated like for tables
+ * (see calTableConverter.js).
+ */
+
+const INDENT = "    ";
+
+const CONTAINER_AREAS = {
+  contentarea: "Content",
+  factboxarea: "FactBoxes",
+  rolecenterarea: "RoleCenter",
+};
+
+const ACTION_AREAS = {
+  actionitems: "Processing",
+  newdocumentitems: "Creation",
+  relatedinformation: "Navigation",
+  reports: "Reporting",
+  homeitems: "Embedding",
+  activitybuttons: "Sections",
+};
+
+const GROUP_TYPES = {
+  group: "group",
+  repeater: "repeater",
+  cuegroup: "cuegroup",
+  fixedlayout: "fixed",
+  gridlayout: "grid",
+};
+
+const DEFAULT_PROMOTED_CATEGORIES = ["New", "Process", "Report"];
+
+// Written by the converter itself, not by the generic property conversion
+const STRUCTURE_PROPERTIES = new Set([
+  "Name",
+  "SourceExpr",
+  "ContainerType",
+  "GroupType",
+  "PartType",
+  "PagePartID",
+  "SystemPartID",
+  "ActionContainerType",
+  "Promoted",
+  "PromotedCategory",
+  "PromotedIsBig",
+  "PromotedOnly",
+  "PromotedActionCategoriesML",
+]);
+
+/**
+ * Remove the ActionList=ACTIONS { ... } block from a property list
+ * @param {string} propertyText - Property list of the page or of a control
+ * @returns {{properties: string, actions: string|null}} Property list without
+ *   the block and the body of the block
+ */
+function extractActionList(propertyText) {
+  const lines = (propertyText || "").split("\n");
+  const start = lines.findIndex((line) =>
+    /^\s*ActionList=ACTIONS\s*$/.test(line)
+  );
+  if (start === -1 || !/^\s*\{\s*$/.test(lines[start + 1] || "")) {
+    return { properties: propertyText || "", actions: null };
+  }
+
+  const indent = lines[start + 1].match(/^\s*/)[0];
+  const end = lines.findIndex(
+    (line, index) => index > start + 1 && line === `${indent}}`
+  );
+  if (end === -1) {
+    return { properties: propertyText, actions: null };
+  }
+
+  return {
+    properties: [...lines.slice(0, start), ...lines.slice(end + 1)].join("\n"),
+    actions: lines.slice(start + 2, end).join("\n"),
+  };
+}
+
+/**
+ * Build a tree from entries with an indentation level
+ * @param {Array<{level: number}>} items
+ * @returns {Array<Object>} Root items, each with a children array
+ */
+function buildTree(items) {
+  const roots = [];
+  const stack = [];
+  for (const item of items) {
+    item.children = [];
+    while (stack.length > 0 && stack[stack.length - 1].level >= item.level) {
+      stack.pop();
+    }
+    if (stack.length === 0) {
+      roots.push(item);
+    } else {
+      stack[stack.length - 1].children.push(item);
+    }
+    stack.push(item);
+  }
+  return roots;
+}
+
+/**
+ * Entries of a CONTROLS section or an ActionList
+ * @param {string|null} sectionBody
+ * @returns {Array<{id: string, level: number, type: string, properties: Object, triggers: Object}>}
+ */
+function parseEntries(sectionBody) {
+  return splitSectionEntries(sectionBody).map((entry) => {
+    const [id, level, type, propertyText] = splitEntryColumns(entry, 4);
+    const { properties: text } = extractActionList(propertyText);
+    const { properties, triggers } = parsePropertyList(text);
+    return {
+      id,
+      level: parseInt(level, 10) || 0,
+      type: type.toLowerCase(),
+      properties,
+      triggers,
+    };
+  });
+}
+
+function omit(properties, names) {
+  return Object.fromEntries(
+    Object.entries(properties).filter(([name]) => !names.has(name))
+  );
+}
+
+/**
+ * Multi-language properties (CaptionML, ToolTipML, ...) with their
+ * translations as comments
+ */
+function convertMultiLanguageLines(properties, indent) {
+  const lines = [];
+  for (const [name, value] of Object.entries(properties)) {
+    if (!name.endsWith("ML") || STRUCTURE_PROPERTIES.has(name)) continue;
+    lines.push(
+      ...formatCaption(
+        name.slice(0, -2),
+        parseMultiLanguageValue(value),
+        ""
+      ).map((line) => `${indent}${line}`)
+    );
+  }
+  return lines;
+}
+
+function convertElementProperties(element, context, indent, extraLines = []) {
+  const other = omit(element.properties, STRUCTURE_PROPERTIES);
+  const plain = Object.fromEntries(
+    Object.entries(other).filter(([name]) => !name.endsWith("ML"))
+  );
+  return [
+    ...extraLines.map((line) => `${indent}${line}`),
+    ...convertMultiLanguageLines(other, indent),
+    ...convertPropertyLines(plain, indent),
+    ...convertTriggers(element.triggers, indent, context.code),
+  ];
+}
+
+function formatBlock(header, bodyLines, indent) {
+  return [`${indent}${header}`, `${indent}{`, ...bodyLines, `${indent}}`];
+}
+
+/**
+ * Unique control or action name: the Name property, the source field or
+ * Control<ID>
+ */
+function getUniqueName(element, usedNames, candidate, prefix) {
+  const names = [element.properties.Name, candidate].filter(Boolean);
+  for (const name of names.map(unquote)) {
+    if (!usedNames.has(name.toLowerCase())) {
+      usedNames.add(name.toLowerCase());
+      return name;
+    }
+  }
+  const fallback = `${prefix}${element.id}`;
+  usedNames.add(fallback.toLowerCase());
+  return fallback;
+}
+
+function convertControl(control, context, depth) {
+  const indent = INDENT.repeat(depth);
+  const bodyIndent = INDENT.repeat(depth + 1);
+  const properties = control.properties;
+  const children = () =>
+    control.children.flatMap((child) =>
+      convertControl(child, context, depth + 1)
+    );
+
+  switch (control.type) {
+    case "container": {
+      const area =
+        CONTAINER_AREAS[(properties.ContainerType || "").toLowerCase()] ||
+        "Content";
+      return formatBlock(`area(${area})`, children(), indent);
+    }
+    case "group": {
+      const keyword =
+        GROUP_TYPES[(properties.GroupType || "group").toLowerCase()] || "group";
+      const name = getUniqueName(control, context.usedNames, null, "Control");
+      return formatBlock(
+        `${keyword}(${quoteIdentifier(name)})`,
+        [
+          ...convertElementProperties(control, context, bodyIndent),
+          ...children(),
+        ],
+        indent
+      );
+    }
+    case "field": {
+      const sourceExpr = (properties.SourceExpr || "").trim();
+      if (!sourceExpr) break;
+
+      const isName = /^("[^"]+"|[A-Za-z_]\w*)$/.test(sourceExpr);
+      const isVariable =
+        isName && context.variables.has(unquote(sourceExpr).toLowerCase());
+      const name = getUniqueName(
+        control,
+        context.usedNames,
+        isName ? sourceExpr : null,
+        "Control"
+      );
+      const source = isName
+        ? `${isVariable ? "" : "Rec."}${quoteIdentifier(unquote(sourceExpr))}`
+        : sourceExpr;
+      return formatBlock(
+        `field(${quoteIdentifier(name)}; ${source})`,
+        convertElementProperties(control, context, bodyIndent, [
+          "ApplicationArea = All;",
+        ]),
+        indent
+      );
+    }
+    case "part": {
+      const name = getUniqueName(control, context.usedNames, null, "Control");
+      const partType = (properties.PartType || "Page").toLowerCase();
+      if (partType === "system" && properties.SystemPartID) {
+        return formatBlock(
+          `systempart(${quoteIdentifier(name)}; ${properties.SystemPartID})`,
+          convertElementProperties(control, context, bodyIndent, [
+            "ApplicationArea = All;",
+          ]),
+          indent
+        );
+      }
+      const pageMatch = (properties.PagePartID || "").match(/^Page\s*(\d+)$/i);
+      if (partType === "page" && pageMatch) {
+        return formatBlock(
+          `part(${quoteIdentifier(name)}; ${pageMatch[1]})`,
+          convertElementProperties(control, context, bodyIndent, [
+            "ApplicationArea = All;",
+          ]),
+          indent
+        );
+      }
+      break;
+    }
+  }
+
+  return [
+    `${indent}// TODO: C/AL ${control.type} control ${control.id} not converted`,
+    ...children(),
+  ];
+}
+
+function convertAction(action, context, depth) {
+  const indent = INDENT.repeat(depth);
+  const bodyIndent = INDENT.repeat(depth + 1);
+  const properties = action.properties;
+  const children = () =>
+    action.children.flatMap((child) =>
+      convertAction(child, context, depth + 1)
+    );
+
+  switch (action.type) {
+    case "actioncontainer": {
+      const area =
+        ACTION_AREAS[(properties.ActionContainerType || "").toLowerCase()] ||
+        "Processing";
+      return formatBlock(`area(${area})`, children(), indent);
+    }
+    case "actiongroup": {
+      const name = getUniqueName(action, context.usedNames, null, "Action");
+      return formatBlock(
+        `group(${quoteIdentifier(name)})`,
+        [
+          ...convertElementProperties(action, context, bodyIndent),
+          ...children(),
+        ],
+        indent
+      );
+    }
+    case "action": {
+      const name = getUniqueName(action, context.usedNames, null, "Action");
+      if (/^yes$/i.test(properties.Promoted || "")) {
+        context.promoted.push({
+          name,
+          category: properties.PromotedCategory || "New",
+        });
+      }
+      return formatBlock(
+        `action(${quoteIdentifier(name)})`,
+        convertElementProperties(action, context, bodyIndent, [
+          "ApplicationArea = All;",
+        ]),
+        indent
+      );
+    }
+  }
+
+  return [
+    `${indent}// TODO: C/AL ${action.type} ${action.id} not converted`,
+    ...children(),
+  ];
+}
+
+/**
+ * area(Promoted) with an actionref per promoted action, grouped by category
+ * @param {Array<{name: string, category: string}>} promoted
+ * @param {string} [categoriesML] - PromotedActionCategoriesML of the page
+ * @returns {string[]}
+ */
+function convertPromotedActions(promoted, categoriesML) {
+  if (promoted.length === 0) {
+    return [];
+  }
+
+  // Captions of the categories by language, in the order New, Process, Report, Category4, ...
+  const captions = {};
+  for (const [language, text] of Object.entries(
+    parseMultiLanguageValue(categoriesML)
+  )) {
+    captions[language] = text.split(",");
+  }
+
+  const categories = [];
+  for (const action of promoted) {
+    let category = categories.find((c) => c.name === action.category);
+    if (!category) {
+      category = { name: action.category, actions: [] };
+      categories.push(category);
+    }
+    category.actions.push(action.name);
+  }
+
+  const groupIndent = INDENT.repeat(3);
+  const lines = [`${INDENT.repeat(2)}area(Promoted)`, `${INDENT.repeat(2)}{`];
+  categories.forEach((category, index) => {
+    const body = [];
+    const number = category.name.match(/^Category(\d+)$/i);
+    if (number && !DEFAULT_PROMOTED_CATEGORIES.includes(category.name)) {
+      const texts = {};
+      for (const [language, values] of Object.entries(captions)) {
+        const caption = values[parseInt(number[1], 10) - 1];
+        if (caption !== undefined) texts[language] = caption;
+      }
+      if (Object.keys(texts).length > 0) {
+        body.push(
+          ...formatCaption("Caption", texts, category.name).map(
+            (line) => `${groupIndent}${INDENT}${line}`
+          )
+        );
+      }
+    }
+    for (const name of category.actions) {
+      body.push(
+        ...formatBlock(
+          `actionref(${quoteIdentifier(`${name}_Promoted`)}; ${quoteIdentifier(
+            name
+          )})`,
+          [],
+          `${groupIndent}${INDENT}`
+        )
+      );
+    }
+
+    if (index > 0) lines.push("");
+    lines.push(
+      ...formatBlock(`group(Category_${category.name})`, body, groupIndent)
+    );
+  });
+  lines.push(`${INDENT.repeat(2)}}`);
+  return lines;
+}
+
+/**
+ * Convert a C/AL page to AL
+ * @param {string} content - Text export of a single C/AL page
+ * @param {Object} [options]
+ * @param {function(string): string[]|null} [options.getRecordFields] - Field
+ *   names of a record type like "Record 37", used to expand WITH blocks
+ * @returns {{code: string}}
+ * @throws {Error} If the content is not a C/AL page
+ */
+function convertPage(content, options = {}) {
+  const page = parseObjectHeader(content);
+  if (!page || page.type.toLowerCase() !== "page") {
+    throw new Error("The content is not a C/AL page");
+  }
+
+  const { properties: propertyText, actions: actionList } = extractActionList(
+    getSection(content, "PROPERTIES")
+  );
+  const pageElement = { id: page.id, ...parsePropertyList(propertyText) };
+  const codeTranslation = translateCodeSection(getSection(content, "CODE"), {
+    getRecordFields: options.getRecordFields,
+  });
+  const context = {
+    usedNames: new Set(),
+    promoted: [],
+    variables: new Set(codeTranslation.context.variables),
+    code: codeTranslation.context,
+  };
+
+  const lines = [`page ${page.id} ${quoteObjectName(page.name)}`, "{"];
+  lines.push(
+    ...convertElementProperties(
+      { ...pageElement, triggers: {} },
+      context,
+      INDENT
+    )
+  );
+
+  const controls = buildTree(parseEntries(getSection(content, "CONTROLS")));
+  if (controls.length > 0) {
+    lines.push("", `${INDENT}layout`, `${INDENT}{`);
+    for (const control of controls) {
+      lines.push(...convertControl(control, context, 2));
+    }
+    lines.push(`${INDENT}}`);
+  }
+
+  const actions = buildTree(parseEntries(actionList));
+  if (actions.length > 0) {
+    lines.push("", `${INDENT}actions`, `${INDENT}{`);
+    for (const action of actions) {
+      lines.push(...convertAction(action, context, 2));
+    }
+    lines.push(
+      ...convertPromotedActions(
+        context.promoted,
+        pageElement.properties.PromotedActionCategoriesML
+      )
+    );
+    lines.push(`${INDENT}}`);
+  }
+
+  lines.push(
+    ...convertTriggers(pageElement.triggers, INDENT, context.code),
+    ...convertCodeSection(codeTranslation)
+  );
+  lines.push("}");
+
+  return { code: lines.join("\n") + "\n" };
+}
+
+module.exports = {
+  extractActionList,
+  parseEntries,
+  buildTree,
+  convertPage,
+};
@@ -0,0 +1,518 @@
+const { quoteIdentifier, quoteString, unquote } = require("./alSyntax");
+
+/**
+ * Convert C/AL property values (as found in the PROPERTIES, FIELDS, KEYS and
+ * CONTROLS sections of a text export) to AL property assignments. Properties
+ * without an AL equivalent are not converted, callers keep them as TODO
+ * comments.
+ */
+
+const BOOLEAN_PROPERTIES = new Set([
+  "AutoIncrement",
+  "AutoSplitKey",
+  "BlankZero",
+  "ClosingDates",
+  "Clustered",
+  "DataPerCompany",
+  "DelayedInsert",
+  "DeleteAllowed",
+  "DrillDown",
+  "Editable",
+  "Ellipsis",
+  "Enabled",
+  "HideValue",
+  "InFooterBar",
+  "InsertAllowed",
+  "LinkedInTransaction",
+  "LinkedObject",
+  "LinksAllowed",
+  "Lookup",
+  "MaintainSIFTIndex",
+  "MaintainSQLIndex",
+  "ModifyAllowed",
+  "MultiLine",
+  "MultipleNewLines",
+  "NotBlank",
+  "Numeric",
+  "PasteIsValid",
+  "QuickEntry",
+  "RefreshOnActivate",
+  "SaveValues",
+  "ShowCaption",
+  "ShowFilter",
+  "ShowMandatory",
+  "TestTableRelation",
+  "Unique",
+  "ValidateTableRelation",
+  "Visible",
+]);
+
+const TEXT_PROPERTIES = new Set([
+  "CharAllowed",
+  "Description",
+  "ExternalName",
+  "ExternalSchema",
+  "ShortCutKey",
+]);
+
+// Values that are written to AL unchanged
+const RAW_PROPERTIES = new Set([
+  "AutoFormatExpr",
+  "AutoFormatType",
+  "BlankNumbers",
+  "CaptionClass",
+  "ColumnSpan",
+  "DataCaptionExpr",
+  "DataClassification",
+  "FieldClass",
+  "Image",
+  "Importance",
+  "MaxValue",
+  "MinValue",
+  "PageType",
+  "RowSpan",
+  "RunPageMode",
+  "SignDisplacement",
+  "Style",
+  "StyleExpr",
+  "TableType",
+  "Width",
+]);
+
+// C/AL property names that are spelled differently in AL
+const RENAMED_PROPERTIES = {
+  SubType: "Subtype",
+  LookupPageID: "LookupPageId",
+  DrillDownPageID: "DrillDownPageId",
+  CardPageID: "CardPageId",
+};
+
+const OBJECT_REFERENCE_PROPERTIES = new Set([
+  "LookupPageID",
+  "DrillDownPageID",
+  "CardPageID",
+  "SourceTable",
+]);
+
+const FIELD_LIST_PROPERTIES = new Set(["DataCaptionFields", "SumIndexFields"]);
+
+const EXTENDED_DATA_TYPES = {
+  "phone no.": "PhoneNo",
+  "e-mail": "EMail",
+  url: "URL",
+  ratio: "Ratio",
+  masked: "Masked",
+  person: "Person",
+  barcode: "Barcode",
+  none: "None",
+};
+
+const CALC_FORMULA_METHODS = [
+  "Sum",
+  "Average",
+  "Count",
+  "Exist",
+  "Lookup",
+  "Max",
+  "Min",
+];
+
+/**
+ * Index of the parenthesis closing the one at openIndex
+ * @param {string} text
+ * @param {number} openIndex - Index of "("
+ * @returns {number} -1 if it is not closed
+ */
+function findClosingParenthesis(text, openIndex) {
+  let depth = 0;
+  let inQuotes = false;
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (inQuotes) continue;
+    if (char === "(") depth++;
+    if (char === ")" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split at a separator outside of quotes and parentheses
+ * @param {string} text
+ * @param {string} separator - Single character
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let current = "";
+  let depth = 0;
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else {
+      if (char === "(" || char === "[") depth++;
+      if (char === ")" || char === "]") depth--;
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = "";
+        continue;
+      }
+    }
+    current += char;
+  }
+  if (current.trim() !== "") parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Position of a keyword like WHERE or ELSE outside of quotes and parentheses
+ * @returns {number} -1 if not found
+ */
+function findTopLevelKeyword(text, keyword) {
+  const pattern = new RegExp(`^${keyword}\\b`, "i");
+  let depth = 0;
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (inQuotes) continue;
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (
+      depth === 0 &&
+      (i === 0 || /\s/.test(text[i - 1])) &&
+      pattern.test(text.slice(i))
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Field or table name, quoted for AL if needed
+ * @param {string} name - C/AL name, quoted or not
+ * @returns {string}
+ */
+function convertName(name) {
+  return quoteIdentifier(unquote(name));
+}
+
+/**
+ * Comma separated field list, e.g. No.,Name -> "No.", Name
+ * @param {string} value
+ * @returns {string}
+ */
+function convertFieldList(value) {
+  return splitTopLevel(value, ",").map(convertName).join(", ");
+}
+
+function convertConstValue(value) {
+  const text = unquote(value);
+  if (/^yes$/i.test(text)) return "true";
+  if (/^no$/i.test(text)) return "false";
+  if (/^-?\d+(\.\d+)?$/.test(text) || /^[A-Za-z_]\w*$/.test(text)) return text;
+  return `"${text}"`;
+}
+
+function convertFilterValue(value) {
+  const match = value.trim().match(/^(\w+)\((.*)\)$/);
+  if (!match) {
+    return value.trim();
+  }
+  const [, method, argument] = match;
+  switch (method.toUpperCase()) {
+    case "CONST":
+      return `const(${convertConstValue(argument)})`;
+    case "FILTER":
+      return `filter(${argument.trim()})`;
+    case "FIELD":
+      return `field(${convertFilterValue(argument)})`;
+    case "UPPERLIMIT":
+    case "LOWERLIMIT":
+      return `${method.toLowerCase()}(${convertFilterValue(argument)})`;
+    default:
+      return value.trim();
+  }
+}
+
+/**
+ * Convert the conditions of a C/AL WHERE clause or IF condition
+ * @param {string} conditions - e.g. "Customer No.=FIELD(No.),Type=CONST(Item)"
+ * @returns {string} e.g. "\"Customer No.\" = field(\"No.\"), Type = const(Item)"
+ */
+function convertTableFilter(conditions) {
+  return splitTopLevel(conditions, ",")
+    .map((condition) => {
+      const separator = condition.indexOf("=");
+      if (separator === -1) {
+        return condition;
+      }
+      const field = condition.slice(0, separator).trim();
+      const value = condition.slice(separator + 1).trim();
+      // Values of FIELD(...) and LIMIT functions are field names
+      const converted = convertFilterValue(value).replace(
+        /\b(field|upperlimit|lowerlimit)\(([^()]+)\)/g,
+        (match, method, name) => `${method}(${convertName(name)})`
+      );
+      return `${convertName(field)} = ${converted}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Table (and field) a relation or CalcFormula points to, with its WHERE clause
+ * @param {string} text - e.g. "\"Ship-to Address\".Code WHERE (Customer No.=FIELD(Sell-to Customer No.))"
+ * @returns {string}
+ */
+function convertRelationTarget(text) {
+  const whereIndex = findTopLevelKeyword(text, "WHERE");
+  const target = (whereIndex === -1 ? text : text.slice(0, whereIndex)).trim();
+
+  let table;
+  let field = "";
+  if (target.startsWith('"')) {
+    const end = target.indexOf('"', 1);
+    table = target.slice(0, end + 1);
+    field = target.slice(end + 1).replace(/^\./, "");
+  } else {
+    const dot = target.indexOf(".");
+    table = dot === -1 ? target : target.slice(0, dot);
+    field = dot === -1 ? "" : target.slice(dot + 1);
+  }
+
+  let result = convertName(table);
+  if (field.trim()) {
+    result += `.${convertName(field)}`;
+  }
+  if (whereIndex !== -1) {
+    const where = text.slice(whereIndex + "WHERE".length).trim();
+    const conditions = where.replace(/^\(/, "").replace(/\)$/, "");
+    result += ` where(${convertTableFilter(conditions)})`;
+  }
+  return result;
+}
+
+/**
+ * Convert a C/AL TableRelation, including IF ... ELSE relations
+ * @param {string} value - e.g. "IF (Type=CONST(Item)) Item ELSE IF (Type=CONST(Resource)) Resource"
+ * @returns {string} e.g. "if (Type = const(Item)) Item else if (Type = const(Resource)) Resource"
+ */
+function convertTableRelation(value) {
+  const text = value.trim();
+  if (!/^IF\s*\(/i.test(text)) {
+    return convertRelationTarget(text);
+  }
+
+  const open = text.indexOf("(");
+  const close = findClosingParenthesis(text, open);
+  if (close === -1) {
+    throw new Error(`Unbalanced parentheses in TableRelation: ${value}`);
+  }
+  const condition = text.slice(open + 1, close);
+  const rest = text.slice(close + 1).trim();
+  const elseIndex = findTopLevelKeyword(rest, "ELSE");
+  const target = elseIndex === -1 ? rest : rest.slice(0, elseIndex);
+
+  let result = `if (${convertTableFilter(condition)}) ${convertRelationTarget(
+    target
+  )}`;
+  if (elseIndex !== -1) {
+    result += ` else ${convertTableRelation(rest.slice(elseIndex + 4))}`;
+  }
+  return result;
+}
+
+/**
+ * Convert a C/AL CalcFormula
+ * @param {string} value - e.g. "-Sum(\"Cust. Ledger Entry\".Amount WHERE (Customer No.=FIELD(No.)))"
+ * @returns {string} e.g. "-sum(\"Cust. Ledger Entry\".Amount where(\"Customer No.\" = field(\"No.\")))"
+ */
+function convertCalcFormula(value) {
+  const match = value.trim().match(/^(-?)\s*(\w+)\(([\s\S]*)\)$/);
+  if (
+    !match ||
+    !CALC_FORMULA_METHODS.some(
+      (method) => method.toLowerCase() === match[2].toLowerCase()
+    )
+  ) {
+    throw new Error(`Unsupported CalcFormula: ${value}`);
+  }
+  const [, sign, method, target] = match;
+  return `${sign}${method.toLowerCase()}(${convertRelationTarget(target)})`;
+}
+
+/**
+ * Convert object permissions, e.g. TableData 17=rimd -> tabledata 17 = rimd
+ * @param {string} value - Comma separated permissions
+ * @returns {string}
+ */
+function convertPermissions(value) {
+  return splitTopLevel(value, ",")
+    .map((permission) => {
+      const match = permission.match(/^(\w+)\s+("[^"]+"|[^=]+?)\s*=\s*(\w+)$/);
+      return match
+        ? `${match[1].toLowerCase()} ${
+            /^\d+$/.test(match[2]) ? match[2] : convertName(match[2])
+          } = ${match[3]}`
+        : permission;
+    })
+    .join(", ");
+}
+
+/**
+ * Convert a C/AL table view
+ * @param {string} value - e.g. "SORTING(Posting Date) ORDER(Descending) WHERE(Open=CONST(Yes))"
+ * @returns {string} e.g. "sorting(\"Posting Date\") order(descending) where(Open = const(true))"
+ */
+function convertTableView(value) {
+  const parts = [];
+  let rest = value.trim();
+  while (rest) {
+    const match = rest.match(/^(\w+)\s*\(/);
+    if (!match) {
+      throw new Error(`Unsupported table view: ${value}`);
+    }
+    const open = rest.indexOf("(");
+    const close = findClosingParenthesis(rest, open);
+    if (close === -1) {
+      throw new Error(`Unbalanced parentheses in table view: ${value}`);
+    }
+    const argument = rest.slice(open + 1, close);
+    switch (match[1].toUpperCase()) {
+      case "SORTING":
+        parts.push(`sorting(${convertFieldList(argument)})`);
+        break;
+      case "ORDER":
+        parts.push(`order(${argument.trim().toLowerCase()})`);
+        break;
+      case "WHERE":
+        parts.push(`where(${convertTableFilter(argument)})`);
+        break;
+      default:
+        throw new Error(`Unsupported table view: ${value}`);
+    }
+    rest = rest.slice(close + 1).trim();
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Object to run from an action, e.g. Page 21 -> page 21
+ * @param {string} value
+ * @returns {string}
+ */
+function convertRunObject(value) {
+  const match = value.trim().match(/^(\w+)\s+(\d+|"[^"]+")$/);
+  if (!match) {
+    throw new Error(`Unsupported RunObject: ${value}`);
+  }
+  return `${match[1].toLowerCase()} ${match[2]}`;
+}
+
+/**
+ * Object reference like Page22 or Table18
+ * @param {string} value
+ * @returns {string} The object ID or name
+ */
+function convertObjectReference(value) {
+  const match = value
+    .trim()
+    .match(/^(?:Table|Page|Report|Codeunit|XMLport|Query)\s*(\d+)$/i);
+  return match ? match[1] : convertName(value);
+}
+
+// Yes/No, anything else is an expression like Editable=IsEditable
+function convertBoolean(value) {
+  const text = value.trim();
+  if (/^(yes|true)$/i.test(text)) return "true";
+  if (/^(no|false)$/i.test(text)) return "false";
+  return text;
+}
+
+function convertInitValue(value, dataType) {
+  const type = String(dataType || "").toLowerCase();
+  if (type === "boolean") return convertBoolean(value);
+  if (/^(code|text)\d*$/.test(type)) return quoteString(value);
+  if (type === "option") return convertName(value);
+  return value;
+}
+
+/**
+ * Convert a single C/AL property to an AL property assignment. CaptionML,
+ * OptionString, OptionCaptionML and triggers are left to the caller.
+ * @param {string} name - C/AL property name
+ * @param {string} value - C/AL property value
+ * @param {Object} [context]
+ * @param {string} [context.dataType] - C/AL data type of the field the property belongs to
+ * @returns {string|null} e.g. "Editable = false;", null if there is no AL equivalent
+ */
+function convertProperty(name, value, context = {}) {
+  const alName = RENAMED_PROPERTIES[name] || name;
+  let alValue = null;
+
+  if (BOOLEAN_PROPERTIES.has(name)) {
+    alValue = convertBoolean(value);
+  } else if (TEXT_PROPERTIES.has(name)) {
+    alValue = quoteString(value);
+  } else if (RAW_PROPERTIES.has(name) || name === "SubType") {
+    alValue = value;
+  } else if (OBJECT_REFERENCE_PROPERTIES.has(name)) {
+    alValue = convertObjectReference(value);
+  } else if (FIELD_LIST_PROPERTIES.has(name)) {
+    alValue = convertFieldList(value);
+  } else {
+    switch (name) {
+      case "DecimalPlaces":
+        alValue = value.replace(/\s*:\s*/, " : ");
+        break;
+      case "InitValue":
+        alValue = convertInitValue(value, context.dataType);
+        break;
+      case "TableRelation":
+        alValue = convertTableRelation(value);
+        break;
+      case "CalcFormula":
+        alValue = convertCalcFormula(value);
+        break;
+      case "RunObject":
+        alValue = convertRunObject(value);
+        break;
+      case "SubPageLink":
+      case "RunPageLink":
+        alValue = convertTableFilter(value);
+        break;
+      case "SubPageView":
+      case "RunPageView":
+      case "SourceTableView":
+        alValue = convertTableView(value);
+        break;
+      case "Permissions":
+      case "AccessByPermission":
+        alValue = convertPermissions(value);
+        break;
+      case "ExtendedDatatype":
+        alValue = EXTENDED_DATA_TYPES[value.trim().toLowerCase()] || null;
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return alValue === null ? null : `${alName} = ${alValue};`;
+}
+
+module.exports = {
+  splitTopLevel,
+  convertFieldList,
+  convertTableFilter,
+  convertTableRelation,
+  convertCalcFormula,
+  convertPermissions,
+  convertTableView,
+  convertRunObject,
+  convertProperty,
+};
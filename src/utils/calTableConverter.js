@@ -0,0 +1,294 @@
+const { parsePropertyList } = require("./calCustomisationDetector");
+const {
+  parseObjectHeader,
+  getSection,
+  splitSectionEntries,
+  splitEntryColumns,
+} = require("./calObjectSections");
+const {
+  quoteIdentifier,
+  quoteObjectName,
+  parseMultiLanguageValue,
+  formatCaption,
+  convertDataType,
+  limitName,
+  parseOptionString,
+  generateEnum,
+} = require("./alSyntax");
+const { convertFieldList, convertProperty } = require("./calPropertyConverter");
+const {
+  translateTrigger,
+  translateCodeSection,
+} = require("./calCodeTranslator");
+
+/**
+ * Rule-based conversion of C/AL tables to AL. The PROPERTIES, FIELDS, KEYS
+ * and FIELDGROUPS sections are converted, trigger code and the procedures of
+ * the CODE section are translated by the rule-based code translator.
+ * Properties without an AL equivalent are written as TODO comments, so
+ * nothing of the original object is lost.
+ */
+
+// Written separately from the generic property conversion
+const SPECIAL_PROPERTIES = new Set([
+  "CaptionML",
+  "OptionString",
+  "OptionCaptionML",
+]);
+
+const INDENT = "    ";
+
+/**
+ * Convert a property list, unknown properties become TODO comments
+ * @param {Object<string, string>} properties - Parsed C/AL properties
+ * @param {string} indent
+ * @param {Object} [context] - Passed to convertProperty
+ * @returns {string[]}
+ */
+function convertPropertyLines(properties, indent, context = {}) {
+  const lines = [];
+  for (const [name, value] of Object.entries(properties)) {
+    if (SPECIAL_PROPERTIES.has(name)) continue;
+
+    let line = null;
+    try {
+      line = convertProperty(name, value, context);
+    } catch {
+      // Unsupported syntax, keep the C/AL property as TODO
+    }
+    lines.push(`${indent}${line || `// TODO: ${name}=${value}`}`);
+  }
+  return lines;
+}
+
+function convertCaptionLines(properties, indent, fallback) {
+  if (!properties.CaptionML) {
+    return [];
+  }
+  return formatCaption(
+    "Caption",
+    parseMultiLanguageValue(properties.CaptionML),
+    fallback
+  ).map((line) => `${indent}${line}`);
+}
+
+/**
+ * Triggers with their C/AL code translated to AL
+ * @param {Object<string, string[]>} triggers - Trigger code lines by name
+ * @param {string} indent
+ * @param {Object} [codeContext] - Context returned by translateCodeSection
+ * @returns {string[]}
+ */
+function convertTriggers(triggers, indent, codeContext = {}) {
+  const lines = [];
+  for (const [name, code] of Object.entries(triggers)) {
+    lines.push("");
+    lines.push(`${indent}trigger ${name}()`);
+    lines.push(
+      ...translateTrigger(code, codeContext).map((line) =>
+        line ? `${indent}${line}` : line
+      )
+    );
+  }
+  return lines;
+}
+
+function convertField(entry, table, options, enums, codeContext) {
+  const [id, enabled, name, dataType, propertyText] = splitEntryColumns(
+    entry,
+    5
+  );
+  const { properties, triggers } = parsePropertyList(propertyText);
+  const indent = INDENT.repeat(3);
+  const body = [];
+
+  let alDataType = convertDataType(dataType);
+  if (alDataType === null) {
+    if (options.optionFields === "enum") {
+      const enumName = limitName(`${table.name} ${name}`);
+      const enumId = options.nextEnumId();
+      enums.push({
+        id: enumId,
+        name: enumName,
+        code: generateEnum(enumId, enumName, properties),
+      });
+      alDataType = `Enum ${quoteIdentifier(enumName)}`;
+    } else {
+      alDataType = "Option";
+    }
+  }
+
+  body.push(...convertCaptionLines(properties, indent, name));
+  if (alDataType === "Option") {
+    body.push(
+      `${indent}OptionMembers = ${parseOptionString(properties.OptionString)
+        .map(quoteIdentifier)
+        .join(",")};`
+    );
+    if (properties.OptionCaptionML) {
+      body.push(
+        ...formatCaption(
+          "OptionCaption",
+          parseMultiLanguageValue(properties.OptionCaptionML),
+          ""
+        ).map((line) => `${indent}${line}`)
+      );
+    }
+  }
+  if (/^no$/i.test(enabled)) {
+    body.push(`${indent}Enabled = false;`);
+  }
+  body.push(
+    ...convertPropertyLines(properties, indent, {
+      dataType: alDataType === "Option" ? "Option" : dataType,
+    })
+  );
+  body.push(...convertTriggers(triggers, indent, codeContext));
+
+  return [
+    `${INDENT.repeat(2)}field(${id}; ${quoteIdentifier(name)}; ${alDataType})`,
+    `${INDENT.repeat(2)}{`,
+    ...body,
+    `${INDENT.repeat(2)}}`,
+  ];
+}
+
+function convertKey(entry, index) {
+  const [enabled, fields, propertyText] = splitEntryColumns(entry, 3);
+  const { properties } = parsePropertyList(propertyText);
+  const indent = INDENT.repeat(3);
+  const body = [];
+  if (/^no$/i.test(enabled)) {
+    body.push(`${indent}Enabled = false;`);
+  }
+  body.push(...convertPropertyLines(properties, indent));
+
+  return [
+    `${INDENT.repeat(2)}key(Key${index + 1}; ${convertFieldList(fields)})`,
+    `${INDENT.repeat(2)}{`,
+    ...body,
+    `${INDENT.repeat(2)}}`,
+  ];
+}
+
+function convertFieldGroup(entry) {
+  const [, name, fields] = splitEntryColumns(entry, 3);
+  return [
+    `${INDENT.repeat(2)}fieldgroup(${quoteIdentifier(name)}; ${convertFieldList(
+      fields
+    )})`,
+    `${INDENT.repeat(2)}{`,
+    `${INDENT.repeat(2)}}`,
+  ];
+}
+
+function convertBlock(name, items) {
+  if (items.length === 0) {
+    return [];
+  }
+  const lines = ["", `${INDENT}${name}`, `${INDENT}{`];
+  items.forEach((item, index) => {
+    if (index > 0 && name === "fields") lines.push("");
+    lines.push(...item);
+  });
+  lines.push(`${INDENT}}`);
+  return lines;
+}
+
+/**
+ * Global variables and procedures of the CODE section. The documentation
+ * trigger is left to the post-corrections.
+ * @param {{variables: string[], procedures: Array<{lines: string[]}>}} translation -
+ *   Result of translateCodeSection
+ * @returns {string[]}
+ */
+function convertCodeSection(translation) {
+  const lines = [];
+  if (translation.variables.length > 0) {
+    lines.push("", `${INDENT}var`);
+    lines.push(
+      ...translation.variables.map((line) => `${INDENT.repeat(2)}${line}`)
+    );
+  }
+  for (const procedure of translation.procedures) {
+    lines.push("");
+    lines.push(
+      ...procedure.lines.map((line) => (line ? `${INDENT}${line}` : line))
+    );
+  }
+  return lines;
+}
+
+/**
+ * Convert a C/AL table to AL
+ * @param {string} content - Text export of a single C/AL table
+ * @param {Object} [options]
+ * @param {"option"|"enum"} [options.optionFields="option"] - Convert Option
+ *   fields to Option fields with OptionMembers or to enums
+ * @param {function(): number} [options.nextEnumId] - ID of the next generated
+ *   enum, e.g. the next free ID of the app.json ID ranges. Counts up from
+ *   50000 by default
+ * @param {function(string): string[]|null} [options.getRecordFields] - Field
+ *   names of a record type like "Record 37", used to expand WITH blocks
+ * @returns {{code: string, enums: Array<{id: number, name: string, code: string}>}}
+ * @throws {Error} If the content is not a C/AL table
+ */
+function convertTable(content, options = {}) {
+  let defaultEnumId = 50000;
+  const settings = {
+    optionFields: "option",
+    nextEnumId: () => defaultEnumId++,
+    ...options,
+  };
+  const table = parseObjectHeader(content);
+  if (!table || table.type.toLowerCase() !== "table") {
+    throw new Error("The content is not a C/AL table");
+  }
+
+  const { properties, triggers } = parsePropertyList(
+    getSection(content, "PROPERTIES")
+  );
+  const enums = [];
+  const codeTranslation = translateCodeSection(getSection(content, "CODE"), {
+    getRecordFields: settings.getRecordFields,
+  });
+
+  const lines = [`table ${table.id} ${quoteObjectName(table.name)}`, "{"];
+  lines.push(...convertCaptionLines(properties, INDENT, table.name));
+  if (!properties.DataClassification) {
+    lines.push(`${INDENT}DataClassification = CustomerContent;`);
+  }
+  lines.push(...convertPropertyLines(properties, INDENT));
+
+  lines.push(
+    ...convertBlock(
+      "fields",
+      splitSectionEntries(getSection(content, "FIELDS")).map((entry) =>
+        convertField(entry, table, settings, enums, codeTranslation.context)
+      )
+    ),
+    ...convertBlock(
+      "keys",
+      splitSectionEntries(getSection(content, "KEYS")).map(convertKey)
+    ),
+    ...convertBlock(
+      "fieldgroups",
+      splitSectionEntries(getSection(content, "FIELDGROUPS")).map(
+        convertFieldGroup
+      )
+    ),
+    ...convertTriggers(triggers, INDENT, codeTranslation.context),
+    ...convertCodeSection(codeTranslation)
+  );
+  lines.push("}");
+
+  return { code: lines.join("\n") + "\n", enums };
+}
+
+module.exports = {
+  convertPropertyLines,
+  convertCaptionLines,
+  convertTriggers,
+  convertCodeSection,
+  convertTable,
+};
@@ -0,0 +1,73 @@
+/**
+ * Assignment of documentation references to team members.
+ *
+ * The assignee is stored as `assignee: "<userId>"` on the stored reference,
+ * next to the `userId` of whoever changed it last. Assigning to "" removes
+ * the assignment.
+ */
+
+/**
+ * Assign a stored reference
+ * @param {Object} ref - Stored reference
+ * @param {string} assignee - User identifier, "" to unassign
+ */
+function applyAssignee(ref, assignee) {
+  if (assignee) {
+    ref.assignee = assignee;
+  } else {
+    delete ref.assignee;
+  }
+}
+
+/**
+ * Whether a reference passes an assignee filter
+ * @param {{assignee?: string}} ref
+ * @param {string|null} filter - Assignee, "" for unassigned references, null
+ *   for all references
+ * @returns {boolean}
+ */
+function matchesAssignee(ref, filter) {
+  if (filter === null || filter === undefined) {
+    return true;
+  }
+  return (ref.assignee || "") === filter;
+}
+
+/**
+ * Stored files with references assigned to a user
+ * @param {Object} storageData - Storage data keyed by file
+ * @param {string} assignee
+ * @returns {string[]} Sorted file keys
+ */
+function findAssignedFiles(storageData, assignee) {
+  return Object.keys(storageData)
+    .filter((fileKey) =>
+      (storageData[fileKey].references || []).some(
+        (ref) => ref.assignee === assignee
+      )
+    )
+    .sort();
+}
+
+/**
+ * User identifiers to offer when assigning: the current user, the configured
+ * team members and everyone who already has references assigned
+ * @param {{userId?: string, teamMembers?: string[], storageData?: Object}} sources
+ * @returns {string[]} Distinct identifiers, the current user first
+ */
+function getKnownAssignees({ userId, teamMembers, storageData }) {
+  const assigned = Object.values(storageData || {}).flatMap((fileData) =>
+    (fileData.references || []).map((ref) => ref.assignee)
+  );
+  const others = [...(teamMembers || []), ...assigned]
+    .filter((assignee) => assignee && assignee !== userId)
+    .sort((a, b) => a.localeCompare(b));
+  return [...new Set([userId, ...others].filter(Boolean))];
+}
+
+module.exports = {
+  applyAssignee,
+  matchesAssignee,
+  findAssignedFiles,
+  getKnownAssignees,
+};
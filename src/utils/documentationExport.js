@@ -0,0 +1,187 @@
+const path = require("path");
+const JSZip = require("jszip");
+const {
+  getDocumentationStates,
+  getReferenceState,
+} = require("./documentationStates");
+
+/**
+ * Export of the documentation references and their status, for tracking the
+ * upgrade in tools outside VS Code
+ */
+const EXPORT_COLUMNS = [
+  { key: "file", header: "File" },
+  { key: "line", header: "Line" },
+  { key: "docId", header: "Documentation ID" },
+  { key: "taskId", header: "Task ID" },
+  { key: "context", header: "Context" },
+  { key: "done", header: "Done" },
+  { key: "notImplemented", header: "Not Implemented" },
+  { key: "state", header: "State" },
+  { key: "assignee", header: "Assignee" },
+  { key: "note", header: "Note" },
+  { key: "user", header: "User" },
+  { key: "lastModified", header: "Last Modified" },
+];
+
+/**
+ * One export row per documentation reference
+ * @param {Object[]} refs - References of getAllDocumentationReferences
+ * @param {string} [basePath] - Files are exported relative to this folder
+ * @param {Array<Object>} [states] - Result of getDocumentationStates, the
+ *   built-in states by default
+ * @returns {Object[]} Rows with the keys of EXPORT_COLUMNS
+ */
+function toExportRows(refs, basePath, states = getDocumentationStates()) {
+  return refs.map((ref) => ({
+    file: (basePath ? path.relative(basePath, ref.filePath) : ref.filePath)
+      .split(path.sep)
+      .join("/"),
+    line: ref.lineNumber,
+    docId: ref.id,
+    taskId: ref.taskId || "",
+    context: ref.context || "",
+    done: !!ref.done,
+    notImplemented: !!ref.notImplemented,
+    state: getReferenceState(ref, states).label,
+    assignee: ref.assignee || "",
+    note: ref.userDescription || "",
+    user: ref.userId || "",
+    lastModified: ref.lastModified || "",
+  }));
+}
+
+function escapeCsvValue(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV. The byte order mark makes Excel read it as UTF-8
+ * @param {Object[]} rows - Result of toExportRows
+ * @returns {string}
+ */
+function formatCsv(rows) {
+  const lines = [
+    EXPORT_COLUMNS.map((column) => column.header),
+    ...rows.map((row) => EXPORT_COLUMNS.map((column) => row[column.key])),
+  ].map((values) => values.map(escapeCsvValue).join(","));
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Format rows as JSON Lines, one JSON object per line
+ * @param {Object[]} rows - Result of toExportRows
+ * @returns {string}
+ */
+function formatJsonLines(rows) {
+  return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+}
+
+// Control characters are not allowed in XML, except tab, line feed and
+// carriage return
+function isXmlCharacter(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function escapeXml(value) {
+  return Array.from(String(value))
+    .filter(isXmlCharacter)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function getColumnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function renderCell(value, reference) {
+  if (typeof value === "boolean") {
+    return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (typeof value === "number") {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+}
+
+/**
+ * Create an Excel workbook with one sheet of the rows
+ * @param {Object[]} rows - Result of toExportRows
+ * @returns {Promise<Buffer>}
+ */
+async function createXlsx(rows) {
+  const sheetRows = [
+    EXPORT_COLUMNS.map((column) => column.header),
+    ...rows.map((row) => EXPORT_COLUMNS.map((column) => row[column.key])),
+  ]
+    .map(
+      (values, rowIndex) =>
+        `<row r="${rowIndex + 1}">${values
+          .map((value, columnIndex) =>
+            renderCell(value, `${getColumnName(columnIndex)}${rowIndex + 1}`)
+          )
+          .join("")}</row>`
+    )
+    .join("");
+
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      "</Types>"
+  );
+  zip.file(
+    "_rels/.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>"
+  );
+  zip.file(
+    "xl/workbook.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets><sheet name="Documentation References" sheetId="1" r:id="rId1"/></sheets>' +
+      "</workbook>"
+  );
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      "</Relationships>"
+  );
+  zip.file(
+    "xl/worksheets/sheet1.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${sheetRows}</sheetData>` +
+      "</worksheet>"
+  );
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  toExportRows,
+  formatCsv,
+  formatJsonLines,
+  createXlsx,
+};
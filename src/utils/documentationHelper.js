@@ -139,23 +139,34 @@ function filterContentByDocumentationIds(content, regex) {
 }
 
 /**
- * Get storage file path for documentation reference data
+ * Get the storage location of the documentation reference data
  * @param {Function} findIndexFolder - Function to find the index folder
- * @returns {string} Path to storage file
+ * @returns {{folder: string, rootPath: string, legacyFile: string, historyFolder: string, legacyHistoryFile: string}|null}
+ *   Location for documentationStorage, null without index and workspace folder
  */
-function getDocumentationStorageFile(findIndexFolder) {
+function getDocumentationStorageLocation(findIndexFolder) {
+  const { getStorageLocation } = require("./documentationStorage");
   const indexFolder = findIndexFolder ? findIndexFolder() : null;
   if (!indexFolder) {
     // Fallback to workspace storage
     const vscode = require("vscode");
     const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
     if (!workspaceFolder) {
-      return "";
+      return null;
     }
-    return path.join(workspaceFolder, ".bc-al-docrefs.json");
+    return {
+      folder: path.join(workspaceFolder, ".bc-al-docrefs"),
+      rootPath: workspaceFolder,
+      legacyFile: path.join(workspaceFolder, ".bc-al-docrefs.json"),
+      historyFolder: path.join(workspaceFolder, ".bc-al-docrefs-history"),
+      legacyHistoryFile: path.join(
+        workspaceFolder,
+        ".bc-al-docrefs-history.json"
+      ),
+    };
   }
 
-  return path.join(indexFolder, "documentation-references.json");
+  return getStorageLocation(indexFolder);
 }
 
 /**
@@ -356,7 +367,7 @@ module.exports = {
   createDocumentationRegex,
   findDocumentationReferences,
   filterContentByDocumentationIds,
-  getDocumentationStorageFile,
+  getDocumentationStorageLocation,
   normalizePathForStorage,
   findProcedures,
   findTriggers,
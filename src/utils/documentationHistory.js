@@ -0,0 +1,403 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { sameAnchor } = require("./referenceAnchors");
+
+/**
+ * Undo/redo history of the documentation reference status, note and
+ * assignment changes, persisted next to the documentation storage in one file
+ * per user, so histories neither mix nor conflict in git:
+ *
+ *   <index folder>/documentation-history/<userId>.json
+ *
+ * History: { undo: [entry], redo: [entry] }, oldest first
+ * Entry:   { id, label, userId, timestamp, changes: [change] }
+ * Change:  { file, id, lineNumber, anchor?, before: status, after: status }
+ * Status:  { done, notImplemented, state, userDescription, assignee }
+ *
+ * Undoing applies the "before" statuses of the last entry and moves it to the
+ * redo stack, recording a new change clears the redo stack. Restored statuses
+ * are stamped with the current user and time like any other change, so a
+ * restore wins over the undone change when the storage is merged. Changes keep
+ * the anchor of their reference, which finds it again after it was moved to
+ * another line or orphaned.
+ */
+const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * Status fields of a stored reference
+ * @param {Object} [ref] - Stored reference, undefined when not stored
+ * @returns {{done: boolean, notImplemented: boolean, state: string, userDescription: string, assignee: string}}
+ */
+function getStatus(ref) {
+  return {
+    done: !!(ref && ref.done),
+    notImplemented: !!(ref && ref.notImplemented),
+    state: (ref && ref.state) || "",
+    userDescription: (ref && ref.userDescription) || "",
+    assignee: (ref && ref.assignee) || "",
+  };
+}
+
+function sameStatus(a, b) {
+  return (
+    a.done === b.done &&
+    a.notImplemented === b.notImplemented &&
+    // Entries recorded before custom states have no state
+    (a.state || "") === (b.state || "") &&
+    a.userDescription === b.userDescription &&
+    (a.assignee || "") === (b.assignee || "")
+  );
+}
+
+function findReference(storageData, file, id, lineNumber) {
+  const references = (storageData[file] && storageData[file].references) || [];
+  return references.find(
+    (ref) => ref.id === id && ref.lineNumber === lineNumber
+  );
+}
+
+/**
+ * Stored reference a change applies to. Changes with an anchor find their
+ * reference by it, also after re-anchoring moved it or in the orphaned list
+ * @param {Object} storageData - Storage data keyed by file
+ * @param {Object} change
+ * @returns {Object|undefined}
+ */
+function resolveReference(storageData, change) {
+  const fileData = storageData[change.file];
+  if (!change.anchor || !fileData) {
+    return findReference(
+      storageData,
+      change.file,
+      change.id,
+      change.lineNumber
+    );
+  }
+  const candidates = [
+    ...(fileData.references || []),
+    ...(fileData.orphaned || []),
+  ].filter((ref) => ref.id === change.id);
+  return (
+    candidates.find((ref) => sameAnchor(ref.anchor, change.anchor)) ||
+    // References stored before anchors existed
+    candidates.find(
+      (ref) => !ref.anchor && ref.lineNumber === change.lineNumber
+    )
+  );
+}
+
+/**
+ * Status changes between two versions of the storage
+ * @param {Object} before - Storage data keyed by file
+ * @param {Object} after - Storage data keyed by file
+ * @returns {Object[]} Changes ordered by file and line
+ */
+function diffStatuses(before, after) {
+  const changes = [];
+  for (const file of Object.keys(after).sort()) {
+    const seen = new Set();
+    const references = [
+      ...((after[file] && after[file].references) || []),
+      ...((before[file] && before[file].references) || []),
+    ];
+    for (const { id, lineNumber } of references) {
+      const key = `${id}\n${lineNumber}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const previousRef = findReference(before, file, id, lineNumber);
+      const currentRef = findReference(after, file, id, lineNumber);
+      const previous = getStatus(previousRef);
+      const current = getStatus(currentRef);
+      if (!sameStatus(previous, current)) {
+        const { anchor } = currentRef || previousRef;
+        changes.push({
+          file,
+          id,
+          lineNumber,
+          ...(anchor ? { anchor } : {}),
+          before: previous,
+          after: current,
+        });
+      }
+    }
+  }
+  return changes.sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) ||
+      a.lineNumber - b.lineNumber ||
+      a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Load the history
+ * @param {string} historyFile
+ * @returns {{undo: Object[], redo: Object[]}}
+ */
+function loadHistory(historyFile) {
+  try {
+    if (historyFile && fs.existsSync(historyFile)) {
+      const history = JSON.parse(fs.readFileSync(historyFile, "utf8"));
+      return { undo: history.undo || [], redo: history.redo || [] };
+    }
+  } catch (error) {
+    console.error(`Error reading documentation history ${historyFile}:`, error);
+  }
+  return { undo: [], redo: [] };
+}
+
+/**
+ * History file of a user
+ * @param {string} historyFolder
+ * @param {string} [userId] - Changes without a userId share "_default.json"
+ * @returns {string}
+ */
+function getHistoryFile(historyFolder, userId) {
+  const name = (userId || "").replace(/[^\w.@-]/g, "_") || "_default";
+  return path.join(historyFolder, `${name}.json`);
+}
+
+function isOwnEntry(entry, userId) {
+  return (entry.userId || "") === (userId || "");
+}
+
+/**
+ * Load the history of a user. Until the user's file is written, the entries
+ * of the user in the former shared history file are taken over
+ * @param {{historyFolder: string, legacyHistoryFile: string}} location
+ * @param {string} [userId]
+ * @returns {{undo: Object[], redo: Object[]}}
+ */
+function loadUserHistory(location, userId) {
+  const historyFile = getHistoryFile(location.historyFolder, userId);
+  if (fs.existsSync(historyFile)) {
+    return loadHistory(historyFile);
+  }
+  const shared = loadHistory(location.legacyHistoryFile);
+  return {
+    undo: shared.undo.filter((entry) => isOwnEntry(entry, userId)),
+    redo: shared.redo.filter((entry) => isOwnEntry(entry, userId)),
+  };
+}
+
+/**
+ * History of the whole team: the files of all users, and the entries of the
+ * former shared history file of users that have no file yet
+ * @param {{historyFolder: string, legacyHistoryFile: string}} location
+ * @returns {{undo: Object[], redo: Object[]}} Ordered by timestamp, oldest
+ *   first
+ */
+function loadTeamHistory(location) {
+  const files = fs.existsSync(location.historyFolder)
+    ? fs
+        .readdirSync(location.historyFolder)
+        .filter((name) => name.endsWith(".json"))
+    : [];
+  const histories = files.map((name) =>
+    loadHistory(path.join(location.historyFolder, name))
+  );
+  const shared = loadHistory(location.legacyHistoryFile);
+  const hasFile = (entry) =>
+    files.includes(
+      path.basename(getHistoryFile(location.historyFolder, entry.userId))
+    );
+  histories.push({
+    undo: shared.undo.filter((entry) => !hasFile(entry)),
+    redo: shared.redo.filter((entry) => !hasFile(entry)),
+  });
+
+  const byTime = (a, b) =>
+    String(a.timestamp || "").localeCompare(String(b.timestamp || ""));
+  return {
+    undo: histories.flatMap((history) => history.undo).sort(byTime),
+    redo: histories.flatMap((history) => history.redo).sort(byTime),
+  };
+}
+
+/**
+ * Last entry of an undo or redo stack made by a user. Entries of other users
+ * are skipped
+ * @param {Object[]} stack
+ * @param {string} [userId]
+ * @returns {Object|null}
+ */
+function findOwnEntry(stack, userId) {
+  for (let i = stack.length - 1; i >= 0; i--) {
+    if (isOwnEntry(stack[i], userId)) {
+      return stack[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Save the history
+ * @param {string} historyFile
+ * @param {{undo: Object[], redo: Object[]}} history
+ */
+function saveHistory(historyFile, history) {
+  fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+  fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Add a change to the undo stack and clear the redo stack
+ * @param {{undo: Object[], redo: Object[]}} history
+ * @param {{label: string, userId?: string, changes: Object[]}} change
+ * @param {Date} [date]
+ * @returns {Object} The new entry
+ */
+function recordEntry(history, { label, userId, changes }, date = new Date()) {
+  const entry = {
+    id: crypto.randomBytes(6).toString("hex"),
+    label,
+    userId: userId || "",
+    timestamp: date.toISOString(),
+    changes,
+  };
+  history.undo.push(entry);
+  history.undo.splice(0, history.undo.length - MAX_HISTORY_ENTRIES);
+  history.redo = [];
+  return entry;
+}
+
+/**
+ * Changes of an entry whose reference no longer has the status the entry
+ * left it in, e.g. because it was changed again after the entry
+ * @param {Object} storageData - Current storage data of the entry's files
+ * @param {Object} entry
+ * @param {"before"|"after"} side - Side that is about to be applied
+ * @returns {Object[]}
+ */
+function findConflicts(storageData, entry, side) {
+  const expected = side === "before" ? "after" : "before";
+  return entry.changes.filter(
+    (change) =>
+      !sameStatus(
+        getStatus(resolveReference(storageData, change)),
+        change[expected]
+      )
+  );
+}
+
+/**
+ * Set the statuses of one side of an entry in the storage data
+ * @param {Object} storageData - Storage data holding the entry's files
+ * @param {Object} entry
+ * @param {"before"|"after"} side
+ * @param {{userId?: string, lastModified: string}} stamp
+ */
+function applyEntry(storageData, entry, side, stamp) {
+  for (const change of entry.changes) {
+    if (!storageData[change.file]) {
+      storageData[change.file] = { references: [] };
+    }
+    const status = change[side];
+    let ref = resolveReference(storageData, change);
+    if (!ref) {
+      if (sameStatus(status, getStatus())) {
+        continue;
+      }
+      ref = { id: change.id, lineNumber: change.lineNumber };
+      if (change.anchor) {
+        // The line may hold another reference by now, so the status waits in
+        // the orphaned list until re-anchoring finds its reference
+        ref.anchor = change.anchor;
+        ref.orphanedAt = stamp.lastModified;
+        storageData[change.file].orphaned = [
+          ...(storageData[change.file].orphaned || []),
+          ref,
+        ];
+      } else {
+        storageData[change.file].references.push(ref);
+      }
+    }
+
+    ref.done = status.done;
+    ref.notImplemented = status.notImplemented;
+    if (status.state) {
+      ref.state = status.state;
+    } else {
+      delete ref.state;
+    }
+    if (status.userDescription) {
+      ref.userDescription = status.userDescription;
+    } else {
+      delete ref.userDescription;
+    }
+    if (status.assignee) {
+      ref.assignee = status.assignee;
+    } else {
+      delete ref.assignee;
+    }
+    if (stamp.userId) {
+      ref.userId = stamp.userId;
+    }
+    ref.lastModified = stamp.lastModified;
+  }
+}
+
+/**
+ * Short text of a status
+ * @param {{done: boolean, notImplemented: boolean, state?: string}} status
+ * @param {Array<Object>} [states] - Configured states, to label custom states
+ * @returns {string}
+ */
+function formatStatus(status, states = []) {
+  if (status.notImplemented) return "Not Implemented";
+  if (status.done) return "Done";
+  if (status.state) {
+    const state = states.find((known) => known.id === status.state);
+    return state ? state.label : status.state;
+  }
+  return "Pending";
+}
+
+/**
+ * Short text of a change, e.g. "Pending → Done"
+ * @param {Object} change
+ * @param {Array<Object>} [states] - Configured states, to label custom states
+ * @returns {string}
+ */
+function describeChange(change, states) {
+  const parts = [];
+  const before = formatStatus(change.before, states);
+  const after = formatStatus(change.after, states);
+  if (before !== after) {
+    parts.push(`${before} → ${after}`);
+  }
+  if (change.before.userDescription !== change.after.userDescription) {
+    parts.push(
+      change.after.userDescription
+        ? `Note: ${change.after.userDescription}`
+        : "Note removed"
+    );
+  }
+  if ((change.before.assignee || "") !== (change.after.assignee || "")) {
+    parts.push(
+      change.after.assignee
+        ? `Assigned to ${change.after.assignee}`
+        : "Unassigned"
+    );
+  }
+  return parts.join(", ");
+}
+
+module.exports = {
+  MAX_HISTORY_ENTRIES,
+  getStatus,
+  diffStatuses,
+  loadHistory,
+  saveHistory,
+  getHistoryFile,
+  loadUserHistory,
+  loadTeamHistory,
+  findOwnEntry,
+  recordEntry,
+  findConflicts,
+  applyEntry,
+  formatStatus,
+  describeChange,
+};
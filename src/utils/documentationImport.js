@@ -0,0 +1,423 @@
+const path = require("path");
+const { EXPORT_COLUMNS } = require("./documentationExport");
+const {
+  getDocumentationStates,
+  getReferenceState,
+  applyReferenceState,
+  normalizeReferenceState,
+} = require("./documentationStates");
+const { applyAssignee } = require("./documentationAssignments");
+
+/**
+ * Import of documentation reference statuses from a CSV file written by the
+ * export, e.g. after an offline review in a spreadsheet
+ */
+
+const REQUIRED_COLUMNS = ["file", "line", "docId"];
+
+const TRUE_VALUES = new Set(["true", "yes", "y", "x", "1"]);
+const FALSE_VALUES = new Set(["false", "no", "n", "", "0"]);
+
+/**
+ * Parse CSV text. Comma or semicolon separated, as Excel writes semicolons in
+ * some locales
+ * @param {string} text
+ * @returns {string[][]} Records, empty lines are skipped
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator =
+    firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+
+  const records = [];
+  let record = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(value);
+      if (record.length > 1 || record[0] !== "") records.push(record);
+      record = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  record.push(value);
+  if (record.length > 1 || record[0] !== "") records.push(record);
+  return records;
+}
+
+function parseFlag(value) {
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.has(text)) return true;
+  if (FALSE_VALUES.has(text)) return false;
+  return null;
+}
+
+/**
+ * Read the rows of an exported CSV file
+ * @param {string} text - CSV text with the headers of EXPORT_COLUMNS
+ * @param {Array<Object>} [states] - Result of getDocumentationStates, the
+ *   built-in states by default
+ * @returns {{rows: Object[], errors: Array<{rowNumber: number, message: string}>}}
+ *   Rows with the keys of EXPORT_COLUMNS and their rowNumber in the file;
+ *   done, notImplemented, state, assignee and note are undefined if the column is
+ *   missing or, for the state, empty. The state is the id of the state whose
+ *   label or id is in the column
+ */
+function parseImportRows(text, states = getDocumentationStates()) {
+  const [headers = [], ...records] = parseCsv(text);
+  const columns = headers.map((header) => {
+    const column = EXPORT_COLUMNS.find(
+      (candidate) =>
+        candidate.header.toLowerCase() === header.trim().toLowerCase()
+    );
+    return column ? column.key : null;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((key) => !columns.includes(key));
+  if (missing.length > 0) {
+    const names = missing.map(
+      (key) => EXPORT_COLUMNS.find((column) => column.key === key).header
+    );
+    return {
+      rows: [],
+      errors: [
+        { rowNumber: 1, message: `Missing columns: ${names.join(", ")}` },
+      ],
+    };
+  }
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const rowNumber = index + 2;
+    const values = {};
+    columns.forEach((key, columnIndex) => {
+      if (key) values[key] = record[columnIndex] ?? "";
+    });
+
+    const row = {
+      rowNumber,
+      file: values.file.trim().replace(/\\/g, "/"),
+      line: parseInt(values.line, 10),
+      docId: values.docId.trim(),
+      taskId: (values.taskId || "").trim(),
+      context: (values.context || "").trim(),
+      lastModified: (values.lastModified || "").trim(),
+    };
+    if (!row.file || !row.docId || !(row.line > 0)) {
+      errors.push({
+        rowNumber,
+        message: "File, line and documentation ID are required",
+      });
+      return;
+    }
+
+    for (const key of ["done", "notImplemented"]) {
+      if (values[key] === undefined) continue;
+      const flag = parseFlag(values[key]);
+      if (flag === null) {
+        errors.push({
+          rowNumber,
+          message: `Invalid value "${values[key]}" in column ${
+            EXPORT_COLUMNS.find((column) => column.key === key).header
+          }`,
+        });
+        return;
+      }
+      row[key] = flag;
+    }
+    const stateText = (values.state || "").trim().toLowerCase();
+    if (stateText) {
+      const state = states.find(
+        (candidate) =>
+          candidate.label.toLowerCase() === stateText ||
+          candidate.id.toLowerCase() === stateText
+      );
+      if (!state) {
+        errors.push({
+          rowNumber,
+          message: `Unknown state "${values.state}" in column State`,
+        });
+        return;
+      }
+      row.state = state.id;
+    }
+    if (values.assignee !== undefined) row.assignee = values.assignee.trim();
+    if (values.note !== undefined) row.note = values.note;
+    rows.push(row);
+  });
+
+  return { rows, errors };
+}
+
+function sameTime(a, b) {
+  if (!a || !b) return !a && !b;
+  const timeA = Date.parse(a);
+  const timeB = Date.parse(b);
+  return isNaN(timeA) || isNaN(timeB) ? a === b : timeA === timeB;
+}
+
+/**
+ * Match imported rows with the current documentation references and work out
+ * the changes. Rows are matched by file, documentation ID, task ID and line;
+ * references that moved to another line are found by their context line.
+ * A line whose context differs from the row without a match elsewhere is a
+ * conflict.
+ * A changed state replaces the done and not implemented flags of the row.
+ * @param {Object[]} rows - Rows of parseImportRows
+ * @param {Object[]} refs - References of getAllDocumentationReferences
+ * @param {string} [basePath] - Folder the exported files are relative to
+ * @param {Array<Object>} [states] - Result of getDocumentationStates
+ * @returns {{changes: Object[], conflicts: Object[], unchanged: number}}
+ *   Changes hold the ref and the new done, notImplemented, state, assignee
+ *   and note values
+ */
+function planImport(rows, refs, basePath, states = getDocumentationStates()) {
+  const relativeFile = (filePath) =>
+    (basePath ? path.relative(basePath, filePath) : filePath)
+      .split(path.sep)
+      .join("/")
+      .toLowerCase();
+  const sameReference = (row, ref) =>
+    relativeFile(ref.filePath) === row.file.toLowerCase() &&
+    ref.id === row.docId &&
+    (ref.taskId || "") === row.taskId;
+
+  const claimed = new Map();
+  const changes = [];
+  const conflicts = [];
+  let unchanged = 0;
+  const conflict = (row, reason) =>
+    conflicts.push({
+      rowNumber: row.rowNumber,
+      file: row.file,
+      line: row.line,
+      docId: row.docId,
+      reason,
+    });
+
+  for (const row of rows) {
+    const candidates = refs.filter((ref) => sameReference(row, ref));
+    let ref = candidates.find((candidate) => candidate.lineNumber === row.line);
+    let movedFrom = null;
+    if (!ref || (row.context && (ref.context || "").trim() !== row.context)) {
+      const byContext = candidates.filter(
+        (candidate) => (candidate.context || "").trim() === row.context
+      );
+      if (byContext.length === 1) {
+        ref = byContext[0];
+        movedFrom = ref.lineNumber !== row.line ? row.line : null;
+      } else if (byContext.length > 1) {
+        conflict(
+          row,
+          `Line changed, context found on lines ${byContext
+            .map((candidate) => candidate.lineNumber)
+            .join(", ")}`
+        );
+        continue;
+      } else if (!ref) {
+        conflict(row, "Reference not found");
+        continue;
+      } else {
+        // The line holds another reference with the same ID now
+        conflict(
+          row,
+          `Context changed, line ${row.line} now reads "${(
+            ref.context || ""
+          ).trim()}"`
+        );
+        continue;
+      }
+    }
+
+    const key = `${ref.filePath}|${ref.id}|${ref.lineNumber}`;
+    if (claimed.has(key)) {
+      conflict(
+        row,
+        `Same reference as row ${claimed.get(key)} (line ${ref.lineNumber})`
+      );
+      continue;
+    }
+    claimed.set(key, row.rowNumber);
+
+    const change = { row, ref, movedFrom };
+    if (
+      row.state !== undefined &&
+      row.state !== getReferenceState(ref, states).id
+    ) {
+      change.state = row.state;
+    } else {
+      if (row.done !== undefined && row.done !== !!ref.done) {
+        change.done = row.done;
+      }
+      if (
+        row.notImplemented !== undefined &&
+        row.notImplemented !== !!ref.notImplemented
+      ) {
+        change.notImplemented = row.notImplemented;
+      }
+    }
+    if (row.assignee !== undefined && row.assignee !== (ref.assignee || "")) {
+      change.assignee = row.assignee;
+    }
+    if (row.note !== undefined && row.note !== (ref.userDescription || "")) {
+      change.note = row.note;
+    }
+    if (
+      change.done === undefined &&
+      change.notImplemented === undefined &&
+      change.state === undefined &&
+      change.assignee === undefined &&
+      change.note === undefined
+    ) {
+      unchanged++;
+      continue;
+    }
+
+    // Someone else changed the reference after the export
+    if (!sameTime(row.lastModified, ref.lastModified)) {
+      conflict(
+        row,
+        `Changed${ref.userId ? ` by ${ref.userId}` : ""} at ${
+          ref.lastModified
+        }, after the export`
+      );
+      continue;
+    }
+    changes.push(change);
+  }
+
+  return { changes, conflicts, unchanged };
+}
+
+/**
+ * Apply an imported change to a stored reference, stamped like a change by
+ * hand. A reference that is not implemented cannot be done as well, and
+ * loses its workflow state when it is done or not implemented
+ * @param {Object} stored - Stored reference
+ * @param {Object} change - Change of planImport
+ * @param {{userId?: string, lastModified: string}} stamp
+ */
+function applyImportChange(stored, change, stamp) {
+  if (change.state !== undefined) {
+    applyReferenceState(stored, change.state);
+  }
+  if (change.notImplemented !== undefined) {
+    stored.notImplemented = change.notImplemented;
+    if (change.notImplemented) stored.done = false;
+  }
+  if (change.done !== undefined && !stored.notImplemented) {
+    stored.done = change.done;
+  }
+  normalizeReferenceState(stored);
+  if (change.assignee !== undefined) {
+    applyAssignee(stored, change.assignee);
+  }
+  if (change.note !== undefined) {
+    stored.userDescription = change.note;
+  }
+  if (stamp.userId) {
+    stored.userId = stamp.userId;
+  }
+  stored.lastModified = stamp.lastModified;
+}
+
+/**
+ * Describe the changes and conflicts of an import as markdown
+ * @param {{changes: Object[], conflicts: Object[], unchanged: number}} plan - Result of planImport
+ * @param {Array<{rowNumber: number, message: string}>} errors - Errors of parseImportRows
+ * @param {Array<Object>} [states] - Result of getDocumentationStates
+ * @returns {string}
+ */
+function formatImportReport(plan, errors, states = getDocumentationStates()) {
+  const status = (ref) => getReferenceState(ref, states).label;
+  const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+  let report = "# Documentation Reference Import\n\n";
+  report += `- Changes: ${plan.changes.length}\n`;
+  report += `- Unchanged: ${plan.unchanged}\n`;
+  report += `- Conflicts (skipped): ${plan.conflicts.length}\n`;
+  report += `- Invalid rows (skipped): ${errors.length}\n\n`;
+
+  if (plan.changes.length > 0) {
+    report +=
+      "## Changes\n\n| Row | File | Line | ID | Status | Assignee | Note |\n";
+    report += "| --- | --- | --- | --- | --- | --- | --- |\n";
+    for (const change of plan.changes) {
+      const { row, ref } = change;
+      const statusChanged =
+        change.done !== undefined ||
+        change.notImplemented !== undefined ||
+        change.state !== undefined;
+      const updated = {
+        done: ref.done,
+        notImplemented: ref.notImplemented,
+        state: ref.state,
+      };
+      applyImportChange(updated, change, {});
+      report += `| ${row.rowNumber} | ${cell(row.file)} | ${
+        change.movedFrom
+          ? `${ref.lineNumber} (was ${change.movedFrom})`
+          : ref.lineNumber
+      } | ${ref.id} | ${
+        statusChanged ? `${status(ref)} → ${status(updated)}` : ""
+      } | ${
+        change.assignee !== undefined
+          ? `${cell(ref.assignee || "Unassigned")} → ${cell(
+              change.assignee || "Unassigned"
+            )}`
+          : ""
+      } | ${change.note !== undefined ? cell(change.note) : ""} |\n`;
+    }
+    report += "\n";
+  }
+
+  if (plan.conflicts.length > 0) {
+    report += "## Conflicts\n\n| Row | File | Line | ID | Reason |\n";
+    report += "| --- | --- | --- | --- | --- |\n";
+    for (const conflict of plan.conflicts) {
+      report += `| ${conflict.rowNumber} | ${cell(conflict.file)} | ${
+        conflict.line
+      } | ${conflict.docId} | ${cell(conflict.reason)} |\n`;
+    }
+    report += "\n";
+  }
+
+  if (errors.length > 0) {
+    report += "## Invalid Rows\n\n| Row | Error |\n| --- | --- |\n";
+    for (const error of errors) {
+      report += `| ${error.rowNumber} | ${cell(error.message)} |\n`;
+    }
+    report += "\n";
+  }
+
+  return report;
+}
+
+module.exports = {
+  parseCsv,
+  parseImportRows,
+  planImport,
+  applyImportChange,
+  formatImportReport,
+};
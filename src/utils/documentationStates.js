@@ -0,0 +1,224 @@
+/**
+ * Lifecycle states of documentation references.
+ *
+ * The built-in states map to the stored flags: Done to `done`, Not
+ * Implemented to `notImplemented`, Pending to neither. The states configured
+ * in `bc-al-upgradeassistant.documentationStates` are stored as `state: "<id>"`
+ * on references that are neither done nor not implemented.
+ *
+ * State: { id, label, icon, color, symbol, countsAsDone }
+ *   icon          Codicon of the tree view, e.g. "sync"
+ *   color         Theme color, e.g. "charts.blue"
+ *   symbol        Emoji of the summary report
+ *   countsAsDone  Counted as completed in percentages and the Done filter
+ */
+const BUILT_IN_STATES = [
+  {
+    id: "pending",
+    label: "Pending",
+    icon: "book",
+    color: "editorGutter.modifiedBackground",
+    symbol: "⏳",
+    countsAsDone: false,
+  },
+  {
+    id: "done",
+    label: "Done",
+    icon: "check",
+    color: "editorGutter.addedBackground",
+    symbol: "✅",
+    countsAsDone: true,
+  },
+  {
+    id: "notImplemented",
+    label: "Not Implemented",
+    icon: "circle-slash",
+    color: "editorGutter.deletedBackground",
+    symbol: "❌",
+    countsAsDone: true,
+  },
+];
+
+// Hex values of the chart theme colors, for the gutter icons which cannot use
+// theme colors
+const CHART_COLORS = {
+  "charts.red": "#f14c4c",
+  "charts.blue": "#3794ff",
+  "charts.yellow": "#cca700",
+  "charts.orange": "#d18616",
+  "charts.green": "#89d185",
+  "charts.purple": "#b180d7",
+  "charts.foreground": "#cccccc",
+};
+const DEFAULT_GUTTER_COLOR = "#888888";
+
+/**
+ * Built-in and configured states, built-in first
+ * @param {Array<Object>} [configuredStates] - Value of the documentationStates setting
+ * @returns {Array<Object>}
+ */
+function getDocumentationStates(configuredStates) {
+  const states = [...BUILT_IN_STATES];
+  for (const state of configuredStates || []) {
+    if (
+      !state ||
+      typeof state.id !== "string" ||
+      !state.id.trim() ||
+      states.some((known) => known.id === state.id)
+    ) {
+      console.warn("Skipping invalid documentation state:", state);
+      continue;
+    }
+    states.push({
+      id: state.id,
+      label: state.label || state.id,
+      icon: state.icon || "circle-filled",
+      color: state.color || "charts.foreground",
+      symbol: state.symbol || "🔹",
+      countsAsDone: !!state.countsAsDone,
+    });
+  }
+  return states;
+}
+
+/**
+ * State of a documentation reference. References in a state that is no
+ * longer configured are pending
+ * @param {{done?: boolean, notImplemented?: boolean, state?: string}} ref
+ * @param {Array<Object>} states - Result of getDocumentationStates
+ * @returns {Object}
+ */
+function getReferenceState(ref, states) {
+  const id = ref.notImplemented
+    ? "notImplemented"
+    : ref.done
+    ? "done"
+    : ref.state || "pending";
+  return (
+    states.find((state) => state.id === id) ||
+    states.find((state) => state.id === "pending")
+  );
+}
+
+/**
+ * Whether a reference counts as completed
+ * @param {Object} ref
+ * @param {Array<Object>} states
+ * @returns {boolean}
+ */
+function isCompleted(ref, states) {
+  return getReferenceState(ref, states).countsAsDone;
+}
+
+/**
+ * Put a stored reference into a state
+ * @param {Object} ref - Stored reference
+ * @param {string} stateId
+ */
+function applyReferenceState(ref, stateId) {
+  ref.done = stateId === "done";
+  ref.notImplemented = stateId === "notImplemented";
+  if (BUILT_IN_STATES.some((state) => state.id === stateId)) {
+    delete ref.state;
+  } else {
+    ref.state = stateId;
+  }
+}
+
+/**
+ * Drop the custom state of a stored reference that was toggled to done or
+ * not implemented
+ * @param {Object} ref - Stored reference
+ */
+function normalizeReferenceState(ref) {
+  if (ref.state && (ref.done || ref.notImplemented)) {
+    delete ref.state;
+  }
+}
+
+/**
+ * Number of references per state, in the order of the states
+ * @param {Array<Object>} refs
+ * @param {Array<Object>} states
+ * @returns {Array<{state: Object, count: number}>}
+ */
+function countByState(refs, states) {
+  const counts = new Map(states.map((state) => [state, 0]));
+  for (const ref of refs) {
+    const state = getReferenceState(ref, states);
+    counts.set(state, counts.get(state) + 1);
+  }
+  return [...counts].map(([state, count]) => ({ state, count }));
+}
+
+/**
+ * Text of the state of a group of references for the summary report
+ * @param {Array<Object>} refs
+ * @param {Array<Object>} states
+ * @returns {string} e.g. "✅ Done"
+ */
+function getCompoundState(refs, states) {
+  const present = countByState(refs, states).filter(({ count }) => count > 0);
+  const open = present.filter(({ state }) => !state.countsAsDone);
+  const format = (state) => `${state.symbol} ${state.label}`;
+  if (present.length === 1) {
+    return format(present[0].state);
+  }
+  if (open.length === 0) {
+    return format(states.find((state) => state.id === "done"));
+  }
+  return open.length === 1 ? format(open[0].state) : "Mixed";
+}
+
+/**
+ * Share of the completed references of a file, e.g. for its file decoration
+ * @param {Array<Object>} refs - References of the file
+ * @param {Array<Object>} states
+ * @returns {{percent: number, tooltip: string, color: string|null}|null}
+ *   Color of the first open configured state, e.g. Blocked. Null for a file
+ *   without references
+ */
+function summarizeCompleteness(refs, states) {
+  if (refs.length === 0) {
+    return null;
+  }
+  const counts = countByState(refs, states).filter(({ count }) => count > 0);
+  const done = counts
+    .filter(({ state }) => state.countsAsDone)
+    .reduce((sum, { count }) => sum + count, 0);
+  const flagged = counts.find(
+    ({ state }) => !state.countsAsDone && !BUILT_IN_STATES.includes(state)
+  );
+  return {
+    percent: Math.floor((done / refs.length) * 100),
+    tooltip: [
+      `Documentation references: ${done}/${refs.length} completed`,
+      ...counts.map(({ state, count }) => `${state.label}: ${count}`),
+    ].join("\n"),
+    color: flagged ? flagged.state.color : null,
+  };
+}
+
+/**
+ * Gutter icon of a configured state: a circle in the state's color
+ * @param {Object} state
+ * @returns {string} SVG data URI
+ */
+function getStateGutterIcon(state) {
+  const color = CHART_COLORS[state.color] || DEFAULT_GUTTER_COLOR;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><circle cx="8" cy="8" r="4.5" fill="${color}"/></svg>`;
+  return `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+}
+
+module.exports = {
+  BUILT_IN_STATES,
+  getDocumentationStates,
+  getReferenceState,
+  isCompleted,
+  applyReferenceState,
+  normalizeReferenceState,
+  countByState,
+  getCompoundState,
+  summarizeCompleteness,
+  getStateGutterIcon,
+};
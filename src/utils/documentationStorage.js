@@ -0,0 +1,495 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { normalizePathForStorage } = require("./documentationHelper");
+
+/**
+ * Storage of the documentation reference statuses, one JSON shard per C/AL
+ * file, so teams can keep it in git:
+ *
+ *   <index folder>/documentation-references/Tables/Table18_Customer.txt.json
+ *
+ * Shard: { file, references: [{ id, lineNumber, done, ... }], orphaned? }
+ *   file  Path of the C/AL file relative to the storage root (the folder
+ *         holding the index folder), absolute for files outside of it
+ *
+ * Shards are written with sorted keys and references sorted by line, so the
+ * same statuses always produce the same text and toggles on different
+ * references merge line by line. Concurrent edits of the same reference are
+ * reconciled by mergeShards, either by the merge command or the git merge
+ * driver in src/cli/mergeDocumentationShards.js.
+ *
+ * In memory the storage keeps the shape of the former single JSON file:
+ *   { "<normalized absolute path>": { references: [...], orphaned?: [...] } }
+ */
+const STORAGE_FOLDER = "documentation-references";
+const LEGACY_STORAGE_FILE = "documentation-references.json";
+const HISTORY_FOLDER = "documentation-history";
+const LEGACY_HISTORY_FILE = "documentation-history.json";
+const SHARD_EXTENSION = ".json";
+const EXTERNAL_FOLDER = "_external";
+
+const CONFLICT_START = /^<{7}(\s|$)/;
+const CONFLICT_BASE = /^\|{7}(\s|$)/;
+const CONFLICT_SEPARATOR = /^={7}$/;
+const CONFLICT_END = /^>{7}(\s|$)/;
+
+/**
+ * Storage location inside an index folder
+ * @param {string} indexFolder - The .index folder of the upgraded objects
+ * @returns {{folder: string, rootPath: string, legacyFile: string, historyFolder: string, legacyHistoryFile: string}}
+ */
+function getStorageLocation(indexFolder) {
+  return {
+    folder: path.join(indexFolder, STORAGE_FOLDER),
+    rootPath: path.dirname(indexFolder),
+    legacyFile: path.join(indexFolder, LEGACY_STORAGE_FILE),
+    historyFolder: path.join(indexFolder, HISTORY_FOLDER),
+    legacyHistoryFile: path.join(indexFolder, LEGACY_HISTORY_FILE),
+  };
+}
+
+/**
+ * "file" value of the shard of a C/AL file
+ * @param {{rootPath: string}} location
+ * @param {string} fileKey - Normalized absolute path
+ * @returns {string} Relative path with forward slashes, or the fileKey for
+ *   files outside of the storage root
+ */
+function getShardPath(location, fileKey) {
+  const relative = path.relative(location.rootPath, fileKey);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return fileKey;
+  }
+  return normalizePathForStorage(relative);
+}
+
+/**
+ * Path of the shard file holding the statuses of a C/AL file
+ * @param {{folder: string, rootPath: string}} location
+ * @param {string} fileKey - Normalized absolute path
+ * @returns {string}
+ */
+function getShardFile(location, fileKey) {
+  const shardPath = getShardPath(location, fileKey);
+  if (shardPath === fileKey) {
+    const hash = crypto.createHash("sha1").update(fileKey).digest("hex");
+    return path.join(
+      location.folder,
+      EXTERNAL_FOLDER,
+      `${path.basename(fileKey)}-${hash.slice(0, 12)}${SHARD_EXTENSION}`
+    );
+  }
+  return path.join(location.folder, `${shardPath}${SHARD_EXTENSION}`);
+}
+
+/**
+ * Storage key of the C/AL file of a shard
+ * @param {{rootPath: string}} location
+ * @param {string} shardPath - "file" value of the shard
+ * @returns {string} Normalized absolute path
+ */
+function getFileKey(location, shardPath) {
+  return normalizePathForStorage(path.resolve(location.rootPath, shardPath));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => {
+        if (value[key] !== undefined) {
+          sorted[key] = sortKeys(value[key]);
+        }
+        return sorted;
+      }, {});
+  }
+  return value;
+}
+
+function compareEntries(a, b) {
+  return (
+    (a.lineNumber || 0) - (b.lineNumber || 0) ||
+    String(a.id || "").localeCompare(String(b.id || "")) ||
+    String(a.orphanedAt || "").localeCompare(String(b.orphanedAt || ""))
+  );
+}
+
+/**
+ * Format a shard with sorted keys and references
+ * @param {{file: string, references?: Object[], orphaned?: Object[]}} shard
+ * @returns {string}
+ */
+function formatShard(shard) {
+  const formatted = {
+    file: shard.file,
+    references: sortKeys([...(shard.references || [])].sort(compareEntries)),
+  };
+  if (shard.orphaned && shard.orphaned.length > 0) {
+    formatted.orphaned = sortKeys([...shard.orphaned].sort(compareEntries));
+  }
+  return `${JSON.stringify(formatted, null, 2)}\n`;
+}
+
+/**
+ * Split a file with git conflict markers into both sides, and the base when
+ * the conflicts were written in diff3 style
+ * @param {string} text
+ * @returns {{ours: string, theirs: string, base: string|null}|null} Null
+ *   without conflict markers
+ */
+function splitConflictMarkers(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines.some((line) => CONFLICT_START.test(line))) {
+    return null;
+  }
+
+  const ours = [];
+  const theirs = [];
+  const base = [];
+  let hasBase = false;
+  let side = "both";
+  for (const line of lines) {
+    if (side === "both" && CONFLICT_START.test(line)) {
+      side = "ours";
+    } else if (side === "ours" && CONFLICT_BASE.test(line)) {
+      side = "base";
+      hasBase = true;
+    } else if (
+      (side === "ours" || side === "base") &&
+      CONFLICT_SEPARATOR.test(line)
+    ) {
+      side = "theirs";
+    } else if (side === "theirs" && CONFLICT_END.test(line)) {
+      side = "both";
+    } else {
+      if (side === "both" || side === "ours") ours.push(line);
+      if (side === "both" || side === "theirs") theirs.push(line);
+      if (side === "both" || side === "base") base.push(line);
+    }
+  }
+  return {
+    ours: ours.join("\n"),
+    theirs: theirs.join("\n"),
+    base: hasBase ? base.join("\n") : null,
+  };
+}
+
+/**
+ * The later of two edits of the same reference. Edits at the same time are
+ * decided by userId, so every clone picks the same one
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function pickLatest(a, b) {
+  const aModified = a.lastModified || "";
+  const bModified = b.lastModified || "";
+  if (aModified !== bModified) {
+    return new Date(aModified || 0) > new Date(bModified || 0) ? a : b;
+  }
+  const aUser = a.userId || "";
+  const bUser = b.userId || "";
+  if (aUser !== bUser) {
+    return aUser > bUser ? a : b;
+  }
+  return JSON.stringify(sortKeys(a)) >= JSON.stringify(sortKeys(b)) ? a : b;
+}
+
+// The anchor of a reference stays the same when it moves or is orphaned, so
+// it identifies the reference in all versions of a shard
+function entryKey(entry) {
+  return entry.anchor
+    ? `${entry.id}\n${JSON.stringify(sortKeys(entry.anchor))}`
+    : `${entry.id}\n${entry.lineNumber}`;
+}
+
+function indexEntries(shard) {
+  const entries = new Map();
+  for (const list of ["references", "orphaned"]) {
+    for (const entry of (shard && shard[list]) || []) {
+      entries.set(entryKey(entry), { list, entry });
+    }
+  }
+  return entries;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function getPosition(item) {
+  return {
+    list: item.list,
+    lineNumber: item.entry.lineNumber,
+    orphanedAt: item.entry.orphanedAt,
+  };
+}
+
+/**
+ * Three-way merge of one reference. Each item is {list, entry} or undefined
+ * when the version does not hold the reference
+ */
+function mergeEntry(base, ours, theirs) {
+  if (sameValue(ours, theirs) || sameValue(base, theirs)) return ours;
+  if (sameValue(base, ours)) return theirs;
+  // Removed on one side and changed on the other: keep the change
+  if (!ours || !theirs) return ours || theirs;
+
+  const latest = pickLatest(ours.entry, theirs.entry) === ours.entry;
+  const status = latest ? ours : theirs;
+  // A move of one side is kept with the status of the later edit
+  let position = status;
+  if (base && sameValue(getPosition(base), getPosition(ours))) {
+    position = theirs;
+  } else if (base && sameValue(getPosition(base), getPosition(theirs))) {
+    position = ours;
+  }
+  const entry = { ...status.entry, lineNumber: position.entry.lineNumber };
+  delete entry.orphanedAt;
+  if (position.entry.orphanedAt) {
+    entry.orphanedAt = position.entry.orphanedAt;
+  }
+  return { list: position.list, entry };
+}
+
+/**
+ * Three-way merge of two versions of a shard against their common base.
+ * References changed on one side take that change, including moves and
+ * removals; references changed on both sides keep the edit with the later
+ * lastModified. Without a base, all references of both sides are kept
+ * @param {Object} ours
+ * @param {Object} theirs
+ * @param {Object} [base] - Version both sides started from
+ * @returns {Object} Merged shard
+ */
+function mergeShards(ours, theirs, base = {}) {
+  const baseEntries = indexEntries(base);
+  const ourEntries = indexEntries(ours);
+  const theirEntries = indexEntries(theirs);
+
+  const merged = {
+    file: ours.file || theirs.file || base.file,
+    references: [],
+    orphaned: [],
+  };
+  const keys = new Set([
+    ...baseEntries.keys(),
+    ...ourEntries.keys(),
+    ...theirEntries.keys(),
+  ]);
+  for (const key of keys) {
+    const item = mergeEntry(
+      baseEntries.get(key),
+      ourEntries.get(key),
+      theirEntries.get(key)
+    );
+    if (item) {
+      merged[item.list].push(item.entry);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parse the text of a shard. Conflict markers left by git are resolved with
+ * mergeShards
+ * @param {string} text
+ * @returns {{shard: Object, conflicted: boolean}}
+ */
+function parseShard(text) {
+  const sides = splitConflictMarkers(text);
+  if (!sides) {
+    return { shard: JSON.parse(text), conflicted: false };
+  }
+  return {
+    shard: mergeShards(
+      JSON.parse(sides.ours),
+      JSON.parse(sides.theirs),
+      sides.base === null ? undefined : JSON.parse(sides.base)
+    ),
+    conflicted: true,
+  };
+}
+
+function readShardFile(shardFile) {
+  try {
+    return parseShard(fs.readFileSync(shardFile, "utf8"));
+  } catch (error) {
+    console.error(`Error reading documentation storage ${shardFile}:`, error);
+    return null;
+  }
+}
+
+function listShardFiles(folder) {
+  if (!fs.existsSync(folder)) {
+    return [];
+  }
+  return fs
+    .readdirSync(folder, { withFileTypes: true })
+    .flatMap((entry) => {
+      const entryPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        return listShardFiles(entryPath);
+      }
+      return entry.name.endsWith(SHARD_EXTENSION) ? [entryPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Write a file through a temporary file, so readers never see half of it
+ * @param {string} filePath
+ * @param {string} content
+ */
+function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, filePath);
+}
+
+function toFileData(shard) {
+  const fileData = { references: shard.references || [] };
+  if (shard.orphaned && shard.orphaned.length > 0) {
+    fileData.orphaned = shard.orphaned;
+  }
+  return fileData;
+}
+
+/**
+ * Move the statuses of the former single storage file into shards. The old
+ * file is kept renamed to "<name>.migrated"
+ * @param {{folder: string, rootPath: string, legacyFile: string}} location
+ * @returns {number} Number of migrated files
+ */
+function migrateLegacyStorage(location) {
+  if (!location.legacyFile || !fs.existsSync(location.legacyFile)) {
+    return 0;
+  }
+
+  const legacyData = JSON.parse(fs.readFileSync(location.legacyFile, "utf8"));
+  const fileKeys = Object.keys(legacyData);
+  for (const fileKey of fileKeys) {
+    const shardFile = getShardFile(location, fileKey);
+    const existing = fs.existsSync(shardFile) && readShardFile(shardFile);
+    const legacyShard = {
+      file: getShardPath(location, fileKey),
+      ...legacyData[fileKey],
+    };
+    const shard = existing
+      ? mergeShards(existing.shard, legacyShard)
+      : legacyShard;
+    writeFileAtomic(shardFile, formatShard(shard));
+  }
+  fs.renameSync(location.legacyFile, `${location.legacyFile}.migrated`);
+  return fileKeys.length;
+}
+
+/**
+ * Read the documentation storage
+ * @param {{folder: string, rootPath: string, legacyFile: string}} location
+ * @param {string} [fileKey] - Only read the shard of this file
+ * @returns {Object} Storage data keyed by normalized absolute path
+ */
+function readDocumentationStorage(location, fileKey) {
+  migrateLegacyStorage(location);
+
+  if (fileKey) {
+    const shardFile = getShardFile(location, fileKey);
+    const result = fs.existsSync(shardFile) && readShardFile(shardFile);
+    return result ? { [fileKey]: toFileData(result.shard) } : {};
+  }
+
+  const storageData = {};
+  for (const shardFile of listShardFiles(location.folder)) {
+    const result = readShardFile(shardFile);
+    if (result && result.shard.file) {
+      storageData[getFileKey(location, result.shard.file)] = toFileData(
+        result.shard
+      );
+    }
+  }
+  return storageData;
+}
+
+/**
+ * Write the shards of the given files. Shards whose text is unchanged are not
+ * touched, shards without references are removed
+ * @param {{folder: string, rootPath: string}} location
+ * @param {Object} storageData - Storage data keyed by normalized absolute path
+ * @returns {number} Number of written or removed shards
+ */
+function writeDocumentationStorage(location, storageData) {
+  let written = 0;
+  for (const [fileKey, fileData] of Object.entries(storageData)) {
+    const shardFile = getShardFile(location, fileKey);
+    const exists = fs.existsSync(shardFile);
+
+    if (!fileData.references?.length && !fileData.orphaned?.length) {
+      if (exists) {
+        fs.unlinkSync(shardFile);
+        written++;
+      }
+      continue;
+    }
+
+    const content = formatShard({
+      file: getShardPath(location, fileKey),
+      ...fileData,
+    });
+    if (exists && fs.readFileSync(shardFile, "utf8") === content) {
+      continue;
+    }
+    writeFileAtomic(shardFile, content);
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Resolve the git conflict markers in all shards
+ * @param {{folder: string}} location
+ * @returns {{merged: string[], failed: Array<{file: string, error: string}>}}
+ *   Shard files relative to the storage folder
+ */
+function mergeStorageConflicts(location) {
+  const merged = [];
+  const failed = [];
+  for (const shardFile of listShardFiles(location.folder)) {
+    const text = fs.readFileSync(shardFile, "utf8");
+    if (!splitConflictMarkers(text)) {
+      continue;
+    }
+    const file = normalizePathForStorage(
+      path.relative(location.folder, shardFile)
+    );
+    try {
+      writeFileAtomic(shardFile, formatShard(parseShard(text).shard));
+      merged.push(file);
+    } catch (error) {
+      failed.push({ file, error: error.message });
+    }
+  }
+  return { merged, failed };
+}
+
+module.exports = {
+  STORAGE_FOLDER,
+  LEGACY_STORAGE_FILE,
+  HISTORY_FOLDER,
+  LEGACY_HISTORY_FILE,
+  getStorageLocation,
+  getShardFile,
+  formatShard,
+  splitConflictMarkers,
+  mergeShards,
+  parseShard,
+  migrateLegacyStorage,
+  readDocumentationStorage,
+  writeDocumentationStorage,
+  mergeStorageConflicts,
+};
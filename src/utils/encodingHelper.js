@@ -0,0 +1,266 @@
+const { StringDecoder } = require("string_decoder");
+
+/**
+ * Text encodings used by NAV/BC object exports.
+ *
+ * NAV 2009-2016 exports C/AL objects in the OEM code page of the client (usually cp850
+ * for German/Swiss installations) or in cp1252, newer tools write UTF-8 or UTF-16 with a BOM.
+ * Node only decodes UTF-8/UTF-16 natively, so the single byte code pages are mapped here.
+ */
+
+/** Encodings that can be read, "auto" detects one of them */
+const SOURCE_ENCODINGS = [
+  "auto",
+  "utf8",
+  "utf16le",
+  "utf16be",
+  "cp1252",
+  "cp850",
+];
+
+/** Encodings that can be written */
+const TARGET_ENCODINGS = ["utf8", "utf8bom", "utf16le", "cp1252", "cp850"];
+
+// Characters for the bytes 0x80-0xFF
+const CP850_HIGH =
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐" +
+  "└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0";
+
+// cp1252 equals latin1 except for 0x80-0x9F, undefined bytes map to the C1 control
+const CP1252_HIGH =
+  "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ" +
+  Array.from({ length: 0x60 }, (_, i) => String.fromCharCode(0xa0 + i)).join(
+    ""
+  );
+
+const SINGLE_BYTE_TABLES = {
+  cp850: CP850_HIGH,
+  cp1252: CP1252_HIGH,
+};
+
+const reverseTables = {};
+
+function getReverseTable(encoding) {
+  if (!reverseTables[encoding]) {
+    const table = new Map();
+    const high = SINGLE_BYTE_TABLES[encoding];
+    for (let i = 0; i < high.length; i++) {
+      table.set(high[i], 0x80 + i);
+    }
+    reverseTables[encoding] = table;
+  }
+  return reverseTables[encoding];
+}
+
+// Letters typical for German, Swiss and French captions, used to tell cp850 from cp1252
+const CAPTION_LETTERS = new Set("äöüÄÖÜßéèàâêôçÉÈÀ");
+
+/**
+ * Check whether a buffer is valid UTF-8. An incomplete sequence at the end is
+ * accepted, since the buffer may be a sample cut from a larger file.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isValidUtf8(buffer) {
+  let i = 0;
+  while (i < buffer.length) {
+    const byte = buffer[i];
+    let length;
+    if (byte < 0x80) {
+      i++;
+      continue;
+    } else if (byte >= 0xc2 && byte <= 0xdf) {
+      length = 2;
+    } else if (byte >= 0xe0 && byte <= 0xef) {
+      length = 3;
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      length = 4;
+    } else {
+      return false;
+    }
+
+    for (let j = 1; j < length; j++) {
+      if (i + j >= buffer.length) {
+        return true;
+      }
+      if ((buffer[i + j] & 0xc0) !== 0x80) {
+        return false;
+      }
+    }
+    i += length;
+  }
+  return true;
+}
+
+/**
+ * Detect the encoding of a C/AL export from a sample of its first bytes
+ * @param {Buffer} sample - Beginning of the file
+ * @returns {string} One of SOURCE_ENCODINGS except "auto"
+ */
+function detectEncoding(sample) {
+  if (
+    sample.length >= 3 &&
+    sample[0] === 0xef &&
+    sample[1] === 0xbb &&
+    sample[2] === 0xbf
+  ) {
+    return "utf8";
+  }
+  if (sample.length >= 2 && sample[0] === 0xff && sample[1] === 0xfe) {
+    return "utf16le";
+  }
+  if (sample.length >= 2 && sample[0] === 0xfe && sample[1] === 0xff) {
+    return "utf16be";
+  }
+
+  // UTF-16 without BOM: ASCII text has a zero in every other byte
+  const pairs = Math.floor(Math.min(sample.length, 4096) / 2);
+  if (pairs > 0) {
+    let zeroOdd = 0;
+    let zeroEven = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+      if (sample[i] === 0) zeroEven++;
+      if (sample[i + 1] === 0) zeroOdd++;
+    }
+    if (zeroOdd > pairs * 0.4 && zeroEven < pairs * 0.05) return "utf16le";
+    if (zeroEven > pairs * 0.4 && zeroOdd < pairs * 0.05) return "utf16be";
+  }
+
+  const hasHighBytes = sample.some((byte) => byte >= 0x80);
+  if (!hasHighBytes || isValidUtf8(sample)) {
+    return "utf8";
+  }
+
+  // Single byte code page: count bytes that decode to typical caption letters
+  let cp850Score = 0;
+  let cp1252Score = 0;
+  for (const byte of sample) {
+    if (byte < 0x80) continue;
+    if (CAPTION_LETTERS.has(CP850_HIGH[byte - 0x80])) cp850Score++;
+    if (CAPTION_LETTERS.has(CP1252_HIGH[byte - 0x80])) cp1252Score++;
+  }
+
+  return cp850Score > cp1252Score ? "cp850" : "cp1252";
+}
+
+/**
+ * Create an incremental decoder, multi byte sequences split across chunks are kept
+ * until the next chunk arrives. A leading BOM is removed.
+ * @param {string} encoding - One of SOURCE_ENCODINGS except "auto"
+ * @returns {{write: function(Buffer): string, end: function(): string}}
+ */
+function createDecoder(encoding) {
+  let isFirstChunk = true;
+  const stripBom = (text) => {
+    if (isFirstChunk && text.length > 0) {
+      isFirstChunk = false;
+      return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    }
+    return text;
+  };
+
+  if (SINGLE_BYTE_TABLES[encoding]) {
+    const high = SINGLE_BYTE_TABLES[encoding];
+    return {
+      write: (buffer) => {
+        let text = "";
+        for (const byte of buffer) {
+          text += byte < 0x80 ? String.fromCharCode(byte) : high[byte - 0x80];
+        }
+        return text;
+      },
+      end: () => "",
+    };
+  }
+
+  if (encoding === "utf16be") {
+    const decoder = new StringDecoder("utf16le");
+    let carry = null;
+    const swap = (buffer) => {
+      const bytes = carry ? Buffer.concat([carry, buffer]) : buffer;
+      const evenLength = bytes.length - (bytes.length % 2);
+      carry = evenLength < bytes.length ? bytes.subarray(evenLength) : null;
+      return Buffer.from(bytes.subarray(0, evenLength)).swap16();
+    };
+    return {
+      write: (buffer) => stripBom(decoder.write(swap(buffer))),
+      end: () => stripBom(decoder.end()),
+    };
+  }
+
+  if (encoding === "utf8" || encoding === "utf16le") {
+    const decoder = new StringDecoder(encoding);
+    return {
+      write: (buffer) => stripBom(decoder.write(buffer)),
+      end: () => stripBom(decoder.end()),
+    };
+  }
+
+  throw new Error(
+    `Unsupported source encoding "${encoding}", expected one of: ${SOURCE_ENCODINGS.join(
+      ", "
+    )}`
+  );
+}
+
+/**
+ * Decode a complete buffer
+ * @param {Buffer} buffer
+ * @param {string} encoding - Source or target encoding
+ * @returns {string}
+ */
+function decodeBuffer(buffer, encoding) {
+  const decoder = createDecoder(encoding === "utf8bom" ? "utf8" : encoding);
+  return decoder.write(buffer) + decoder.end();
+}
+
+/**
+ * Encode text for writing. Characters that do not exist in a single byte
+ * code page are written as "?".
+ * @param {string} text
+ * @param {string} encoding - One of TARGET_ENCODINGS
+ * @returns {Buffer}
+ */
+function encodeText(text, encoding) {
+  switch (encoding) {
+    case "utf8":
+      return Buffer.from(text, "utf8");
+    case "utf8bom":
+      return Buffer.concat([
+        Buffer.from([0xef, 0xbb, 0xbf]),
+        Buffer.from(text, "utf8"),
+      ]);
+    case "utf16le":
+      return Buffer.concat([
+        Buffer.from([0xff, 0xfe]),
+        Buffer.from(text, "utf16le"),
+      ]);
+    case "cp850":
+    case "cp1252": {
+      const reverse = getReverseTable(encoding);
+      const bytes = Buffer.alloc(text.length);
+      let length = 0;
+      for (const char of text) {
+        const code = char.charCodeAt(0);
+        bytes[length++] =
+          code < 0x80 ? code : reverse.has(char) ? reverse.get(char) : 0x3f;
+      }
+      return bytes.subarray(0, length);
+    }
+    default:
+      throw new Error(
+        `Unsupported target encoding "${encoding}", expected one of: ${TARGET_ENCODINGS.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+module.exports = {
+  SOURCE_ENCODINGS,
+  TARGET_ENCODINGS,
+  detectEncoding,
+  createDecoder,
+  decodeBuffer,
+  encodeText,
+};
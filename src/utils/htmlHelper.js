@@ -0,0 +1,16 @@
+/**
+ * Escape text for HTML content and attribute values of the webview reports
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = {
+  escapeHtml,
+};
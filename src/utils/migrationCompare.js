@@ -0,0 +1,540 @@
+const {
+  parsePropertyList,
+  parseCodeSection,
+  loadCustomisations,
+} = require("./calCustomisationDetector");
+const {
+  parseObjectHeader,
+  getSection,
+  splitSectionEntries,
+  splitEntryColumns,
+} = require("./calObjectSections");
+const { extractActionList, parseEntries } = require("./calPageConverter");
+const {
+  getDocumentationStates,
+  isCompleted,
+} = require("./documentationStates");
+
+/**
+ * Side-by-side comparison of a C/AL object and the AL object it was migrated
+ * to. Both objects are reduced to their fields, controls, triggers and
+ * procedures, each with a key that is equal on both sides:
+ *
+ *   field:no.                    Table field "No."
+ *   control:no.                  Page field with SourceExpr "No." / Rec."No."
+ *   control:general              Named group or part
+ *   trigger::oninsert            Object trigger
+ *   trigger:field:no.:onvalidate Trigger of a field or control
+ *   procedure:checkbonus         Procedure
+ */
+
+const KINDS = ["field", "control", "trigger", "procedure"];
+
+// AL control types of pages and page extensions
+const AL_CONTROLS = new Set([
+  "group",
+  "part",
+  "systempart",
+  "repeater",
+  "cuegroup",
+  "grid",
+  "fixed",
+  "usercontrol",
+]);
+
+// Triggers of extensions that take the place of the C/AL trigger
+const TRIGGER_ALIASES = {
+  onbeforevalidate: "onvalidate",
+  onaftervalidate: "onvalidate",
+  onbeforeinsert: "oninsert",
+  onafterinsert: "oninsert",
+  onbeforemodify: "onmodify",
+  onaftermodify: "onmodify",
+  onbeforedelete: "ondelete",
+  onafterdelete: "ondelete",
+  onbeforerename: "onrename",
+  onafterrename: "onrename",
+};
+
+function unquote(text) {
+  return String(text).trim().replace(/^"|"$/g, "");
+}
+
+/**
+ * Normalize a C/AL SourceExpr or AL field expression: "No." and Rec."No."
+ * both become no.
+ * @param {string} expression
+ * @returns {string}
+ */
+function normalizeExpression(expression) {
+  return String(expression)
+    .trim()
+    .replace(/^Rec\s*\./i, "")
+    .replace(/"/g, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+function triggerKey(owner, name) {
+  const trigger = name.toLowerCase();
+  return `trigger:${owner}:${TRIGGER_ALIASES[trigger] || trigger}`;
+}
+
+/**
+ * Line numbers (0-based) of the first line matching a pattern, searched from
+ * a start line on
+ */
+function findLine(lines, pattern, from = 0) {
+  for (let i = Math.max(from, 0); i < lines.length; i++) {
+    if (pattern.test(lines[i])) return i;
+  }
+  return -1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Fields, controls, triggers and procedures of a C/AL object
+ * @param {string} content - C/AL object text
+ * @returns {{object: {type: string, id: number, name: string}|null,
+ *   elements: Array<{kind: string, key: string, label: string, line: number, calId: string|null}>}}
+ */
+function extractCalElements(content) {
+  const object = parseObjectHeader(content);
+  const lines = content.split(/\r?\n/);
+  const elements = [];
+  const add = (kind, key, label, line, calId = null) =>
+    elements.push({ kind, key, label, line, calId });
+
+  const addTriggers = (owner, ownerLabel, triggers, fromLine, calId) => {
+    for (const name of Object.keys(triggers)) {
+      add(
+        "trigger",
+        triggerKey(owner, name),
+        ownerLabel ? `${ownerLabel} - ${name}` : name,
+        findLine(lines, new RegExp(`\\b${name}=(BEGIN|VAR)\\b`, "i"), fromLine),
+        calId
+      );
+    }
+  };
+
+  const propertiesLine = findLine(lines, /^ {2}PROPERTIES\s*$/);
+  addTriggers(
+    "",
+    "",
+    parsePropertyList(
+      extractActionList(getSection(content, "PROPERTIES")).properties
+    ).triggers,
+    propertiesLine,
+    null
+  );
+
+  const fieldsLine = findLine(lines, /^ {2}FIELDS\s*$/);
+  for (const entry of splitSectionEntries(getSection(content, "FIELDS"))) {
+    const [id, , name, , propertyText] = splitEntryColumns(entry, 5);
+    const line = findLine(
+      lines,
+      new RegExp(`^\\s*\\{\\s*${escapeRegExp(id)}\\s*;`),
+      fieldsLine
+    );
+    add("field", `field:${name.toLowerCase()}`, `${id} ${name}`, line, id);
+    addTriggers(
+      `field:${name.toLowerCase()}`,
+      `"${name}"`,
+      parsePropertyList(propertyText).triggers,
+      line,
+      id
+    );
+  }
+
+  const controlsLine = findLine(lines, /^ {2}CONTROLS\s*$/);
+  for (const control of parseEntries(getSection(content, "CONTROLS"))) {
+    const { SourceExpr: sourceExpr, Name: name } = control.properties;
+    let owner = null;
+    let label = null;
+    if (control.type === "field" && sourceExpr) {
+      owner = `control:${normalizeExpression(sourceExpr)}`;
+      label = sourceExpr;
+    } else if (control.type !== "container") {
+      // Unnamed controls are named Control<ID> in AL
+      const controlName = name || `Control${control.id}`;
+      owner = `control:${controlName.toLowerCase()}`;
+      label = `${control.type} ${controlName}`;
+    }
+    if (!owner) continue;
+
+    const line = findLine(
+      lines,
+      new RegExp(`^\\s*\\{\\s*${escapeRegExp(control.id)}\\s*;`),
+      controlsLine
+    );
+    add("control", owner, label, line, control.id);
+    addTriggers(owner, label, control.triggers, line, control.id);
+  }
+
+  const codeLine = findLine(lines, /^ {2}CODE\s*$/);
+  for (const procedure of parseCodeSection(getSection(content, "CODE"))
+    .procedures) {
+    add(
+      "procedure",
+      `procedure:${procedure.name.toLowerCase()}`,
+      procedure.name,
+      findLine(
+        lines,
+        new RegExp(`PROCEDURE\\s+"?${escapeRegExp(procedure.name)}"?@`, "i"),
+        codeLine
+      )
+    );
+  }
+
+  return { object, elements };
+}
+
+/**
+ * Replace comments and string literals with spaces, keeping quoted
+ * identifiers, so braces in them are not counted
+ */
+function maskAlLine(line, state) {
+  let result = "";
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (state.inComment) {
+      if (char === "*" && line[i + 1] === "/") {
+        state.inComment = false;
+        i++;
+      }
+      result += " ";
+    } else if (char === "/" && line[i + 1] === "/") {
+      break;
+    } else if (char === "/" && line[i + 1] === "*") {
+      state.inComment = true;
+      result += " ";
+      i++;
+    } else if (char === "'") {
+      const end = line.indexOf("'", i + 1);
+      const stop = end === -1 ? line.length : end;
+      result += " ".repeat(stop - i + 1);
+      i = stop;
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+function splitArguments(text) {
+  const args = [];
+  let current = "";
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === ";" && !quoted) {
+      args.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  args.push(current.trim());
+  return args;
+}
+
+/**
+ * Fields, controls, triggers and procedures of an AL object
+ * @param {string} content - AL object text
+ * @returns {{object: {type: string, id: number, name: string}|null,
+ *   elements: Array<{kind: string, key: string, label: string, line: number}>}}
+ */
+function extractAlElements(content) {
+  const lines = content.split(/\r?\n/);
+  const elements = [];
+  const stack = [];
+  const state = { inComment: false };
+  let object = null;
+  let pending = null;
+
+  const add = (kind, key, label, line) =>
+    elements.push({ kind, key, label, line });
+
+  lines.forEach((rawLine, index) => {
+    const line = maskAlLine(rawLine, state);
+
+    if (!object) {
+      const header = line.match(/^\s*(\w+)\s+(\d+)\s+("[^"]+"|\w+)/);
+      if (header) {
+        object = {
+          type: header[1].toLowerCase(),
+          id: parseInt(header[2], 10),
+          name: unquote(header[3]),
+        };
+      }
+    }
+
+    const element = line.match(/^\s*(\w+)\s*\((.*)\)\s*(\{.*)?$/);
+    const trigger = line.match(/^\s*trigger\s+(\w+)\s*\(/i);
+    const procedure = line.match(
+      /^\s*(?:(?:local|internal|protected)\s+)?procedure\s+("[^"]+"|\w+)\s*\(/i
+    );
+
+    // Actions are not compared
+    const inActions = stack.some((item) => item.actions);
+
+    if (/^\s*actions\s*$/i.test(line)) {
+      pending = { actions: true };
+    } else if (trigger) {
+      const owner = [...stack].reverse().find((item) => item.owner);
+      if (!inActions) {
+        add(
+          "trigger",
+          triggerKey(owner ? owner.owner : "", trigger[1]),
+          owner ? `${owner.label} - ${trigger[1]}` : trigger[1],
+          index
+        );
+      }
+    } else if (procedure) {
+      const name = unquote(procedure[1]);
+      add("procedure", `procedure:${name.toLowerCase()}`, name, index);
+    } else if (element && !inActions) {
+      const type = element[1].toLowerCase();
+      const args = splitArguments(element[2]);
+      pending = null;
+
+      if (type === "field" && /^\d+$/.test(args[0]) && args.length >= 3) {
+        const name = unquote(args[1]);
+        pending = { owner: `field:${name.toLowerCase()}`, label: `"${name}"` };
+        add("field", pending.owner, `${args[0]} ${name}`, index);
+      } else if (type === "field" && args.length >= 2) {
+        pending = {
+          owner: `control:${normalizeExpression(args[1])}`,
+          label: args[1],
+        };
+        add("control", pending.owner, args[1], index);
+      } else if (type === "modify" && object) {
+        const name = unquote(args[0]);
+        const kind = object.type === "tableextension" ? "field" : "control";
+        pending = {
+          owner: `${kind}:${name.toLowerCase()}`,
+          label: `"${name}"`,
+        };
+        add(kind, pending.owner, `modify("${name}")`, index);
+      } else if (AL_CONTROLS.has(type)) {
+        const name = unquote(args[0]);
+        pending = {
+          owner: `control:${name.toLowerCase()}`,
+          label: `${type} ${name}`,
+        };
+        add("control", pending.owner, pending.label, index);
+      }
+    }
+
+    for (const char of line) {
+      if (char === "{") {
+        stack.push(pending || {});
+        pending = null;
+      } else if (char === "}") {
+        stack.pop();
+      }
+    }
+  });
+
+  return { object, elements };
+}
+
+/**
+ * Align the elements of both objects by key
+ * @param {Object[]} calElements - Result of extractCalElements
+ * @param {Object[]} alElements - Result of extractAlElements
+ * @returns {{rows: Array<{kind: string, cal: Object|null, al: Object|null, status: string}>,
+ *   summary: {matched: number, missing: number, added: number, completeness: number}}}
+ *   Status "matched", "missing" (no AL counterpart yet) or "added" (only in AL)
+ */
+function alignElements(calElements, alElements) {
+  const rows = [];
+  const used = new Set();
+
+  for (const kind of KINDS) {
+    const alOfKind = alElements.filter((element) => element.kind === kind);
+    for (const cal of calElements.filter((element) => element.kind === kind)) {
+      const al = alOfKind.find(
+        (element) => element.key === cal.key && !used.has(element)
+      );
+      if (al) used.add(al);
+      rows.push({
+        kind,
+        cal,
+        al: al || null,
+        status: al ? "matched" : "missing",
+      });
+    }
+    for (const al of alOfKind) {
+      if (!used.has(al)) {
+        rows.push({ kind, cal: null, al, status: "added" });
+      }
+    }
+  }
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  const matched = count("matched");
+  const missing = count("missing");
+  return {
+    rows,
+    summary: {
+      matched,
+      missing,
+      added: count("added"),
+      completeness:
+        matched + missing === 0
+          ? 100
+          : Math.round((matched / (matched + missing)) * 100),
+    },
+  };
+}
+
+/**
+ * Keep only the C/AL elements a customer object adds to or changes in the
+ * standard object, for AL extensions that only carry the customisations
+ * @param {Object[]} calElements - Result of extractCalElements
+ * @param {Object} customisations - Result of detectCustomisations
+ * @returns {Object[]}
+ */
+function filterCustomisedElements(calElements, customisations) {
+  const changedIds = (section) =>
+    new Set(
+      section
+        ? [...section.added, ...section.modified].map((item) => String(item.id))
+        : []
+    );
+  const fieldIds = changedIds(customisations.fields);
+  const controlIds = changedIds(customisations.controls);
+  const procedures = new Set(
+    customisations.procedures
+      ? [
+          ...customisations.procedures.added,
+          ...customisations.procedures.modified,
+        ].map((procedure) => procedure.name.toLowerCase())
+      : []
+  );
+  const triggers = new Set(
+    (customisations.triggers || [])
+      .filter((trigger) => trigger.change !== "removed")
+      .map((trigger) => {
+        const [scope, id] = trigger.scope.split(" ");
+        return `${scope === "Object" ? "" : `${scope}:${id}`}:${trigger.name}`;
+      })
+  );
+
+  return calElements.filter((element) => {
+    switch (element.kind) {
+      case "field":
+        return fieldIds.has(element.calId);
+      case "control":
+        return controlIds.has(element.calId);
+      case "procedure":
+        return procedures.has(element.label.toLowerCase());
+      case "trigger": {
+        const name = element.label.split(" - ").pop();
+        const scope = element.key.startsWith("trigger:field:")
+          ? `Field:${element.calId}`
+          : element.key.startsWith("trigger:control:")
+          ? `Control:${element.calId}`
+          : "";
+        return triggers.has(`${scope}:${name}`);
+      }
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Compare a C/AL object with the AL object it was migrated to. AL extensions
+ * are only compared with the customisations saved in the .index folder
+ * @param {string} calContent - C/AL object text
+ * @param {string} alContent - AL object text
+ * @param {string|null} indexPath - .index folder, for saved customisations
+ * @returns {{cal: Object, al: Object, filtered: boolean, rows: Object[], summary: Object}}
+ */
+function compareMigratedObject(calContent, alContent, indexPath) {
+  const cal = extractCalElements(calContent);
+  const al = extractAlElements(alContent);
+
+  let calElements = cal.elements;
+  let filtered = false;
+  if (al.object && al.object.type.endsWith("extension") && cal.object) {
+    const customisations =
+      indexPath &&
+      loadCustomisations(indexPath, cal.object.type, cal.object.id);
+    if (customisations) {
+      calElements = filterCustomisedElements(cal.elements, customisations);
+      filtered = true;
+    }
+  }
+
+  return { cal, al, filtered, ...alignElements(calElements, al.elements) };
+}
+
+/**
+ * Completeness of an upgraded object: the C/AL fields, controls and
+ * procedures that exist in AL, and the documentation references of the C/AL
+ * file in a state that counts as done
+ * @param {Object[]} rows - Rows of alignElements, of all migration files
+ * @param {Object[]} docRefs - Documentation references of the migration files
+ * @param {Array<Object>} [states] - Result of getDocumentationStates
+ * @returns {{fields: {done: number, total: number}, controls: {done: number, total: number},
+ *   procedures: {done: number, total: number}, documentation: {done: number, total: number},
+ *   percent: number|null}} Percent is null if there is nothing to migrate
+ */
+function scoreCompleteness(rows, docRefs, states = getDocumentationStates()) {
+  const countRows = (kind) => {
+    const calRows = rows.filter((row) => row.kind === kind && row.cal);
+    return {
+      done: calRows.filter((row) => row.status === "matched").length,
+      total: calRows.length,
+    };
+  };
+  const score = {
+    fields: countRows("field"),
+    controls: countRows("control"),
+    procedures: countRows("procedure"),
+    documentation: {
+      done: docRefs.filter((ref) => isCompleted(ref, states)).length,
+      total: docRefs.length,
+    },
+  };
+
+  const parts = Object.values(score);
+  const done = parts.reduce((sum, part) => sum + part.done, 0);
+  const total = parts.reduce((sum, part) => sum + part.total, 0);
+  score.percent = total === 0 ? null : Math.floor((done / total) * 100);
+  return score;
+}
+
+/**
+ * Describe a completeness score, e.g. for a tooltip
+ * @param {Object} score - Result of scoreCompleteness
+ * @returns {string}
+ */
+function formatCompleteness(score) {
+  const part = (label, { done, total }) =>
+    total > 0 ? [`${label}: ${done}/${total}`] : [];
+  return [
+    `Migration ${score.percent}% complete`,
+    ...part("Fields", score.fields),
+    ...part("Controls", score.controls),
+    ...part("Procedures", score.procedures),
+    ...part("Documentation references", score.documentation),
+  ].join("\n");
+}
+
+module.exports = {
+  normalizeExpression,
+  extractCalElements,
+  extractAlElements,
+  alignElements,
+  filterCustomisedElements,
+  compareMigratedObject,
+  scoreCompleteness,
+  formatCompleteness,
+};
@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getDocumentationStates,
+  getReferenceState,
+} = require("./documentationStates");
+
+/**
+ * Data of the migration dashboard, computed from the documentation references
+ * of all C/AL files, and the daily snapshots behind its burn-down chart.
+ *
+ * Snapshots are stored in the .index folder of the upgraded objects.
+ * Shape: { snapshots: [{ date: "2024-05-01", total, done, notImplemented, pending }] }
+ */
+const MIGRATION_SNAPSHOTS_FILE = "migration-snapshots.json";
+
+const TOP_PENDING_FILES = 10;
+
+/**
+ * Status of a documentation reference. References in a configured state
+ * that counts as done are completed, in any other state they are pending
+ * @param {{done: boolean, notImplemented: boolean, state?: string}} ref
+ * @param {Array<Object>} [states] - Result of getDocumentationStates
+ * @returns {"done"|"notImplemented"|"completed"|"pending"}
+ */
+function getReferenceStatus(ref, states = getDocumentationStates()) {
+  const state = getReferenceState(ref, states);
+  if (!state.countsAsDone) return "pending";
+  if (state.id === "done" || state.id === "notImplemented") return state.id;
+  return "completed";
+}
+
+/**
+ * Count documentation references by status and by state
+ * @param {Object[]} refs
+ * @param {Array<Object>} [states] - Result of getDocumentationStates
+ * @returns {{total: number, done: number, notImplemented: number, completed: number,
+ *   pending: number, percent: number, byState: Object<string, number>}}
+ *   Completed counts the references in configured states that count as done,
+ *   pending all references that are not done. Percent of the references that
+ *   count as done, byState the number of references per state ID
+ */
+function countReferences(refs, states = getDocumentationStates()) {
+  const counts = {
+    total: refs.length,
+    done: 0,
+    notImplemented: 0,
+    completed: 0,
+    pending: 0,
+    byState: Object.fromEntries(states.map((state) => [state.id, 0])),
+  };
+  for (const ref of refs) {
+    counts[getReferenceStatus(ref, states)]++;
+    counts.byState[getReferenceState(ref, states).id]++;
+  }
+  counts.percent =
+    counts.total === 0
+      ? 100
+      : Math.floor(((counts.total - counts.pending) / counts.total) * 100);
+  return counts;
+}
+
+function groupReferences(refs, getKey) {
+  const groups = new Map();
+  for (const ref of refs) {
+    const key = getKey(ref);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(ref);
+  }
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Compute the dashboard data
+ * @param {Array<{id: string, description: string, lineNumber: number, context: string,
+ *   filePath: string, objectType: string, done: boolean, notImplemented: boolean,
+ *   userId: string, state?: string}>} refs - Documentation references of all C/AL files
+ * @param {Array<Object>} [states] - Result of getDocumentationStates
+ * @returns {{states: Object[], totals: Object, byId: Object[], byObjectType: Object[],
+ *   byUser: Object[], topPendingFiles: Object[]}}
+ */
+function buildDashboardData(refs, states = getDocumentationStates()) {
+  const isPending = (ref) => getReferenceStatus(ref, states) === "pending";
+
+  const pendingRef = (ref) => ({
+    filePath: ref.filePath,
+    lineNumber: ref.lineNumber,
+    context: ref.context,
+  });
+
+  const byId = groupReferences(refs, (ref) => ref.id).map(([id, group]) => ({
+    name: id,
+    description: group[0].description || "",
+    ...countReferences(group, states),
+    pendingRefs: group.filter(isPending).map(pendingRef),
+  }));
+
+  const byObjectType = groupReferences(
+    refs,
+    (ref) => ref.objectType || "Unknown"
+  ).map(([objectType, group]) => ({
+    name: objectType,
+    ...countReferences(group, states),
+  }));
+
+  // Toggles stamp the userId, so only completed references count per user
+  const byUser = groupReferences(
+    refs.filter((ref) => !isPending(ref)),
+    (ref) => ref.userId || "(no user)"
+  ).map(([userId, group]) => ({
+    name: userId,
+    ...countReferences(group, states),
+  }));
+
+  const topPendingFiles = groupReferences(refs, (ref) => ref.filePath)
+    .map(([filePath, group]) => {
+      const pending = group.filter(isPending);
+      return {
+        filePath,
+        pending: pending.length,
+        total: group.length,
+        lineNumber: pending.length > 0 ? pending[0].lineNumber : null,
+      };
+    })
+    .filter((file) => file.pending > 0)
+    .sort((a, b) => b.pending - a.pending)
+    .slice(0, TOP_PENDING_FILES);
+
+  return {
+    states,
+    totals: countReferences(refs, states),
+    byId,
+    byObjectType,
+    byUser,
+    topPendingFiles,
+  };
+}
+
+/**
+ * Load the saved snapshots
+ * @param {string} indexPath - Path of the .index folder
+ * @returns {Object[]} Snapshots ordered by date
+ */
+function loadSnapshots(indexPath) {
+  const snapshotFile = path.join(indexPath, MIGRATION_SNAPSHOTS_FILE);
+  if (!fs.existsSync(snapshotFile)) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+    return Array.isArray(data.snapshots) ? data.snapshots : [];
+  } catch (error) {
+    console.error(`Error reading migration snapshots ${snapshotFile}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Save a snapshot of the totals. There is one snapshot per day, later
+ * snapshots of the same day replace it
+ * @param {string} indexPath - Path of the .index folder
+ * @param {Object} totals - Totals of buildDashboardData
+ * @param {Date} [date]
+ * @returns {Object[]} All snapshots ordered by date
+ */
+function recordSnapshot(indexPath, totals, date = new Date()) {
+  const snapshot = {
+    date: date.toISOString().slice(0, 10),
+    total: totals.total,
+    done: totals.done,
+    notImplemented: totals.notImplemented,
+    pending: totals.pending,
+  };
+  const snapshots = loadSnapshots(indexPath).filter(
+    (existing) => existing.date !== snapshot.date
+  );
+  snapshots.push(snapshot);
+  snapshots.sort((a, b) => a.date.localeCompare(b.date));
+
+  fs.mkdirSync(indexPath, { recursive: true });
+  fs.writeFileSync(
+    path.join(indexPath, MIGRATION_SNAPSHOTS_FILE),
+    JSON.stringify({ snapshots }, null, 2),
+    "utf8"
+  );
+  return snapshots;
+}
+
+/**
+ * Burn-down chart of the pending references as SVG
+ * @param {Object[]} snapshots - Snapshots ordered by date
+ * @param {{width: number, height: number}} [size]
+ * @returns {string}
+ */
+function renderBurnDownSvg(snapshots, size = { width: 600, height: 200 }) {
+  const { width, height } = size;
+  const padding = 30;
+  const max = Math.max(1, ...snapshots.map((snapshot) => snapshot.total));
+  const x = (index) =>
+    snapshots.length === 1
+      ? width / 2
+      : padding + (index / (snapshots.length - 1)) * (width - 2 * padding);
+  const y = (value) =>
+    height - padding - (value / max) * (height - 2 * padding);
+  const points = (key) =>
+    snapshots
+      .map((snapshot, index) => `${x(index)},${y(snapshot[key])}`)
+      .join(" ");
+
+  const labels = snapshots.length
+    ? [0, snapshots.length - 1]
+        .filter((index, position, all) => all.indexOf(index) === position)
+        .map(
+          (index) =>
+            `<text x="${x(index)}" y="${height - 8}" text-anchor="middle">${
+              snapshots[index].date
+            }</text>`
+        )
+        .join("")
+    : "";
+
+  return (
+    `<svg class="burndown" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">` +
+    `<line class="axis" x1="${padding}" y1="${height - padding}" x2="${
+      width - padding
+    }" y2="${height - padding}"/>` +
+    `<text x="4" y="${y(max) + 4}">${max}</text>` +
+    `<polyline class="total" points="${points("total")}"/>` +
+    `<polyline class="pending" points="${points("pending")}"/>` +
+    snapshots
+      .map(
+        (snapshot, index) =>
+          `<circle class="pending" cx="${x(index)}" cy="${y(
+            snapshot.pending
+          )}" r="3"><title>${snapshot.date}: ${snapshot.pending} of ${
+            snapshot.total
+          } pending</title></circle>`
+      )
+      .join("") +
+    labels +
+    `</svg>`
+  );
+}
+
+module.exports = {
+  MIGRATION_SNAPSHOTS_FILE,
+  getReferenceStatus,
+  countReferences,
+  buildDashboardData,
+  loadSnapshots,
+  recordSnapshot,
+  renderBurnDownSvg,
+};
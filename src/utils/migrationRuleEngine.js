@@ -0,0 +1,547 @@
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * Declarative rewrite rules for obsolete AL code. A rule describes a code
+ * pattern with {{placeholders}}, a replacement template, conditions on the
+ * matched code, variables the replacement needs and test samples:
+ *
+ *   {
+ *     "id": "noseries-getnextno",
+ *     "description": "NoSeriesManagement is obsolete, use codeunit \"No. Series\"",
+ *     "pattern": "{{mgt}}.GetNextNo({{series}}, {{date}}, {{modify}})",
+ *     "replacement": "NoSeries.GetNextNo({{series}}, {{date}})",
+ *     "condition": { "types": { "mgt": ["Codeunit NoSeriesManagement", "Codeunit 396"] } },
+ *     "variables": [{ "name": "NoSeries", "type": "Codeunit \"No. Series\"" }],
+ *     "tests": [{ "input": "...", "output": "..." }]
+ *   }
+ *
+ * The engine only works on text, the VS Code integration is in
+ * migrationRuleLoader.js and the migration rule diagnostics.
+ */
+
+const SEVERITIES = ["error", "warning", "information", "hint"];
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// A string, a quoted identifier, a bracketed expression (two levels) or a
+// single character that does not end an expression
+const STRING = "'(?:[^']|'')*'";
+const QUOTED = '"[^"\\n]*"';
+const INNER = `(?:[^()'"]|${STRING}|${QUOTED})*`;
+const ATOM = `(?:${STRING}|${QUOTED}|\\((?:[^()'"]|${STRING}|${QUOTED}|\\(${INNER}\\))*\\)|\\[[^\\]\\n]*\\]|[^\\s,;()'"\\[\\]])`;
+
+// Placeholders between commas and brackets may contain spaces (a + b), other
+// placeholders must not, so they do not swallow keywords like "if x then"
+const COMPACT_EXPRESSION = `(${ATOM}+)`;
+const ARGUMENT_EXPRESSION = `(${ATOM}+(?:[^\\S\\n]+${ATOM}+)*)`;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function literalToRegExp(text) {
+  return text
+    .split(/(\s+)/)
+    .map((part) => (/^\s+$/.test(part) ? "\\s*" : escapeRegExp(part)))
+    .join("")
+    .replace(/(\\s\*)+/g, "\\s*");
+}
+
+function normalizeType(type) {
+  return String(type)
+    .toLowerCase()
+    .replace(/"/g, "")
+    .replace(/\s+temporary$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Compile a rule pattern to a regular expression
+ * @param {string} pattern - Code with {{placeholders}}
+ * @returns {{regExp: RegExp, placeholders: string[]}}
+ * @throws {Error} If a placeholder is used twice
+ */
+function compilePattern(pattern) {
+  const placeholders = [];
+  const parts = pattern.trim().split(PLACEHOLDER);
+  let source = "";
+
+  // split() with a capture group alternates literal text and placeholder names
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      source += literalToRegExp(parts[i]);
+      continue;
+    }
+    if (placeholders.includes(parts[i])) {
+      throw new Error(`Placeholder {{${parts[i]}}} is used twice`);
+    }
+    placeholders.push(parts[i]);
+    const before = parts[i - 1].trimEnd();
+    const after = (parts[i + 1] || "").trimStart();
+    const isArgument = /[(,]$/.test(before) && /^[),]/.test(after);
+    source += isArgument ? ARGUMENT_EXPRESSION : COMPACT_EXPRESSION;
+  }
+
+  // Do not match inside a longer identifier
+  const trimmed = pattern.trim();
+  if (/^\w/.test(trimmed)) source = `(?<![\\w."])${source}`;
+  if (/\w$/.test(trimmed)) source = `${source}(?!\\w)`;
+
+  return { regExp: new RegExp(source, "gi"), placeholders };
+}
+
+/**
+ * Validate and compile a rule
+ * @param {Object} rule - Rule as read from the rule file
+ * @returns {Object} The rule with a compiled pattern
+ * @throws {Error} If the rule is incomplete
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("A rule must be an object");
+  }
+  if (!rule.id) {
+    throw new Error("A rule needs an id");
+  }
+  if (typeof rule.pattern !== "string" || rule.pattern.trim() === "") {
+    throw new Error(`Rule ${rule.id} needs a pattern`);
+  }
+  if (typeof rule.replacement !== "string") {
+    throw new Error(`Rule ${rule.id} needs a replacement (may be empty)`);
+  }
+  const severity = (rule.severity || "warning").toLowerCase();
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(
+      `Rule ${rule.id} has an invalid severity, use one of ${SEVERITIES.join(
+        ", "
+      )}`
+    );
+  }
+
+  let compiled;
+  try {
+    compiled = compilePattern(rule.pattern);
+  } catch (error) {
+    throw new Error(`Rule ${rule.id}: ${error.message}`);
+  }
+  for (const [, name] of rule.replacement.matchAll(PLACEHOLDER)) {
+    if (!compiled.placeholders.includes(name)) {
+      throw new Error(
+        `Rule ${rule.id} uses {{${name}}} in the replacement, but not in the pattern`
+      );
+    }
+  }
+  const condition = rule.condition || {};
+  for (const name of Object.keys(condition.types || {})) {
+    if (!compiled.placeholders.includes(name)) {
+      throw new Error(
+        `Rule ${rule.id} has a type condition on {{${name}}}, which is not in the pattern`
+      );
+    }
+  }
+  let fileContains = null;
+  if (condition.fileContains) {
+    try {
+      fileContains = new RegExp(condition.fileContains, "i");
+    } catch (error) {
+      throw new Error(
+        `Rule ${rule.id} has an invalid fileContains condition: ${error.message}`
+      );
+    }
+  }
+
+  return {
+    ...rule,
+    severity,
+    description: rule.description || rule.id,
+    condition,
+    variables: rule.variables || [],
+    tests: rule.tests || [],
+    regExp: compiled.regExp,
+    placeholders: compiled.placeholders,
+    fileContains,
+  };
+}
+
+/**
+ * Read a rule file
+ * @param {string} content - JSON or YAML content
+ * @param {string} fileName - Decides the format by extension
+ * @returns {{rules: Object[], errors: string[]}} Compiled rules and messages
+ *   for the rules that could not be compiled
+ */
+function parseRuleFile(content, fileName) {
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(fileName)
+      ? yaml.load(content)
+      : JSON.parse(content);
+  } catch (error) {
+    return {
+      rules: [],
+      errors: [`${path.basename(fileName)}: ${error.message}`],
+    };
+  }
+
+  const rules = [];
+  const errors = [];
+  const entries = Array.isArray(data) ? data : (data && data.rules) || [];
+  for (const entry of entries) {
+    try {
+      rules.push({ ...compileRule(entry), file: fileName });
+    } catch (error) {
+      errors.push(`${path.basename(fileName)}: ${error.message}`);
+    }
+  }
+  return { rules, errors };
+}
+
+/**
+ * Type of a variable or parameter, preferring the declaration closest before
+ * the given offset, so local variables shadow global ones
+ * @param {string} text - AL code
+ * @param {string} name - Variable name
+ * @param {number} [offset] - Position of the usage
+ * @returns {string|null}
+ */
+function findVariableType(text, name, offset = text.length) {
+  const unquoted = name.replace(/^"|"$/g, "");
+  const namePattern = `(?:"${escapeRegExp(unquoted)}"|${
+    /^\w+$/.test(unquoted) ? `\\b${escapeRegExp(unquoted)}\\b` : "(?!)"
+  })`;
+  const declaration = new RegExp(
+    `(?<![.\\w])${namePattern}\\s*:(?!=)\\s*([^;)=\\n]+?)\\s*[;)]`,
+    "gi"
+  );
+
+  let type = null;
+  for (const match of text.matchAll(declaration)) {
+    if (type !== null && match.index > offset) break;
+    type = match[1];
+  }
+  return type;
+}
+
+function matchesCondition(rule, text, values, offset) {
+  const { types = {}, objectTypes } = rule.condition;
+
+  if (objectTypes && objectTypes.length > 0) {
+    const object = text.match(/^\s*(\w+)\s+\d+/m);
+    if (
+      !object ||
+      !objectTypes.some(
+        (type) => type.toLowerCase() === object[1].toLowerCase()
+      )
+    ) {
+      return false;
+    }
+  }
+  if (rule.fileContains && !rule.fileContains.test(text)) {
+    return false;
+  }
+
+  for (const [name, expected] of Object.entries(types)) {
+    const type = findVariableType(text, values[name], offset);
+    const allowed = (Array.isArray(expected) ? expected : [expected]).map(
+      normalizeType
+    );
+    if (!type || !allowed.includes(normalizeType(type))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find the code a set of rules applies to
+ * @param {string} text - AL code
+ * @param {Object[]} rules - Compiled rules
+ * @returns {Array<{rule: Object, start: number, end: number, values: Object<string, string>}>}
+ *   Matches sorted by position
+ */
+function findRuleMatches(text, rules) {
+  const matches = [];
+  for (const rule of rules) {
+    rule.regExp.lastIndex = 0;
+    for (const match of text.matchAll(rule.regExp)) {
+      const values = Object.fromEntries(
+        rule.placeholders.map((name, index) => [name, match[index + 1]])
+      );
+      if (matchesCondition(rule, text, values, match.index)) {
+        matches.push({
+          rule,
+          start: match.index,
+          end: match.index + match[0].length,
+          values,
+        });
+      }
+    }
+  }
+  return matches.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+function indentationAt(text, offset) {
+  return text.slice(lineStart(text, offset)).match(/^[ \t]*/)[0];
+}
+
+function variableKey(name) {
+  return String(name).replace(/^"|"$/g, "").toLowerCase();
+}
+
+/**
+ * Edit inserting variable declarations before the begin of a procedure. The
+ * declarations are kept on the edit, so the edits of several matches in the
+ * same procedure can be merged
+ * @param {number} offset - Start of the begin line
+ * @param {{header: string, indent: string, variables: Object[]}} declaration
+ * @returns {{start: number, end: number, text: string, declaration: Object}}
+ */
+function createDeclarationEdit(offset, declaration) {
+  const lines = declaration.variables.map(
+    (variable) =>
+      `${declaration.indent}    ${variable.name}: ${variable.type};\n`
+  );
+  return {
+    start: offset,
+    end: offset,
+    text: `${declaration.header}${lines.join("")}`,
+    declaration,
+  };
+}
+
+/**
+ * Edits that add missing variables to the var section of the procedure or
+ * trigger around the offset
+ */
+function createVariableEdits(text, offset, variables) {
+  const missing = variables.filter(
+    (variable) => !findVariableType(text, variable.name, offset)
+  );
+  if (missing.length === 0) {
+    return [];
+  }
+
+  const lines = text.slice(0, offset).split("\n");
+  let headerLine = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (
+      /^\s*((local|internal|protected)\s+)?(procedure|trigger)\b/i.test(
+        lines[i]
+      )
+    ) {
+      headerLine = i;
+      break;
+    }
+  }
+  if (headerLine === -1) {
+    return [];
+  }
+
+  const allLines = text.split("\n");
+  let beginLine = -1;
+  let varLine = -1;
+  for (let i = headerLine + 1; i < allLines.length; i++) {
+    if (/^\s*var\s*$/i.test(allLines[i])) varLine = i;
+    if (/^\s*begin\b/i.test(allLines[i])) {
+      beginLine = i;
+      break;
+    }
+  }
+  if (beginLine === -1) {
+    return [];
+  }
+
+  const beginOffset = allLines
+    .slice(0, beginLine)
+    .reduce((sum, line) => sum + line.length + 1, 0);
+  const indent = allLines[beginLine].match(/^[ \t]*/)[0];
+  return [
+    createDeclarationEdit(beginOffset, {
+      header: varLine === -1 ? `${indent}var\n` : "",
+      indent,
+      variables: missing,
+    }),
+  ];
+}
+
+/**
+ * Merge the variable edits of matches in the same procedure into one edit,
+ * so a procedure without var section gets a single var header and each
+ * variable is declared once
+ * @param {Array<{start: number, end: number, text: string}>} edits
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function mergeVariableEdits(edits) {
+  const merged = new Map();
+  const result = [];
+  for (const edit of edits) {
+    if (!edit.declaration) {
+      result.push(edit);
+      continue;
+    }
+    const existing = merged.get(edit.start);
+    if (!existing) {
+      merged.set(edit.start, result.length);
+      result.push(edit);
+      continue;
+    }
+    const { declaration } = result[existing];
+    const declared = new Set(
+      declaration.variables.map((variable) => variableKey(variable.name))
+    );
+    const added = edit.declaration.variables.filter(
+      (variable) => !declared.has(variableKey(variable.name))
+    );
+    if (added.length > 0) {
+      result[existing] = createDeclarationEdit(edit.start, {
+        ...declaration,
+        variables: [...declaration.variables, ...added],
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Text edits for a rule match: the replacement and the missing variables
+ * @param {string} text - AL code
+ * @param {Object} match - Result of findRuleMatches
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function createMatchEdits(text, match) {
+  const indent = indentationAt(text, match.start);
+  const replacement = match.rule.replacement
+    .replace(PLACEHOLDER, (_, name) => match.values[name])
+    .replace(/\n/g, `\n${indent}`);
+
+  let { start, end } = match;
+  if (replacement === "") {
+    // Remove the whole line if nothing else is left on it
+    const from = lineStart(text, start);
+    const lineEnd = text.indexOf("\n", end);
+    const to = lineEnd === -1 ? text.length : lineEnd + 1;
+    if (
+      text.slice(from, start).trim() === "" &&
+      text.slice(end, to).trim() === ""
+    ) {
+      start = from;
+      end = to;
+    }
+  }
+
+  return [
+    { start, end, text: replacement },
+    ...createVariableEdits(text, match.start, match.rule.variables),
+  ];
+}
+
+function removeDuplicateEdits(edits) {
+  const seen = new Set();
+  return edits.filter((edit) => {
+    const key = `${edit.start}:${edit.end}:${edit.text}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Apply text edits, overlapping and duplicate edits are skipped
+ * @param {string} text
+ * @param {Array<{start: number, end: number, text: string}>} edits
+ * @returns {string}
+ */
+function applyEdits(text, edits) {
+  const sorted = removeDuplicateEdits(mergeVariableEdits(edits)).sort(
+    (a, b) => b.start - a.start || b.end - a.end
+  );
+
+  let result = text;
+  let limit = Infinity;
+  for (const edit of sorted) {
+    if (edit.end > limit) continue;
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    limit = edit.start;
+  }
+  return result;
+}
+
+/**
+ * Edits for all non-overlapping matches of the rules
+ * @param {string} text - AL code
+ * @param {Object[]} rules - Compiled rules
+ * @returns {{edits: Array<{start: number, end: number, text: string}>, matches: Object[]}}
+ */
+function createRuleEdits(text, rules) {
+  return createMatchesEdits(text, findRuleMatches(text, rules));
+}
+
+/**
+ * Edits for the non-overlapping ones of matches found before
+ * @param {string} text - AL code the matches were found in
+ * @param {Object[]} ruleMatches - Result of findRuleMatches
+ * @returns {{edits: Array<{start: number, end: number, text: string}>, matches: Object[]}}
+ */
+function createMatchesEdits(text, ruleMatches) {
+  const matches = [];
+  let lastEnd = -1;
+  for (const match of ruleMatches) {
+    if (match.start < lastEnd) continue;
+    matches.push(match);
+    lastEnd = match.end;
+  }
+  return {
+    edits: mergeVariableEdits(
+      matches.flatMap((match) => createMatchEdits(text, match))
+    ),
+    matches,
+  };
+}
+
+/**
+ * Apply rules to code
+ * @param {string} text - AL code
+ * @param {Object[]} rules - Compiled rules
+ * @returns {string}
+ */
+function applyRules(text, rules) {
+  return applyEdits(text, createRuleEdits(text, rules).edits);
+}
+
+/**
+ * Run the test samples of a rule
+ * @param {Object} rule - Compiled rule
+ * @returns {Array<{input: string, expected: string, actual: string, passed: boolean}>}
+ */
+function runRuleTests(rule) {
+  return rule.tests.map((test) => {
+    const actual = applyRules(test.input, [rule]);
+    return {
+      input: test.input,
+      expected: test.output,
+      actual,
+      passed: actual === test.output,
+    };
+  });
+}
+
+module.exports = {
+  compilePattern,
+  compileRule,
+  parseRuleFile,
+  findVariableType,
+  findRuleMatches,
+  createMatchEdits,
+  createRuleEdits,
+  createMatchesEdits,
+  mergeVariableEdits,
+  applyEdits,
+  applyRules,
+  runRuleTests,
+};
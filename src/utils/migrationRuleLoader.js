@@ -0,0 +1,95 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { getConfigValue } = require("./configManager");
+const { parseRuleFile } = require("./migrationRuleEngine");
+
+// Rule files picked up from the root of every workspace folder
+const DEFAULT_RULE_FILES = [
+  "al-migration-rules.json",
+  "al-migration-rules.yaml",
+  "al-migration-rules.yml",
+];
+
+// Parsed rule files by path, reloaded when the file changes
+const ruleFileCache = new Map();
+
+function getWorkspaceFolderPaths() {
+  return (vscode.workspace.workspaceFolders || []).map(
+    (folder) => folder.uri.fsPath
+  );
+}
+
+/**
+ * Paths of the files configured in migrationRules.files, relative paths
+ * resolved against every workspace folder
+ * @returns {string[]} Paths, whether the files exist or not
+ */
+function getConfiguredRuleFilePaths() {
+  const folders = getWorkspaceFolderPaths();
+  const configured = getConfigValue("migrationRules.files", []) || [];
+
+  const paths = [];
+  for (const file of configured) {
+    if (path.isAbsolute(file)) {
+      paths.push(file);
+    } else {
+      paths.push(...folders.map((folder) => path.join(folder, file)));
+    }
+  }
+  return [...new Set(paths)];
+}
+
+/**
+ * Paths of the migration rule files: the default file names in the workspace
+ * folders and the files configured in migrationRules.files
+ * @returns {string[]} Existing files
+ */
+function getRuleFilePaths() {
+  const candidates = [];
+  for (const folder of getWorkspaceFolderPaths()) {
+    candidates.push(
+      ...DEFAULT_RULE_FILES.map((name) => path.join(folder, name))
+    );
+  }
+  candidates.push(...getConfiguredRuleFilePaths());
+
+  return [...new Set(candidates)].filter((file) => fs.existsSync(file));
+}
+
+/**
+ * Load the migration rules of the workspace
+ * @returns {{rules: Object[], errors: string[], files: string[]}}
+ */
+function loadMigrationRules() {
+  const files = getRuleFilePaths();
+  const rules = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      const modified = fs.statSync(file).mtimeMs;
+      let cached = ruleFileCache.get(file);
+      if (!cached || cached.modified !== modified) {
+        cached = {
+          modified,
+          ...parseRuleFile(fs.readFileSync(file, "utf8"), file),
+        };
+        ruleFileCache.set(file, cached);
+      }
+      rules.push(...cached.rules);
+      errors.push(...cached.errors);
+    } catch (error) {
+      errors.push(`${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  return { rules, errors, files };
+}
+
+module.exports = {
+  DEFAULT_RULE_FILES,
+  getConfiguredRuleFilePaths,
+  getRuleFilePaths,
+  loadMigrationRules,
+};
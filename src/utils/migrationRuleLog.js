@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Audit log of bulk migration rule runs, stored in the .index folder of the
+ * upgraded objects.
+ *
+ * Shape: { runs: [{ runAt, user, status, ruleFiles, filesScanned,
+ *   changes: [{ file, line, ruleId, original, replacement, status }] }] }
+ */
+const MIGRATION_RULE_LOG_FILE = "migration-rule-log.json";
+
+/**
+ * Load the migration rule log
+ * @param {string} indexPath - Path of the .index folder
+ * @returns {{runs: Object[]}}
+ */
+function loadMigrationRuleLog(indexPath) {
+  const logFile = path.join(indexPath, MIGRATION_RULE_LOG_FILE);
+  if (!fs.existsSync(logFile)) {
+    return { runs: [] };
+  }
+
+  try {
+    const log = JSON.parse(fs.readFileSync(logFile, "utf8"));
+    return Array.isArray(log.runs) ? log : { runs: [] };
+  } catch (error) {
+    console.error(`Error reading migration rule log ${logFile}:`, error);
+    return { runs: [] };
+  }
+}
+
+/**
+ * Append a run to the migration rule log
+ * @param {string} indexPath - Path of the .index folder
+ * @param {Object} run - Run to record
+ * @returns {string} Path of the log file
+ */
+function appendMigrationRuleRun(indexPath, run) {
+  const log = loadMigrationRuleLog(indexPath);
+  log.runs.push(run);
+
+  fs.mkdirSync(indexPath, { recursive: true });
+  const logFile = path.join(indexPath, MIGRATION_RULE_LOG_FILE);
+  fs.writeFileSync(logFile, JSON.stringify(log, null, 2), "utf8");
+  return logFile;
+}
+
+/**
+ * Decide which proposed changes were applied. A change was rejected if its
+ * rule still matches the same code after the refactoring preview.
+ * @param {Array<{file: string, ruleId: string, original: string}>} changes - Proposed changes
+ * @param {Object<string, Array<{ruleId: string, original: string}>>} remainingMatches -
+ *   Matches left after applying, by file
+ * @returns {Array<Object>} The changes with a status of "applied" or "rejected"
+ */
+function classifyChanges(changes, remainingMatches) {
+  const remaining = new Map();
+  for (const [file, matches] of Object.entries(remainingMatches)) {
+    for (const match of matches) {
+      const key = `${file}\u0000${match.ruleId}\u0000${match.original}`;
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+  }
+
+  return changes.map((change) => {
+    const key = `${change.file}\u0000${change.ruleId}\u0000${change.original}`;
+    const count = remaining.get(key) || 0;
+    if (count > 0) {
+      remaining.set(key, count - 1);
+      return { ...change, status: "rejected" };
+    }
+    return { ...change, status: "applied" };
+  });
+}
+
+module.exports = {
+  MIGRATION_RULE_LOG_FILE,
+  loadMigrationRuleLog,
+  appendMigrationRuleRun,
+  classifyChanges,
+};
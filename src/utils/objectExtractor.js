@@ -1,217 +1,29 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const vscode = require("vscode");
-const { Transform, Writable } = require("stream");
+const {
+  splitObjectFile,
+  previewObjectFile,
+  DEFAULT_PATH_TEMPLATE,
+} = require("./objectSplitter");
+const { formatSplitReport } = require("./splitIndex");
+const { parseList, parseIdRanges } = require("./objectFilter");
 const configManager = require("./configManager");
 const { checkExistingBasePath } = require("./basePathHelper");
 
-/**
- * Transform stream that splits input into C/AL objects
- */
-class ObjectSplitterTransform extends Transform {
-  constructor(options = {}) {
-    super({ ...options, objectMode: true });
-    this.buffer = "";
-    this.currentObject = {
-      content: [],
-      type: "",
-      id: "",
-      name: "",
-    };
-    this.isInsideObject = false;
-  }
-
-  _transform(chunk, encoding, callback) {
-    try {
-      const lines = (this.buffer + chunk.toString()).split(/\r?\n/);
-      this.buffer = lines.pop(); // Keep last partial line in buffer
-
-      for (const line of lines) {
-        this._processLine(line);
-      }
-      callback();
-    } catch (error) {
-      callback(error);
-    }
-  }
-
-  _flush(callback) {
-    if (this.buffer) {
-      this._processLine(this.buffer);
-    }
-    if (this.isInsideObject && this.currentObject.content.length > 0) {
-      this.push(this._finalizeCurrentObject());
-    }
-    callback();
-  }
-
-  _processLine(line) {
-    const isCalObject = line.trim().startsWith("OBJECT ");
-    const isAlExtensionObject =
-      /^\s*(tableextension|pageextension|reportextension|codeunitextension|enumextension)\s+/i.test(
-        line.trim()
-      );
-
-    if (isCalObject || isAlExtensionObject) {
-      if (this.isInsideObject && this.currentObject.content.length > 0) {
-        this.push(this._finalizeCurrentObject());
-      }
-
-      this._startNewObject(line, isCalObject);
-    }
-
-    if (this.isInsideObject) {
-      this.currentObject.content.push(line);
-    }
-  }
-
-  _startNewObject(line, isCalObject) {
-    this.isInsideObject = true;
-    this.currentObject = {
-      content: [],
-      type: "",
-      id: "",
-      name: "",
-    };
-
-    if (isCalObject) {
-      const objectMatch = line.match(/OBJECT\s+(\w+)\s+(\d+)\s+(.*)/i);
-      if (objectMatch) {
-        this.currentObject.type = objectMatch[1];
-        this.currentObject.id = objectMatch[2];
-        this.currentObject.name = objectMatch[3];
-      }
-    } else {
-      const extensionMatch = line.match(
-        /(\w+extension)\s+(\d+)\s+["']([^"']+)["']/i
-      );
-      if (extensionMatch) {
-        this.currentObject.type = extensionMatch[1];
-        this.currentObject.id = extensionMatch[2];
-        this.currentObject.name = extensionMatch[3];
-      }
-    }
-  }
-
-  _finalizeCurrentObject() {
-    const result = { ...this.currentObject };
-    this.currentObject = {
-      content: [],
-      type: "",
-      id: "",
-      name: "",
-    };
-    return result;
-  }
-}
-
-/**
- * Writable stream that handles saving objects to files
- */
-class ObjectWriterStream extends Writable {
-  constructor(outputPath, organizeByType, options = {}) {
-    super({ ...options, objectMode: true });
-    this.outputPath = outputPath;
-    this.organizeByType = organizeByType;
-    this.objectCountsByType = {};
-    this.upgradedObjectFoldersByType = {};
-    this.extractedFiles = [];
-    this.writePromises = [];
-  }
-
-  _write(object, encoding, callback) {
-    try {
-      const fileName = this._getFileName(object.type, object.id, object.name);
-      let targetFolder = this.outputPath;
-
-      if (this.organizeByType && object.type) {
-        targetFolder = path.join(this.outputPath, object.type + "s");
-        this._ensureDirectoryExists(targetFolder);
-        this.upgradedObjectFoldersByType[object.type] = object.type + "s";
-
-        this.objectCountsByType[object.type] =
-          (this.objectCountsByType[object.type] || 0) + 1;
-      }
-
-      const filePath = path.join(targetFolder, fileName);
-      const content = object.content.join("\n") + "\n";
-
-      // Use writeFile (async) instead of writeFileSync
-      const writePromise = fs.promises.writeFile(filePath, content).then(() => {
-        this.extractedFiles.push(filePath);
-      });
-
-      this.writePromises.push(writePromise);
-      callback();
-    } catch (error) {
-      callback(error);
-    }
-  }
-
-  async finalize() {
-    // Wait for all writes to complete
-    await Promise.all(this.writePromises);
-
-    // Create and write summary file
-    const summaryFilePath = path.join(
-      this.outputPath,
-      "_extraction_summary.txt"
-    );
-    const summaryContent = this._generateSummary();
-    await fs.promises.writeFile(summaryFilePath, summaryContent);
-
-    // Store base path in object locations
-    if (Object.keys(this.upgradedObjectFoldersByType).length > 0) {
-      this.upgradedObjectFoldersByType["basePath"] = this.outputPath;
-    }
-
-    return {
-      files: this.extractedFiles,
-      summaryFile: summaryFilePath,
-      objectLocations: this.upgradedObjectFoldersByType,
-    };
-  }
-
-  _ensureDirectoryExists(dirPath) {
-    if (!fs.existsSync(dirPath)) {
-      fs.mkdirSync(dirPath, { recursive: true });
-    }
-  }
-
-  _getFileName(objectType, objectId, objectName) {
-    if (!objectType || !objectId || !objectName) {
-      return `Unknown_Object_${Date.now()}.txt`;
-    }
-    const cleanName = objectName
-      .replace(/[<>:"/\\|?*]/g, "_")
-      .replace(/\s+/g, "_")
-      .trim();
-    return `${objectType}${objectId}_${cleanName}.txt`;
-  }
-
-  _generateSummary() {
-    let content = `Extraction Summary\n`;
-    content += `----------------\n`;
-    content += `Extraction date: ${new Date().toLocaleString()}\n\n`;
-    content += `Total objects extracted: ${this.extractedFiles.length}\n\n`;
-    content += `Base extraction path: ${this.outputPath}\n\n`;
-    content += `Objects by type:\n`;
-
-    for (const type in this.objectCountsByType) {
-      content += `- ${type}s: ${this.objectCountsByType[type]}\n`;
-    }
-
-    return content;
-  }
-}
-
 /**
  * Extract individual C/AL objects from a text file containing multiple objects
+ * @param {string} sourceFilePath - Path to the C/AL export
+ * @param {string} [outputFolderPath] - Output folder, defaults to "extracted_objects" next to the source
+ * @param {boolean} [organizeByType=true] - Use "<type>s" subfolders when no path template is given
+ * @param {Object} [writerOptions] - pathTemplate, conflictPolicy and resolveConflict, see ObjectWriterStream
  */
 async function extractObjects(
   sourceFilePath,
   outputFolderPath = "",
-  organizeByType = true
+  organizeByType = true,
+  writerOptions = {}
 ) {
   try {
     if (!outputFolderPath) {
@@ -221,33 +33,13 @@ async function extractObjects(
       );
     }
 
-    // Ensure output directory exists
-    if (!fs.existsSync(outputFolderPath)) {
-      fs.mkdirSync(outputFolderPath, { recursive: true });
-    }
-
-    // Create transform and writer streams
-    const splitter = new ObjectSplitterTransform();
-    const writer = new ObjectWriterStream(outputFolderPath, organizeByType);
-
-    // Process file using streams
-    await new Promise((resolve, reject) => {
-      const readStream = fs.createReadStream(sourceFilePath, {
-        encoding: "utf8",
-        highWaterMark: 64 * 1024,
-      });
-
-      readStream
-        .pipe(splitter)
-        .pipe(writer)
-        .on("finish", resolve)
-        .on("error", reject);
-
-      readStream.on("error", reject);
-    });
-
-    // Finalize writing and get results
-    const result = await writer.finalize();
+    // Split the file using streams and get results
+    const result = await splitObjectFile(
+      sourceFilePath,
+      outputFolderPath,
+      organizeByType,
+      writerOptions
+    );
 
     // Save the upgraded object folders to configuration
     if (Object.keys(result.objectLocations).length > 0) {
@@ -335,6 +127,33 @@ async function extractObjectsFromPath() {
       );
     }
 
+    const filter = await promptObjectFilter();
+    if (!filter) return;
+
+    const splitterOptions = { ...getSplitterOptionsFromConfig(), filter };
+
+    const mode = await vscode.window.showQuickPick(
+      [
+        { label: "$(run) Extract", dryRun: false },
+        {
+          label: "$(eye) Preview (dry run)",
+          description: "List the objects that would be extracted first",
+          dryRun: true,
+        },
+      ],
+      { placeHolder: "Extract now or preview first?" }
+    );
+    if (!mode) return;
+
+    if (mode.dryRun) {
+      const confirmed = await showExtractionPreview(
+        sourceFilePath,
+        outputFolderPath,
+        splitterOptions
+      );
+      if (!confirmed) return;
+    }
+
     const result = await vscode.window.withProgress(
       {
         location: vscode.ProgressLocation.Notification,
@@ -346,7 +165,8 @@ async function extractObjectsFromPath() {
         const result = await extractObjects(
           sourceFilePath,
           outputFolderPath,
-          true
+          true,
+          splitterOptions
         );
         progress.report({
           increment: 100,
@@ -380,9 +200,19 @@ async function extractObjectsFromPath() {
     const fileCount = result.files.length || 0;
     const summaryUri = vscode.Uri.file(result.summaryFile);
 
+    if (result.changes) {
+      showSplitChanges(result.changes);
+    }
+
+    const { skipped = 0, unchanged = 0 } = result.conflicts || {};
+    const keptInfo =
+      skipped + unchanged > 0
+        ? ` (${skipped} existing files kept, ${unchanged} unchanged)`
+        : "";
+
     vscode.window
       .showInformationMessage(
-        `Successfully extracted ${fileCount} objects to "${outputFolderPath}"`,
+        `Successfully extracted ${fileCount} objects to "${outputFolderPath}"${keptInfo} (read as ${result.sourceEncoding}, written as ${result.targetEncoding})`,
         {
           modal: false,
           detail: "Click 'View Summary' to see extraction details",
@@ -403,3 +233,256 @@ async function extractObjectsFromPath() {
     );
   }
 }
+
+/**
+ * Ask which objects to extract
+ * @returns {Promise<Object|null>} Filter for splitObjectFile, {} for all objects, null if cancelled
+ */
+async function promptObjectFilter() {
+  const scope = await vscode.window.showQuickPick(
+    [
+      { label: "$(files) All objects", filter: false },
+      {
+        label: "$(filter) Filter objects...",
+        description: "By type, ID range, name or Version List",
+        filter: true,
+      },
+    ],
+    { placeHolder: "Which objects should be extracted?" }
+  );
+  if (!scope) return null;
+  if (!scope.filter) return {};
+
+  const typeItems = [
+    "Table",
+    "Page",
+    "Form",
+    "Report",
+    "Dataport",
+    "XMLport",
+    "Codeunit",
+    "Query",
+    "MenuSuite",
+  ].map((label) => ({ label }));
+  const types = await vscode.window.showQuickPick(typeItems, {
+    canPickMany: true,
+    placeHolder: "Object types to extract (none selected = all types)",
+  });
+  if (!types) return null;
+
+  const idRanges = await vscode.window.showInputBox({
+    prompt: "ID ranges (leave empty for all IDs)",
+    placeHolder: "e.g. 50000-99999, 18, 36..37",
+    validateInput: (value) => {
+      try {
+        parseIdRanges(value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  if (idRanges === undefined) return null;
+
+  const namePatterns = await vscode.window.showInputBox({
+    prompt: "Name patterns with * and ? (leave empty for all names)",
+    placeHolder: "e.g. Sales*, *Customer*",
+  });
+  if (namePatterns === undefined) return null;
+
+  const versionListContains = await vscode.window.showInputBox({
+    prompt: "Only objects whose Version List contains (leave empty to ignore)",
+    placeHolder: "e.g. ABC1, NAVW114",
+  });
+  if (versionListContains === undefined) return null;
+
+  return {
+    types: types.map((item) => item.label),
+    idRanges: parseIdRanges(idRanges),
+    namePatterns: parseList(namePatterns),
+    versionListContains: parseList(versionListContains),
+  };
+}
+
+/**
+ * Show the objects a split would extract without writing anything
+ * @returns {Promise<boolean>} True if the user wants to extract them
+ */
+async function showExtractionPreview(
+  sourceFilePath,
+  outputFolderPath,
+  splitterOptions
+) {
+  const preview = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Previewing C/AL objects",
+      cancellable: false,
+    },
+    () =>
+      previewObjectFile(sourceFilePath, outputFolderPath, true, splitterOptions)
+  );
+
+  let content = `# Split Preview (dry run)\n\n`;
+  content += `- Source: ${sourceFilePath} (${preview.sourceEncoding})\n`;
+  content += `- Output: ${outputFolderPath}\n`;
+  content += `- Filter: ${preview.filter}\n`;
+  content += `- Objects to extract: ${preview.includedCount}\n`;
+  content += `- Objects filtered out: ${preview.excludedCount}\n\n`;
+  content += `| Type | ID | Name | Version List | File | Exists |\n`;
+  content += `|------|----|------|--------------|------|--------|\n`;
+  for (const object of preview.objects) {
+    content += `| ${object.type} | ${object.id ?? ""} | ${object.name} | ${
+      object.versionList
+    } | ${object.file} | ${object.exists ? "Yes" : "No"} |\n`;
+  }
+
+  const doc = await vscode.workspace.openTextDocument({
+    content,
+    language: "markdown",
+  });
+  await vscode.window.showTextDocument(doc);
+
+  if (preview.includedCount === 0) {
+    vscode.window.showInformationMessage("No objects match the filter.");
+    return false;
+  }
+
+  const selection = await vscode.window.showInformationMessage(
+    `Extract ${preview.includedCount} objects (${preview.excludedCount} filtered out)?`,
+    "Extract",
+    "Cancel"
+  );
+  return selection === "Extract";
+}
+
+/**
+ * Tell the user what changed compared to the previous split into the same folder,
+ * with a warning if objects with references already marked done changed
+ * @param {Object} changes - result.changes of extractObjects
+ */
+function showSplitChanges(changes) {
+  const { added, changed, removed, doneReferencesAffected } = changes;
+  if (added.length + changed.length + removed.length === 0) {
+    return;
+  }
+
+  const counts = `${added.length} added, ${changed.length} changed, ${removed.length} removed`;
+  const openReport = async (selection) => {
+    if (selection !== "Show Report") return;
+    const doc = await vscode.workspace.openTextDocument({
+      content: formatSplitReport(changes),
+      language: "markdown",
+    });
+    await vscode.window.showTextDocument(doc);
+  };
+
+  if (doneReferencesAffected.length > 0) {
+    vscode.window
+      .showWarningMessage(
+        `Split changes: ${counts}. ${doneReferencesAffected.length} changed objects have documentation references already marked done.`,
+        "Show Report"
+      )
+      .then(openReport);
+  } else {
+    vscode.window
+      .showInformationMessage(`Split changes: ${counts}.`, "Show Report")
+      .then(openReport);
+  }
+}
+
+/**
+ * Read the path template, conflict policy and encodings for splitting from the settings
+ * @returns {Object} Writer options for extractObjects
+ */
+function getSplitterOptionsFromConfig() {
+  const pathTemplate = configManager.getConfigValue(
+    "objectSplitter.pathTemplate",
+    DEFAULT_PATH_TEMPLATE
+  );
+  const conflictPolicy = configManager.getConfigValue(
+    "objectSplitter.conflictPolicy",
+    "prompt"
+  );
+
+  const sourceEncoding = configManager.getConfigValue(
+    "objectSplitter.sourceEncoding",
+    "auto"
+  );
+  const targetEncoding = configManager.getConfigValue(
+    "objectSplitter.targetEncoding",
+    "utf8"
+  );
+
+  return {
+    pathTemplate: pathTemplate || DEFAULT_PATH_TEMPLATE,
+    conflictPolicy,
+    sourceEncoding,
+    targetEncoding,
+    resolveConflict: createConflictPrompt(),
+  };
+}
+
+/**
+ * Create a conflict resolver that shows a diff between the existing file and the
+ * newly split object and asks the user what to do. "... All" answers are remembered
+ * for the rest of the run.
+ * @returns {Function} async (filePath, newContent) => "overwrite" | "skip" | "keepBoth"
+ */
+function createConflictPrompt() {
+  let rememberedDecision = null;
+
+  return async (filePath, newContent) => {
+    if (rememberedDecision) {
+      return rememberedDecision;
+    }
+
+    const tempFile = path.join(
+      os.tmpdir(),
+      `bc-al-split-${Date.now()}-${path.basename(filePath)}`
+    );
+
+    try {
+      fs.writeFileSync(tempFile, newContent);
+      await vscode.commands.executeCommand(
+        "vscode.diff",
+        vscode.Uri.file(filePath),
+        vscode.Uri.file(tempFile),
+        `${path.basename(filePath)} (existing ↔ new export)`,
+        { preview: true }
+      );
+
+      const choices = [
+        { label: "Overwrite", decision: "overwrite" },
+        { label: "Skip", decision: "skip" },
+        { label: "Keep Both", decision: "keepBoth" },
+        { label: "Overwrite All", decision: "overwrite", remember: true },
+        { label: "Skip All", decision: "skip", remember: true },
+        { label: "Keep Both for All", decision: "keepBoth", remember: true },
+      ];
+
+      const selection = await vscode.window.showQuickPick(choices, {
+        placeHolder: `${path.basename(
+          filePath
+        )} already exists with different content`,
+        ignoreFocusOut: true,
+      });
+
+      await vscode.commands.executeCommand(
+        "workbench.action.closeActiveEditor"
+      );
+
+      // Dismissing the prompt never destroys existing work
+      if (!selection) {
+        return "skip";
+      }
+
+      if (selection.remember) {
+        rememberedDecision = selection.decision;
+      }
+      return selection.decision;
+    } finally {
+      fs.rmSync(tempFile, { force: true });
+    }
+  };
+}
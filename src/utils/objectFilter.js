@@ -0,0 +1,161 @@
+const { parseObjectProperties } = require("./calObjectProperties");
+
+/**
+ * Filters applied to split C/AL objects before anything is written.
+ * Every criterion that is set must match, an empty criterion matches all objects.
+ *
+ * @typedef {Object} ObjectFilter
+ * @property {string[]} [types] - Object types, case-insensitive (e.g. ["Table", "Page"])
+ * @property {Array<{from: number, to: number}>} [idRanges] - Object ID ranges, inclusive
+ * @property {string[]} [namePatterns] - Name wildcards with * and ?, case-insensitive
+ * @property {string[]} [versionListContains] - Any of these texts must occur in the Version List
+ */
+
+/**
+ * Parse a comma separated list
+ * @param {string|string[]} value - e.g. "Table, Page"
+ * @returns {string[]}
+ */
+function parseList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse ID ranges like "50000-99999, 18, 36..37"
+ * @param {string} value
+ * @returns {Array<{from: number, to: number}>}
+ * @throws {Error} If a range is not numeric or from > to
+ */
+function parseIdRanges(value) {
+  return parseList(value).map((part) => {
+    const match = part.match(/^(\d+)\s*(?:(?:-|\.\.)\s*(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ID range "${part}", expected e.g. 50000-99999`);
+    }
+    const from = parseInt(match[1], 10);
+    const to = match[2] ? parseInt(match[2], 10) : from;
+    if (from > to) {
+      throw new Error(`Invalid ID range "${part}", start is after end`);
+    }
+    return { from, to };
+  });
+}
+
+function wildcardToRegex(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Check whether a filter restricts anything
+ * @param {ObjectFilter} filter
+ * @returns {boolean}
+ */
+function isFilterEmpty(filter) {
+  if (!filter) return true;
+  return ["types", "idRanges", "namePatterns", "versionListContains"].every(
+    (key) => !filter[key] || filter[key].length === 0
+  );
+}
+
+/**
+ * Create a predicate for split objects
+ * @param {ObjectFilter} filter
+ * @returns {function({type: string, id: string, name: string, content: string[]}): boolean}
+ */
+function createObjectFilter(filter) {
+  if (isFilterEmpty(filter)) {
+    return () => true;
+  }
+
+  const types = parseList(filter.types).map((type) => type.toLowerCase());
+  const idRanges = filter.idRanges || [];
+  const namePatterns = parseList(filter.namePatterns).map(wildcardToRegex);
+  const versionTexts = parseList(filter.versionListContains).map((text) =>
+    text.toLowerCase()
+  );
+
+  return (object) => {
+    if (
+      types.length > 0 &&
+      !types.includes(String(object.type).toLowerCase())
+    ) {
+      return false;
+    }
+
+    if (idRanges.length > 0) {
+      const id = parseInt(object.id, 10);
+      if (isNaN(id) || !idRanges.some((r) => id >= r.from && id <= r.to)) {
+        return false;
+      }
+    }
+
+    if (
+      namePatterns.length > 0 &&
+      !namePatterns.some((regex) => regex.test(object.name || ""))
+    ) {
+      return false;
+    }
+
+    if (versionTexts.length > 0) {
+      const properties = parseObjectProperties(object.content || []);
+      const versionList = (properties?.versionList || "").toLowerCase();
+      if (!versionTexts.some((text) => versionList.includes(text))) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Describe a filter for summaries and previews
+ * @param {ObjectFilter} filter
+ * @returns {string}
+ */
+function describeObjectFilter(filter) {
+  if (isFilterEmpty(filter)) {
+    return "all objects";
+  }
+
+  const parts = [];
+  if (filter.types?.length) {
+    parts.push(`types: ${parseList(filter.types).join(", ")}`);
+  }
+  if (filter.idRanges?.length) {
+    parts.push(
+      `IDs: ${filter.idRanges
+        .map((r) => (r.from === r.to ? `${r.from}` : `${r.from}-${r.to}`))
+        .join(", ")}`
+    );
+  }
+  if (filter.namePatterns?.length) {
+    parts.push(`names: ${parseList(filter.namePatterns).join(", ")}`);
+  }
+  if (filter.versionListContains?.length) {
+    parts.push(
+      `Version List contains: ${parseList(filter.versionListContains).join(
+        ", "
+      )}`
+    );
+  }
+  return parts.join("; ");
+}
+
+module.exports = {
+  parseList,
+  parseIdRanges,
+  isFilterEmpty,
+  createObjectFilter,
+  describeObjectFilter,
+};
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Allocation of free AL object IDs in the app.json ID ranges. Object IDs are
+ * unique per object type, so a table and an enum may share an ID.
+ */
+
+const AL_OBJECT_TYPES = [
+  "table",
+  "tableextension",
+  "page",
+  "pageextension",
+  "report",
+  "reportextension",
+  "codeunit",
+  "query",
+  "xmlport",
+  "enum",
+  "enumextension",
+  "profile",
+  "interface",
+];
+
+const AL_OBJECT_DECLARATION = new RegExp(
+  `^\\s*(${AL_OBJECT_TYPES.join("|")})\\s+(\\d+)\\b`,
+  "im"
+);
+
+/**
+ * Type and ID of the AL object declared in a file
+ * @param {string} content - AL code
+ * @returns {{type: string, id: number}|null} Type in lower case
+ */
+function parseAlObjectDeclaration(content) {
+  const match = content.match(AL_OBJECT_DECLARATION);
+  return match
+    ? { type: match[1].toLowerCase(), id: parseInt(match[2], 10) }
+    : null;
+}
+
+/**
+ * Objects of the .index folder, which holds a folder per object:
+ * .index/[objectType]/[objectNumber]/
+ * @param {string} indexPath - Path to the .index folder
+ * @returns {Array<{type: string, id: number}>}
+ */
+function readIndexedObjects(indexPath) {
+  const objects = [];
+  for (const type of AL_OBJECT_TYPES) {
+    const typeFolder = path.join(indexPath, type);
+    if (!fs.existsSync(typeFolder)) continue;
+    for (const entry of fs.readdirSync(typeFolder, { withFileTypes: true })) {
+      if (entry.isDirectory() && /^\d+$/.test(entry.name)) {
+        objects.push({ type, id: parseInt(entry.name, 10) });
+      }
+    }
+  }
+  return objects;
+}
+
+/**
+ * Create an allocator handing out the lowest free ID of an object type in the
+ * ID ranges. Allocated IDs count as used afterwards
+ * @param {Array<{from: number, to: number}>} idRanges - Ranges from app.json
+ * @param {Array<{type: string, id: number}>} usedObjects - Existing objects
+ * @returns {function(string): number} Next free ID of an object type
+ * @throws {Error} From the allocator, if the ranges have no free ID left
+ */
+function createObjectIdAllocator(idRanges, usedObjects) {
+  const usedByType = new Map();
+  const getUsed = (type) => {
+    const key = type.toLowerCase();
+    if (!usedByType.has(key)) usedByType.set(key, new Set());
+    return usedByType.get(key);
+  };
+  for (const object of usedObjects) {
+    getUsed(object.type).add(object.id);
+  }
+
+  return (type) => {
+    const used = getUsed(type);
+    for (const range of idRanges) {
+      for (let id = range.from; id <= range.to; id++) {
+        if (!used.has(id)) {
+          used.add(id);
+          return id;
+        }
+      }
+    }
+    throw new Error(`No free ${type} ID left in the app.json ID ranges`);
+  };
+}
+
+module.exports = {
+  AL_OBJECT_TYPES,
+  parseAlObjectDeclaration,
+  readIndexedObjects,
+  createObjectIdAllocator,
+};
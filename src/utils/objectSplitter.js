@@ -0,0 +1,843 @@
+const fs = require("fs");
+const path = require("path");
+const { Transform, Writable } = require("stream");
+const {
+  hashContent,
+  getObjectKey,
+  loadSplitState,
+  saveSplitState,
+  saveSplitReport,
+  findDoneReferencesForObjects,
+} = require("./splitIndex");
+const { writeCalObjectInfo } = require("./calObjectIndex");
+const {
+  SOURCE_ENCODINGS,
+  TARGET_ENCODINGS,
+  detectEncoding,
+  createDecoder,
+  decodeBuffer,
+  encodeText,
+} = require("./encodingHelper");
+const {
+  createObjectFilter,
+  describeObjectFilter,
+  isFilterEmpty,
+} = require("./objectFilter");
+const { parseObjectProperties } = require("./calObjectProperties");
+
+/**
+ * Transform stream that splits input into C/AL objects
+ */
+class ObjectSplitterTransform extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.sourceEncoding="utf8"] - Encoding of Buffer chunks, see encodingHelper.SOURCE_ENCODINGS
+   */
+  constructor(options = {}) {
+    const { sourceEncoding = "utf8", ...streamOptions } = options;
+    super({ ...streamOptions, objectMode: true });
+    // Decode incrementally so characters split across chunks stay intact
+    this.decoder = createDecoder(sourceEncoding);
+    this.buffer = "";
+    this.currentObject = {
+      content: [],
+      type: "",
+      id: "",
+      name: "",
+    };
+    this.isInsideObject = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      const text =
+        typeof chunk === "string" ? chunk : this.decoder.write(chunk);
+      const lines = (this.buffer + text).split(/\r?\n/);
+      this.buffer = lines.pop(); // Keep last partial line in buffer
+
+      for (const line of lines) {
+        this._processLine(line);
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    this.buffer += this.decoder.end();
+    if (this.buffer) {
+      this._processLine(this.buffer);
+    }
+    if (this.isInsideObject && this.currentObject.content.length > 0) {
+      this.push(this._finalizeCurrentObject());
+    }
+    callback();
+  }
+
+  _processLine(line) {
+    const isCalObject = line.trim().startsWith("OBJECT ");
+    const isAlExtensionObject =
+      /^\s*(tableextension|pageextension|reportextension|codeunitextension|enumextension)\s+/i.test(
+        line.trim()
+      );
+
+    if (isCalObject || isAlExtensionObject) {
+      if (this.isInsideObject && this.currentObject.content.length > 0) {
+        this.push(this._finalizeCurrentObject());
+      }
+
+      this._startNewObject(line, isCalObject);
+    }
+
+    if (this.isInsideObject) {
+      this.currentObject.content.push(line);
+    }
+  }
+
+  _startNewObject(line, isCalObject) {
+    this.isInsideObject = true;
+    this.currentObject = {
+      content: [],
+      type: "",
+      id: "",
+      name: "",
+    };
+
+    if (isCalObject) {
+      const objectMatch = line.match(/OBJECT\s+(\w+)\s+(\d+)\s+(.*)/i);
+      if (objectMatch) {
+        this.currentObject.type = objectMatch[1];
+        this.currentObject.id = objectMatch[2];
+        this.currentObject.name = objectMatch[3];
+      }
+    } else {
+      const extensionMatch = line.match(
+        /(\w+extension)\s+(\d+)\s+["']([^"']+)["']/i
+      );
+      if (extensionMatch) {
+        this.currentObject.type = extensionMatch[1];
+        this.currentObject.id = extensionMatch[2];
+        this.currentObject.name = extensionMatch[3];
+      }
+    }
+  }
+
+  _finalizeCurrentObject() {
+    const result = { ...this.currentObject };
+    this.currentObject = {
+      content: [],
+      type: "",
+      id: "",
+      name: "",
+    };
+    return result;
+  }
+}
+
+/**
+ * Transform stream that only passes objects matching a filter, see objectFilter.js
+ */
+class ObjectFilterTransform extends Transform {
+  /**
+   * @param {import("./objectFilter").ObjectFilter} filter
+   * @param {Object} [options] - Stream options
+   */
+  constructor(filter, options = {}) {
+    super({ ...options, objectMode: true });
+    this.matches = createObjectFilter(filter);
+    this.includedCount = 0;
+    this.excludedCount = 0;
+  }
+
+  _transform(object, encoding, callback) {
+    try {
+      if (this.matches(object)) {
+        this.includedCount++;
+        this.push(object);
+      } else {
+        this.excludedCount++;
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/** Default path template, matches the historical "<type>s/<type><id>_<name>.txt" layout */
+const DEFAULT_PATH_TEMPLATE = "{type}s/{type}{id}_{name}.txt";
+
+/** Path template used when objects are not organized by type */
+const FLAT_PATH_TEMPLATE = "{type}{id}_{name}.txt";
+
+const TEMPLATE_PLACEHOLDERS = ["type", "typeLower", "id", "name"];
+
+/**
+ * How to handle an object whose target file already exists with different content
+ * - overwrite: replace the existing file
+ * - skip: keep the existing file untouched
+ * - keepBoth: write the new object next to it with a numeric suffix
+ * - prompt: ask the resolveConflict callback for every conflict
+ */
+const CONFLICT_POLICIES = ["overwrite", "skip", "keepBoth", "prompt"];
+
+/**
+ * Validate a path template like "{type}/{id}_{name}.txt"
+ * @param {string} template - Path template relative to the output folder
+ * @throws {Error} If the template is empty, absolute, escapes the output folder or uses unknown placeholders
+ */
+function validatePathTemplate(template) {
+  if (!template || typeof template !== "string" || !template.trim()) {
+    throw new Error("Path template must not be empty");
+  }
+
+  if (path.isAbsolute(template) || /^[\\/]/.test(template)) {
+    throw new Error(`Path template must be relative: ${template}`);
+  }
+
+  if (template.split(/[\\/]/).some((segment) => segment === "..")) {
+    throw new Error(
+      `Path template must not leave the output folder: ${template}`
+    );
+  }
+
+  const placeholders = template.match(/\{[^}]*\}/g) || [];
+  for (const placeholder of placeholders) {
+    const key = placeholder.slice(1, -1);
+    if (!TEMPLATE_PLACEHOLDERS.includes(key)) {
+      throw new Error(
+        `Unknown placeholder ${placeholder} in path template, supported: ${TEMPLATE_PLACEHOLDERS.map(
+          (p) => `{${p}}`
+        ).join(", ")}`
+      );
+    }
+  }
+}
+
+/**
+ * Render the relative output path of an object from a path template
+ * @param {string} template - Path template, e.g. "{type}/{id}_{name}.txt"
+ * @param {{type: string, id: string, name: string}} object - Split object
+ * @returns {string} Relative file path using the platform separator
+ */
+function renderPathTemplate(template, object) {
+  const values = {
+    type: cleanPathSegment(object.type),
+    typeLower: cleanPathSegment(object.type).toLowerCase(),
+    id: cleanPathSegment(object.id),
+    name: cleanPathSegment(object.name),
+  };
+
+  const rendered = template.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  );
+
+  return path.join(...rendered.split(/[\\/]/).filter(Boolean));
+}
+
+/**
+ * Folder holding all objects of a type: the folders of the template before
+ * its first object-specific placeholder, e.g. "Table" for
+ * "{type}/{id}/{name}.txt"
+ * @param {string} template - Path template
+ * @param {string} type - Object type
+ * @returns {string|null} Relative folder, null if the objects of a type do
+ *   not share a folder
+ */
+function getTypeFolder(template, type) {
+  const objectPart = template.search(/\{(id|name)\}/);
+  const typePart = objectPart === -1 ? template : template.slice(0, objectPart);
+  const lastSeparator = Math.max(
+    typePart.lastIndexOf("/"),
+    typePart.lastIndexOf("\\")
+  );
+  if (lastSeparator === -1) {
+    return null;
+  }
+  return renderPathTemplate(typePart.slice(0, lastSeparator), { type });
+}
+
+/**
+ * Relative output path of a split object, objects without a parsed header
+ * get a unique "Unknown_Object_<timestamp>.txt" name in the output folder
+ */
+function getObjectRelativePath(template, object) {
+  if (!object.type || !object.id || !object.name) {
+    return `Unknown_Object_${Date.now()}.txt`;
+  }
+  return renderPathTemplate(template, object);
+}
+
+function cleanPathSegment(value) {
+  return String(value || "")
+    .replace(/[<>:"/\\|?*]/g, "_")
+    .replace(/\s+/g, "_")
+    .trim();
+}
+
+/**
+ * Writable stream that handles saving objects to files
+ */
+class ObjectWriterStream extends Writable {
+  /**
+   * @param {string} outputPath - Folder that receives the object files
+   * @param {boolean} organizeByType - Use "<type>s" subfolders when no pathTemplate is given
+   * @param {Object} [options]
+   * @param {string} [options.pathTemplate] - Relative path template for object files
+   * @param {string} [options.conflictPolicy="overwrite"] - One of CONFLICT_POLICIES
+   * @param {Function} [options.resolveConflict] - async (filePath, newContent) => "overwrite" | "skip" | "keepBoth",
+   *   required for the "prompt" policy
+   * @param {Object} [options.previousState] - State of the last split (see splitIndex.js) used to detect
+   *   added, changed and removed objects and to replace untouched files without asking
+   * @param {boolean} [options.partial=false] - Only part of the export is written (filtered split): objects of the
+   *   previous split that were not seen are kept in the state instead of being reported as removed
+   * @param {string} [options.targetEncoding="utf8"] - Encoding of the written files, see encodingHelper.TARGET_ENCODINGS
+   */
+  constructor(outputPath, organizeByType, options = {}) {
+    const {
+      pathTemplate,
+      conflictPolicy = "overwrite",
+      resolveConflict,
+      previousState,
+      targetEncoding = "utf8",
+      partial = false,
+      ...streamOptions
+    } = options;
+    super({ ...streamOptions, objectMode: true });
+
+    this.pathTemplate =
+      pathTemplate ||
+      (organizeByType ? DEFAULT_PATH_TEMPLATE : FLAT_PATH_TEMPLATE);
+    validatePathTemplate(this.pathTemplate);
+
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw new Error(
+        `Invalid conflict policy "${conflictPolicy}", expected one of: ${CONFLICT_POLICIES.join(
+          ", "
+        )}`
+      );
+    }
+    if (conflictPolicy === "prompt" && typeof resolveConflict !== "function") {
+      throw new Error(
+        'Conflict policy "prompt" requires a resolveConflict callback'
+      );
+    }
+
+    if (!TARGET_ENCODINGS.includes(targetEncoding)) {
+      throw new Error(
+        `Invalid target encoding "${targetEncoding}", expected one of: ${TARGET_ENCODINGS.join(
+          ", "
+        )}`
+      );
+    }
+
+    this.outputPath = outputPath;
+    this.organizeByType = organizeByType;
+    this.targetEncoding = targetEncoding;
+    this.conflictPolicy = conflictPolicy;
+    this.resolveConflict = resolveConflict;
+    this.objectCountsByType = {};
+    this.upgradedObjectFoldersByType = {};
+    this.extractedFiles = [];
+    this.manifest = [];
+    this.previousObjects = previousState ? previousState.objects : null;
+    this.partial = partial;
+    this.splitObjects = {};
+    this.calObjects = [];
+    this.changes = { added: [], changed: [], removed: [], unchangedCount: 0 };
+    this.conflictCounts = {
+      updated: 0,
+      overwritten: 0,
+      skipped: 0,
+      keptBoth: 0,
+      unchanged: 0,
+    };
+    this.writePromises = [];
+  }
+
+  _write(object, encoding, callback) {
+    // Only acknowledge the chunk once it is on disk so the splitter
+    // is throttled on very large exports instead of buffering everything
+    const writePromise = this._writeObject(object);
+    this.writePromises.push(writePromise);
+    writePromise.then(() => callback(), callback);
+  }
+
+  async _writeObject(object) {
+    const relativePath = this._getRelativePath(object);
+    let filePath = path.join(this.outputPath, relativePath);
+    const content = object.content.join("\n") + "\n";
+
+    this._ensureDirectoryExists(path.dirname(filePath));
+
+    if (object.type) {
+      this.objectCountsByType[object.type] =
+        (this.objectCountsByType[object.type] || 0) + 1;
+
+      const folder = getTypeFolder(this.pathTemplate, object.type);
+      if (folder && !this.upgradedObjectFoldersByType[object.type]) {
+        this.upgradedObjectFoldersByType[object.type] = folder;
+      }
+    }
+
+    const hash = hashContent(content);
+    const key = object.type && object.id ? getObjectKey(object) : null;
+    const previous =
+      key && this.previousObjects ? this.previousObjects[key] : null;
+
+    let action = "created";
+    let existed = false;
+
+    if (previous && previous.hash === hash && fs.existsSync(filePath)) {
+      // Same source as the last split, leave the file and any notes alone
+      action = "unchanged";
+      existed = true;
+    } else {
+      const existingContent = await readFileIfExists(
+        filePath,
+        this.targetEncoding
+      );
+      existed = existingContent !== null;
+
+      if (existed) {
+        if (existingContent === content) {
+          action = "unchanged";
+        } else if (previous && hashContent(existingContent) === previous.hash) {
+          // File still holds the previously split source, safe to replace
+          action = "updated";
+        } else {
+          const decision =
+            this.conflictPolicy === "prompt"
+              ? await this.resolveConflict(filePath, content)
+              : this.conflictPolicy;
+
+          if (decision === "overwrite") {
+            action = "overwritten";
+          } else if (decision === "keepBoth") {
+            action = "keptBoth";
+            filePath = this._getAvailableFilePath(filePath);
+          } else {
+            action = "skipped";
+          }
+        }
+      }
+    }
+
+    if (["created", "updated", "overwritten", "keptBoth"].includes(action)) {
+      await fs.promises.writeFile(
+        filePath,
+        encodeText(content, this.targetEncoding)
+      );
+      this.extractedFiles.push(filePath);
+    }
+
+    if (action !== "created") {
+      this.conflictCounts[action]++;
+    }
+
+    let change;
+    if (previous) {
+      change = previous.hash === hash ? "unchanged" : "changed";
+    } else if (existed) {
+      change = action === "unchanged" ? "unchanged" : "changed";
+    } else {
+      change = "added";
+    }
+
+    const entry = {
+      type: object.type,
+      id: object.id ? parseInt(object.id, 10) : null,
+      name: object.name,
+      file: path.relative(this.outputPath, filePath),
+      lines: object.content.length,
+      action,
+      change,
+    };
+    this.manifest.push(entry);
+
+    if (key) {
+      // A skipped file does not hold the new source, so keep the hash of
+      // the last split and its conflict is raised again on the next split
+      if (action !== "skipped") {
+        this.splitObjects[key] = {
+          type: entry.type,
+          id: entry.id,
+          name: entry.name,
+          file: relativePath.split(path.sep).join("/"),
+          hash,
+        };
+      } else if (previous) {
+        this.splitObjects[key] = previous;
+      }
+
+      if (action !== "skipped") {
+        this.calObjects.push({
+          type: entry.type,
+          id: entry.id,
+          name: entry.name,
+          file: entry.file,
+          properties: parseObjectProperties(object.content),
+        });
+      }
+
+      if (change === "added") {
+        this.changes.added.push(toChangeEntry(entry));
+      } else if (change === "changed") {
+        this.changes.changed.push(toChangeEntry(entry));
+      } else {
+        this.changes.unchangedCount++;
+      }
+    }
+  }
+
+  async finalize() {
+    // Wait for all writes to complete
+    await Promise.all(this.writePromises);
+
+    // Objects of the previous split that are missing in this export
+    if (this.previousObjects) {
+      for (const [key, previous] of Object.entries(this.previousObjects)) {
+        if (this.splitObjects[key]) continue;
+
+        if (this.partial) {
+          this.splitObjects[key] = previous;
+        } else {
+          this.changes.removed.push(toChangeEntry(previous));
+        }
+      }
+    }
+
+    // Create and write summary file
+    const summaryFilePath = path.join(
+      this.outputPath,
+      "_extraction_summary.txt"
+    );
+    const summaryContent = this._generateSummary();
+    await fs.promises.writeFile(summaryFilePath, summaryContent);
+
+    // Store base path in object locations
+    if (Object.keys(this.upgradedObjectFoldersByType).length > 0) {
+      this.upgradedObjectFoldersByType["basePath"] = this.outputPath;
+    }
+
+    return {
+      files: this.extractedFiles,
+      summaryFile: summaryFilePath,
+      objectLocations: this.upgradedObjectFoldersByType,
+      objects: this.manifest,
+      objectCountsByType: this.objectCountsByType,
+      conflicts: this.conflictCounts,
+      changes: this.changes,
+      splitObjects: this.splitObjects,
+      calObjects: this.calObjects,
+    };
+  }
+
+  _ensureDirectoryExists(dirPath) {
+    if (!fs.existsSync(dirPath)) {
+      fs.mkdirSync(dirPath, { recursive: true });
+    }
+  }
+
+  _getRelativePath(object) {
+    return getObjectRelativePath(this.pathTemplate, object);
+  }
+
+  /**
+   * Find a free file name by appending "_1", "_2", ... before the extension
+   */
+  _getAvailableFilePath(filePath) {
+    const extension = path.extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+    let counter = 1;
+    let candidate = `${base}_${counter}${extension}`;
+    while (fs.existsSync(candidate)) {
+      counter++;
+      candidate = `${base}_${counter}${extension}`;
+    }
+    return candidate;
+  }
+
+  _generateSummary() {
+    let content = `Extraction Summary\n`;
+    content += `----------------\n`;
+    content += `Extraction date: ${new Date().toLocaleString()}\n\n`;
+    content += `Total objects extracted: ${this.extractedFiles.length}\n\n`;
+    content += `Base extraction path: ${this.outputPath}\n\n`;
+    content += `Path template: ${this.pathTemplate}\n`;
+    content += `Conflict policy: ${this.conflictPolicy}\n`;
+    content += `Target encoding: ${this.targetEncoding}\n\n`;
+    content += `Changes since last split:\n`;
+    content += `- added: ${this.changes.added.length}\n`;
+    content += `- changed: ${this.changes.changed.length}\n`;
+    content += `- removed: ${this.changes.removed.length}\n`;
+    content += `- unchanged: ${this.changes.unchangedCount}\n\n`;
+    content += `Existing files:\n`;
+    content += `- updated: ${this.conflictCounts.updated}\n`;
+    content += `- overwritten: ${this.conflictCounts.overwritten}\n`;
+    content += `- skipped: ${this.conflictCounts.skipped}\n`;
+    content += `- kept both: ${this.conflictCounts.keptBoth}\n`;
+    content += `- unchanged: ${this.conflictCounts.unchanged}\n\n`;
+    content += `Objects by type:\n`;
+
+    for (const type in this.objectCountsByType) {
+      content += `- ${type}s: ${this.objectCountsByType[type]}\n`;
+    }
+
+    return content;
+  }
+}
+
+function toChangeEntry(object) {
+  return {
+    type: object.type,
+    id: object.id,
+    name: object.name,
+    file: object.file.split(path.sep).join("/"),
+  };
+}
+
+async function readFileIfExists(filePath, encoding) {
+  try {
+    return decodeBuffer(await fs.promises.readFile(filePath), encoding);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Detect the encoding of a file from its first 64 KB
+ * @param {string} filePath
+ * @returns {string} Detected encoding, see encodingHelper.detectEncoding
+ */
+function detectFileEncoding(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const sample = Buffer.alloc(64 * 1024);
+    const bytesRead = fs.readSync(fd, sample, 0, sample.length, 0);
+    return detectEncoding(sample.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function resolveSourceEncoding(sourceFilePath, sourceEncoding) {
+  if (!SOURCE_ENCODINGS.includes(sourceEncoding)) {
+    throw new Error(
+      `Invalid source encoding "${sourceEncoding}", expected one of: ${SOURCE_ENCODINGS.join(
+        ", "
+      )}`
+    );
+  }
+  return sourceEncoding === "auto"
+    ? detectFileEncoding(sourceFilePath)
+    : sourceEncoding;
+}
+
+/**
+ * Pipe the objects of a C/AL export through the filter into a writable stream
+ * @returns {Promise<ObjectFilterTransform>} The filter, holding the included and excluded counts
+ */
+async function pipeObjects(sourceFilePath, encoding, filter, sink) {
+  const splitter = new ObjectSplitterTransform({ sourceEncoding: encoding });
+  const objectFilter = new ObjectFilterTransform(filter);
+
+  await new Promise((resolve, reject) => {
+    // Read raw bytes, the splitter decodes them with the source encoding
+    const readStream = fs.createReadStream(sourceFilePath, {
+      highWaterMark: 64 * 1024,
+    });
+
+    readStream
+      .pipe(splitter)
+      .pipe(objectFilter)
+      .pipe(sink)
+      .on("finish", resolve)
+      .on("error", reject);
+
+    readStream.on("error", reject);
+    splitter.on("error", reject);
+    objectFilter.on("error", reject);
+  });
+
+  return objectFilter;
+}
+
+/**
+ * Stream a C/AL export file through the splitter and write one file per object.
+ * Has no VS Code dependency so it can be used from the command line as well.
+ * @param {string} sourceFilePath - Path to the C/AL .txt export
+ * @param {string} outputFolderPath - Folder that receives the object files
+ * @param {boolean} [organizeByType=true] - Write objects into "<type>s" subfolders
+ * @param {Object} [writerOptions] - pathTemplate, conflictPolicy, resolveConflict and targetEncoding,
+ *   see ObjectWriterStream, plus sourceEncoding ("auto" by default) to override the detected source encoding
+ *   and filter (see objectFilter.js) to only write matching objects
+ * @returns {Promise<Object>} Result of ObjectWriterStream.finalize(). The state of the split is kept in
+ *   <outputFolderPath>/.index so that the next split only rewrites new or changed objects and reports
+ *   added, changed and removed objects in result.changes. The OBJECT-PROPERTIES of every written or
+ *   unchanged object are stored under "calObject" in <outputFolderPath>/.index/<type>/<id>/info.json.
+ */
+async function splitObjectFile(
+  sourceFilePath,
+  outputFolderPath,
+  organizeByType = true,
+  writerOptions = {}
+) {
+  const { sourceEncoding = "auto", filter, ...options } = writerOptions;
+  const encoding = resolveSourceEncoding(sourceFilePath, sourceEncoding);
+
+  if (!fs.existsSync(outputFolderPath)) {
+    fs.mkdirSync(outputFolderPath, { recursive: true });
+  }
+
+  const writer = new ObjectWriterStream(outputFolderPath, organizeByType, {
+    previousState: loadSplitState(outputFolderPath),
+    partial: !isFilterEmpty(filter),
+    ...options,
+  });
+
+  const objectFilter = await pipeObjects(
+    sourceFilePath,
+    encoding,
+    filter,
+    writer
+  );
+
+  const result = await writer.finalize();
+  result.sourceEncoding = encoding;
+  result.targetEncoding = writer.targetEncoding;
+  result.excludedCount = objectFilter.excludedCount;
+
+  // Remember hashes for the next split and flag changed objects
+  // whose documentation references were already marked done
+  saveSplitState(outputFolderPath, result.splitObjects);
+  result.changes.doneReferencesAffected = findDoneReferencesForObjects(
+    outputFolderPath,
+    result.changes.changed
+  );
+  result.changes.splitAt = new Date().toISOString();
+  result.changes.reportFile = saveSplitReport(outputFolderPath, result.changes);
+
+  // Date, Time, Modified and Version List of each object for the index
+  const indexPath = path.join(outputFolderPath, ".index");
+  for (const calObject of result.calObjects) {
+    writeCalObjectInfo(indexPath, calObject);
+  }
+
+  return result;
+}
+
+/**
+ * Dry run of splitObjectFile: list the objects that would be extracted
+ * without writing anything
+ * @param {string} sourceFilePath - Path to the C/AL .txt export
+ * @param {string} outputFolderPath - Folder that would receive the object files
+ * @param {boolean} [organizeByType=true] - Use "<type>s" subfolders when no pathTemplate is given
+ * @param {Object} [options] - pathTemplate, sourceEncoding and filter as for splitObjectFile
+ * @returns {Promise<{sourceEncoding: string, filter: string, includedCount: number, excludedCount: number,
+ *   objects: Array<{type: string, id: number, name: string, versionList: string, file: string, exists: boolean}>}>}
+ */
+async function previewObjectFile(
+  sourceFilePath,
+  outputFolderPath,
+  organizeByType = true,
+  options = {}
+) {
+  const { sourceEncoding = "auto", filter, pathTemplate } = options;
+  const encoding = resolveSourceEncoding(sourceFilePath, sourceEncoding);
+  const template =
+    pathTemplate ||
+    (organizeByType ? DEFAULT_PATH_TEMPLATE : FLAT_PATH_TEMPLATE);
+  validatePathTemplate(template);
+
+  const objects = [];
+  const collector = new Writable({
+    objectMode: true,
+    write(object, _encoding, callback) {
+      const file = getObjectRelativePath(template, object);
+      const properties = parseObjectProperties(object.content);
+      objects.push({
+        type: object.type,
+        id: object.id ? parseInt(object.id, 10) : null,
+        name: object.name,
+        versionList: properties ? properties.versionList : "",
+        file,
+        exists: fs.existsSync(path.join(outputFolderPath, file)),
+      });
+      callback();
+    },
+  });
+
+  const objectFilter = await pipeObjects(
+    sourceFilePath,
+    encoding,
+    filter,
+    collector
+  );
+
+  return {
+    sourceEncoding: encoding,
+    filter: describeObjectFilter(filter),
+    includedCount: objectFilter.includedCount,
+    excludedCount: objectFilter.excludedCount,
+    objects,
+  };
+}
+
+/**
+ * Read a single object from a C/AL export without splitting the whole file
+ * @param {string} sourceFilePath - Path to the C/AL .txt export
+ * @param {string} type - Object type, e.g. "Table"
+ * @param {string|number} id - Object ID
+ * @param {Object} [options]
+ * @param {string} [options.sourceEncoding="auto"] - Encoding of the export
+ * @returns {Promise<string|null>} Object text or null if the export does not contain it
+ */
+async function readObjectFromExport(
+  sourceFilePath,
+  type,
+  id,
+  { sourceEncoding = "auto" } = {}
+) {
+  const encoding = resolveSourceEncoding(sourceFilePath, sourceEncoding);
+  const objectId = parseInt(id, 10);
+  let content = null;
+
+  const collector = new Writable({
+    objectMode: true,
+    write(object, _encoding, callback) {
+      if (content === null) {
+        content = object.content.join("\n") + "\n";
+      }
+      callback();
+    },
+  });
+
+  await pipeObjects(
+    sourceFilePath,
+    encoding,
+    { types: [type], idRanges: [{ from: objectId, to: objectId }] },
+    collector
+  );
+
+  return content;
+}
+
+module.exports = {
+  ObjectSplitterTransform,
+  ObjectFilterTransform,
+  ObjectWriterStream,
+  splitObjectFile,
+  previewObjectFile,
+  readObjectFromExport,
+  renderPathTemplate,
+  getTypeFolder,
+  validatePathTemplate,
+  detectFileEncoding,
+  DEFAULT_PATH_TEMPLATE,
+  CONFLICT_POLICIES,
+};
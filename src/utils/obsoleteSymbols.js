@@ -0,0 +1,535 @@
+/**
+ * Obsolete symbols of the SymbolReference.json files of .app packages.
+ *
+ * Shape: { "table:customer": { type, id, name, state, reason, tag,
+ *   members: { "no. 2": { kind, name, state, reason, tag } } } }
+ *
+ * Only objects that are obsolete themselves or have obsolete fields,
+ * procedures or events are kept.
+ */
+
+// Object collections of SymbolReference.json and their AL object type
+const OBJECT_COLLECTIONS = {
+  Tables: "Table",
+  Pages: "Page",
+  Codeunits: "Codeunit",
+  Reports: "Report",
+  Queries: "Query",
+  XmlPorts: "XmlPort",
+  EnumTypes: "Enum",
+  Interfaces: "Interface",
+};
+
+const EVENT_ATTRIBUTES = ["integrationevent", "businessevent", "internalevent"];
+
+// AL keywords that reference objects, with the object type they refer to
+const REFERENCE_TYPES = {
+  record: "Table",
+  database: "Table",
+  page: "Page",
+  codeunit: "Codeunit",
+  report: "Report",
+  query: "Query",
+  xmlport: "XmlPort",
+  enum: "Enum",
+  interface: "Interface",
+};
+
+const EXTENSION_TYPES = {
+  tableextension: "Table",
+  pageextension: "Page",
+  reportextension: "Report",
+  enumextension: "Enum",
+};
+
+// Record methods whose first argument is a field of the record
+const FIELD_ARGUMENT_METHODS = [
+  "setrange",
+  "setfilter",
+  "testfield",
+  "validate",
+  "fieldno",
+  "fieldcaption",
+  "fielderror",
+  "calcfields",
+  "calcsums",
+  "setcurrentkey",
+  "modifyall",
+];
+
+const NAME = '"[^"\\n]+"|\\w+';
+
+function symbolKey(type, name) {
+  return `${type.toLowerCase()}:${unquote(name).toLowerCase()}`;
+}
+
+function unquote(name) {
+  return String(name).replace(/^"|"$/g, "");
+}
+
+/**
+ * Obsolete state, reason and tag of a symbol, from its ObsoleteState
+ * properties or, for procedures and events, its [Obsolete] attribute
+ * @param {Object} symbol - Object, field or method of SymbolReference.json
+ * @returns {{state: string, reason: string, tag: string}|null}
+ */
+function getObsoleteInfo(symbol) {
+  const properties = {};
+  for (const property of symbol.Properties || []) {
+    properties[property.Name] = property.Value;
+  }
+  if (properties.ObsoleteState && properties.ObsoleteState !== "No") {
+    return {
+      state: properties.ObsoleteState,
+      reason: properties.ObsoleteReason || "",
+      tag: properties.ObsoleteTag || "",
+    };
+  }
+
+  const attribute = (symbol.Attributes || []).find(
+    (item) => String(item.Name).toLowerCase() === "obsolete"
+  );
+  if (attribute) {
+    const [reason, tag] = (attribute.Arguments || []).map((argument) =>
+      String(argument.Value).replace(/^'|'$/g, "")
+    );
+    return { state: "Pending", reason: reason || "", tag: tag || "" };
+  }
+  return null;
+}
+
+function isEvent(method) {
+  return (
+    method.IsEvent === true ||
+    (method.Attributes || []).some((attribute) =>
+      EVENT_ATTRIBUTES.includes(String(attribute.Name).toLowerCase())
+    )
+  );
+}
+
+function collectMembers(object) {
+  const members = {};
+  for (const field of object.Fields || []) {
+    const info = getObsoleteInfo(field);
+    if (info) {
+      members[field.Name.toLowerCase()] = {
+        kind: "field",
+        name: field.Name,
+        ...info,
+      };
+    }
+  }
+
+  // Overloads share a name, so a method only counts as obsolete when all of
+  // its overloads are
+  const methods = new Map();
+  for (const method of object.Methods || []) {
+    const key = method.Name.toLowerCase();
+    const info = getObsoleteInfo(method);
+    const previous = methods.get(key);
+    if (previous === undefined) {
+      methods.set(
+        key,
+        info && {
+          kind: isEvent(method) ? "event" : "procedure",
+          name: method.Name,
+          ...info,
+        }
+      );
+    } else if (!info) {
+      methods.set(key, null);
+    }
+  }
+  for (const [key, member] of methods) {
+    if (member && !members[key]) {
+      members[key] = member;
+    }
+  }
+  return members;
+}
+
+/**
+ * Collect the obsolete objects, fields, procedures and events of a symbol
+ * reference, including the objects in (nested) namespaces
+ * @param {Object} symbolReference - Parsed SymbolReference.json
+ * @param {Object} [result] - Map to add the symbols to
+ * @returns {Object} Obsolete symbols by "type:name"
+ */
+function extractObsoleteSymbols(symbolReference, result = {}) {
+  if (!symbolReference || typeof symbolReference !== "object") {
+    return result;
+  }
+
+  for (const [collection, type] of Object.entries(OBJECT_COLLECTIONS)) {
+    for (const object of symbolReference[collection] || []) {
+      const info = getObsoleteInfo(object);
+      const members = collectMembers(object);
+      if (!info && Object.keys(members).length === 0) {
+        continue;
+      }
+      result[symbolKey(type, object.Name)] = {
+        type,
+        id: object.Id,
+        name: object.Name,
+        ...(info || {}),
+        members,
+      };
+    }
+  }
+
+  for (const namespace of symbolReference.Namespaces || []) {
+    extractObsoleteSymbols(namespace, result);
+  }
+  return result;
+}
+
+function compareVersions(a, b) {
+  const aParts = String(a || "").split(".");
+  const bParts = String(b || "").split(".");
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference =
+      (parseInt(aParts[i], 10) || 0) - (parseInt(bParts[i], 10) || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Obsolete symbols of the target version when several versions of an app are
+ * cached, e.g. two base app versions for the breaking change report. Per app,
+ * the version app.json depends on is used, otherwise the latest one
+ * @param {Array<{app?: Object, obsolete: Object}>} apps - Obsolete symbols of
+ *   the cached apps, with the app of the symbol inventory
+ * @param {string[]} [dependencyVersions] - Versions of the app.json
+ *   dependencies
+ * @returns {Object} Obsolete symbols by "type:name"
+ */
+function selectObsoleteSymbols(apps, dependencyVersions = []) {
+  const isPreferred = (a, b) => {
+    const aDependency = dependencyVersions.includes(a.app.version);
+    const bDependency = dependencyVersions.includes(b.app.version);
+    if (aDependency !== bDependency) return aDependency;
+    return compareVersions(a.app.version, b.app.version) > 0;
+  };
+
+  const selected = new Map();
+  apps.forEach((entry, index) => {
+    const app = entry.app || {};
+    // Apps without SymbolReference.json cannot be told apart
+    const key = app.id || (app.name ? `${app.publisher}/${app.name}` : index);
+    const current = selected.get(key);
+    if (!current || isPreferred({ ...entry, app }, current)) {
+      selected.set(key, { ...entry, app });
+    }
+  });
+  return Object.assign(
+    {},
+    ...[...selected.values()].map((entry) => entry.obsolete || {})
+  );
+}
+
+/**
+ * Parse the content of a SymbolReference.json file, which usually starts
+ * with a byte order mark
+ * @param {string|Buffer} content
+ * @returns {Object}
+ */
+function parseSymbolReference(content) {
+  return JSON.parse(String(content).replace(/^\uFEFF/, ""));
+}
+
+/**
+ * Replace comments and string literals with spaces, so offsets stay the same
+ * @param {string} text - AL code
+ * @returns {string}
+ */
+function maskCommentsAndStrings(text) {
+  return text.replace(
+    /\/\/[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^'\n]|'')*'/g,
+    (match) => match.replace(/[^\n]/g, " ")
+  );
+}
+
+/**
+ * Find an obsolete object by type and name or id
+ * @param {Object} obsoleteSymbols - Obsolete symbols by "type:name"
+ * @param {string} type - AL object type
+ * @param {string} nameOrId - Object name (may be quoted) or id
+ * @returns {Object|null}
+ */
+function findObsoleteObject(obsoleteSymbols, type, nameOrId) {
+  const name = unquote(nameOrId);
+  const byName = obsoleteSymbols[symbolKey(type, name)];
+  if (byName || !/^\d+$/.test(name)) {
+    return byName || null;
+  }
+  return (
+    Object.values(obsoleteSymbols).find(
+      (object) => object.type === type && String(object.id) === name
+    ) || null
+  );
+}
+
+/**
+ * Object referenced by a variable type like Record "Sales Header" temporary
+ * @param {string|null} variableType
+ * @returns {{type: string, name: string}|null}
+ */
+function parseObjectType(variableType) {
+  const match =
+    variableType && variableType.match(new RegExp(`^(\\w+)\\s+(${NAME})`, "i"));
+  if (!match || !REFERENCE_TYPES[match[1].toLowerCase()]) {
+    return null;
+  }
+  return { type: REFERENCE_TYPES[match[1].toLowerCase()], name: match[2] };
+}
+
+/**
+ * Table behind Rec and xRec: the table itself, the extended table or the
+ * source table of a page
+ * @param {string} text - Masked AL code
+ * @returns {string|null}
+ */
+function findRecordTable(text) {
+  const header = text.match(
+    new RegExp(
+      `^\\s*(table|tableextension|page)\\s+\\d+\\s+(?:${NAME})(?:\\s+extends\\s+(${NAME}))?`,
+      "im"
+    )
+  );
+  if (!header) return null;
+
+  const objectType = header[1].toLowerCase();
+  if (objectType === "table") {
+    return header[0].match(new RegExp(`(${NAME})\\s*$`))[1];
+  }
+  if (objectType === "tableextension") {
+    return header[2] || null;
+  }
+  const sourceTable = text.match(
+    new RegExp(`\\bSourceTable\\s*=\\s*(${NAME})\\s*;`, "i")
+  );
+  return sourceTable ? sourceTable[1] : null;
+}
+
+/**
+ * Declarations of all variables and parameters, collected in one pass
+ * @param {string} text - Masked AL code
+ * @returns {Map<string, Array<{index: number, type: string}>>} Declarations
+ *   by lower case unquoted name, in the order of the code
+ */
+function collectDeclarations(text) {
+  const declarations = new Map();
+  const declaration = new RegExp(
+    `(?<![.\\w])(${NAME})\\s*:(?!=)\\s*([^;)=\\n]+?)\\s*[;)]`,
+    "g"
+  );
+  for (const match of text.matchAll(declaration)) {
+    const key = unquote(match[1]).toLowerCase();
+    if (!declarations.has(key)) declarations.set(key, []);
+    declarations.get(key).push({ index: match.index, type: match[2] });
+  }
+  return declarations;
+}
+
+/**
+ * Type of a variable, preferring the declaration closest before the usage,
+ * so local variables shadow global ones (as findVariableType of the
+ * migration rule engine)
+ * @param {Map<string, Array<{index: number, type: string}>>} declarations
+ * @param {string} name - Variable name
+ * @param {number} offset - Position of the usage
+ * @returns {string|null}
+ */
+function lookupVariableType(declarations, name, offset) {
+  const candidates = declarations.get(unquote(name).toLowerCase());
+  if (!candidates) return null;
+  let type = candidates[0].type;
+  for (const candidate of candidates) {
+    if (candidate.index > offset) break;
+    type = candidate.type;
+  }
+  return type;
+}
+
+function createUsage(start, name, object, member) {
+  const symbol = member || object;
+  return {
+    start,
+    end: start + name.length,
+    objectType: object.type,
+    objectName: object.name,
+    memberName: member ? member.name : null,
+    kind: member ? member.kind : "object",
+    state: symbol.state,
+    reason: symbol.reason || "",
+    tag: symbol.tag || "",
+  };
+}
+
+/**
+ * Find the usages of obsolete symbols in AL code: object references in
+ * variable types, Database::/Codeunit::... references, extends clauses and
+ * SourceTable, fields and methods of record and codeunit variables, and
+ * event subscribers of obsolete events
+ * @param {string} text - AL code
+ * @param {Object} obsoleteSymbols - Obsolete symbols by "type:name"
+ * @returns {Array<{start: number, end: number, objectType: string, objectName: string,
+ *   memberName: string|null, kind: string, state: string, reason: string, tag: string}>}
+ */
+function findObsoleteUsages(text, obsoleteSymbols) {
+  const usages = [];
+  if (!obsoleteSymbols || Object.keys(obsoleteSymbols).length === 0) {
+    return usages;
+  }
+  const masked = maskCommentsAndStrings(text);
+
+  const addObjectUsage = (type, name, start) => {
+    const object = findObsoleteObject(obsoleteSymbols, type, name);
+    if (object && object.state) {
+      usages.push(createUsage(start, name, object, null));
+    }
+  };
+
+  // Record Customer, Codeunit "Sales-Post", Database::Customer, ...
+  const typeReference = new RegExp(
+    `\\b(Record|Page|Codeunit|Report|Query|XmlPort|Enum|Interface)(?:\\s+|\\s*::\\s*)(${NAME})|\\b(Database)\\s*::\\s*(${NAME})`,
+    "gi"
+  );
+  for (const match of masked.matchAll(typeReference)) {
+    const keyword = match[1] || match[3];
+    const name = match[2] || match[4];
+    const type = REFERENCE_TYPES[keyword.toLowerCase()];
+    addObjectUsage(type, name, match.index + match[0].length - name.length);
+  }
+
+  const extension = masked.match(
+    new RegExp(
+      `^\\s*(\\w+)\\s+\\d+\\s+(?:${NAME})\\s+extends\\s+(${NAME})`,
+      "im"
+    )
+  );
+  if (extension && EXTENSION_TYPES[extension[1].toLowerCase()]) {
+    addObjectUsage(
+      EXTENSION_TYPES[extension[1].toLowerCase()],
+      extension[2],
+      extension.index + extension[0].length - extension[2].length
+    );
+  }
+
+  for (const match of masked.matchAll(
+    new RegExp(`\\b(?:SourceTable|TableRelation)\\s*=\\s*(${NAME})`, "gi")
+  )) {
+    addObjectUsage(
+      "Table",
+      match[1],
+      match.index + match[0].length - match[1].length
+    );
+  }
+
+  // Var.Member and Var.SetRange(Member, ...)
+  const recordTable = findRecordTable(masked);
+  const declarations = collectDeclarations(masked);
+  const memberReference = new RegExp(
+    `(?<![.\\w"])(${NAME})\\s*\\.\\s*(${NAME})(?:\\s*\\(\\s*(${NAME}))?`,
+    "g"
+  );
+  for (const match of masked.matchAll(memberReference)) {
+    const [, variable, memberName, argument] = match;
+    const target = /^x?rec$/i.test(variable)
+      ? recordTable && { type: "Table", name: recordTable }
+      : parseObjectType(
+          lookupVariableType(declarations, variable, match.index)
+        );
+    if (!target) continue;
+
+    const object = findObsoleteObject(
+      obsoleteSymbols,
+      target.type,
+      target.name
+    );
+    if (!object) continue;
+
+    const memberStart =
+      match.index + match[0].indexOf(memberName, variable.length);
+    const member = object.members[unquote(memberName).toLowerCase()];
+    if (member) {
+      usages.push(createUsage(memberStart, memberName, object, member));
+    }
+
+    if (argument && FIELD_ARGUMENT_METHODS.includes(memberName.toLowerCase())) {
+      const field = object.members[unquote(argument).toLowerCase()];
+      if (field && field.kind === "field") {
+        usages.push(
+          createUsage(
+            match.index + match[0].length - argument.length,
+            argument,
+            object,
+            field
+          )
+        );
+      }
+    }
+  }
+
+  // [EventSubscriber(ObjectType::Codeunit, Codeunit::"Sales-Post", 'OnBeforePost', ...)]
+  const subscriber = new RegExp(
+    `\\[\\s*EventSubscriber\\s*\\(\\s*ObjectType\\s*::\\s*\\w+\\s*,\\s*(\\w+)\\s*::\\s*(${NAME})\\s*,\\s*(?:'([^']+)'|(\\w+))`,
+    "gi"
+  );
+  for (const match of text.matchAll(subscriber)) {
+    const [, keyword, objectName, quotedEvent, event] = match;
+    const eventName = quotedEvent || event;
+    const type = REFERENCE_TYPES[keyword.toLowerCase()];
+    const object =
+      type && findObsoleteObject(obsoleteSymbols, type, objectName);
+    const member = object && object.members[eventName.toLowerCase()];
+    if (member) {
+      usages.push(
+        createUsage(
+          match.index +
+            match[0].length -
+            eventName.length -
+            (quotedEvent ? 1 : 0),
+          eventName,
+          object,
+          member
+        )
+      );
+    }
+  }
+
+  return usages.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Human readable description of an obsolete usage
+ * @param {Object} usage - Result of findObsoleteUsages
+ * @returns {string}
+ */
+function formatObsoleteMessage(usage) {
+  const symbol = usage.memberName
+    ? `${usage.kind} ${usage.memberName} of ${usage.objectType} "${usage.objectName}"`
+    : `${usage.objectType} "${usage.objectName}"`;
+  const state = usage.state === "Removed" ? "removed" : "pending removal";
+  let message = `${symbol} is obsolete (${state}${
+    usage.tag ? `, since ${usage.tag}` : ""
+  })`;
+  if (usage.reason) {
+    message += `: ${usage.reason}`;
+  }
+  return message;
+}
+
+module.exports = {
+  OBJECT_COLLECTIONS,
+  symbolKey,
+  isEvent,
+  getObsoleteInfo,
+  extractObsoleteSymbols,
+  selectObsoleteSymbols,
+  parseSymbolReference,
+  findObsoleteObject,
+  findObsoleteUsages,
+  formatObsoleteMessage,
+};
@@ -0,0 +1,231 @@
+const documentationHelper = require("./documentationHelper");
+
+/**
+ * Fingerprints ("anchors") that keep the stored status of a documentation
+ * reference attached to it when lines are inserted or removed above it, e.g.
+ * after re-splitting a migration file.
+ *
+ * Anchor: { context, scope, occurrence }
+ *   context     Trimmed text of the reference line
+ *   scope       Enclosing trigger, field or procedure, e.g. "procedure CheckNo"
+ *   occurrence  Index among the references with the same ID, context and scope
+ *
+ * Stored references whose anchor is not found anymore are moved to the
+ * "orphaned" list of their file, from where they are re-attached as soon as
+ * their anchor shows up again.
+ */
+
+/**
+ * Headers of the triggers, fields and procedures of a C/AL object
+ * @param {string} content
+ * @returns {Array<{lineNumber: number, scope: string}>} Ordered by line
+ */
+function getScopes(content) {
+  return [
+    ...documentationHelper.findTriggers(content).map((trigger) => ({
+      lineNumber: trigger.lineNumber,
+      scope: `trigger ${trigger.name}`,
+    })),
+    ...documentationHelper.findFields(content).map((field) => ({
+      lineNumber: field.lineNumber,
+      scope: `field ${field.id} ${field.name}`,
+    })),
+    ...documentationHelper.findProcedures(content).map((procedure) => ({
+      lineNumber: procedure.lineNumber,
+      scope: `procedure ${procedure.name}`,
+    })),
+  ].sort((a, b) => a.lineNumber - b.lineNumber);
+}
+
+/**
+ * Compute the anchors of the documentation references of a file
+ * @param {string} content - File content
+ * @param {Array<{id: string, lineNumber: number, context: string}>} docRefs
+ * @returns {Array<{context: string, scope: string, occurrence: number}>} One
+ *   anchor per reference, in the same order
+ */
+function createAnchors(content, docRefs) {
+  const scopes = getScopes(content);
+  const occurrences = new Map();
+  return docRefs.map((ref) => {
+    const enclosing = scopes.filter(
+      (scope) => scope.lineNumber <= ref.lineNumber
+    );
+    const scope = enclosing.length ? enclosing[enclosing.length - 1].scope : "";
+    const context = (ref.context || "").trim();
+    const key = JSON.stringify([ref.id, context, scope]);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    return { context, scope, occurrence };
+  });
+}
+
+function sameAnchor(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    a.context === b.context &&
+    a.scope === b.scope &&
+    a.occurrence === b.occurrence
+  );
+}
+
+/**
+ * Re-attach the stored references of a file to its current references
+ * @param {Object[]} stored - Stored references of the file ({id, lineNumber, anchor, ...})
+ * @param {Object[]} orphaned - Stored references that were orphaned before
+ * @param {Array<{id: string, lineNumber: number, anchor: Object}>} current -
+ *   Current references with the anchors of createAnchors
+ * @returns {{references: Object[], orphaned: Object[], moved: Object[],
+ *   reattached: Object[], newlyOrphaned: Object[], changed: boolean}}
+ */
+function reanchorReferences(stored, orphaned, current) {
+  const claimed = new Set();
+  const resolved = new Map();
+
+  const claim = (entry, ref) => {
+    claimed.add(ref);
+    resolved.set(entry, ref);
+  };
+  const unclaimed = (entry) =>
+    current.filter((ref) => ref.id === entry.id && !claimed.has(ref));
+  const unique = (refs) => (refs.length === 1 ? refs[0] : null);
+
+  // Each step runs over all entries before the next, looser one
+  const steps = [
+    // Unchanged
+    (entry, refs) =>
+      refs.find(
+        (ref) =>
+          ref.lineNumber === entry.lineNumber &&
+          (!entry.anchor || sameAnchor(ref.anchor, entry.anchor))
+      ),
+    // Moved
+    (entry, refs) => refs.find((ref) => sameAnchor(ref.anchor, entry.anchor)),
+    // Edited in place
+    (entry, refs) =>
+      entry.anchor &&
+      refs.find(
+        (ref) =>
+          ref.lineNumber === entry.lineNumber &&
+          ref.anchor.scope === entry.anchor.scope
+      ),
+    // Moved, and the references before it in the same scope changed
+    (entry, refs) =>
+      entry.anchor &&
+      unique(
+        refs.filter(
+          (ref) =>
+            ref.anchor.context === entry.anchor.context &&
+            ref.anchor.scope === entry.anchor.scope
+        )
+      ),
+    // Moved to another scope, e.g. a renamed procedure
+    (entry, refs) =>
+      entry.anchor &&
+      unique(refs.filter((ref) => ref.anchor.context === entry.anchor.context)),
+  ];
+
+  const resolve = (entries, stepIndexes) => {
+    for (const index of stepIndexes) {
+      for (const entry of entries) {
+        if (resolved.has(entry)) continue;
+        const ref = steps[index](entry, unclaimed(entry));
+        if (ref) claim(entry, ref);
+      }
+    }
+  };
+  resolve(stored, [0, 1, 2, 3, 4]);
+  // Orphans only come back by their anchor
+  resolve(
+    orphaned.filter((entry) => entry.anchor),
+    [1, 3, 4]
+  );
+
+  const attach = (entry) => {
+    const ref = resolved.get(entry);
+    const copy = { ...entry, lineNumber: ref.lineNumber, anchor: ref.anchor };
+    delete copy.orphanedAt;
+    return copy;
+  };
+  const now = new Date().toISOString();
+  const newlyOrphaned = stored
+    .filter((entry) => !resolved.has(entry))
+    .map((entry) => ({ ...entry, orphanedAt: now }));
+  const reattached = orphaned.filter((entry) => resolved.has(entry));
+  const moved = stored
+    .filter(
+      (entry) =>
+        resolved.has(entry) &&
+        resolved.get(entry).lineNumber !== entry.lineNumber
+    )
+    .map((entry) => ({
+      id: entry.id,
+      from: entry.lineNumber,
+      to: resolved.get(entry).lineNumber,
+    }));
+
+  const references = [
+    ...stored.filter((entry) => resolved.has(entry)),
+    ...reattached,
+  ]
+    .map(attach)
+    .sort((a, b) => a.lineNumber - b.lineNumber);
+  const remainingOrphans = [
+    ...orphaned.filter((entry) => !resolved.has(entry)),
+    ...newlyOrphaned,
+  ];
+
+  return {
+    references,
+    orphaned: remainingOrphans,
+    moved,
+    reattached: reattached.map(attach),
+    newlyOrphaned,
+    changed:
+      JSON.stringify([references, remainingOrphans]) !==
+      JSON.stringify([stored, orphaned]),
+  };
+}
+
+/**
+ * Format the orphaned references of the storage as markdown
+ * @param {Array<Object>} orphans - Orphaned references with their filePath
+ * @returns {string}
+ */
+function formatOrphanedReferencesReport(orphans) {
+  let report = "# Orphaned Documentation References\n\n";
+  if (orphans.length === 0) {
+    return `${report}All stored documentation reference statuses are attached to their references.\n`;
+  }
+
+  report +=
+    "These stored statuses could not be re-attached to a documentation reference. " +
+    "They are re-attached automatically when their context line shows up again.\n\n";
+  report += "| File | Line | ID | Status | Note | Context | Orphaned At |\n";
+  report += "| --- | --- | --- | --- | --- | --- | --- |\n";
+  const cell = (text) =>
+    String(text || "")
+      .replace(/\|/g, "\\|")
+      .replace(/\n/g, " ");
+  for (const orphan of orphans) {
+    const status = orphan.notImplemented
+      ? "Not Implemented"
+      : orphan.done
+      ? "Done"
+      : "Pending";
+    report += `| ${cell(orphan.filePath)} | ${orphan.lineNumber} | ${
+      orphan.id
+    } | ${status} | ${cell(orphan.userDescription)} | ${cell(
+      orphan.anchor && orphan.anchor.context
+    )} | ${cell(orphan.orphanedAt)} |\n`;
+  }
+  return report;
+}
+
+module.exports = {
+  createAnchors,
+  sameAnchor,
+  reanchorReferences,
+  formatOrphanedReferencesReport,
+};
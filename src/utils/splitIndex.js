@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { normalizePathForStorage } = require("./documentationHelper");
+const {
+  getStorageLocation,
+  readDocumentationStorage,
+} = require("./documentationStorage");
+
+/**
+ * Persistent state of the last C/AL split, stored in the .index folder of the
+ * output (upgraded objects base) folder. Used to detect added, changed and removed
+ * objects when a fresh export is split into the same folder.
+ *
+ * Shape: { version, splitAt, objects: { "<type>/<id>": { type, id, name, file, hash } } }
+ */
+const INDEX_FOLDER = ".index";
+const SPLIT_STATE_FILE = "split-state.json";
+const SPLIT_REPORT_FILE = "split-report.json";
+
+/**
+ * Compute the content hash used to detect changed objects
+ * @param {string} content - Object content
+ * @returns {string} sha256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content, "utf8").digest("hex");
+}
+
+/**
+ * Key of an object in the split state
+ * @param {{type: string, id: string|number}} object
+ * @returns {string} e.g. "table/18"
+ */
+function getObjectKey(object) {
+  return `${String(object.type).toLowerCase()}/${object.id}`;
+}
+
+/**
+ * Load the state of the previous split from <outputPath>/.index
+ * @param {string} outputPath - Split output folder
+ * @returns {Object|null} Previous state or null if the folder was never split
+ */
+function loadSplitState(outputPath) {
+  const stateFile = path.join(outputPath, INDEX_FOLDER, SPLIT_STATE_FILE);
+  if (!fs.existsSync(stateFile)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    return state && state.objects ? state : null;
+  } catch (error) {
+    console.error(`Error reading split state ${stateFile}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save the state of the current split to <outputPath>/.index
+ * @param {string} outputPath - Split output folder
+ * @param {Object} objects - Map of object key to { type, id, name, file, hash }
+ * @returns {string} Path of the state file
+ */
+function saveSplitState(outputPath, objects) {
+  const indexFolder = path.join(outputPath, INDEX_FOLDER);
+  if (!fs.existsSync(indexFolder)) {
+    fs.mkdirSync(indexFolder, { recursive: true });
+  }
+
+  const stateFile = path.join(indexFolder, SPLIT_STATE_FILE);
+  const sortedObjects = {};
+  for (const key of Object.keys(objects).sort()) {
+    sortedObjects[key] = objects[key];
+  }
+
+  fs.writeFileSync(
+    stateFile,
+    JSON.stringify(
+      { version: 1, splitAt: new Date().toISOString(), objects: sortedObjects },
+      null,
+      2
+    )
+  );
+  return stateFile;
+}
+
+/**
+ * Find documentation references already marked done in the given split files
+ * @param {string} outputPath - Split output folder containing the .index folder
+ * @param {Array<{file: string}>} objects - Changed objects with a file path relative to outputPath
+ * @returns {Array<{type: string, id: number, name: string, file: string, references: Array<{id: string, lineNumber: number, userId: string}>}>}
+ */
+function findDoneReferencesForObjects(outputPath, objects) {
+  const location = getStorageLocation(path.join(outputPath, INDEX_FOLDER));
+  if (
+    !objects.length ||
+    (!fs.existsSync(location.folder) && !fs.existsSync(location.legacyFile))
+  ) {
+    return [];
+  }
+
+  let storage;
+  try {
+    storage = readDocumentationStorage(location);
+  } catch (error) {
+    console.error(
+      `Error reading documentation storage ${location.folder}:`,
+      error
+    );
+    return [];
+  }
+
+  const affected = [];
+  for (const object of objects) {
+    const key = normalizePathForStorage(path.join(outputPath, object.file));
+    const references = (storage[key] && storage[key].references) || [];
+    const doneReferences = references.filter((ref) => ref.done);
+
+    if (doneReferences.length > 0) {
+      affected.push({
+        ...object,
+        references: doneReferences.map((ref) => ({
+          id: ref.id,
+          lineNumber: ref.lineNumber,
+          userId: ref.userId || "",
+        })),
+      });
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Write the change report of the current split to <outputPath>/.index
+ * @param {string} outputPath - Split output folder
+ * @param {Object} report - Report created by the split
+ * @returns {string} Path of the report file
+ */
+function saveSplitReport(outputPath, report) {
+  const reportFile = path.join(outputPath, INDEX_FOLDER, SPLIT_REPORT_FILE);
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  return reportFile;
+}
+
+/**
+ * Format the split change report as markdown
+ * @param {Object} report - Report with added, changed, removed and doneReferencesAffected
+ * @returns {string} Markdown content
+ */
+function formatSplitReport(report) {
+  const formatObject = (o) => `- ${o.type} ${o.id} ${o.name} (\`${o.file}\`)`;
+
+  let content = `# C/AL Split Changes\n\n`;
+  content += `Split at: ${new Date(report.splitAt).toLocaleString()}\n\n`;
+  content += `| Added | Changed | Removed | Unchanged |\n`;
+  content += `|-------|---------|---------|-----------|\n`;
+  content += `| ${report.added.length} | ${report.changed.length} | ${report.removed.length} | ${report.unchangedCount} |\n\n`;
+
+  if (report.doneReferencesAffected.length > 0) {
+    content += `## ⚠️ Changed Objects with Done References\n\n`;
+    content += `The source of these objects changed after their documentation references were marked done:\n\n`;
+    for (const object of report.doneReferencesAffected) {
+      content += `${formatObject(object)}\n`;
+      for (const ref of object.references) {
+        const user = ref.userId ? ` by ${ref.userId}` : "";
+        content += `  - ✅ ${ref.id} (line ${ref.lineNumber})${user}\n`;
+      }
+    }
+    content += `\n`;
+  }
+
+  const sections = [
+    ["Added", report.added],
+    ["Changed", report.changed],
+    ["Removed", report.removed],
+  ];
+  for (const [title, objects] of sections) {
+    if (objects.length === 0) continue;
+    content += `## ${title}\n\n`;
+    content += objects.map(formatObject).join("\n") + "\n\n";
+  }
+
+  return content;
+}
+
+module.exports = {
+  hashContent,
+  getObjectKey,
+  loadSplitState,
+  saveSplitState,
+  saveSplitReport,
+  findDoneReferencesForObjects,
+  formatSplitReport,
+  SPLIT_STATE_FILE,
+  SPLIT_REPORT_FILE,
+};
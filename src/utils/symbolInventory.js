@@ -0,0 +1,315 @@
+const { OBJECT_COLLECTIONS, symbolKey, isEvent } = require("./obsoleteSymbols");
+const { escapeHtml } = require("./htmlHelper");
+
+/**
+ * Inventory of the objects, fields, procedures and events of an .app
+ * package, cached per app so two versions of the base app can be compared.
+ *
+ * Shape: { app: { id, name, publisher, version, appPath },
+ *   objects: { "table:18": { type, id, name, fields: { "1": "No." },
+ *     procedures: ["CheckBlocked"], events: ["OnAfterCheckBlocked"] } } }
+ */
+const SYMBOL_INVENTORY_FILE = "symbol-inventory.json";
+
+function objectKey(type, object) {
+  return object.Id !== undefined && object.Id !== null
+    ? `${type.toLowerCase()}:${object.Id}`
+    : symbolKey(type, object.Name);
+}
+
+function uniqueNames(names) {
+  const seen = new Set();
+  return names.filter((name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Create the inventory of a SymbolReference.json, including the objects in
+ * (nested) namespaces
+ * @param {Object} symbolReference - Parsed SymbolReference.json
+ * @param {string} [appPath] - Path of the .app file
+ * @returns {{app: Object, objects: Object}}
+ */
+function createSymbolInventory(symbolReference, appPath) {
+  const inventory = {
+    app: {
+      id: symbolReference.AppId || "",
+      name: symbolReference.Name || "",
+      publisher: symbolReference.Publisher || "",
+      version: symbolReference.Version || "",
+      appPath: appPath || "",
+    },
+    objects: {},
+  };
+
+  const addObjects = (container) => {
+    for (const [collection, type] of Object.entries(OBJECT_COLLECTIONS)) {
+      for (const object of container[collection] || []) {
+        const fields = {};
+        for (const field of object.Fields || []) {
+          fields[field.Id] = field.Name;
+        }
+        const methods = object.Methods || [];
+        inventory.objects[objectKey(type, object)] = {
+          type,
+          id: object.Id,
+          name: object.Name,
+          fields,
+          procedures: uniqueNames(
+            methods.filter((method) => !isEvent(method)).map((m) => m.Name)
+          ),
+          events: uniqueNames(
+            methods.filter((method) => isEvent(method)).map((m) => m.Name)
+          ),
+        };
+      }
+    }
+    for (const namespace of container.Namespaces || []) {
+      addObjects(namespace);
+    }
+  };
+  addObjects(symbolReference);
+
+  return inventory;
+}
+
+function findTargetObject(to, key, object) {
+  if (to.objects[key]) {
+    return to.objects[key];
+  }
+  // Objects that were renumbered keep their name
+  return (
+    Object.values(to.objects).find(
+      (candidate) =>
+        candidate.type === object.type &&
+        candidate.name.toLowerCase() === object.name.toLowerCase()
+    ) || null
+  );
+}
+
+function missingNames(names, targetNames) {
+  const target = new Set(targetNames.map((name) => name.toLowerCase()));
+  return names.filter((name) => !target.has(name.toLowerCase()));
+}
+
+/**
+ * Removed and renamed objects, fields, procedures and events between two
+ * inventories. Objects and fields are matched by id, so a changed name is a
+ * rename. Procedures and events only have a name, so they can only be
+ * reported as removed.
+ * @param {Object} from - Inventory of the old version
+ * @param {Object} to - Inventory of the new version
+ * @returns {Array<{change: string, kind: string, objectType: string, objectId: number,
+ *   objectName: string, name: string, newName: string|null}>}
+ */
+function compareSymbolInventories(from, to) {
+  const changes = [];
+  const add = (change, kind, object, name, newName = null) =>
+    changes.push({
+      change,
+      kind,
+      objectType: object.type,
+      objectId: object.id,
+      objectName: object.name,
+      name,
+      newName,
+    });
+
+  for (const [key, object] of Object.entries(from.objects)) {
+    const target = findTargetObject(to, key, object);
+    if (!target) {
+      add("removed", "object", object, object.name);
+      continue;
+    }
+    if (target.name !== object.name) {
+      add("renamed", "object", object, object.name, target.name);
+    }
+
+    for (const [id, name] of Object.entries(object.fields)) {
+      const newName = target.fields[id];
+      if (newName === undefined) {
+        add("removed", "field", object, name);
+      } else if (newName !== name) {
+        add("renamed", "field", object, name, newName);
+      }
+    }
+    for (const name of missingNames(object.procedures, target.procedures)) {
+      add("removed", "procedure", object, name);
+    }
+    for (const name of missingNames(object.events, target.events)) {
+      add("removed", "event", object, name);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * The breaking changes as symbol map in the shape of the obsolete symbols,
+ * so their usages can be found with findObsoleteUsages. The state is
+ * "Removed" or "Renamed", the reason of a rename names the new name.
+ * @param {Object[]} changes - Result of compareSymbolInventories
+ * @returns {Object}
+ */
+function toBreakingChangeSymbols(changes) {
+  const symbols = {};
+  for (const change of changes) {
+    const key = symbolKey(change.objectType, change.objectName);
+    const object = (symbols[key] = symbols[key] || {
+      type: change.objectType,
+      id: change.objectId,
+      name: change.objectName,
+      members: {},
+    });
+    const entry = {
+      state: change.change === "removed" ? "Removed" : "Renamed",
+      reason: change.newName ? `Use "${change.newName}" instead` : "",
+      tag: "",
+    };
+
+    if (change.kind === "object") {
+      Object.assign(object, entry);
+    } else {
+      object.members[change.name.toLowerCase()] = {
+        kind: change.kind,
+        name: change.name,
+        ...entry,
+      };
+    }
+  }
+  return symbols;
+}
+
+function describeApp(app) {
+  return `${app.name || "Unknown app"} ${app.version}`.trim();
+}
+
+function describeChange(change) {
+  const object = `${change.objectType} ${
+    change.objectId !== undefined ? `${change.objectId} ` : ""
+  }"${change.objectName}"`;
+  const symbol =
+    change.kind === "object"
+      ? object
+      : `${change.kind} "${change.name}" of ${object}`;
+  return change.newName
+    ? `${symbol} renamed to "${change.newName}"`
+    : `${symbol} removed`;
+}
+
+/**
+ * Description of a usage of a removed or renamed symbol
+ * @param {Object} usage - Result of findObsoleteUsages with the breaking change symbols
+ * @returns {string}
+ */
+function describeBreakingUsage(usage) {
+  const object = `${usage.objectType} "${usage.objectName}"`;
+  const symbol = usage.memberName
+    ? `${usage.kind} "${usage.memberName}" of ${object}`
+    : object;
+  return `${symbol} was ${usage.state.toLowerCase()}${
+    usage.reason ? `: ${usage.reason}` : ""
+  }`;
+}
+
+function countByKind(changes) {
+  const counts = {};
+  for (const change of changes) {
+    const key = `${change.kind}s ${change.change}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Markdown report of the breaking changes and their usages in the workspace
+ * @param {{from: Object, to: Object, changes: Object[],
+ *   usages: Array<{file: string, line: number, change: string, symbol: string}>}} report
+ * @returns {string}
+ */
+function formatBreakingChangeReport({ from, to, changes, usages }) {
+  let content = `# Breaking Changes: ${describeApp(from.app)} → ${describeApp(
+    to.app
+  )}\n\n`;
+
+  content += "| Change | Count |\n| --- | --- |\n";
+  for (const [key, count] of Object.entries(countByKind(changes))) {
+    content += `| ${key} | ${count} |\n`;
+  }
+  content += `| usages in the workspace | ${usages.length} |\n\n`;
+
+  content += "## Used in the Workspace\n\n";
+  if (usages.length === 0) {
+    content += "No workspace AL file uses a removed or renamed symbol.\n\n";
+  } else {
+    content += "| File | Line | Change |\n| --- | --- | --- |\n";
+    for (const usage of usages) {
+      content += `| ${usage.file} | ${usage.line} | ${usage.change} |\n`;
+    }
+    content += "\n";
+  }
+
+  content += "## All Changes\n\n";
+  for (const change of changes) {
+    content += `- ${describeChange(change)}\n`;
+  }
+  return content;
+}
+
+/**
+ * HTML version of the breaking change report
+ * @param {Object} report - See formatBreakingChangeReport
+ * @returns {string}
+ */
+function formatBreakingChangeReportHtml({ from, to, changes, usages }) {
+  const title = `Breaking Changes: ${describeApp(from.app)} → ${describeApp(
+    to.app
+  )}`;
+  const rows = (cells) =>
+    `<tr>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`;
+
+  let html = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(
+    title
+  )}</title>\n<style>body{font-family:sans-serif}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:2px 8px;text-align:left}</style>\n</head>\n<body>\n`;
+  html += `<h1>${escapeHtml(
+    title
+  )}</h1>\n<table>\n<tr><th>Change</th><th>Count</th></tr>\n`;
+  for (const [key, count] of Object.entries(countByKind(changes))) {
+    html += rows([key, count]) + "\n";
+  }
+  html += rows(["usages in the workspace", usages.length]) + "\n</table>\n";
+
+  html += "<h2>Used in the Workspace</h2>\n";
+  if (usages.length === 0) {
+    html += "<p>No workspace AL file uses a removed or renamed symbol.</p>\n";
+  } else {
+    html += "<table>\n<tr><th>File</th><th>Line</th><th>Change</th></tr>\n";
+    for (const usage of usages) {
+      html += rows([usage.file, usage.line, usage.change]) + "\n";
+    }
+    html += "</table>\n";
+  }
+
+  html += "<h2>All Changes</h2>\n<ul>\n";
+  for (const change of changes) {
+    html += `<li>${escapeHtml(describeChange(change))}</li>\n`;
+  }
+  html += "</ul>\n</body>\n</html>\n";
+  return html;
+}
+
+module.exports = {
+  SYMBOL_INVENTORY_FILE,
+  createSymbolInventory,
+  compareSymbolInventories,
+  toBreakingChangeSymbols,
+  describeApp,
+  describeChange,
+  describeBreakingUsage,
+  formatBreakingChangeReport,
+  formatBreakingChangeReportHtml,
+};
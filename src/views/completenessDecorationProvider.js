@@ -0,0 +1,160 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { formatCompleteness } = require("../utils/migrationCompare");
+const { summarizeCompleteness } = require("../utils/documentationStates");
+const { logger } = require("../utils/logger");
+
+/**
+ * File decoration showing a completeness percentage. Badges hold at most two
+ * characters, so a complete file shows a check mark
+ * @param {number} percent
+ * @param {string} tooltip
+ * @param {string} [color] Theme color of incomplete files
+ * @returns {vscode.FileDecoration}
+ */
+function getCompletenessDecoration(percent, tooltip, color) {
+  return {
+    badge: percent >= 100 ? "✓" : String(percent),
+    tooltip,
+    color: new vscode.ThemeColor(
+      percent >= 100 ? "charts.green" : color || "charts.blue"
+    ),
+  };
+}
+
+/**
+ * Explorer badges with the share of done documentation references of C/AL
+ * files and the migration completeness of the AL objects migrated from them.
+ *
+ * Decorations are cached per file. A change of a C/AL file or its stored
+ * statuses only recomputes that file and the AL objects migrated from it.
+ */
+class CompletenessDecorationProvider {
+  /**
+   * @param {Object} fileReferenceProvider - Provider owning the storage
+   */
+  constructor(fileReferenceProvider) {
+    this.fileReferenceProvider = fileReferenceProvider;
+    this.cache = new Map(); // Decoration or null by normalized path
+    this.dependentAlFiles = new Map(); // AL files by normalized C/AL path
+    this._onDidChangeFileDecorations = new vscode.EventEmitter();
+    this.onDidChangeFileDecorations = this._onDidChangeFileDecorations.event;
+
+    this.disposables = [
+      fileReferenceProvider.onDidChangeDocumentationStorage((fileKeys) =>
+        this.invalidate(fileKeys)
+      ),
+      vscode.workspace.onDidSaveTextDocument((document) => {
+        const extension = path.extname(document.uri.fsPath).toLowerCase();
+        if (extension === ".al" || extension === ".txt") {
+          this.invalidate([document.uri.fsPath]);
+        }
+      }),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (
+          e.affectsConfiguration("bc-al-upgradeassistant.documentationStates")
+        ) {
+          this.invalidate();
+        }
+      }),
+    ];
+  }
+
+  _key(filePath) {
+    return this.fileReferenceProvider._normalizePathForStorage(filePath);
+  }
+
+  /**
+   * Drop the cached decorations of files and of the AL objects migrated from
+   * them, and let VS Code ask for them again
+   * @param {string[]} [filePaths] - All files if omitted
+   */
+  invalidate(filePaths) {
+    if (!filePaths) {
+      this.cache.clear();
+      this.dependentAlFiles.clear();
+      this._onDidChangeFileDecorations.fire(undefined);
+      return;
+    }
+
+    const changed = new Set();
+    for (const filePath of filePaths) {
+      const key = this._key(filePath);
+      changed.add(key);
+      for (const alFile of this.dependentAlFiles.get(key) || []) {
+        changed.add(alFile);
+      }
+    }
+    for (const key of changed) {
+      this.cache.delete(key);
+    }
+    this._onDidChangeFileDecorations.fire(
+      [...changed].map((key) => vscode.Uri.file(key))
+    );
+  }
+
+  provideFileDecoration(uri) {
+    const extension = path.extname(uri.fsPath).toLowerCase();
+    if (extension !== ".al" && extension !== ".txt") {
+      return null;
+    }
+
+    const key = this._key(uri.fsPath);
+    if (!this.cache.has(key)) {
+      try {
+        this.cache.set(
+          key,
+          extension === ".al"
+            ? this._getAlDecoration(uri.fsPath, key)
+            : this._getCalDecoration(uri.fsPath)
+        );
+      } catch (error) {
+        logger.error("Error providing file decoration:", error);
+        return null;
+      }
+    }
+    return this.cache.get(key);
+  }
+
+  // AL objects show how far they are migrated from their C/AL files
+  _getAlDecoration(filePath, key) {
+    const score = this.fileReferenceProvider.getMigrationCompleteness(filePath);
+    for (const migrationFile of (score && score.migrationFiles) || []) {
+      const migrationKey = this._key(migrationFile);
+      if (!this.dependentAlFiles.has(migrationKey)) {
+        this.dependentAlFiles.set(migrationKey, new Set());
+      }
+      this.dependentAlFiles.get(migrationKey).add(key);
+    }
+    return score
+      ? getCompletenessDecoration(score.percent, formatCompleteness(score))
+      : null;
+  }
+
+  // C/AL files show the share of done documentation references
+  _getCalDecoration(filePath) {
+    const summary = summarizeCompleteness(
+      this.fileReferenceProvider._findDocumentationReferences(
+        fs.readFileSync(filePath, "utf8"),
+        filePath
+      ),
+      this.fileReferenceProvider.documentationStates
+    );
+    // Open references in a configured state, e.g. Blocked, colour the badge
+    return summary
+      ? getCompletenessDecoration(
+          summary.percent,
+          summary.tooltip,
+          summary.color
+        )
+      : null;
+  }
+
+  dispose() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this._onDidChangeFileDecorations.dispose();
+  }
+}
+
+module.exports = CompletenessDecorationProvider;
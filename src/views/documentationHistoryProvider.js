@@ -0,0 +1,95 @@
+const vscode = require("vscode");
+const path = require("path");
+const { describeChange } = require("../utils/documentationHistory");
+
+/**
+ * Tree of the documentation reference changes of the undo history, newest
+ * first. Undone changes that can be redone are listed on top
+ */
+class DocumentationHistoryProvider {
+  /**
+   * @param {Object} fileReferenceProvider - Provider owning the history
+   */
+  constructor(fileReferenceProvider) {
+    this.fileReferenceProvider = fileReferenceProvider;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.disposable = fileReferenceProvider.onDidChangeHistory(() =>
+      this.refresh()
+    );
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire(null);
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (element) {
+      return element.entry.changes.map(
+        (change) =>
+          new HistoryChangeItem(
+            change,
+            this.fileReferenceProvider.documentationStates
+          )
+      );
+    }
+
+    const history = this.fileReferenceProvider.getDocumentationHistory();
+    return [
+      ...history.redo.map((entry) => new HistoryEntryItem(entry, true)),
+      ...[...history.undo]
+        .reverse()
+        .map((entry) => new HistoryEntryItem(entry, false)),
+    ];
+  }
+
+  dispose() {
+    this.disposable.dispose();
+    this._onDidChangeTreeData.dispose();
+  }
+}
+
+class HistoryEntryItem extends vscode.TreeItem {
+  constructor(entry, undone) {
+    super(entry.label, vscode.TreeItemCollapsibleState.Collapsed);
+    this.entry = entry;
+    this.id = `history-${entry.id}`;
+    const when = new Date(entry.timestamp).toLocaleString();
+    this.description = `${entry.userId || "unknown user"}, ${when}${
+      undone ? " (undone)" : ""
+    }`;
+    this.tooltip = `${entry.label}\n${
+      entry.changes.length
+    } references changed by ${entry.userId || "unknown user"} at ${when}`;
+    this.contextValue = undone ? "historyEntryUndone" : "historyEntry";
+    this.iconPath = new vscode.ThemeIcon(undone ? "discard" : "history");
+  }
+}
+
+class HistoryChangeItem extends vscode.TreeItem {
+  constructor(change, states) {
+    super(
+      `${change.id} ${path.basename(change.file)}:${change.lineNumber}`,
+      vscode.TreeItemCollapsibleState.None
+    );
+    this.description = describeChange(change, states);
+    this.tooltip = `${change.file}:${change.lineNumber}\n${this.description}`;
+    this.contextValue = "historyChange";
+    this.iconPath = new vscode.ThemeIcon(
+      change.after.done || change.after.notImplemented
+        ? "pass"
+        : "circle-large-outline"
+    );
+    this.command = {
+      command: "bc-al-upgradeassistant.openDocumentationReference",
+      title: "Open Documentation Reference",
+      arguments: [path.normalize(change.file), change.lineNumber],
+    };
+  }
+}
+
+module.exports = DocumentationHistoryProvider;
@@ -2,6 +2,54 @@ const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
 const documentationHelper = require("../utils/documentationHelper");
+const { parseObjectProperties } = require("../utils/calObjectProperties");
+const {
+  readCalObjectInfo,
+  versionListMatches,
+} = require("../utils/calObjectIndex");
+const { readCalObjectFile } = require("../utils/calCustomisationDetector");
+const { parseObjectHeader } = require("../utils/calObjectSections");
+const {
+  createAnchors,
+  reanchorReferences,
+} = require("../utils/referenceAnchors");
+const {
+  readDocumentationStorage,
+  writeDocumentationStorage,
+} = require("../utils/documentationStorage");
+const {
+  diffStatuses,
+  loadUserHistory,
+  loadTeamHistory,
+  getHistoryFile,
+  findOwnEntry,
+  saveHistory,
+  recordEntry,
+  findConflicts,
+  applyEntry,
+} = require("../utils/documentationHistory");
+const {
+  BUILT_IN_STATES,
+  getDocumentationStates,
+  getReferenceState,
+  applyReferenceState,
+  normalizeReferenceState,
+  getStateGutterIcon,
+} = require("../utils/documentationStates");
+const { applyImportChange } = require("../utils/documentationImport");
+const {
+  applyAssignee,
+  matchesAssignee,
+  findAssignedFiles,
+} = require("../utils/documentationAssignments");
+const {
+  compareMigratedObject,
+  scoreCompleteness,
+  formatCompleteness,
+} = require("../utils/migrationCompare");
+
+// Delay before re-anchoring changed files, so a re-split is handled at once
+const REANCHOR_DELAY = 500;
 
 /**
  * Tree data provider for BC/AL file references
@@ -10,10 +58,18 @@ class FileReferenceProvider {
   constructor() {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this._onDidChangeHistory = new vscode.EventEmitter();
+    this.onDidChangeHistory = this._onDidChangeHistory.event;
+    // Fired with the normalized paths of the files whose statuses changed
+    this._onDidChangeDocumentationStorage = new vscode.EventEmitter();
+    this.onDidChangeDocumentationStorage =
+      this._onDidChangeDocumentationStorage.event;
 
     // Store expanded state
     this.expandedState = new Map();
     this.filterMode = 'all'; // Initialize filterMode
+    this.versionFilter = null; // Version List tag of C/AL objects, null shows all
+    this.assigneeFilter = null; // Assignee, "" for unassigned, null shows all
 
     // Load expanded state from storage
     this.storageLoaded = false;
@@ -30,6 +86,9 @@ class FileReferenceProvider {
     // Load documentation IDs from settings
     this.configManager = require("../utils/configManager");
     this.documentationIds = this.configManager.getMergedDocumentationIds();
+    this.documentationStates = getDocumentationStates(
+      this.configManager.getConfigValue("documentationStates", [])
+    );
 
     // Also listen for configuration changes to reload IDs
     this.configDisposable = vscode.workspace.onDidChangeConfiguration((e) => {
@@ -37,6 +96,16 @@ class FileReferenceProvider {
         this.documentationIds = this.configManager.getMergedDocumentationIds();
         this.refresh();
       }
+      if (
+        e.affectsConfiguration("bc-al-upgradeassistant.documentationStates")
+      ) {
+        this.documentationStates = getDocumentationStates(
+          this.configManager.getConfigValue("documentationStates", [])
+        );
+        this._createStateDecorationTypes();
+        this.refresh();
+        this.updateDecorations();
+      }
     });
 
     // Create decoration type for done references with more prominent styling
@@ -87,6 +156,10 @@ class FileReferenceProvider {
         opacity: "0.7",
       });
 
+    // Decorations of the configured states, by state ID
+    this.stateDecorationTypes = new Map();
+    this._createStateDecorationTypes();
+
     // Track current editor
     this.currentEditor = vscode.window.activeTextEditor;
 
@@ -115,6 +188,26 @@ class FileReferenceProvider {
       }),
     ];
 
+    // Stored statuses follow their references when lines moved. Files are
+    // re-anchored when opened, saved or changed on disk, never while read
+    this.pendingReanchorFiles = new Set();
+    this.reanchorTimer = null;
+    const txtWatcher = vscode.workspace.createFileSystemWatcher("**/*.txt");
+    this.reanchorDisposables = [
+      txtWatcher,
+      txtWatcher.onDidChange((uri) => this._scheduleReanchor(uri.fsPath)),
+      txtWatcher.onDidCreate((uri) => this._scheduleReanchor(uri.fsPath)),
+      vscode.workspace.onDidOpenTextDocument((document) =>
+        this._scheduleReanchor(document.uri.fsPath)
+      ),
+      vscode.workspace.onDidSaveTextDocument((document) =>
+        this._scheduleReanchor(document.uri.fsPath)
+      ),
+    ];
+    vscode.workspace.textDocuments.forEach((document) =>
+      this._scheduleReanchor(document.uri.fsPath)
+    );
+
     // Initial decoration update
     if (this.currentEditor) {
       this.updateDecorations();
@@ -335,6 +428,25 @@ class FileReferenceProvider {
       );
       const filteredDocRefs = this._applyFilter(documentationRefs);
 
+      // Show the OBJECT-PROPERTIES of the C/AL object
+      const calObject = this._getCalObjectProperties(fileContent, indexFolder);
+      if (calObject) {
+        result.push(new CalObjectPropertiesItem(calObject));
+      }
+
+      if (
+        this.versionFilter &&
+        !versionListMatches(calObject?.versionList, this.versionFilter)
+      ) {
+        result.push(
+          new InfoItem(
+            "Version Filter",
+            `"${this.versionFilter}" is not in the Version List`
+          )
+        );
+        return result;
+      }
+
       // Check for reference file
       if (fs.existsSync(referenceFilePath)) {
         try {
@@ -435,13 +547,28 @@ class FileReferenceProvider {
         );
       }
 
+      const completeness = this.getMigrationCompleteness(filePath);
+      if (completeness) {
+        result.push(new MigrationCompletenessItem(completeness, filePath));
+      }
+
       // Check for migration files
       if (
         infoData.referencedMigrationFiles &&
         infoData.referencedMigrationFiles.length > 0
       ) {
-        // Add referenced migration files group
-        const migrationFiles = infoData.referencedMigrationFiles;
+        // Add referenced migration files group, limited to the C/AL objects
+        // carrying the Version List filter
+        const migrationFiles = infoData.referencedMigrationFiles.filter(
+          (migFile) =>
+            !this.versionFilter ||
+            (fs.existsSync(migFile) &&
+              versionListMatches(
+                parseObjectProperties(readCalObjectFile(migFile))
+                  ?.versionList,
+                this.versionFilter
+              ))
+        );
 
         // For each migration file, scan for documentation IDs
         const migrationFileRefs = [];
@@ -481,6 +608,112 @@ class FileReferenceProvider {
     }
   }
 
+  /**
+   * Compute how far an AL object is migrated from the C/AL files referenced
+   * in its info.json
+   * @param {string} filePath Path to the AL file
+   * @returns {Object|null} Result of scoreCompleteness with the
+   *   migrationFiles it is computed from, or null if the object has no
+   *   migration files or nothing to migrate
+   */
+  getMigrationCompleteness(filePath) {
+    try {
+      const objectInfo = this._extractAlObjectInfo(filePath);
+      const indexFolder = this._findIndexFolder();
+      if (!objectInfo || !indexFolder) {
+        return null;
+      }
+
+      const infoFilePath = path.join(
+        indexFolder,
+        objectInfo.type.toLowerCase(),
+        objectInfo.id,
+        "info.json"
+      );
+      if (!fs.existsSync(infoFilePath)) {
+        return null;
+      }
+      const infoData = JSON.parse(fs.readFileSync(infoFilePath, "utf8"));
+      const migrationFiles = (infoData.referencedMigrationFiles || []).filter(
+        (migFile) => fs.existsSync(migFile)
+      );
+      if (migrationFiles.length === 0) {
+        return null;
+      }
+
+      const alContent = fs.readFileSync(filePath, "utf8");
+      const rows = [];
+      const docRefs = [];
+      for (const migFile of migrationFiles) {
+        rows.push(
+          ...compareMigratedObject(
+            readCalObjectFile(migFile),
+            alContent,
+            indexFolder
+          ).rows
+        );
+        docRefs.push(
+          ...this._findDocumentationReferences(
+            fs.readFileSync(migFile, "utf8"),
+            migFile
+          )
+        );
+      }
+
+      const score = scoreCompleteness(
+        rows,
+        docRefs,
+        this.documentationStates
+      );
+      return score.percent === null ? null : { ...score, migrationFiles };
+    } catch (error) {
+      console.error("Error computing migration completeness:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the documentation references of all C/AL files in the upgraded
+   * objects folder
+   * @returns {Promise<Array<Object>>} References with their filePath and the
+   *   objectType of their C/AL object
+   */
+  async getAllDocumentationReferences() {
+    const upgradedObjectFolders = this.configManager.getConfigValue(
+      "upgradedObjectFolders",
+      null
+    );
+    if (!upgradedObjectFolders?.basePath) {
+      throw new Error(
+        "Base path not configured in upgradedObjectFolders settings"
+      );
+    }
+
+    const txtFiles = await vscode.workspace.findFiles(
+      new vscode.RelativePattern(
+        vscode.Uri.file(upgradedObjectFolders.basePath),
+        "**/*.txt"
+      )
+    );
+
+    const refs = [];
+    for (const file of txtFiles) {
+      const content = fs.readFileSync(file.fsPath, "utf8");
+      const header = parseObjectHeader(content);
+      for (const ref of this._findDocumentationReferences(
+        content,
+        file.fsPath
+      )) {
+        refs.push({
+          ...ref,
+          filePath: file.fsPath,
+          objectType: header ? header.type : "Unknown",
+        });
+      }
+    }
+    return refs;
+  }
+
   /**
    * Find the .index folder path
    * @returns {string|null} Path to the .index folder or null if not found
@@ -578,49 +811,199 @@ class FileReferenceProvider {
     );
 
     // Enhance with "done" status from storage
+    const storedReferences = this._getStoredReferences(filePath);
     docRefs.forEach((ref) => {
-      const refData = this._getDocumentationReferenceData(
-        filePath,
-        ref.id,
-        ref.lineNumber
-      );
+      const refData = storedReferences.get(`${ref.id}:${ref.lineNumber}`);
       ref.done = refData ? refData.done : false;
       ref.notImplemented = refData ? refData.notImplemented : false;
+      ref.state = refData && refData.state ? refData.state : "";
+      ref.lifecycleState = getReferenceState(ref, this.documentationStates);
       ref.userDescription = refData ? refData.userDescription : "";
       ref.userId = refData ? refData.userId : "";
+      ref.assignee = refData && refData.assignee ? refData.assignee : "";
+      ref.lastModified = refData ? refData.lastModified : "";
     });
 
     return docRefs;
   }
 
   /**
-   * Get stored data for a documentation reference
-   * @param {string} filePath File path
-   * @param {string} id Documentation ID
-   * @param {number} lineNumber Line number
-   * @returns {any} Stored reference data or null
+   * Re-anchor a C/AL file shortly after it was opened, saved or changed on
+   * disk, e.g. by re-splitting. Changes in quick succession are re-anchored
+   * together
+   * @param {string} filePath Path to the file
+   */
+  _scheduleReanchor(filePath) {
+    if (path.extname(filePath).toLowerCase() !== ".txt") {
+      return;
+    }
+    this.pendingReanchorFiles.add(filePath);
+    clearTimeout(this.reanchorTimer);
+    this.reanchorTimer = setTimeout(
+      () => this._reanchorPendingFiles(),
+      REANCHOR_DELAY
+    );
+  }
+
+  /**
+   * Re-anchor the scheduled files and report the statuses that could not be
+   * re-attached
+   */
+  _reanchorPendingFiles() {
+    const files = [...this.pendingReanchorFiles];
+    this.pendingReanchorFiles.clear();
+
+    const orphanedFiles = [];
+    let orphanedCount = 0;
+    let changed = false;
+    for (const filePath of files) {
+      const result = this._reanchorDocumentationReferences(filePath);
+      if (!result) {
+        continue;
+      }
+      changed = true;
+      if (result.newlyOrphaned.length > 0) {
+        orphanedFiles.push(filePath);
+        orphanedCount += result.newlyOrphaned.length;
+      }
+    }
+
+    if (changed) {
+      this.refresh();
+      this.updateDecorations();
+    }
+    if (orphanedCount > 0) {
+      vscode.window
+        .showWarningMessage(
+          `${orphanedCount} documentation reference statuses of ${
+            orphanedFiles.length === 1
+              ? path.basename(orphanedFiles[0])
+              : `${orphanedFiles.length} files`
+          } could not be re-attached to their references.`,
+          "Show Orphaned References"
+        )
+        .then((action) => {
+          if (action) {
+            vscode.commands.executeCommand(
+              "bc-al-upgradeassistant.showOrphanedDocumentationReferences"
+            );
+          }
+        });
+    }
+  }
+
+  /**
+   * Re-attach the stored statuses of a file to its documentation references
+   * by their anchors, and move the ones that could not be re-attached to the
+   * orphaned references of the file
+   * @param {string} filePath Path to the saved file
+   * @returns {Object|null} Result of reanchorReferences, null if nothing
+   *   changed
    */
-  _getDocumentationReferenceData(filePath, id, lineNumber) {
+  _reanchorDocumentationReferences(filePath) {
     try {
-      const storageFile = this._getDocumentationStorageFile();
-      if (!fs.existsSync(storageFile)) {
+      // Unsaved edits are not final, the file is re-anchored when saved
+      const openDocument = vscode.workspace.textDocuments.find(
+        (doc) => doc.uri.fsPath === filePath
+      );
+      if ((openDocument && openDocument.isDirty) || !fs.existsSync(filePath)) {
         return null;
       }
 
-      const storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
+      const storageData = this._readDocumentationStorage(filePath);
       const fileKey = this._normalizePathForStorage(filePath);
+      const fileData = storageData[fileKey];
+      if (
+        !fileData ||
+        (!fileData.references?.length && !fileData.orphaned?.length)
+      ) {
+        return null;
+      }
 
-      if (storageData[fileKey] && storageData[fileKey].references) {
-        return storageData[fileKey].references.find(
-          (ref) => ref.id === id && ref.lineNumber === lineNumber
-        );
+      const content = fs.readFileSync(filePath, "utf8");
+      const { idMap, regex } = documentationHelper.createDocumentationRegex(
+        this.documentationIds
+      );
+      if (!regex) {
+        return null;
       }
+      const docRefs = documentationHelper.findDocumentationReferences(
+        content,
+        regex,
+        idMap,
+        filePath
+      );
+      const anchors = createAnchors(content, docRefs);
+      const result = reanchorReferences(
+        fileData.references || [],
+        fileData.orphaned || [],
+        docRefs.map((ref, index) => ({
+          id: ref.id,
+          lineNumber: ref.lineNumber,
+          anchor: anchors[index],
+        }))
+      );
+      if (!result.changed) {
+        return null;
+      }
+
+      fileData.references = result.references;
+      if (result.orphaned.length > 0) {
+        fileData.orphaned = result.orphaned;
+      } else {
+        delete fileData.orphaned;
+      }
+      this._writeDocumentationStorage(storageData);
 
+      if (result.moved.length > 0 || result.reattached.length > 0) {
+        console.log(
+          `Re-attached documentation references of ${filePath}: ${result.moved.length} moved, ${result.reattached.length} restored`
+        );
+      }
+      return result;
+    } catch (error) {
+      console.error("Error re-anchoring documentation references:", error);
       return null;
+    }
+  }
+
+  /**
+   * Stored statuses that could not be re-attached to a documentation reference
+   * @returns {Array<Object>} Orphaned references with their filePath
+   */
+  getOrphanedDocumentationReferences() {
+    const storageData = this._readDocumentationStorage();
+    return Object.entries(storageData).flatMap(([fileKey, fileData]) =>
+      (fileData.orphaned || []).map((orphan) => ({
+        ...orphan,
+        filePath: fileKey,
+      }))
+    );
+  }
+
+  /**
+   * Get the stored data of the documentation references of a file, reading
+   * its storage once
+   * @param {string} filePath File path
+   * @returns {Map<string, Object>} Stored reference data keyed by
+   *   "<id>:<lineNumber>"
+   */
+  _getStoredReferences(filePath) {
+    const storedReferences = new Map();
+    try {
+      const storageData = this._readDocumentationStorage(filePath);
+      const fileKey = this._normalizePathForStorage(filePath);
+
+      for (const ref of storageData[fileKey]?.references || []) {
+        const key = `${ref.id}:${ref.lineNumber}`;
+        if (!storedReferences.has(key)) {
+          storedReferences.set(key, ref);
+        }
+      }
     } catch (error) {
       console.error("Error reading documentation reference data:", error);
-      return null;
     }
+    return storedReferences;
   }
 
   /**
@@ -633,15 +1016,228 @@ class FileReferenceProvider {
   }
 
   /**
-   * Get path to documentation references storage file
-   * @returns {string} Path to storage file
+   * Get the location of the documentation references storage
+   * @returns {{folder: string, rootPath: string, legacyFile: string, historyFolder: string, legacyHistoryFile: string}|null}
    */
-  _getDocumentationStorageFile() {
-    return documentationHelper.getDocumentationStorageFile(() =>
+  _getDocumentationStorageLocation() {
+    return documentationHelper.getDocumentationStorageLocation(() =>
       this._findIndexFolder()
     );
   }
 
+  /**
+   * Read the stored documentation reference data
+   * @param {string} [filePath] Only read the data of this file
+   * @returns {Object} Storage data keyed by normalized file path
+   */
+  _readDocumentationStorage(filePath) {
+    const location = this._getDocumentationStorageLocation();
+    if (!location) {
+      return {};
+    }
+    return readDocumentationStorage(
+      location,
+      filePath ? this._normalizePathForStorage(filePath) : undefined
+    );
+  }
+
+  /**
+   * Write the stored documentation reference data of the files it contains
+   * @param {Object} storageData Storage data keyed by normalized file path
+   * @param {string} [label] Records the status changes in the undo history
+   *   under this label
+   */
+  _writeDocumentationStorage(storageData, label) {
+    const location = this._getDocumentationStorageLocation();
+    if (!location) {
+      throw new Error("No folder to store documentation references in");
+    }
+
+    // Toggling done or not implemented ends a configured state
+    Object.values(storageData).forEach((fileData) =>
+      (fileData.references || []).forEach(normalizeReferenceState)
+    );
+
+    const before = label
+      ? Object.keys(storageData).reduce(
+          (data, fileKey) =>
+            Object.assign(data, readDocumentationStorage(location, fileKey)),
+          {}
+        )
+      : null;
+    writeDocumentationStorage(location, storageData);
+    this._onDidChangeDocumentationStorage.fire(Object.keys(storageData));
+
+    if (label) {
+      this._recordDocumentationHistory(
+        location,
+        label,
+        diffStatuses(before, storageData)
+      );
+    }
+  }
+
+  /**
+   * Add status changes to the undo history
+   * @param {Object} location Storage location
+   * @param {string} label Description of the change
+   * @param {Array<Object>} changes Changes of diffStatuses
+   */
+  _recordDocumentationHistory(location, label, changes) {
+    if (changes.length === 0) {
+      return;
+    }
+    try {
+      const userId = this._getUserId();
+      const history = loadUserHistory(location, userId);
+      recordEntry(history, { label, userId, changes });
+      saveHistory(getHistoryFile(location.historyFolder, userId), history);
+      this._onDidChangeHistory.fire();
+    } catch (error) {
+      console.error("Error recording documentation history:", error);
+    }
+  }
+
+  /**
+   * Configured user identifier
+   * @returns {string}
+   */
+  _getUserId() {
+    return (
+      vscode.workspace
+        .getConfiguration("bc-al-upgradeassistant")
+        .get("userId") || ""
+    );
+  }
+
+  /**
+   * Undo and redo stacks of the documentation reference changes of the
+   * whole team
+   * @returns {{undo: Array<Object>, redo: Array<Object>}} Oldest first
+   */
+  getDocumentationHistory() {
+    const location = this._getDocumentationStorageLocation();
+    return location ? loadTeamHistory(location) : { undo: [], redo: [] };
+  }
+
+  /**
+   * Entry the next undo or redo applies: the last one of the current user
+   * @param {"undo"|"redo"} stack
+   * @returns {Object|null}
+   */
+  getNextHistoryEntry(stack) {
+    const location = this._getDocumentationStorageLocation();
+    if (!location) {
+      return null;
+    }
+    const userId = this._getUserId();
+    return findOwnEntry(loadUserHistory(location, userId)[stack], userId);
+  }
+
+  /**
+   * Move the last own entry of one stack to the other and apply its side
+   * @param {"undo"|"redo"} from
+   * @returns {Object|null} The moved entry, null if there is none
+   */
+  _moveHistoryEntry(from) {
+    const location = this._getDocumentationStorageLocation();
+    if (!location) {
+      return null;
+    }
+    const userId = this._getUserId();
+    const history = loadUserHistory(location, userId);
+    const entry = findOwnEntry(history[from], userId);
+    if (!entry) {
+      return null;
+    }
+    const to = from === "undo" ? "redo" : "undo";
+    this._applyDocumentationHistoryEntry(
+      entry,
+      from === "undo" ? "before" : "after"
+    );
+    history[from].splice(history[from].indexOf(entry), 1);
+    history[to].push(entry);
+    saveHistory(getHistoryFile(location.historyFolder, userId), history);
+    this._onDidChangeHistory.fire();
+    return entry;
+  }
+
+  /**
+   * Changes of a history entry whose references were changed again since
+   * @param {Object} entry History entry
+   * @param {"before"|"after"} side Side that is about to be applied
+   * @returns {Array<Object>} Conflicting changes
+   */
+  getDocumentationHistoryConflicts(entry, side) {
+    return findConflicts(this._readEntryFiles(entry), entry, side);
+  }
+
+  /**
+   * Read the stored data of the files a history entry changed
+   * @param {Object} entry History entry
+   * @returns {Object} Storage data keyed by normalized file path
+   */
+  _readEntryFiles(entry) {
+    const location = this._getDocumentationStorageLocation();
+    const storageData = {};
+    for (const change of entry.changes) {
+      if (!storageData[change.file]) {
+        storageData[change.file] = readDocumentationStorage(
+          location,
+          change.file
+        )[change.file] || { references: [] };
+      }
+    }
+    return storageData;
+  }
+
+  /**
+   * Set the statuses of one side of a history entry
+   * @param {Object} entry History entry
+   * @param {"before"|"after"} side Side to apply
+   * @param {string} [label] Records the result as a new history entry
+   */
+  _applyDocumentationHistoryEntry(entry, side, label) {
+    const storageData = this._readEntryFiles(entry);
+    applyEntry(storageData, entry, side, {
+      userId: vscode.workspace
+        .getConfiguration("bc-al-upgradeassistant")
+        .get("userId"),
+      lastModified: new Date().toISOString(),
+    });
+    this._writeDocumentationStorage(storageData, label);
+    this.refresh();
+    this.updateDecorations();
+  }
+
+  /**
+   * Undo the last documentation reference change
+   * @returns {Object|null} The undone history entry, null if there is none
+   */
+  undoDocumentationChange() {
+    return this._moveHistoryEntry("undo");
+  }
+
+  /**
+   * Redo the last undone documentation reference change
+   * @returns {Object|null} The redone history entry, null if there is none
+   */
+  redoDocumentationChange() {
+    return this._moveHistoryEntry("redo");
+  }
+
+  /**
+   * Restore the statuses a history entry changed, recorded as a new change
+   * @param {Object} entry History entry
+   */
+  revertDocumentationChange(entry) {
+    this._applyDocumentationHistoryEntry(
+      entry,
+      "before",
+      `Revert "${entry.label}"`
+    );
+  }
+
   /**
    * Toggle the "done" state of a documentation reference
    * @param {string} filePath File path
@@ -652,13 +1248,8 @@ class FileReferenceProvider {
   toggleDocumentationReferenceDone(filePath, id, lineNumber) {
     const result = (() => {
       try {
-        const storageFile = this._getDocumentationStorageFile();
-
         // Read existing data or create new
-        let storageData = {};
-        if (fs.existsSync(storageFile)) {
-          storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-        }
+        const storageData = this._readDocumentationStorage(filePath);
 
         const fileKey = this._normalizePathForStorage(filePath);
         const config = vscode.workspace.getConfiguration(
@@ -684,8 +1275,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             ref.userId = userId;
-            ref.lastModified = new Date().toISOString();
           }
+          ref.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           ref = {
@@ -699,7 +1290,7 @@ class FileReferenceProvider {
         }
 
         // Save updated data
-        fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+        this._writeDocumentationStorage(storageData, "Toggle done");
 
         // Fire change event to refresh tree
         this.refresh();
@@ -733,13 +1324,8 @@ class FileReferenceProvider {
   ) {
     const result = (() => {
       try {
-        const storageFile = this._getDocumentationStorageFile();
-
         // Read existing data or create new
-        let storageData = {};
-        if (fs.existsSync(storageFile)) {
-          storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-        }
+        const storageData = this._readDocumentationStorage(filePath);
 
         const fileKey = this._normalizePathForStorage(filePath);
         const config = vscode.workspace.getConfiguration(
@@ -771,8 +1357,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             ref.userId = userId;
-            ref.lastModified = new Date().toISOString();
           }
+          ref.lastModified = new Date().toISOString();
 
           // If marked as not implemented, it shouldn't be marked as done
           if (ref.notImplemented && ref.done) {
@@ -793,7 +1379,7 @@ class FileReferenceProvider {
         }
 
         // Save updated data
-        fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+        this._writeDocumentationStorage(storageData, "Toggle not implemented");
 
         // Fire change event to refresh tree
         this.refresh();
@@ -824,13 +1410,8 @@ class FileReferenceProvider {
    */
   setDocumentationReferenceDescription(filePath, id, lineNumber, description) {
     try {
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
 
@@ -855,8 +1436,17 @@ class FileReferenceProvider {
         storageData[fileKey].references.push(ref);
       }
 
+      // Silently add/update userId
+      const userId = vscode.workspace
+        .getConfiguration("bc-al-upgradeassistant")
+        .get("userId");
+      if (userId) {
+        ref.userId = userId;
+      }
+      ref.lastModified = new Date().toISOString();
+
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, "Edit note");
 
       // Fire change event to refresh tree
       this.refresh();
@@ -871,6 +1461,175 @@ class FileReferenceProvider {
     }
   }
 
+  /**
+   * Apply the changes of an import in one write, recorded as one history
+   * entry
+   * @param {Array<Object>} changes Changes of planImport
+   */
+  applyDocumentationImport(changes) {
+    const userId = vscode.workspace
+      .getConfiguration("bc-al-upgradeassistant")
+      .get("userId");
+    const stamp = { userId, lastModified: new Date().toISOString() };
+
+    const storageData = {};
+    for (const change of changes) {
+      const { filePath, id, lineNumber } = change.ref;
+      const fileKey = this._normalizePathForStorage(filePath);
+      if (!storageData[fileKey]) {
+        storageData[fileKey] = this._readDocumentationStorage(filePath)[
+          fileKey
+        ] || { references: [] };
+      }
+      let ref = storageData[fileKey].references.find(
+        (r) => r.id === id && r.lineNumber === lineNumber
+      );
+      if (!ref) {
+        ref = { id, lineNumber };
+        storageData[fileKey].references.push(ref);
+      }
+      applyImportChange(ref, change, stamp);
+    }
+
+    this._writeDocumentationStorage(
+      storageData,
+      `Import ${changes.length} changes`
+    );
+    this.refresh();
+    this.updateDecorations();
+  }
+
+  /**
+   * Assign documentation references of a file to a team member
+   * @param {string} filePath File path
+   * @param {string} assignee User identifier, "" to unassign
+   * @param {function(Object): boolean} [filterRefs] Selects the references
+   *   to assign, all references of the file by default
+   * @returns {number} Number of references assigned, -1 on error
+   */
+  assignDocumentationReferences(filePath, assignee, filterRefs = () => true) {
+    try {
+      const docRefs = this._findDocumentationReferences(
+        fs.readFileSync(filePath, "utf8"),
+        filePath
+      ).filter(filterRefs);
+      if (docRefs.length === 0) {
+        return 0;
+      }
+
+      const storageData = this._readDocumentationStorage(filePath);
+      const fileKey = this._normalizePathForStorage(filePath);
+      const userId = vscode.workspace
+        .getConfiguration("bc-al-upgradeassistant")
+        .get("userId");
+
+      if (!storageData[fileKey]) {
+        storageData[fileKey] = { references: [] };
+      }
+      for (const docRef of docRefs) {
+        let ref = storageData[fileKey].references.find(
+          (r) => r.id === docRef.id && r.lineNumber === docRef.lineNumber
+        );
+        if (!ref) {
+          ref = { id: docRef.id, lineNumber: docRef.lineNumber };
+          storageData[fileKey].references.push(ref);
+        }
+
+        applyAssignee(ref, assignee);
+        if (userId) {
+          ref.userId = userId;
+        }
+        ref.lastModified = new Date().toISOString();
+      }
+
+      this._writeDocumentationStorage(
+        storageData,
+        assignee ? `Assign to ${assignee}` : "Unassign"
+      );
+      this.refresh();
+
+      return docRefs.length;
+    } catch (error) {
+      console.error("Error assigning documentation references:", error);
+      return -1;
+    }
+  }
+
+  /**
+   * Find the documentation references assigned to a user across the stored
+   * files
+   * @param {string} assignee User identifier
+   * @returns {Array<Object>} References with their filePath
+   */
+  getAssignedDocumentationReferences(assignee) {
+    const storageData = this._readDocumentationStorage();
+    const refs = [];
+    for (const fileKey of findAssignedFiles(storageData, assignee)) {
+      const filePath = path.normalize(fileKey);
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+      for (const ref of this._findDocumentationReferences(
+        fs.readFileSync(filePath, "utf8"),
+        filePath
+      )) {
+        if (ref.assignee === assignee) {
+          refs.push({ ...ref, filePath });
+        }
+      }
+    }
+    return refs;
+  }
+
+  /**
+   * Put a documentation reference into a lifecycle state
+   * @param {string} filePath File path
+   * @param {string} id Documentation ID
+   * @param {number} lineNumber Line number
+   * @param {string} stateId ID of a state of documentationStates
+   * @returns {boolean} Success status
+   */
+  setDocumentationReferenceState(filePath, id, lineNumber, stateId) {
+    try {
+      const state = this.documentationStates.find((s) => s.id === stateId);
+      if (!state) {
+        throw new Error(`Unknown documentation state: ${stateId}`);
+      }
+
+      const storageData = this._readDocumentationStorage(filePath);
+      const fileKey = this._normalizePathForStorage(filePath);
+      const userId = vscode.workspace
+        .getConfiguration("bc-al-upgradeassistant")
+        .get("userId");
+
+      if (!storageData[fileKey]) {
+        storageData[fileKey] = { references: [] };
+      }
+      let ref = storageData[fileKey].references.find(
+        (r) => r.id === id && r.lineNumber === lineNumber
+      );
+      if (!ref) {
+        ref = { id, lineNumber };
+        storageData[fileKey].references.push(ref);
+      }
+
+      applyReferenceState(ref, stateId);
+      if (userId) {
+        ref.userId = userId;
+      }
+      ref.lastModified = new Date().toISOString();
+
+      this._writeDocumentationStorage(storageData, `Set state ${state.label}`);
+      this.refresh();
+      this.updateDecorations();
+
+      return true;
+    } catch (error) {
+      console.error("Error setting documentation reference state:", error);
+      return false;
+    }
+  }
+
   /**
    * Toggle the "done" state of all documentation references in a procedure
    * @param {string} filePath File path
@@ -898,13 +1657,8 @@ class FileReferenceProvider {
       const targetState = doneCount <= refsInProcedure.length / 2;
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -934,8 +1688,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -950,7 +1704,10 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(
+        storageData,
+        "Toggle procedure references done"
+      );
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1110,13 +1867,8 @@ class FileReferenceProvider {
       const targetState = doneCount <= refsInTrigger.length / 2;
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1146,8 +1898,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1162,7 +1914,10 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(
+        storageData,
+        "Toggle trigger references done"
+      );
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1201,13 +1956,8 @@ class FileReferenceProvider {
       }
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1233,8 +1983,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1249,7 +1999,7 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, "Edit procedure notes");
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1285,13 +2035,8 @@ class FileReferenceProvider {
       }
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1317,8 +2062,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1333,7 +2078,7 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, "Edit trigger notes");
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1372,13 +2117,8 @@ class FileReferenceProvider {
       const targetState = doneCount <= refsInAction.length / 2;
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1408,8 +2148,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1424,7 +2164,10 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(
+        storageData,
+        "Toggle action references done"
+      );
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1522,13 +2265,8 @@ class FileReferenceProvider {
       }
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1554,8 +2292,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1570,7 +2308,7 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, "Edit action notes");
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1609,13 +2347,8 @@ class FileReferenceProvider {
       const targetState = doneCount <= refsInField.length / 2;
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1645,8 +2378,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1661,7 +2394,10 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(
+        storageData,
+        "Toggle field references done"
+      );
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1759,13 +2495,8 @@ class FileReferenceProvider {
       }
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1791,8 +2522,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1807,7 +2538,7 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, "Edit field notes");
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1836,13 +2567,8 @@ class FileReferenceProvider {
   ) {
     try {
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1879,8 +2605,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1898,7 +2624,7 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, "Toggle not implemented");
 
       // Fire change event to refresh tree
       this.refresh();
@@ -1937,13 +2663,8 @@ class FileReferenceProvider {
       const targetState = doneCount <= refsWithTaskId.length / 2;
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -1973,8 +2694,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -1989,7 +2710,10 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(
+        storageData,
+        `Toggle task ${taskId} done`
+      );
 
       // Fire change event to refresh tree
       this.refresh();
@@ -2076,13 +2800,8 @@ class FileReferenceProvider {
       }
 
       // Get storage file and data
-      const storageFile = this._getDocumentationStorageFile();
-
       // Read existing data or create new
-      let storageData = {};
-      if (fs.existsSync(storageFile)) {
-        storageData = JSON.parse(fs.readFileSync(storageFile, "utf8"));
-      }
+      const storageData = this._readDocumentationStorage(filePath);
 
       const fileKey = this._normalizePathForStorage(filePath);
       const config = vscode.workspace.getConfiguration(
@@ -2108,8 +2827,8 @@ class FileReferenceProvider {
           // Silently add/update userId
           if (userId) {
             refData.userId = userId;
-            refData.lastModified = new Date().toISOString();
           }
+          refData.lastModified = new Date().toISOString();
         } else {
           // Add new entry
           refData = {
@@ -2124,7 +2843,7 @@ class FileReferenceProvider {
       }
 
       // Save updated data
-      fs.writeFileSync(storageFile, JSON.stringify(storageData, null, 2));
+      this._writeDocumentationStorage(storageData, `Edit task ${taskId} notes`);
 
       // Fire change event to refresh tree
       this.refresh();
@@ -2138,26 +2857,73 @@ class FileReferenceProvider {
 
   _applyFilter(docRefs) {
     if (!docRefs || docRefs.length === 0) return [];
-    if (this.filterMode === 'all') {
+    if (this.filterMode === 'all' && this.assigneeFilter === null) {
         return docRefs;
     }
     return docRefs.filter(ref => {
         if (!ref) return false;
-        const isDone = ref.done === true && (ref.notImplemented === false || ref.notImplemented === undefined);
-        const isNotImplemented = ref.notImplemented === true;
+        if (!matchesAssignee(ref, this.assigneeFilter)) return false;
+        const state = getReferenceState(ref, this.documentationStates);
 
         if (this.filterMode === 'done') {
-            return isDone;
+            return state.countsAsDone && state.id !== 'notImplemented';
         }
         if (this.filterMode === 'notDone') {
-            return !isDone && !isNotImplemented;
+            return !state.countsAsDone;
+        }
+        if (this.filterMode.startsWith('state:')) {
+            return `state:${state.id}` === this.filterMode;
         }
         return true; // Default for 'all' or unexpected filterMode
     });
   }
 
+  /**
+   * Only show the documentation references assigned to a user
+   * @param {string|null} assignee User identifier, "" for unassigned
+   *   references, null to clear
+   */
+  setAssigneeFilter(assignee) {
+    this.assigneeFilter = assignee === undefined ? null : assignee;
+    this.refresh();
+  }
+
+  /**
+   * Only show C/AL objects whose Version List contains the given tag
+   * @param {string|null} version Version tag or part of it, e.g. "ABC1.02", null to clear
+   */
+  setVersionFilter(version) {
+    this.versionFilter = version || null;
+    this.refresh();
+  }
+
+  /**
+   * Get the OBJECT-PROPERTIES of a C/AL object file, from the index if the
+   * object was split, otherwise from the file content
+   * @param {string} fileContent Content of the .txt file
+   * @param {string} indexFolder Path to the .index folder
+   * @returns {{date: string, time: string, modified: boolean, versionList: string, versions: string[]}|null}
+   */
+  _getCalObjectProperties(fileContent, indexFolder) {
+    const headerMatch = fileContent.match(/^\s*OBJECT\s+(\w+)\s+(\d+)/);
+    if (headerMatch && indexFolder) {
+      const calObject = readCalObjectInfo(
+        indexFolder,
+        headerMatch[1],
+        headerMatch[2]
+      );
+      if (calObject) {
+        return calObject;
+      }
+    }
+    return parseObjectProperties(fileContent);
+  }
+
   setFilterMode(mode) {
-    if (['all', 'done', 'notDone'].includes(mode)) {
+    if (
+      ['all', 'done', 'notDone'].includes(mode) ||
+      this.documentationStates.some((state) => mode === `state:${state.id}`)
+    ) {
       this.filterMode = mode;
       this.refresh(); // Triggers _onDidChangeTreeData.fire(null)
     } else {
@@ -2181,6 +2947,9 @@ class FileReferenceProvider {
       const doneDecorations = [];
       const undoneDecorations = [];
       const notImplementedDecorations = [];
+      const stateDecorations = new Map(
+        [...this.stateDecorationTypes.keys()].map((stateId) => [stateId, []])
+      );
 
       const docRefs = this._findDocumentationReferences(
         this.currentEditor.document.getText(),
@@ -2198,6 +2967,8 @@ class FileReferenceProvider {
           notImplementedDecorations.push(range);
         } else if (ref.done) {
           doneDecorations.push(range);
+        } else if (stateDecorations.has(ref.lifecycleState.id)) {
+          stateDecorations.get(ref.lifecycleState.id).push(range);
         } else {
           undoneDecorations.push(range);
         }
@@ -2215,11 +2986,40 @@ class FileReferenceProvider {
         this.notImplementedDecorationType,
         notImplementedDecorations
       );
+      for (const [stateId, ranges] of stateDecorations) {
+        this.currentEditor.setDecorations(
+          this.stateDecorationTypes.get(stateId),
+          ranges
+        );
+      }
     } catch (error) {
       console.error("Error updating decorations:", error);
     }
   }
 
+  /**
+   * Create the gutter decorations of the configured states, replacing the
+   * ones of the previous configuration
+   */
+  _createStateDecorationTypes() {
+    this.stateDecorationTypes.forEach((type) => type.dispose());
+    this.stateDecorationTypes = new Map(
+      this.documentationStates
+        .filter((state) => !BUILT_IN_STATES.includes(state))
+        .map((state) => [
+          state.id,
+          vscode.window.createTextEditorDecorationType({
+            gutterIconPath: vscode.Uri.parse(getStateGutterIcon(state)),
+            gutterIconSize: "100%",
+            fontWeight: "normal",
+            color: new vscode.ThemeColor(state.color),
+            overviewRulerColor: new vscode.ThemeColor(state.color),
+            isWholeLine: true,
+          }),
+        ])
+    );
+  }
+
   /**
    * Clean up resources
    */
@@ -2235,12 +3035,17 @@ class FileReferenceProvider {
     this.saveExpandedState();
 
     this._onDidChangeTreeData.dispose();
+    this._onDidChangeHistory.dispose();
+    this._onDidChangeDocumentationStorage.dispose();
     if (this.editorChangeDisposable) {
       this.editorChangeDisposable.forEach((d) => d.dispose());
     }
+    clearTimeout(this.reanchorTimer);
+    this.reanchorDisposables.forEach((d) => d.dispose());
     this.doneDecorationType.dispose();
     this.uncheckedDecorationType.dispose();
     this.notImplementedDecorationType.dispose();
+    this.stateDecorationTypes.forEach((type) => type.dispose());
   }
 }
 
@@ -2361,6 +3166,30 @@ class InfoItem extends TreeItem {
   }
 }
 
+/**
+ * Tree item for the OBJECT-PROPERTIES of a C/AL object
+ */
+class CalObjectPropertiesItem extends TreeItem {
+  constructor(properties) {
+    super("Object Properties", vscode.TreeItemCollapsibleState.Collapsed);
+    this.properties = properties;
+    this.description = properties.versionList;
+    this.tooltip = `Version List: ${properties.versionList || "(empty)"}`;
+    this.contextValue = "calObjectProperties";
+    this.iconPath = new vscode.ThemeIcon("tag");
+    this.id = "calObjectProperties";
+  }
+
+  getChildren() {
+    return [
+      new InfoItem("Date", this.properties.date),
+      new InfoItem("Time", this.properties.time),
+      new InfoItem("Modified", this.properties.modified ? "Yes" : "No"),
+      new InfoItem("Version List", this.properties.versionList),
+    ];
+  }
+}
+
 /**
  * Tree item for referenced objects group
  */
@@ -3004,15 +3833,28 @@ class DocumentationRefItem extends TreeItem {
       description = `${description} - ${docRef.userDescription}`;
     }
 
+    if (docRef.assignee) {
+      description = `${description} @${docRef.assignee}`;
+    }
+
     this.description = description;
 
     // Set context value based on status
+    const state = docRef.lifecycleState;
     if (docRef.notImplemented) {
       this.contextValue = "documentationRefNotImplemented";
       this.iconPath = new vscode.ThemeIcon("circle-slash");
     } else if (docRef.done) {
       this.contextValue = "documentationRefDone";
       this.iconPath = new vscode.ThemeIcon("check");
+    } else if (state && state.id !== "pending") {
+      // Configured states keep the actions of pending references
+      this.contextValue = "documentationRef";
+      this.iconPath = new vscode.ThemeIcon(
+        state.icon,
+        new vscode.ThemeColor(state.color)
+      );
+      this.description = `${state.label} · ${this.description}`;
     } else {
       this.contextValue = "documentationRef";
       this.iconPath = new vscode.ThemeIcon("book");
@@ -3030,6 +3872,14 @@ class DocumentationRefItem extends TreeItem {
       ? `${docRef.id}${docRef.taskId}: ${docRef.description}\n\nLine: ${docRef.lineNumber}`
       : `${docRef.id}: ${docRef.description}\n\nLine: ${docRef.lineNumber}`;
 
+    if (state) {
+      tooltipText += `\n\nStatus: ${state.label}`;
+    }
+
+    if (docRef.assignee) {
+      tooltipText += `\n\nAssigned to: ${docRef.assignee}`;
+    }
+
     // Add user description to tooltip if available
     if (docRef.userDescription) {
       tooltipText += `\n\nUser Note: ${docRef.userDescription}`;
@@ -3054,6 +3904,23 @@ class DocumentationRefItem extends TreeItem {
   }
 }
 
+class MigrationCompletenessItem extends TreeItem {
+  constructor(score, filePath) {
+    super("Migration Completeness", vscode.TreeItemCollapsibleState.None);
+    this.description = `${score.percent}%`;
+    this.tooltip = formatCompleteness(score);
+    this.contextValue = "migrationCompleteness";
+    this.iconPath = new vscode.ThemeIcon(
+      score.percent === 100 ? "pass-filled" : "pie-chart"
+    );
+    this.command = {
+      command: "bc-al-upgradeassistant.compareWithCalObject",
+      title: "Compare with C/AL Object",
+      arguments: [vscode.Uri.file(filePath)],
+    };
+  }
+}
+
 // Add new class for enhanced migration files item
 class EnhancedMigrationFilesItem extends TreeItem {
   constructor(files, migrationFileRefs) {
@@ -0,0 +1,142 @@
+const vscode = require("vscode");
+const path = require("path");
+
+/**
+ * Tree of the open documentation references assigned to the configured
+ * userId across the workspace, grouped by file
+ */
+class MyTasksProvider {
+  /**
+   * @param {Object} fileReferenceProvider - Provider owning the storage
+   */
+  constructor(fileReferenceProvider) {
+    this.fileReferenceProvider = fileReferenceProvider;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.disposables = [
+      fileReferenceProvider.onDidChangeDocumentationStorage(() =>
+        this.refresh()
+      ),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (
+          e.affectsConfiguration("bc-al-upgradeassistant.userId") ||
+          e.affectsConfiguration("bc-al-upgradeassistant.documentationStates")
+        ) {
+          this.refresh();
+        }
+      }),
+    ];
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire(null);
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (element) {
+      return element.refs.map((ref) => new MyTaskItem(ref));
+    }
+
+    const userId = vscode.workspace
+      .getConfiguration("bc-al-upgradeassistant")
+      .get("userId");
+    if (!userId) {
+      const item = new vscode.TreeItem(
+        "Set your userId to see your tasks",
+        vscode.TreeItemCollapsibleState.None
+      );
+      item.iconPath = new vscode.ThemeIcon("gear");
+      item.command = {
+        command: "workbench.action.openSettings",
+        title: "Open Settings",
+        arguments: ["bc-al-upgradeassistant.userId"],
+      };
+      return [item];
+    }
+
+    const refs = this.fileReferenceProvider
+      .getAssignedDocumentationReferences(userId)
+      .filter((ref) => !ref.lifecycleState.countsAsDone);
+    if (refs.length === 0) {
+      const item = new vscode.TreeItem(
+        `No open documentation references assigned to ${userId}`,
+        vscode.TreeItemCollapsibleState.None
+      );
+      item.iconPath = new vscode.ThemeIcon("pass");
+      return [item];
+    }
+
+    const files = new Map();
+    for (const ref of refs) {
+      if (!files.has(ref.filePath)) {
+        files.set(ref.filePath, []);
+      }
+      files.get(ref.filePath).push(ref);
+    }
+    return [...files].map(
+      ([filePath, fileRefs]) => new MyTasksFileItem(filePath, fileRefs)
+    );
+  }
+
+  dispose() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this._onDidChangeTreeData.dispose();
+  }
+}
+
+class MyTasksFileItem extends vscode.TreeItem {
+  constructor(filePath, refs) {
+    super(path.basename(filePath), vscode.TreeItemCollapsibleState.Expanded);
+    this.filePath = filePath;
+    this.refs = refs;
+    this.id = `myTasks-${filePath}`;
+    this.description = `${refs.length} open`;
+    this.tooltip = filePath;
+    this.contextValue = "myTasksFile";
+    this.iconPath = new vscode.ThemeIcon("file");
+    this.resourceUri = vscode.Uri.file(filePath);
+  }
+}
+
+class MyTaskItem extends vscode.TreeItem {
+  constructor(ref) {
+    const context = (ref.context || "")
+      .replace(`${ref.id}${ref.taskId || ""}`, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    super(context || ref.id, vscode.TreeItemCollapsibleState.None);
+    const state = ref.lifecycleState;
+    this.description = `${state.label} · ${ref.id}${ref.taskId || ""} (line ${
+      ref.lineNumber
+    })`;
+    this.tooltip = `${ref.id}${ref.taskId || ""}: ${ref.description}\n\n${
+      ref.filePath
+    }:${ref.lineNumber}\n\nStatus: ${state.label}${
+      ref.userDescription ? `\n\nUser Note: ${ref.userDescription}` : ""
+    }`;
+    this.contextValue = "myTask";
+    this.iconPath = new vscode.ThemeIcon(
+      state.icon,
+      new vscode.ThemeColor(state.color)
+    );
+    this.command = {
+      command: "bc-al-upgradeassistant.openDocumentationReference",
+      title: "Open Reference Location",
+      arguments: [ref.filePath, ref.lineNumber],
+    };
+
+    // Same properties as the references of the File References view, so
+    // their commands work here too
+    this.docRef = ref;
+    this.filePath = ref.filePath;
+    this.docId = ref.id;
+    this.lineNumber = ref.lineNumber;
+    this.taskId = ref.taskId || "";
+  }
+}
+
+module.exports = MyTasksProvider;
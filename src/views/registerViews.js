@@ -2,6 +2,8 @@ const vscode = require("vscode");
 const path = require("path");
 const fs = require("fs");
 const FileReferenceProvider = require("./fileReferenceProvider");
+const DocumentationHistoryProvider = require("./documentationHistoryProvider");
+const MyTasksProvider = require("./myTasksProvider");
 
 /**
  * Register all views for the extension
@@ -55,6 +57,31 @@ function registerViews(context) {
     }
   });
 
+  // Register the history of the documentation reference changes
+  const documentationHistoryProvider = new DocumentationHistoryProvider(
+    fileReferenceProvider
+  );
+  context.subscriptions.push(
+    documentationHistoryProvider,
+    vscode.window.createTreeView("bc-al-documentation-history", {
+      treeDataProvider: documentationHistoryProvider,
+    })
+  );
+
+  // Register the open documentation references assigned to the current user
+  const myTasksProvider = new MyTasksProvider(fileReferenceProvider);
+  context.subscriptions.push(
+    myTasksProvider,
+    vscode.window.createTreeView("bc-al-my-tasks", {
+      treeDataProvider: myTasksProvider,
+      showCollapseAll: true,
+    }),
+    vscode.commands.registerCommand(
+      "bc-al-upgradeassistant.refreshMyTasks",
+      () => myTasksProvider.refresh()
+    )
+  );
+
   // Register refresh command
   context.subscriptions.push(
     vscode.commands.registerCommand(
@@ -0,0 +1,214 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  renumberFieldIds,
+  generateTableExtension,
+  generatePageExtension,
+} = require("../src/utils/alExtensionGenerator.js");
+const {
+  parseMultiLanguageValue,
+  convertDataType,
+} = require("../src/utils/alSyntax.js");
+const {
+  detectCustomisations,
+} = require("../src/utils/calCustomisationDetector.js");
+
+const standardTable = () => ({
+  type: "Table",
+  id: "18",
+  name: "Customer",
+  versionList: "NAVW114.00",
+  properties: {},
+  triggers: [],
+  fields: [
+    { id: 1, name: "No.", dataType: "Code20", properties: "CaptionML=ENU=No." },
+  ],
+  controls: [],
+  actions: [],
+  code: "END.",
+});
+
+const customisedTable = () => {
+  const object = standardTable();
+  object.versionList = "NAVW114.00,ABC1.02";
+  object.fields.push(
+    {
+      id: 50000,
+      name: "Bonus Group",
+      dataType: "Option",
+      properties: [
+        "CaptionML=[ENU=Bonus Group;",
+        "           DEU=Bonusgruppe];",
+        "OptionCaptionML=[ENU=,Silver,Gold;",
+        "                 DEU=,Silber,Gold];",
+        "OptionString=[ ,Silver,Gold]",
+      ].join("\n"),
+    },
+    {
+      id: 70000,
+      name: "Bonus Code",
+      dataType: "Code10",
+      properties: [
+        "OnValidate=BEGIN",
+        '             TESTFIELD("Bonus Group");',
+        "           END;",
+        "CaptionML=ENU=Bonus Code;",
+        'TableRelation="Bonus Code".Code;',
+        "NotBlank=Yes",
+      ].join("\n"),
+    }
+  );
+  return object;
+};
+
+const standardPage = () => ({
+  type: "Page",
+  id: "21",
+  name: "Customer Card",
+  versionList: "NAVW114.00",
+  properties: {},
+  triggers: [],
+  fields: [],
+  controls: [
+    { id: 1, type: "Container", properties: "ContainerType=ContentArea" },
+    { id: 2, type: "Group", properties: "Name=General;\nGroupType=Group" },
+    { id: 3, type: "Field", properties: 'SourceExpr="No."' },
+    { id: 4, type: "Field", properties: "SourceExpr=Name" },
+  ],
+  actions: [],
+  code: "END.",
+});
+
+describe("AL Extension Generator", () => {
+  it("should convert data types and multi-language values", () => {
+    assert.strictEqual(convertDataType("Code20"), "Code[20]");
+    assert.strictEqual(convertDataType("Text50"), "Text[50]");
+    assert.strictEqual(convertDataType("GUID"), "Guid");
+    assert.strictEqual(convertDataType("Option"), null);
+    assert.deepStrictEqual(parseMultiLanguageValue('[ENU="A;B";DEU=Nr.]'), {
+      ENU: "A;B",
+      DEU: "Nr.",
+    });
+  });
+
+  it("should renumber field IDs into the ID ranges", () => {
+    const ids = renumberFieldIds(
+      [70000, 50000],
+      [{ from: 50000, to: 50002 }],
+      [1, 50001]
+    );
+    assert.strictEqual(ids.get(50000), 50000);
+    assert.strictEqual(ids.get(70000), 50002);
+    assert.throws(
+      () => renumberFieldIds([70000], [{ from: 50000, to: 50000 }], [50000]),
+      /No free field ID/
+    );
+  });
+
+  it("should generate a tableextension with the added fields", () => {
+    const customisations = detectCustomisations(
+      customisedTable(),
+      standardTable()
+    );
+    const result = generateTableExtension(customisations, {
+      objectId: 50000,
+      nextEnumId: () => 50100,
+      idRanges: [{ from: 50000, to: 59999 }],
+      usedFieldIds: [1, 50000, 70000],
+    });
+
+    assert.deepStrictEqual(result.fieldIds, [
+      { name: "Bonus Group", from: 50000, to: 50000 },
+      { name: "Bonus Code", from: 70000, to: 50001 },
+    ]);
+    assert.ok(
+      result.code.startsWith(
+        'tableextension 50000 "Customer Ext" extends Customer\n'
+      )
+    );
+    assert.ok(
+      result.code.includes(
+        [
+          '        field(50000; "Bonus Group"; Enum "Customer Bonus Group")',
+          "        {",
+          "            //de-DE=Bonusgruppe",
+          "            Caption = 'Bonus Group';",
+        ].join("\n")
+      )
+    );
+    assert.ok(result.code.includes("            // C/AL field ID 70000"));
+    assert.ok(
+      result.code.includes('            TableRelation = "Bonus Code".Code;')
+    );
+    assert.ok(result.code.includes("            NotBlank = true;"));
+    assert.ok(result.code.includes("            trigger OnValidate()"));
+    assert.ok(
+      result.code.includes('                // TESTFIELD("Bonus Group");')
+    );
+
+    assert.strictEqual(result.enums.length, 1);
+    assert.strictEqual(result.enums[0].id, 50100);
+    assert.strictEqual(result.enums[0].name, "Customer Bonus Group");
+    assert.ok(
+      result.enums[0].code.includes(
+        [
+          '    value(0; " ")',
+          "    {",
+          "        Caption = '';",
+          "    }",
+          "",
+          "    value(1; Silver)",
+          "    {",
+          "        //de-DE=Silber",
+          "        Caption = 'Silver';",
+        ].join("\n")
+      )
+    );
+  });
+
+  it("should add page controls after the preceding standard control", () => {
+    const customer = standardPage();
+    customer.controls.splice(
+      3,
+      0,
+      {
+        id: 50000,
+        type: "Field",
+        properties:
+          'SourceExpr="Bonus Group";\nCaptionML=[ENU=Bonus;DEU=Bonus]',
+      },
+      { id: 50001, type: "Field", properties: "SourceExpr=Name2 + Name" }
+    );
+    const customisations = detectCustomisations(customer, standardPage());
+    const { code } = generatePageExtension(customisations, customer, {
+      objectId: 50000,
+    });
+
+    assert.strictEqual(
+      code,
+      [
+        'pageextension 50000 "Customer Card Ext" extends "Customer Card"',
+        "{",
+        "    layout",
+        "    {",
+        '        addafter("No.")',
+        "        {",
+        '            field("Bonus Group"; Rec."Bonus Group")',
+        "            {",
+        "                ApplicationArea = All;",
+        "                //de-DE=Bonus",
+        "                Caption = 'Bonus';",
+        "            }",
+        "",
+        "            field(Control50001; Name2 + Name)",
+        "            {",
+        "                ApplicationArea = All;",
+        "            }",
+        "        }",
+        "    }",
+        "}",
+        "",
+      ].join("\n")
+    );
+  });
+});
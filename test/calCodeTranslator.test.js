@@ -0,0 +1,166 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  translateTrigger,
+  translateDeclaration,
+  translateCodeSection,
+  translateCalObject,
+} = require("../src/utils/calCodeTranslator.js");
+
+const SALES_LINE_FIELDS = ["Document No.", "Quantity", "Type"];
+const getRecordFields = (type) =>
+  type === "Record 37" ? SALES_LINE_FIELDS : null;
+
+const SAMPLE_CODE = [
+  "    VAR",
+  "      Text000@1000 : TextConst 'DEU=%1 buchen?;ENU=Post %1?';",
+  "      SalesLine@1001 : Record 37;",
+  "      xlApp@1002 : Automation \"{00020813-0000-0000-C000-000000000046} 1.6:{00024500-0000-0000-C000-000000000046}:'Microsoft Excel 16.0 Object Library'.Application\";",
+  "",
+  "    [EventSubscriber(Table,36,OnAfterDeleteEvent)]",
+  "    LOCAL PROCEDURE UpdateLines@1(VAR SalesHeader@1000 : Record 36;Qty@1001 : Decimal) : Boolean;",
+  "    VAR",
+  "      TempCust@1002 : TEMPORARY Record 18;",
+  "    BEGIN",
+  "      WITH SalesLine DO BEGIN",
+  '        SETRANGE("Document No.",SalesHeader."No.");',
+  "        IF FINDSET THEN",
+  "          REPEAT",
+  "            VALIDATE(Quantity,Qty);",
+  "            MODIFY(TRUE);",
+  "          UNTIL NEXT = 0;",
+  "      END;",
+  '      IF NOT CONFIRM(Text000,FALSE,SalesHeader."No.") THEN',
+  "        EXIT(FALSE);",
+  "      CREATE(xlApp);",
+  '      FORM.RUNMODAL(FORM::"Customer List",TempCust);',
+  "    END;",
+  "",
+  "    BEGIN",
+  "    END.",
+].join("\r\n");
+
+describe("C/AL Code Translator", () => {
+  it("should translate variable declarations", () => {
+    assert.deepStrictEqual(
+      translateDeclaration("TempItem@1000 : TEMPORARY Record 27;").lines,
+      ["TempItem: Record 27 temporary;"]
+    );
+    assert.deepStrictEqual(
+      translateDeclaration("Amounts@1001 : ARRAY [10] OF Decimal;").lines,
+      ["Amounts: array[10] of Decimal;"]
+    );
+    assert.deepStrictEqual(
+      translateDeclaration("Status@1002 : ' ,Open,Pending Approval';").lines,
+      ['Status: Option " ",Open,"Pending Approval";']
+    );
+    assert.deepStrictEqual(
+      translateDeclaration("Text001@1003 : TextConst 'DEU=Fertig;ENU=Done';")
+        .lines,
+      ["//de-DE=Fertig", "Text001: Label 'Done';"]
+    );
+  });
+
+  it("should translate procedures and global variables", () => {
+    const { variables, procedures } = translateCodeSection(SAMPLE_CODE, {
+      getRecordFields,
+    });
+
+    assert.deepStrictEqual(variables, [
+      "//de-DE=%1 buchen?",
+      "Text000: Label 'Post %1?';",
+      "SalesLine: Record 37;",
+      "// TODO: Automation is not supported in AL, use .NET interop or an API",
+      "// xlApp: Automation \"{00020813-0000-0000-C000-000000000046} 1.6:{00024500-0000-0000-C000-000000000046}:'Microsoft Excel 16.0 Object Library'.Application\";",
+    ]);
+    assert.strictEqual(procedures.length, 1);
+    assert.deepStrictEqual(procedures[0].lines, [
+      "[EventSubscriber(ObjectType::Table, 36, 'OnAfterDeleteEvent', '', false, false)]",
+      "local procedure UpdateLines(var SalesHeader: Record 36; Qty: Decimal): Boolean",
+      "var",
+      "    TempCust: Record 18 temporary;",
+      "begin",
+      '    SalesLine.SetRange(SalesLine."Document No.",SalesHeader."No.");',
+      "    if SalesLine.FindSet then",
+      "        repeat",
+      "            SalesLine.Validate(SalesLine.Quantity,Qty);",
+      "            SalesLine.Modify(true);",
+      "        until SalesLine.Next = 0;",
+      '    if not Confirm(Text000,false,SalesHeader."No.") then',
+      "        exit(false);",
+      "    CREATE(xlApp); // TODO: Automation is not supported in AL",
+      '    Page.RunModal(Page::"Customer List",TempCust);',
+      "end;",
+    ]);
+  });
+
+  it("should flag WITH blocks on tables without known fields", () => {
+    assert.deepStrictEqual(
+      translateTrigger([
+        "VAR",
+        "Cust@1000 : Record 18;",
+        "BEGIN",
+        "IF Cust.GET(CustNo) THEN",
+        "WITH Cust DO BEGIN",
+        '"Credit Limit (LCY)" := 0;',
+        "Blocked := Blocked::All;",
+        "END;",
+        "{ Blocked until review }",
+        "CurrForm.Blocked.EDITABLE := FALSE;",
+        "END;",
+      ]),
+      [
+        "var",
+        "    Cust: Record 18;",
+        "begin",
+        "    if Cust.Get(CustNo) then",
+        "        begin // TODO: WITH Cust was expanded, check unqualified references to its fields",
+        '            Cust."Credit Limit (LCY)" := 0;',
+        "            Blocked := Blocked::All;",
+        "        end;",
+        "    /* Blocked until review */",
+        "    CurrPage.Blocked.EDITABLE := false; // TODO: control properties cannot be changed at runtime in AL, bind the property to a variable",
+        "end;",
+      ]
+    );
+  });
+
+  it("should translate the triggers of a parseCALToJSON result", () => {
+    const { triggers, fieldTriggers } = translateCalObject({
+      triggers: [{ name: "OnInsert", code: 'BEGIN\nTESTFIELD("No.");\nEND;' }],
+      fields: [
+        {
+          id: 5,
+          name: "Quantity",
+          properties: [
+            "OnValidate=BEGIN",
+            "             IF Quantity < 0 THEN",
+            "               ERROR(Text000);",
+            "           END;",
+          ].join("\n"),
+        },
+      ],
+      code: SAMPLE_CODE,
+    });
+
+    assert.deepStrictEqual(triggers, [
+      {
+        name: "OnInsert",
+        lines: ["begin", '    TestField("No.");', "end;"],
+      },
+    ]);
+    assert.deepStrictEqual(fieldTriggers, [
+      {
+        id: 5,
+        field: "Quantity",
+        name: "OnValidate",
+        lines: [
+          "begin",
+          "    if Quantity < 0 then",
+          "        Error(Text000);",
+          "end;",
+        ],
+      },
+    ]);
+  });
+});
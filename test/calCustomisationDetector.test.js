@@ -0,0 +1,307 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parsePropertyList,
+  parseCodeSection,
+  diffLines,
+  detectCustomisations,
+  findStandardObject,
+  saveCustomisations,
+  loadCustomisations,
+  formatCustomisationReport,
+} = require("../src/utils/calCustomisationDetector.js");
+const { splitObjectFile } = require("../src/utils/objectSplitter.js");
+
+// Objects in the shape returned by parseCALToJSON
+const standardCustomer = () => ({
+  type: "Table",
+  id: "18",
+  name: "Customer",
+  versionList: "NAVW114.00",
+  properties: { DataCaptionFields: '"No.",Name', Permissions: "" },
+  triggers: [
+    {
+      name: "OnInsert",
+      code: ["BEGIN", "  InitNo;", "END;"].join("\n"),
+    },
+  ],
+  fields: [
+    {
+      id: 1,
+      name: "No.",
+      dataType: "Code20",
+      properties: [
+        "OnValidate=BEGIN",
+        "  TestNoSeries;",
+        "END;",
+        "CaptionML=[ENU=No.;",
+        "           DEU=Nr.]",
+      ].join("\n"),
+    },
+    {
+      id: 2,
+      name: "Name",
+      dataType: "Text50",
+      properties: "CaptionML=ENU=Name",
+    },
+  ],
+  controls: [],
+  actions: [],
+  code: [
+    "VAR",
+    "  Text000@1000 : TextConst 'ENU=Do you want to continue?';",
+    "",
+    "PROCEDURE AssistEdit@2(OldCust@1000 : Record 18) : Boolean;",
+    "BEGIN",
+    "  EXIT(TRUE);",
+    "END;",
+    "",
+    "LOCAL PROCEDURE TestNoSeries@13();",
+    "BEGIN",
+    "END;",
+    "",
+    "END.",
+  ].join("\n"),
+});
+
+const customisedCustomer = () => {
+  const object = standardCustomer();
+  object.versionList = "NAVW114.00,ABC1.02";
+  object.triggers[0].code = ["BEGIN", "  InitNo;", "  SetBonus;", "END;"].join(
+    "\n"
+  );
+  object.fields[1].properties = "CaptionML=ENU=Customer Name";
+  object.fields.push({
+    id: 50000,
+    name: "Bonus Group",
+    dataType: "Option",
+    properties: [
+      "CaptionML=[ENU=Bonus Group;",
+      "           DEU=Bonusgruppe];",
+      "OptionString=None,Silver,Gold",
+    ].join("\n"),
+  });
+  object.code = object.code
+    .replace(
+      "  Text000@1000 : TextConst 'ENU=Do you want to continue?';",
+      "  Text000@1000 : TextConst 'ENU=Do you want to continue?';\n  BonusMgt@1001 : Codeunit 50000;"
+    )
+    .replace("  EXIT(TRUE);", "  BonusMgt.Check(Rec);\n  EXIT(TRUE);")
+    .replace(
+      "END.",
+      'PROCEDURE SetBonus@50000();\nBEGIN\n  "Bonus Group" := "Bonus Group"::Silver;\nEND;\n\nEND.'
+    );
+  return object;
+};
+
+describe("C/AL Customisation Detector", () => {
+  describe("parsePropertyList", () => {
+    it("should parse multi-line values and triggers", () => {
+      const { properties, triggers } = parsePropertyList(
+        [
+          "CaptionML=[ENU=No.;",
+          "           DEU=Nr.];",
+          "OnValidate=VAR",
+          "             Cust@1000 : Record 18;",
+          "           BEGIN",
+          '             IF "No." <> xRec."No." THEN BEGIN',
+          "               CASE Type OF",
+          "                 Type::Item: Cust.INIT;",
+          "               END;",
+          "             END;",
+          "           END;",
+          "Permissions=TableData 17=rimd,",
+          "            TableData 21=rimd;",
+          "Editable=No",
+        ].join("\n")
+      );
+
+      assert.deepStrictEqual(properties, {
+        CaptionML: "[ENU=No.;DEU=Nr.]",
+        Permissions: "TableData 17=rimd,TableData 21=rimd",
+        Editable: "No",
+      });
+      assert.strictEqual(triggers.OnValidate.length, 9);
+      assert.strictEqual(triggers.OnValidate[8], "END;");
+    });
+  });
+
+  describe("parseCodeSection", () => {
+    it("should split global variables and procedures", () => {
+      const { variables, procedures } = parseCodeSection(
+        customisedCustomer().code
+      );
+
+      assert.deepStrictEqual(variables, {
+        Text000: "TextConst 'ENU=Do you want to continue?'",
+        BonusMgt: "Codeunit 50000",
+      });
+      assert.deepStrictEqual(
+        procedures.map((p) => [p.name, p.local]),
+        [
+          ["AssistEdit", false],
+          ["TestNoSeries", true],
+          ["SetBonus", false],
+        ]
+      );
+      assert.strictEqual(
+        procedures[2].lines[procedures[2].lines.length - 1],
+        "END;"
+      );
+    });
+  });
+
+  describe("diffLines", () => {
+    it("should report added and removed lines", () => {
+      const result = diffLines(
+        ["BEGIN", "  A;", "  B;", "END;"],
+        ["BEGIN", "  A;", "  C;", "  B;", "END;"]
+      );
+      assert.deepStrictEqual(result.added, [{ line: 3, text: "C;" }]);
+      assert.deepStrictEqual(result.removed, []);
+    });
+  });
+
+  describe("detectCustomisations", () => {
+    it("should list added and modified fields, triggers and code", () => {
+      const result = detectCustomisations(
+        customisedCustomer(),
+        standardCustomer()
+      );
+
+      assert.strictEqual(result.isCustomised, true);
+      assert.deepStrictEqual(result.customisationTags, ["ABC1.02"]);
+
+      assert.deepStrictEqual(
+        result.fields.added.map((f) => [f.id, f.name, f.type]),
+        [[50000, "Bonus Group", "Option"]]
+      );
+      assert.strictEqual(
+        result.fields.added[0].properties.OptionString,
+        "None,Silver,Gold"
+      );
+      assert.deepStrictEqual(result.fields.modified, [
+        {
+          id: 2,
+          name: "Name",
+          properties: {
+            added: [],
+            modified: [
+              {
+                name: "CaptionML",
+                standard: "ENU=Name",
+                customer: "ENU=Customer Name",
+              },
+            ],
+            removed: [],
+          },
+          triggers: [],
+        },
+      ]);
+
+      assert.deepStrictEqual(
+        result.triggers.map((t) => [t.scope, t.name, t.change]),
+        [["Object", "OnInsert", "modified"]]
+      );
+      assert.deepStrictEqual(result.triggers[0].addedLines, [
+        { line: 3, text: "SetBonus;" },
+      ]);
+
+      assert.deepStrictEqual(
+        result.procedures.added.map((p) => p.name),
+        ["SetBonus"]
+      );
+      assert.deepStrictEqual(
+        result.procedures.modified.map((p) => [p.name, p.addedLines]),
+        [["AssistEdit", [{ line: 3, text: "BonusMgt.Check(Rec);" }]]]
+      );
+      assert.deepStrictEqual(result.variables.added, [
+        { name: "BonusMgt", value: "Codeunit 50000" },
+      ]);
+      assert.deepStrictEqual(result.codeLines, { added: 6, removed: 0 });
+
+      const report = formatCustomisationReport(result);
+      assert.ok(report.includes("Customisation tags: `ABC1.02`"));
+      assert.ok(report.includes("➕ 50000 Bonus Group Option"));
+      assert.ok(report.includes("+ BonusMgt.Check(Rec);"));
+    });
+
+    it("should report unchanged objects", () => {
+      const result = detectCustomisations(
+        standardCustomer(),
+        standardCustomer()
+      );
+      assert.strictEqual(result.isCustomised, false);
+      assert.ok(formatCustomisationReport(result).includes("No differences"));
+    });
+  });
+
+  describe("standard objects", () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "customisations-"));
+      fs.writeFileSync(
+        path.join(tempDir, "base.txt"),
+        [
+          "OBJECT Table 18 Customer",
+          "{",
+          "}",
+          "",
+          "OBJECT Page 21 Customer Card",
+          "{",
+          "}",
+        ].join("\r\n")
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should find objects in an export and in a split folder", async () => {
+      const exportFile = path.join(tempDir, "base.txt");
+      const fromExport = await findStandardObject(exportFile, "Page", 21);
+      assert.strictEqual(
+        fromExport.content,
+        "OBJECT Page 21 Customer Card\n{\n}\n"
+      );
+      assert.strictEqual(
+        await findStandardObject(exportFile, "Page", 22),
+        null
+      );
+
+      const splitFolder = path.join(tempDir, "base");
+      await splitObjectFile(exportFile, splitFolder, true);
+      const fromFolder = await findStandardObject(splitFolder, "table", "18");
+      assert.strictEqual(
+        fromFolder.file,
+        path.join(splitFolder, "Tables", "Table18_Customer.txt")
+      );
+      assert.strictEqual(
+        await findStandardObject(splitFolder, "Table.*", 18),
+        null
+      );
+      assert.strictEqual(
+        await findStandardObject(splitFolder, "Table(", 18),
+        null
+      );
+    });
+
+    it("should save customisations in the index", () => {
+      const indexPath = path.join(tempDir, ".index");
+      const result = detectCustomisations(
+        customisedCustomer(),
+        standardCustomer()
+      );
+      saveCustomisations(indexPath, result);
+
+      const saved = loadCustomisations(indexPath, "Table", 18);
+      assert.deepStrictEqual(saved.customisationTags, ["ABC1.02"]);
+      assert.ok(saved.detectedAt);
+    });
+  });
+});
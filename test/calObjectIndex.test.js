@@ -0,0 +1,138 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getInfoFilePath,
+  writeCalObjectInfo,
+  readCalObjectInfo,
+  preserveCalObjectInfo,
+  removeAlObjectInfo,
+  listCalObjects,
+  countVersionTags,
+  versionListMatches,
+} = require("../src/utils/calObjectIndex.js");
+const { splitObjectFile } = require("../src/utils/objectSplitter.js");
+
+const SAMPLE_EXPORT = [
+  "OBJECT Table 50000 Sales Bonus",
+  "{",
+  "  OBJECT-PROPERTIES",
+  "  {",
+  "    Date=25.10.18;",
+  "    Time=12:00:00;",
+  "    Modified=Yes;",
+  "    Version List=NAVW114.00,ABC1.02;",
+  "  }",
+  "}",
+  "",
+  "OBJECT Codeunit 80 Sales-Post",
+  "{",
+  "  OBJECT-PROPERTIES",
+  "  {",
+  "    Date=01.03.19;",
+  "    Time=08:00:00;",
+  "    Version List=NAVW114.00;",
+  "  }",
+  "}",
+].join("\r\n");
+
+describe("C/AL Object Index", () => {
+  let tempDir;
+  let indexPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "calObjectIndex-"));
+    indexPath = path.join(tempDir, ".index");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should store the object properties when splitting", async () => {
+    const sourceFile = path.join(tempDir, "export.txt");
+    fs.writeFileSync(sourceFile, SAMPLE_EXPORT);
+
+    await splitObjectFile(sourceFile, tempDir, true);
+
+    const table = readCalObjectInfo(indexPath, "Table", 50000);
+    assert.strictEqual(table.name, "Sales Bonus");
+    assert.strictEqual(table.file, "Tables/Table50000_Sales_Bonus.txt");
+    assert.strictEqual(table.date, "25.10.18");
+    assert.strictEqual(table.time, "12:00:00");
+    assert.strictEqual(table.modified, true);
+    assert.deepStrictEqual(table.versions, ["NAVW114.00", "ABC1.02"]);
+    assert.strictEqual(
+      readCalObjectInfo(indexPath, "Codeunit", 80).modified,
+      false
+    );
+  });
+
+  it("should keep the AL index entry of the same object", () => {
+    const infoFilePath = getInfoFilePath(indexPath, "table", 50000);
+    fs.mkdirSync(path.dirname(infoFilePath), { recursive: true });
+    fs.writeFileSync(
+      infoFilePath,
+      JSON.stringify({ originalPath: "/src/SalesBonus.Table.al" })
+    );
+
+    writeCalObjectInfo(indexPath, {
+      type: "Table",
+      id: 50000,
+      name: "Sales Bonus",
+      file: "Tables/Table50000_Sales Bonus.txt",
+      properties: { versionList: "ABC1.02", versions: ["ABC1.02"] },
+    });
+
+    const info = JSON.parse(fs.readFileSync(infoFilePath, "utf8"));
+    assert.strictEqual(info.originalPath, "/src/SalesBonus.Table.al");
+    assert.strictEqual(info.calObject.versionList, "ABC1.02");
+
+    // Rewriting the AL entry keeps the C/AL properties
+    const rewritten = preserveCalObjectInfo(infoFilePath, {
+      originalPath: "/src/Renamed.Table.al",
+    });
+    assert.strictEqual(rewritten.originalPath, "/src/Renamed.Table.al");
+    assert.strictEqual(rewritten.calObject.versionList, "ABC1.02");
+  });
+
+  it("should only delete info files without C/AL properties", () => {
+    writeCalObjectInfo(indexPath, {
+      type: "Table",
+      id: 50000,
+      name: "Sales Bonus",
+      file: "Tables/Table50000_Sales Bonus.txt",
+      properties: null,
+    });
+    const calInfoPath = getInfoFilePath(indexPath, "table", 50000);
+    const alInfoPath = getInfoFilePath(indexPath, "page", 50000);
+    fs.mkdirSync(path.dirname(alInfoPath), { recursive: true });
+    fs.writeFileSync(alInfoPath, JSON.stringify({ originalPath: "/x.al" }));
+
+    assert.strictEqual(removeAlObjectInfo(calInfoPath), false);
+    assert.ok(readCalObjectInfo(indexPath, "table", 50000));
+    assert.strictEqual(removeAlObjectInfo(alInfoPath), true);
+    assert.strictEqual(fs.existsSync(alInfoPath), false);
+  });
+
+  it("should list objects and count version tags", async () => {
+    const sourceFile = path.join(tempDir, "export.txt");
+    fs.writeFileSync(sourceFile, SAMPLE_EXPORT);
+    await splitObjectFile(sourceFile, tempDir, true);
+
+    const objects = listCalObjects(indexPath);
+    assert.deepStrictEqual(
+      objects.map((o) => `${o.type} ${o.id}`),
+      ["Codeunit 80", "Table 50000"]
+    );
+    assert.deepStrictEqual(countVersionTags(objects), [
+      { version: "ABC1.02", count: 1 },
+      { version: "NAVW114.00", count: 2 },
+    ]);
+    assert.strictEqual(versionListMatches("NAVW114.00,ABC1.02", "abc"), true);
+    assert.strictEqual(versionListMatches("NAVW114.00", "ABC"), false);
+    assert.strictEqual(versionListMatches("NAVW114.00", null), true);
+  });
+});
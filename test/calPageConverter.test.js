@@ -0,0 +1,262 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  extractActionList,
+  buildTree,
+  convertPage,
+} = require("../src/utils/calPageConverter.js");
+
+const SAMPLE_PAGE = [
+  "OBJECT Page 50001 Sales Bonus Card",
+  "{",
+  "  OBJECT-PROPERTIES",
+  "  {",
+  "    Date=25.10.18;",
+  "    Version List=ABC1.02;",
+  "  }",
+  "  PROPERTIES",
+  "  {",
+  "    CaptionML=[ENU=Sales Bonus Card;",
+  "               DEU=Verkaufsbonuskarte];",
+  "    SourceTable=Table50000;",
+  "    PageType=Card;",
+  "    PromotedActionCategoriesML=[ENU=New,Process,Report,Bonus;",
+  "                                DEU=Neu,Vorgang,Bericht,Bonus];",
+  "    OnOpenPage=BEGIN",
+  '                 SETRANGE("No.");',
+  "               END;",
+  "",
+  "    ActionList=ACTIONS",
+  "    {",
+  "      { 7       ;    ;ActionContainer;",
+  "                      ActionContainerType=RelatedInformation }",
+  "      { 8       ;1   ;Action    ;",
+  "                      Name=Customer;",
+  "                      CaptionML=[ENU=Customer;",
+  "                                 DEU=Debitor];",
+  "                      RunObject=Page 21;",
+  "                      RunPageLink=No.=FIELD(Customer No.);",
+  "                      Promoted=Yes;",
+  "                      PromotedCategory=Category4;",
+  "                      Image=Customer }",
+  "      { 9       ;    ;ActionContainer;",
+  "                      ActionContainerType=ActionItems }",
+  "      { 10      ;1   ;ActionGroup;",
+  "                      CaptionML=ENU=Functions }",
+  "      { 11      ;2   ;Action    ;",
+  "                      Name=Calculate;",
+  "                      CaptionML=ENU=Calculate;",
+  "                      Promoted=Yes;",
+  "                      PromotedIsBig=Yes;",
+  "                      PromotedCategory=Process;",
+  "                      Image=Calculate;",
+  "                      OnAction=BEGIN",
+  "                                 CalcBonus;",
+  "                               END;",
+  "                                }",
+  "    }",
+  "  }",
+  "  CONTROLS",
+  "  {",
+  "    { 1   ;0   ;Container ;",
+  "                ContainerType=ContentArea }",
+  "",
+  "    { 2   ;1   ;Group     ;",
+  "                Name=General;",
+  "                CaptionML=[ENU=General;",
+  "                           DEU=Allgemein];",
+  "                GroupType=Group }",
+  "",
+  "    { 3   ;2   ;Field     ;",
+  '                SourceExpr="No.";',
+  "                Importance=Promoted }",
+  "",
+  "    { 4   ;2   ;Field     ;",
+  "                SourceExpr=Name;",
+  "                Editable=IsEditable }",
+  "",
+  "    { 5   ;2   ;Field     ;",
+  "                CaptionML=ENU=Total;",
+  "                SourceExpr=Amount * 2 }",
+  "",
+  "    { 6   ;2   ;Field     ;",
+  "                SourceExpr=IsEditable }",
+  "",
+  "    { 12  ;1   ;Part      ;",
+  "                SubPageLink=Bonus No.=FIELD(No.);",
+  "                PagePartID=Page50002;",
+  "                PartType=Page }",
+  "",
+  "    { 13  ;0   ;Container ;",
+  "                ContainerType=FactBoxArea }",
+  "",
+  "    { 14  ;1   ;Part      ;",
+  "                Visible=FALSE;",
+  "                PartType=System;",
+  "                SystemPartID=Notes }",
+  "",
+  "  }",
+  "  CODE",
+  "  {",
+  "    VAR",
+  "      IsEditable@1000 : Boolean;",
+  "",
+  "    LOCAL PROCEDURE CalcBonus@1();",
+  "    BEGIN",
+  "    END;",
+  "",
+  "    BEGIN",
+  "    END.",
+  "  }",
+  "}",
+].join("\r\n");
+
+describe("C/AL Page Converter", () => {
+  it("should separate the ActionList from the page properties", () => {
+    const { properties, actions } = extractActionList(
+      [
+        "PageType=Card;",
+        "ActionList=ACTIONS",
+        "{",
+        "  { 1 ;    ;ActionContainer;",
+        "           ActionContainerType=ActionItems }",
+        "}",
+        "",
+        "Editable=No",
+      ].join("\n")
+    );
+    assert.strictEqual(properties, "PageType=Card;\n\nEditable=No");
+    assert.strictEqual(
+      actions,
+      "  { 1 ;    ;ActionContainer;\n           ActionContainerType=ActionItems }"
+    );
+  });
+
+  it("should nest entries by indentation level", () => {
+    const roots = buildTree([
+      { id: 1, level: 0 },
+      { id: 2, level: 1 },
+      { id: 3, level: 2 },
+      { id: 4, level: 1 },
+      { id: 5, level: 0 },
+    ]);
+    assert.deepStrictEqual(
+      roots.map((root) => [root.id, root.children.map((child) => child.id)]),
+      [
+        [1, [2, 4]],
+        [5, []],
+      ]
+    );
+    assert.strictEqual(roots[0].children[0].children[0].id, 3);
+  });
+
+  it("should convert the layout", () => {
+    const { code } = convertPage(SAMPLE_PAGE);
+
+    assert.ok(code.startsWith('page 50001 "Sales Bonus Card"\n{\n'));
+    assert.ok(
+      code.includes(
+        [
+          "    layout",
+          "    {",
+          "        area(Content)",
+          "        {",
+          "            group(General)",
+          "            {",
+          "                //de-DE=Allgemein",
+          "                Caption = 'General';",
+          '                field("No."; Rec."No.")',
+          "                {",
+          "                    ApplicationArea = All;",
+          "                    Importance = Promoted;",
+          "                }",
+          "                field(Name; Rec.Name)",
+          "                {",
+          "                    ApplicationArea = All;",
+          "                    Editable = IsEditable;",
+          "                }",
+          "                field(Control5; Amount * 2)",
+          "                {",
+          "                    ApplicationArea = All;",
+          "                    Caption = 'Total';",
+          "                }",
+          "                field(IsEditable; IsEditable)",
+          "                {",
+          "                    ApplicationArea = All;",
+          "                }",
+          "            }",
+          "            part(Control12; 50002)",
+          "            {",
+          "                ApplicationArea = All;",
+          '                SubPageLink = "Bonus No." = field("No.");',
+          "            }",
+          "        }",
+          "        area(FactBoxes)",
+          "        {",
+          "            systempart(Control14; Notes)",
+          "            {",
+          "                ApplicationArea = All;",
+          "                Visible = false;",
+          "            }",
+          "        }",
+          "    }",
+        ].join("\n")
+      )
+    );
+  });
+
+  it("should convert actions and promote them with actionrefs", () => {
+    const { code } = convertPage(SAMPLE_PAGE);
+
+    assert.ok(
+      code.includes(
+        [
+          "        area(Navigation)",
+          "        {",
+          "            action(Customer)",
+          "            {",
+          "                ApplicationArea = All;",
+          "                //de-DE=Debitor",
+          "                Caption = 'Customer';",
+          "                RunObject = page 21;",
+          '                RunPageLink = "No." = field("Customer No.");',
+          "                Image = Customer;",
+          "            }",
+          "        }",
+          "        area(Processing)",
+          "        {",
+          "            group(Action10)",
+          "            {",
+          "                Caption = 'Functions';",
+          "                action(Calculate)",
+        ].join("\n")
+      )
+    );
+    assert.ok(
+      code.includes(
+        [
+          "        area(Promoted)",
+          "        {",
+          "            group(Category_Category4)",
+          "            {",
+          "                //de-DE=Bonus",
+          "                Caption = 'Bonus';",
+          "                actionref(Customer_Promoted; Customer)",
+          "                {",
+          "                }",
+          "            }",
+          "",
+          "            group(Category_Process)",
+          "            {",
+          "                actionref(Calculate_Promoted; Calculate)",
+          "                {",
+          "                }",
+          "            }",
+          "        }",
+        ].join("\n")
+      )
+    );
+    assert.ok(!code.includes("Promoted = true"));
+    assert.ok(code.includes("    trigger OnOpenPage()"));
+  });
+});
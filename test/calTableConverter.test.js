@@ -0,0 +1,203 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const { convertTable } = require("../src/utils/calTableConverter.js");
+const {
+  convertTableRelation,
+  convertCalcFormula,
+  convertProperty,
+} = require("../src/utils/calPropertyConverter.js");
+const {
+  getSection,
+  splitSectionEntries,
+  splitEntryColumns,
+} = require("../src/utils/calObjectSections.js");
+
+const SAMPLE_TABLE = [
+  "OBJECT Table 50000 Sales Bonus",
+  "{",
+  "  OBJECT-PROPERTIES",
+  "  {",
+  "    Version List=ABC1.02;",
+  "  }",
+  "  PROPERTIES",
+  "  {",
+  "    DataCaptionFields=No.,Name;",
+  "    OnInsert=BEGIN",
+  '               TESTFIELD("No.");',
+  "             END;",
+  "",
+  "    CaptionML=[ENU=Sales Bonus;",
+  "               DEU=Verkaufsbonus];",
+  "    LookupPageID=Page50001;",
+  "  }",
+  "  FIELDS",
+  "  {",
+  "    { 1   ;   ;No.                 ;Code20        ;CaptionML=[ENU=No.;",
+  "                                                              DEU=Nr.];",
+  "                                                   NotBlank=Yes }",
+  "    { 2   ;   ;Name                ;Text50         }",
+  "    { 3   ;   ;Bonus Group         ;Option        ;CaptionML=ENU=Bonus Group;",
+  '                                                   OptionCaptionML=[ENU=" ,Silver,Gold";',
+  '                                                                    DEU=" ,Silber,Gold"];',
+  "                                                   OptionString=[ ,Silver,Gold] }",
+  "    { 4   ;   ;Amount              ;Decimal       ;FieldClass=FlowField;",
+  '                                                   CalcFormula=Sum("Cust. Ledger Entry".Amount WHERE (Customer No.=FIELD(No.)));',
+  "                                                   Editable=No;",
+  "                                                   SQLDataType=Integer }",
+  "  }",
+  "  KEYS",
+  "  {",
+  "    {    ;No.                                     ;Clustered=Yes }",
+  "    {    ;Bonus Group,Amount                       }",
+  "  }",
+  "  FIELDGROUPS",
+  "  {",
+  "    { 1   ;DropDown            ;No.,Bonus Group                          }",
+  "  }",
+  "  CODE",
+  "  {",
+  "",
+  "    BEGIN",
+  "    END.",
+  "  }",
+  "}",
+].join("\r\n");
+
+describe("C/AL Table Converter", () => {
+  it("should split sections into entries and columns", () => {
+    const entries = splitSectionEntries(getSection(SAMPLE_TABLE, "FIELDS"));
+    assert.strictEqual(entries.length, 4);
+    assert.deepStrictEqual(splitEntryColumns(entries[1], 5), [
+      "2",
+      "",
+      "Name",
+      "Text50",
+      "",
+    ]);
+    assert.strictEqual(getSection(SAMPLE_TABLE, "CONTROLS"), null);
+  });
+
+  it("should convert table relations and CalcFormulas", () => {
+    assert.strictEqual(
+      convertTableRelation(
+        'IF (Type=CONST(Item)) Item ELSE IF (Type=CONST(G/L Account)) "G/L Account" WHERE (Blocked=CONST(No))'
+      ),
+      'if (Type = const(Item)) Item else if (Type = const("G/L Account")) "G/L Account" where(Blocked = const(false))'
+    );
+    assert.strictEqual(
+      convertTableRelation(
+        '"Ship-to Address".Code WHERE (Customer No.=FIELD(Sell-to Customer No.))'
+      ),
+      '"Ship-to Address".Code where("Customer No." = field("Sell-to Customer No."))'
+    );
+    assert.strictEqual(
+      convertCalcFormula(
+        '-Sum("Detailed Cust. Ledg. Entry"."Amount (LCY)" WHERE (Customer No.=FIELD(No.),Posting Date=FIELD(UPPERLIMIT(Date Filter)),Entry Type=FILTER(<>Application)))'
+      ),
+      '-sum("Detailed Cust. Ledg. Entry"."Amount (LCY)" where("Customer No." = field("No."), "Posting Date" = field(upperlimit("Date Filter")), "Entry Type" = filter(<>Application)))'
+    );
+    assert.strictEqual(
+      convertProperty("Permissions", "TableData 17=rimd,TableData 21=rimd"),
+      "Permissions = tabledata 17 = rimd, tabledata 21 = rimd;"
+    );
+    assert.strictEqual(convertProperty("SQLDataType", "Integer"), null);
+  });
+
+  it("should convert a table", () => {
+    const { code, enums } = convertTable(SAMPLE_TABLE);
+
+    assert.deepStrictEqual(enums, []);
+    assert.strictEqual(
+      code,
+      [
+        'table 50000 "Sales Bonus"',
+        "{",
+        "    //de-DE=Verkaufsbonus",
+        "    Caption = 'Sales Bonus';",
+        "    DataClassification = CustomerContent;",
+        '    DataCaptionFields = "No.", Name;',
+        "    LookupPageId = 50001;",
+        "",
+        "    fields",
+        "    {",
+        '        field(1; "No."; Code[20])',
+        "        {",
+        "            //de-DE=Nr.",
+        "            Caption = 'No.';",
+        "            NotBlank = true;",
+        "        }",
+        "",
+        "        field(2; Name; Text[50])",
+        "        {",
+        "        }",
+        "",
+        '        field(3; "Bonus Group"; Option)',
+        "        {",
+        "            Caption = 'Bonus Group';",
+        '            OptionMembers = " ",Silver,Gold;',
+        "            //de-DE= ,Silber,Gold",
+        "            OptionCaption = ' ,Silver,Gold';",
+        "        }",
+        "",
+        "        field(4; Amount; Decimal)",
+        "        {",
+        "            FieldClass = FlowField;",
+        '            CalcFormula = sum("Cust. Ledger Entry".Amount where("Customer No." = field("No.")));',
+        "            Editable = false;",
+        "            // TODO: SQLDataType=Integer",
+        "        }",
+        "    }",
+        "",
+        "    keys",
+        "    {",
+        '        key(Key1; "No.")',
+        "        {",
+        "            Clustered = true;",
+        "        }",
+        '        key(Key2; "Bonus Group", Amount)',
+        "        {",
+        "        }",
+        "    }",
+        "",
+        "    fieldgroups",
+        "    {",
+        '        fieldgroup(DropDown; "No.", "Bonus Group")',
+        "        {",
+        "        }",
+        "    }",
+        "",
+        "    trigger OnInsert()",
+        "    begin",
+        '        TestField("No.");',
+        "    end;",
+        "}",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should convert Option fields to enums", () => {
+    const { code, enums } = convertTable(SAMPLE_TABLE, {
+      optionFields: "enum",
+      nextEnumId: () => 50100,
+    });
+
+    assert.ok(
+      code.includes(
+        '        field(3; "Bonus Group"; Enum "Sales Bonus Bonus Group")'
+      )
+    );
+    assert.strictEqual(enums.length, 1);
+    assert.strictEqual(enums[0].id, 50100);
+    assert.ok(
+      enums[0].code.startsWith('enum 50100 "Sales Bonus Bonus Group"\n')
+    );
+  });
+
+  it("should reject other object types", () => {
+    assert.throws(
+      () => convertTable("OBJECT Page 21 Customer Card\r\n{\r\n}\r\n"),
+      /not a C\/AL table/
+    );
+  });
+});
@@ -0,0 +1,73 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  applyAssignee,
+  matchesAssignee,
+  findAssignedFiles,
+  getKnownAssignees,
+} = require("../src/utils/documentationAssignments.js");
+const {
+  diffStatuses,
+  describeChange,
+} = require("../src/utils/documentationHistory.js");
+
+const STORAGE = {
+  "/upgrade/Tables/Table18.txt": {
+    references: [
+      { id: "VAT001", lineNumber: 10, assignee: "ben" },
+      { id: "VAT001", lineNumber: 20 },
+    ],
+  },
+  "/upgrade/Pages/Page21.txt": {
+    references: [{ id: "VAT001", lineNumber: 5, assignee: "anna" }],
+  },
+  "/upgrade/Codeunits/Codeunit80.txt": {
+    references: [{ id: "VAT001", lineNumber: 7, assignee: "ben" }],
+  },
+};
+
+describe("Documentation Assignments", () => {
+  it("should find assigned files and filter by assignee", () => {
+    assert.deepStrictEqual(findAssignedFiles(STORAGE, "ben"), [
+      "/upgrade/Codeunits/Codeunit80.txt",
+      "/upgrade/Tables/Table18.txt",
+    ]);
+
+    const [assigned, unassigned] =
+      STORAGE["/upgrade/Tables/Table18.txt"].references;
+    assert.strictEqual(matchesAssignee(assigned, null), true);
+    assert.strictEqual(matchesAssignee(assigned, "ben"), true);
+    assert.strictEqual(matchesAssignee(assigned, "anna"), false);
+    assert.strictEqual(matchesAssignee(unassigned, ""), true);
+    assert.strictEqual(matchesAssignee(assigned, ""), false);
+
+    assert.deepStrictEqual(
+      getKnownAssignees({
+        userId: "ben",
+        teamMembers: ["carla", "anna"],
+        storageData: STORAGE,
+      }),
+      ["ben", "anna", "carla"]
+    );
+  });
+
+  it("should record assignments in the history", () => {
+    const before = JSON.parse(JSON.stringify(STORAGE));
+    const after = JSON.parse(JSON.stringify(STORAGE));
+    const refs = after["/upgrade/Tables/Table18.txt"].references;
+    applyAssignee(refs[0], "");
+    applyAssignee(refs[1], "anna");
+    assert.deepStrictEqual(refs[0], { id: "VAT001", lineNumber: 10 });
+
+    assert.deepStrictEqual(
+      diffStatuses(before, after).map((change) => [
+        change.lineNumber,
+        describeChange(change),
+      ]),
+      [
+        [10, "Unassigned"],
+        [20, "Assigned to anna"],
+      ]
+    );
+  });
+});
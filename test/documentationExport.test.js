@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const path = require("path");
+const JSZip = require("jszip");
+const {
+  toExportRows,
+  formatCsv,
+  formatJsonLines,
+  createXlsx,
+} = require("../src/utils/documentationExport.js");
+
+const BASE_PATH = path.join(path.sep, "upgrade");
+
+const REFS = [
+  {
+    id: "VAT001",
+    taskId: "12",
+    lineNumber: 42,
+    context: 'IF "VAT %" <> 0 THEN // #VAT001/12:3',
+    filePath: path.join(BASE_PATH, "Tables", "Table18.txt"),
+    done: true,
+    notImplemented: false,
+    userDescription: "Moved to codeunit, see PR 7",
+    userId: "anna",
+    lastModified: "2024-05-01T10:00:00.000Z",
+  },
+  {
+    id: "CRM002",
+    lineNumber: 7,
+    context: "// CRM002 <Sync>",
+    filePath: path.join(BASE_PATH, "Pages", "Page21.txt"),
+  },
+];
+
+describe("Documentation Export", () => {
+  it("should export one CSV and JSON Lines row per reference", () => {
+    const rows = toExportRows(REFS, BASE_PATH);
+
+    assert.deepStrictEqual(rows[1], {
+      file: "Pages/Page21.txt",
+      line: 7,
+      docId: "CRM002",
+      taskId: "",
+      context: "// CRM002 <Sync>",
+      done: false,
+      notImplemented: false,
+      state: "Pending",
+      assignee: "",
+      note: "",
+      user: "",
+      lastModified: "",
+    });
+
+    assert.strictEqual(
+      formatCsv(rows),
+      "\uFEFFFile,Line,Documentation ID,Task ID,Context,Done,Not Implemented,State,Assignee,Note,User,Last Modified\r\n" +
+        'Tables/Table18.txt,42,VAT001,12,"IF ""VAT %"" <> 0 THEN // #VAT001/12:3",true,false,Done,,' +
+        '"Moved to codeunit, see PR 7",anna,2024-05-01T10:00:00.000Z\r\n' +
+        "Pages/Page21.txt,7,CRM002,,// CRM002 <Sync>,false,false,Pending,,,,\r\n"
+    );
+
+    const lines = formatJsonLines(rows).split("\n");
+    assert.strictEqual(lines.length, 3);
+    assert.deepStrictEqual(JSON.parse(lines[0]), rows[0]);
+  });
+
+  it("should create an Excel workbook with typed cells", async () => {
+    const buffer = await createXlsx(toExportRows(REFS, BASE_PATH));
+    const zip = await JSZip.loadAsync(buffer);
+
+    assert.ok(zip.file("[Content_Types].xml"));
+    assert.ok(zip.file("xl/workbook.xml"));
+    const sheet = await zip.file("xl/worksheets/sheet1.xml").async("string");
+    assert.ok(sheet.includes('<c r="B2"><v>42</v></c>'));
+    assert.ok(sheet.includes('<c r="F2" t="b"><v>1</v></c>'));
+    assert.ok(
+      sheet.includes(
+        '<c r="E3" t="inlineStr"><is><t xml:space="preserve">// CRM002 &lt;Sync&gt;</t></is></c>'
+      )
+    );
+    // Control characters other than tab and line breaks are dropped
+    const note = `Bell${String.fromCharCode(7)}\tTab\nLine`;
+    const controlZip = await JSZip.loadAsync(
+      await createXlsx(toExportRows([{ ...REFS[1], userDescription: note }]))
+    );
+    const controlSheet = await controlZip
+      .file("xl/worksheets/sheet1.xml")
+      .async("string");
+    assert.ok(controlSheet.includes(">Bell\tTab\nLine</t>"));
+  });
+});
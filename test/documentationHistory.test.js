@@ -0,0 +1,215 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MAX_HISTORY_ENTRIES,
+  diffStatuses,
+  loadHistory,
+  saveHistory,
+  getHistoryFile,
+  loadUserHistory,
+  loadTeamHistory,
+  findOwnEntry,
+  recordEntry,
+  findConflicts,
+  applyEntry,
+  describeChange,
+} = require("../src/utils/documentationHistory.js");
+
+const FILE = "/upgrade/Tables/Table18.txt";
+
+function storage(references) {
+  return { [FILE]: { references } };
+}
+
+describe("Documentation History", () => {
+  it("should record status changes and restore them", () => {
+    const before = storage([
+      { id: "VAT001", lineNumber: 10, done: false, userId: "anna" },
+      { id: "VAT001", lineNumber: 20, done: true },
+      { id: "VAT001", lineNumber: 30, userDescription: "Check" },
+    ]);
+    const after = storage([
+      { id: "VAT001", lineNumber: 10, done: true, userId: "ben" },
+      { id: "VAT001", lineNumber: 20, done: true, lastModified: "later" },
+      { id: "VAT001", lineNumber: 30, userDescription: "Check" },
+      { id: "VAT001", lineNumber: 40, notImplemented: true },
+    ]);
+
+    const changes = diffStatuses(before, after);
+    assert.deepStrictEqual(
+      changes.map((change) => [change.lineNumber, describeChange(change)]),
+      [
+        [10, "Pending → Done"],
+        [40, "Pending → Not Implemented"],
+      ]
+    );
+
+    const history = { undo: [], redo: [{ label: "Old" }] };
+    const entry = recordEntry(history, {
+      label: "Toggle procedure references done",
+      userId: "ben",
+      changes,
+    });
+    assert.deepStrictEqual(history.redo, []);
+    assert.strictEqual(history.undo[0], entry);
+    assert.strictEqual(entry.userId, "ben");
+
+    // Undo restores the former statuses, stamped as a new change
+    assert.deepStrictEqual(findConflicts(after, entry, "before"), []);
+    applyEntry(after, entry, "before", {
+      userId: "anna",
+      lastModified: "2024-05-02T10:00:00.000Z",
+    });
+    assert.deepStrictEqual(diffStatuses(before, after), []);
+    assert.deepStrictEqual(after[FILE].references[0], {
+      id: "VAT001",
+      lineNumber: 10,
+      done: false,
+      notImplemented: false,
+      userId: "anna",
+      lastModified: "2024-05-02T10:00:00.000Z",
+    });
+
+    // A later change of line 40 conflicts with redoing the entry
+    after[FILE].references[3].userDescription = "Standard in BC";
+    assert.deepStrictEqual(
+      findConflicts(after, entry, "after").map((change) => change.lineNumber),
+      [40]
+    );
+    assert.strictEqual(
+      describeChange({
+        before: { done: false, notImplemented: true, userDescription: "" },
+        after: { done: false, notImplemented: true, userDescription: "Later" },
+      }),
+      "Note: Later"
+    );
+  });
+
+  it("should find re-anchored references of a change by their anchor", () => {
+    const anchor = { context: "A; // VAT001", scope: "", occurrence: 0 };
+    const [change] = diffStatuses(
+      storage([{ id: "VAT001", lineNumber: 10, anchor }]),
+      storage([{ id: "VAT001", lineNumber: 10, anchor, done: true }])
+    );
+    assert.deepStrictEqual(change.anchor, anchor);
+    const entry = { changes: [change] };
+    const stamp = { userId: "anna", lastModified: "2024-05-02T10:00:00.000Z" };
+
+    // Re-anchoring moved the reference, another one took its line
+    const moved = storage([
+      {
+        id: "VAT001",
+        lineNumber: 10,
+        anchor: { ...anchor, context: "B; // VAT001" },
+        done: true,
+      },
+      { id: "VAT001", lineNumber: 12, anchor, done: true },
+    ]);
+    assert.deepStrictEqual(findConflicts(moved, entry, "before"), []);
+    applyEntry(moved, entry, "before", stamp);
+    assert.deepStrictEqual(
+      moved[FILE].references.map((ref) => [ref.lineNumber, ref.done]),
+      [
+        [10, true],
+        [12, false],
+      ]
+    );
+
+    // Without its reference the status waits in the orphaned list
+    const other = { ...anchor, context: "C; // VAT001" };
+    const gone = storage([{ id: "VAT001", lineNumber: 10, anchor: other }]);
+    assert.strictEqual(findConflicts(gone, entry, "after").length, 0);
+    applyEntry(gone, entry, "after", stamp);
+    assert.deepStrictEqual(gone[FILE].references, [
+      { id: "VAT001", lineNumber: 10, anchor: other },
+    ]);
+    assert.deepStrictEqual(
+      gone[FILE].orphaned.map((ref) => [ref.anchor, ref.done]),
+      [[anchor, true]]
+    );
+  });
+
+  it("should persist a limited number of entries", () => {
+    const tempDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "documentationHistory-")
+    );
+    try {
+      const historyFile = path.join(tempDir, ".index", "history.json");
+      assert.deepStrictEqual(loadHistory(historyFile), { undo: [], redo: [] });
+
+      const history = loadHistory(historyFile);
+      for (let i = 0; i < MAX_HISTORY_ENTRIES + 5; i++) {
+        recordEntry(history, { label: `Change ${i}`, changes: [] });
+      }
+      saveHistory(historyFile, history);
+
+      const loaded = loadHistory(historyFile);
+      assert.strictEqual(loaded.undo.length, MAX_HISTORY_ENTRIES);
+      assert.strictEqual(loaded.undo[0].label, "Change 5");
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should keep the history per user", () => {
+    const tempDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "documentationHistory-")
+    );
+    try {
+      const location = {
+        historyFolder: path.join(tempDir, "documentation-history"),
+        legacyHistoryFile: path.join(tempDir, "documentation-history.json"),
+      };
+      saveHistory(location.legacyHistoryFile, {
+        undo: [
+          { label: "Anna 1", userId: "anna", changes: [] },
+          { label: "Ben 1", userId: "ben", changes: [] },
+          { label: "Nobody", changes: [] },
+        ],
+        redo: [],
+      });
+
+      // The entries of the former shared file are taken over per user
+      const anna = loadUserHistory(location, "anna");
+      assert.deepStrictEqual(
+        anna.undo.map((entry) => entry.label),
+        ["Anna 1"]
+      );
+      assert.deepStrictEqual(
+        loadUserHistory(location, "").undo.map((entry) => entry.label),
+        ["Nobody"]
+      );
+
+      recordEntry(anna, { label: "Anna 2", userId: "anna", changes: [] });
+      saveHistory(getHistoryFile(location.historyFolder, "anna"), anna);
+      assert.deepStrictEqual(
+        loadUserHistory(location, "anna").undo.map((entry) => entry.label),
+        ["Anna 1", "Anna 2"]
+      );
+      assert.deepStrictEqual(
+        loadUserHistory(location, "ben").undo.map((entry) => entry.label),
+        ["Ben 1"]
+      );
+      assert.strictEqual(
+        path.basename(getHistoryFile(location.historyFolder, "a/b")),
+        "a_b.json"
+      );
+
+      // The History view shows the changes of the whole team by time
+      assert.deepStrictEqual(
+        loadTeamHistory(location).undo.map((entry) => entry.label),
+        ["Anna 1", "Ben 1", "Nobody", "Anna 2"]
+      );
+
+      // Undo skips the entries of other users
+      const shared = loadHistory(location.legacyHistoryFile);
+      assert.strictEqual(findOwnEntry(shared.undo, "anna").label, "Anna 1");
+      assert.strictEqual(findOwnEntry(shared.undo, "carla"), null);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,286 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const path = require("path");
+const {
+  toExportRows,
+  formatCsv,
+} = require("../src/utils/documentationExport.js");
+const {
+  parseCsv,
+  parseImportRows,
+  planImport,
+  applyImportChange,
+  formatImportReport,
+} = require("../src/utils/documentationImport.js");
+const {
+  getDocumentationStates,
+} = require("../src/utils/documentationStates.js");
+
+const BASE_PATH = path.join(path.sep, "upgrade");
+const TABLE_FILE = path.join(BASE_PATH, "Tables", "Table18.txt");
+
+function ref(lineNumber, context, status = {}) {
+  return {
+    id: "VAT001",
+    taskId: "",
+    lineNumber,
+    context,
+    filePath: TABLE_FILE,
+    done: false,
+    notImplemented: false,
+    userDescription: "",
+    userId: "",
+    lastModified: "",
+    ...status,
+  };
+}
+
+describe("Documentation Import", () => {
+  it("should parse quoted and semicolon separated CSV", () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFa;b\r\n"x;""y""";\n\n'), [
+      ["a", "b"],
+      ['x;"y"', ""],
+    ]);
+
+    const { rows, errors } = parseImportRows(
+      "File,Line,Documentation ID,Done,Note\n" +
+        "Tables/Table18.txt,10,VAT001,yes,checked\n" +
+        "Tables/Table18.txt,x,VAT001,no,\n" +
+        "Tables/Table18.txt,11,VAT001,maybe,\n"
+    );
+    assert.deepStrictEqual(rows, [
+      {
+        rowNumber: 2,
+        file: "Tables/Table18.txt",
+        line: 10,
+        docId: "VAT001",
+        taskId: "",
+        context: "",
+        lastModified: "",
+        done: true,
+        note: "checked",
+      },
+    ]);
+    assert.deepStrictEqual(
+      errors.map((error) => error.rowNumber),
+      [3, 4]
+    );
+  });
+
+  it("should re-match shifted lines by context and report conflicts", () => {
+    const exported = [
+      ref(10, "// VAT001 start"),
+      ref(20, "// VAT001 end"),
+      ref(30, "// VAT001 dup"),
+      ref(40, "// VAT001 changed", {
+        done: true,
+        userId: "anna",
+        lastModified: "2024-05-01T10:00:00.000Z",
+      }),
+      ref(50, "// VAT001 removed"),
+      ref(60, "OriginalCode; // VAT001"),
+    ];
+    const rows = toExportRows(exported, BASE_PATH);
+    rows[0].done = true;
+    rows[1].notImplemented = true;
+    rows[1].note = "Standard in BC";
+    rows[2].done = true;
+    rows[3].done = false;
+    rows[4].done = true;
+    rows[5].done = true;
+
+    // Two lines were inserted at the top, the context of line 30 was copied
+    // and the reference on line 40 was toggled again by someone else
+    const current = [
+      ref(12, "// VAT001 start"),
+      ref(22, "// VAT001 end"),
+      ref(32, "// VAT001 dup"),
+      ref(33, "// VAT001 dup"),
+      ref(42, "// VAT001 changed", {
+        done: true,
+        userId: "ben",
+        lastModified: "2024-05-03T10:00:00.000Z",
+      }),
+      ref(60, "OtherCode; // VAT001"),
+    ];
+
+    const { rows: imported } = parseImportRows(formatCsv(rows));
+    const plan = planImport(imported, current, BASE_PATH);
+
+    assert.deepStrictEqual(
+      plan.changes.map((change) => [
+        change.ref.lineNumber,
+        change.movedFrom,
+        change.done,
+        change.notImplemented,
+        change.note,
+      ]),
+      [
+        [12, 10, true, undefined, undefined],
+        [22, 20, undefined, true, "Standard in BC"],
+      ]
+    );
+    assert.deepStrictEqual(
+      plan.conflicts.map((conflict) => [conflict.rowNumber, conflict.reason]),
+      [
+        [4, "Line changed, context found on lines 32, 33"],
+        [5, "Changed by ben at 2024-05-03T10:00:00.000Z, after the export"],
+        [6, "Reference not found"],
+        [7, 'Context changed, line 60 now reads "OtherCode; // VAT001"'],
+      ]
+    );
+
+    const report = formatImportReport(plan, []);
+    assert.ok(report.includes("- Conflicts (skipped): 4"));
+    assert.ok(
+      report.includes(
+        "| 3 | Tables/Table18.txt | 22 (was 20) | VAT001 | Pending → Not Implemented |  | Standard in BC |"
+      )
+    );
+  });
+
+  it("should report notes edited after the export as conflicts", () => {
+    const rows = toExportRows(
+      [ref(10, "// VAT001 start"), ref(20, "// VAT001 end")],
+      BASE_PATH
+    );
+    rows[0].note = "Reviewed offline";
+    rows[1].done = true;
+
+    // Both notes were edited by hand after the export, without a userId
+    const current = [
+      ref(10, "// VAT001 start", {
+        userDescription: "Rounding moved",
+        lastModified: "2024-05-03T10:00:00.000Z",
+      }),
+      ref(20, "// VAT001 end", {
+        userDescription: "Check",
+        lastModified: "2024-05-03T11:00:00.000Z",
+      }),
+    ];
+
+    const { rows: imported } = parseImportRows(formatCsv(rows));
+    const plan = planImport(imported, current, BASE_PATH);
+    assert.deepStrictEqual(plan.changes, []);
+    assert.deepStrictEqual(
+      plan.conflicts.map((conflict) => [conflict.rowNumber, conflict.reason]),
+      [
+        [2, "Changed at 2024-05-03T10:00:00.000Z, after the export"],
+        [3, "Changed at 2024-05-03T11:00:00.000Z, after the export"],
+      ]
+    );
+  });
+
+  it("should round-trip workflow states", () => {
+    const states = getDocumentationStates([
+      { id: "inReview", label: "In Review" },
+    ]);
+    const exported = [
+      ref(10, "// VAT001 a", { state: "inReview" }),
+      ref(20, "// VAT001 b", { state: "inReview" }),
+      ref(30, "// VAT001 c"),
+      ref(40, "// VAT001 d"),
+    ];
+    const rows = toExportRows(exported, BASE_PATH, states);
+    assert.strictEqual(rows[0].state, "In Review");
+    // The state column wins over the flags, an unchanged state keeps them
+    rows[0].state = "Done";
+    rows[1].done = true;
+    rows[2].state = "inreview";
+    rows[3].state = "Blocked";
+
+    const { rows: imported, errors } = parseImportRows(formatCsv(rows), states);
+    assert.deepStrictEqual(errors, [
+      { rowNumber: 5, message: 'Unknown state "Blocked" in column State' },
+    ]);
+    const plan = planImport(imported, exported, BASE_PATH, states);
+    assert.deepStrictEqual(
+      plan.changes.map((change) => [
+        change.ref.lineNumber,
+        change.state,
+        change.done,
+      ]),
+      [
+        [10, "done", undefined],
+        [20, undefined, true],
+        [30, "inReview", undefined],
+      ]
+    );
+    assert.ok(
+      formatImportReport(plan, errors, states).includes(
+        "| 4 | Tables/Table18.txt | 30 | VAT001 | Pending → In Review |  |  |"
+      )
+    );
+
+    const stamp = { lastModified: "2024-05-04T10:00:00.000Z" };
+    const stored = { id: "VAT001", lineNumber: 20, state: "inReview" };
+    applyImportChange(stored, plan.changes[1], stamp);
+    assert.deepStrictEqual(stored, {
+      id: "VAT001",
+      lineNumber: 20,
+      done: true,
+      lastModified: "2024-05-04T10:00:00.000Z",
+    });
+    applyImportChange(stored, plan.changes[2], stamp);
+    assert.strictEqual(stored.state, "inReview");
+    assert.strictEqual(stored.done, false);
+  });
+
+  it("should round-trip assignees", () => {
+    const exported = [
+      ref(10, "// VAT001 a", { assignee: "anna" }),
+      ref(20, "// VAT001 b"),
+      ref(30, "// VAT001 c", { assignee: "ben" }),
+    ];
+    const rows = toExportRows(exported, BASE_PATH);
+    assert.strictEqual(rows[0].assignee, "anna");
+    rows[0].assignee = "";
+    rows[1].assignee = " carla ";
+
+    const { rows: imported } = parseImportRows(formatCsv(rows));
+    const plan = planImport(imported, exported, BASE_PATH);
+    assert.deepStrictEqual(
+      plan.changes.map((change) => [change.ref.lineNumber, change.assignee]),
+      [
+        [10, ""],
+        [20, "carla"],
+      ]
+    );
+    assert.strictEqual(plan.unchanged, 1);
+    assert.ok(
+      formatImportReport(plan, []).includes(
+        "| 2 | Tables/Table18.txt | 10 | VAT001 |  | anna → Unassigned |  |"
+      )
+    );
+
+    const stamp = { lastModified: "2024-05-04T10:00:00.000Z" };
+    const stored = { id: "VAT001", lineNumber: 10, assignee: "anna" };
+    applyImportChange(stored, plan.changes[0], stamp);
+    assert.strictEqual(stored.assignee, undefined);
+    applyImportChange(stored, plan.changes[1], stamp);
+    assert.strictEqual(stored.assignee, "carla");
+  });
+
+  it("should apply changes to stored references", () => {
+    const stamp = { userId: "", lastModified: "2024-05-04T10:00:00.000Z" };
+    const stored = { id: "VAT001", lineNumber: 10, done: true, userId: "anna" };
+    applyImportChange(
+      stored,
+      { notImplemented: true, note: "Standard" },
+      stamp
+    );
+    assert.deepStrictEqual(stored, {
+      id: "VAT001",
+      lineNumber: 10,
+      done: false,
+      notImplemented: true,
+      userDescription: "Standard",
+      userId: "anna",
+      lastModified: "2024-05-04T10:00:00.000Z",
+    });
+
+    // Not implemented references are not marked as done
+    applyImportChange(stored, { done: true }, stamp);
+    assert.strictEqual(stored.done, false);
+  });
+});
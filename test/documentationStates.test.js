@@ -0,0 +1,103 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  getDocumentationStates,
+  getReferenceState,
+  applyReferenceState,
+  normalizeReferenceState,
+  countByState,
+  getCompoundState,
+  summarizeCompleteness,
+} = require("../src/utils/documentationStates.js");
+
+const STATES = getDocumentationStates([
+  { id: "inProgress", label: "In Progress", icon: "sync", symbol: "🔄" },
+  { id: "signedOff", label: "Signed Off", countsAsDone: true },
+  { id: "done", label: "Duplicate" },
+  { label: "No id" },
+]);
+
+describe("Documentation States", () => {
+  it("should resolve the state of stored references", () => {
+    assert.deepStrictEqual(
+      STATES.map((state) => state.id),
+      ["pending", "done", "notImplemented", "inProgress", "signedOff"]
+    );
+
+    const ref = { id: "VAT001", lineNumber: 10, done: true };
+    applyReferenceState(ref, "inProgress");
+    assert.deepStrictEqual(ref, {
+      id: "VAT001",
+      lineNumber: 10,
+      done: false,
+      notImplemented: false,
+      state: "inProgress",
+    });
+    assert.strictEqual(getReferenceState(ref, STATES).label, "In Progress");
+
+    // Toggling done replaces the custom state
+    ref.done = true;
+    normalizeReferenceState(ref);
+    assert.strictEqual(ref.state, undefined);
+    assert.strictEqual(getReferenceState(ref, STATES).id, "done");
+
+    // States that are no longer configured fall back to pending
+    assert.strictEqual(
+      getReferenceState({ state: "removed" }, STATES).id,
+      "pending"
+    );
+  });
+
+  it("should summarize groups of references", () => {
+    const refs = [
+      { done: true },
+      { state: "signedOff" },
+      { state: "inProgress" },
+      {},
+    ];
+    assert.deepStrictEqual(
+      countByState(refs, STATES).map(({ state, count }) => [state.id, count]),
+      [
+        ["pending", 1],
+        ["done", 1],
+        ["notImplemented", 0],
+        ["inProgress", 1],
+        ["signedOff", 1],
+      ]
+    );
+    assert.strictEqual(getCompoundState(refs, STATES), "Mixed");
+    assert.strictEqual(
+      getCompoundState(refs.slice(0, 3), STATES),
+      "🔄 In Progress"
+    );
+    assert.strictEqual(getCompoundState(refs.slice(0, 2), STATES), "✅ Done");
+  });
+
+  it("should summarize the completeness of a file", () => {
+    const states = getDocumentationStates([
+      { id: "blocked", label: "Blocked", color: "charts.red" },
+      { id: "signedOff", label: "Signed Off", countsAsDone: true },
+    ]);
+    assert.strictEqual(summarizeCompleteness([], states), null);
+    assert.deepStrictEqual(
+      summarizeCompleteness(
+        [{ done: true }, { state: "signedOff" }, { state: "blocked" }],
+        states
+      ),
+      {
+        percent: 66,
+        tooltip: [
+          "Documentation references: 2/3 completed",
+          "Done: 1",
+          "Blocked: 1",
+          "Signed Off: 1",
+        ].join("\n"),
+        color: "charts.red",
+      }
+    );
+    assert.strictEqual(
+      summarizeCompleteness([{ notImplemented: true }, {}], states).color,
+      null
+    );
+  });
+});
@@ -0,0 +1,235 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getStorageLocation,
+  getShardFile,
+  readDocumentationStorage,
+  writeDocumentationStorage,
+  mergeShards,
+  mergeStorageConflicts,
+} = require("../src/utils/documentationStorage.js");
+const {
+  run: runMergeDriver,
+} = require("../src/cli/mergeDocumentationShards.js");
+
+describe("Documentation Storage", () => {
+  let tempDir;
+  let location;
+  let tableKey;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "documentationStorage-"));
+    fs.mkdirSync(path.join(tempDir, ".index"));
+    location = getStorageLocation(path.join(tempDir, ".index"));
+    tableKey = path.join(tempDir, "Tables", "Table18.txt").replace(/\\/g, "/");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should migrate the single file into sorted per-file shards", () => {
+    const codeunitKey = path
+      .join(tempDir, "Codeunits", "Codeunit80.txt")
+      .replace(/\\/g, "/");
+    fs.writeFileSync(
+      location.legacyFile,
+      JSON.stringify({
+        [tableKey]: {
+          references: [
+            { lineNumber: 20, id: "VAT001", done: true, userId: "anna" },
+            { id: "VAT001", lineNumber: 10, notImplemented: true },
+          ],
+        },
+        [codeunitKey]: { references: [{ id: "VAT002", lineNumber: 5 }] },
+      })
+    );
+
+    const storage = readDocumentationStorage(location);
+    assert.deepStrictEqual(Object.keys(storage).sort(), [
+      codeunitKey,
+      tableKey,
+    ]);
+    assert.ok(fs.existsSync(`${location.legacyFile}.migrated`));
+    assert.ok(!fs.existsSync(location.legacyFile));
+
+    const shardFile = getShardFile(location, tableKey);
+    assert.strictEqual(
+      shardFile,
+      path.join(location.folder, "Tables", "Table18.txt.json")
+    );
+    assert.strictEqual(
+      fs.readFileSync(shardFile, "utf8"),
+      [
+        "{",
+        '  "file": "Tables/Table18.txt",',
+        '  "references": [',
+        "    {",
+        '      "id": "VAT001",',
+        '      "lineNumber": 10,',
+        '      "notImplemented": true',
+        "    },",
+        "    {",
+        '      "done": true,',
+        '      "id": "VAT001",',
+        '      "lineNumber": 20,',
+        '      "userId": "anna"',
+        "    }",
+        "  ]",
+        "}",
+        "",
+      ].join("\n")
+    );
+
+    // Only the shard of the changed file is written
+    const codeunitShard = getShardFile(location, codeunitKey);
+    const codeunitModified = fs.statSync(codeunitShard).mtimeMs;
+    const tableData = readDocumentationStorage(location, tableKey);
+    tableData[tableKey].references[0].done = true;
+    assert.strictEqual(writeDocumentationStorage(location, tableData), 1);
+    assert.strictEqual(fs.statSync(codeunitShard).mtimeMs, codeunitModified);
+    assert.strictEqual(
+      readDocumentationStorage(location, tableKey)[tableKey].references[0].done,
+      true
+    );
+
+    tableData[tableKey].references = [];
+    writeDocumentationStorage(location, tableData);
+    assert.ok(!fs.existsSync(shardFile));
+  });
+
+  it("should resolve conflict markers by lastModified and userId", () => {
+    const shardFile = getShardFile(location, tableKey);
+    fs.mkdirSync(path.dirname(shardFile), { recursive: true });
+    const entry = (lineNumber, done, userId, lastModified) =>
+      `{ "done": ${done}, "id": "VAT001", "lineNumber": ${lineNumber}, "userId": "${userId}", "lastModified": "${lastModified}" }`;
+    fs.writeFileSync(
+      shardFile,
+      [
+        '{ "file": "Tables/Table18.txt", "references": [',
+        "<<<<<<< HEAD",
+        `${entry(10, true, "anna", "2024-05-02T10:00:00.000Z")},`,
+        `${entry(20, true, "anna", "2024-05-01T10:00:00.000Z")},`,
+        `${entry(30, false, "anna", "2024-05-01T10:00:00.000Z")}`,
+        "=======",
+        `${entry(10, false, "ben", "2024-05-01T10:00:00.000Z")},`,
+        `${entry(20, false, "ben", "2024-05-03T10:00:00.000Z")},`,
+        `${entry(30, true, "ben", "2024-05-01T10:00:00.000Z")},`,
+        `${entry(40, true, "ben", "2024-05-01T10:00:00.000Z")}`,
+        ">>>>>>> feature",
+        "] }",
+      ].join("\n")
+    );
+
+    // Conflicted shards can be read before they are merged
+    const expected = [
+      [10, true, "anna"],
+      [20, false, "ben"],
+      [30, true, "ben"],
+      [40, true, "ben"],
+    ];
+    const summarize = (storage) =>
+      storage[tableKey].references
+        .map((ref) => [ref.lineNumber, ref.done, ref.userId])
+        .sort((a, b) => a[0] - b[0]);
+    assert.deepStrictEqual(
+      summarize(readDocumentationStorage(location, tableKey)),
+      expected
+    );
+
+    assert.deepStrictEqual(mergeStorageConflicts(location), {
+      merged: ["Tables/Table18.txt.json"],
+      failed: [],
+    });
+    assert.ok(!fs.readFileSync(shardFile, "utf8").includes("<<<<<<<"));
+    assert.deepStrictEqual(
+      summarize(readDocumentationStorage(location)),
+      expected
+    );
+    assert.deepStrictEqual(mergeStorageConflicts(location).merged, []);
+  });
+
+  it("should keep the later of two edits that differ only in time", () => {
+    const edit = (userDescription, lastModified) => ({
+      file: "Tables/Table18.txt",
+      references: [
+        { id: "VAT001", lineNumber: 10, userDescription, lastModified },
+      ],
+    });
+    const earlier = edit("Check the rounding", "2024-05-01T10:00:00.000Z");
+    const later = edit(
+      "Rounding moved to codeunit",
+      "2024-05-01T10:05:00.000Z"
+    );
+
+    for (const [ours, theirs] of [
+      [earlier, later],
+      [later, earlier],
+    ]) {
+      assert.strictEqual(
+        mergeShards(ours, theirs).references[0].userDescription,
+        "Rounding moved to codeunit"
+      );
+    }
+  });
+
+  it("should merge moved and removed references against the base", () => {
+    const anchor = (context) => ({ context, scope: "", occurrence: 0 });
+    const base = {
+      file: "Tables/Table18.txt",
+      references: [
+        { id: "VAT001", lineNumber: 10, anchor: anchor("A; // VAT001") },
+        { id: "VAT002", lineNumber: 20, anchor: anchor("B; // VAT002") },
+        { id: "VAT003", lineNumber: 30, anchor: anchor("C; // VAT003") },
+      ],
+    };
+    // Ours re-anchored VAT001 two lines down, removed VAT002 and orphaned
+    // VAT003, theirs marked VAT001 as done
+    const ours = {
+      file: "Tables/Table18.txt",
+      references: [
+        { id: "VAT001", lineNumber: 12, anchor: anchor("A; // VAT001") },
+      ],
+      orphaned: [
+        {
+          id: "VAT003",
+          lineNumber: 30,
+          anchor: anchor("C; // VAT003"),
+          orphanedAt: "2024-05-01T09:00:00.000Z",
+        },
+      ],
+    };
+    const theirs = JSON.parse(JSON.stringify(base));
+    Object.assign(theirs.references[0], {
+      done: true,
+      userId: "anna",
+      lastModified: "2024-05-01T10:00:00.000Z",
+    });
+
+    const baseFile = path.join(tempDir, "base.json");
+    const currentFile = path.join(tempDir, "current.json");
+    const otherFile = path.join(tempDir, "other.json");
+    fs.writeFileSync(baseFile, JSON.stringify(base));
+    fs.writeFileSync(currentFile, JSON.stringify(ours));
+    fs.writeFileSync(otherFile, JSON.stringify(theirs));
+    runMergeDriver(baseFile, currentFile, otherFile);
+
+    const merged = JSON.parse(fs.readFileSync(currentFile, "utf8"));
+    assert.deepStrictEqual(
+      merged.references.map((ref) => [ref.id, ref.lineNumber, ref.done]),
+      [["VAT001", 12, true]]
+    );
+    assert.deepStrictEqual(
+      merged.orphaned.map((ref) => [ref.id, ref.orphanedAt]),
+      [["VAT003", "2024-05-01T09:00:00.000Z"]]
+    );
+    assert.deepStrictEqual(mergeShards(theirs, ours, base), {
+      file: "Tables/Table18.txt",
+      references: merged.references,
+      orphaned: merged.orphaned,
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  detectEncoding,
+  createDecoder,
+  decodeBuffer,
+  encodeText,
+} = require("../src/utils/encodingHelper.js");
+const { splitObjectFile } = require("../src/utils/objectSplitter.js");
+
+const CAPTION = "CaptionML=[DEU=Größe Kundenbestätigung;FRS=Modèle];";
+
+describe("Encoding Helper", () => {
+  describe("detectEncoding", () => {
+    it("should detect byte order marks", () => {
+      assert.strictEqual(
+        detectEncoding(encodeText(CAPTION, "utf8bom")),
+        "utf8"
+      );
+      assert.strictEqual(
+        detectEncoding(encodeText(CAPTION, "utf16le")),
+        "utf16le"
+      );
+      assert.strictEqual(
+        detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x41])),
+        "utf16be"
+      );
+    });
+
+    it("should detect UTF-16 without byte order mark", () => {
+      assert.strictEqual(
+        detectEncoding(Buffer.from("OBJECT Table 18 Customer", "utf16le")),
+        "utf16le"
+      );
+    });
+
+    it("should detect UTF-8 and plain ASCII", () => {
+      assert.strictEqual(detectEncoding(Buffer.from(CAPTION, "utf8")), "utf8");
+      assert.strictEqual(
+        detectEncoding(Buffer.from("OBJECT Table 18")),
+        "utf8"
+      );
+    });
+
+    it("should tell cp850 from cp1252", () => {
+      assert.strictEqual(detectEncoding(encodeText(CAPTION, "cp850")), "cp850");
+      assert.strictEqual(
+        detectEncoding(encodeText(CAPTION, "cp1252")),
+        "cp1252"
+      );
+    });
+  });
+
+  describe("decoding and encoding", () => {
+    for (const encoding of ["utf8", "utf8bom", "utf16le", "cp850", "cp1252"]) {
+      it(`should round-trip umlauts in ${encoding}`, () => {
+        assert.strictEqual(
+          decodeBuffer(encodeText(CAPTION, encoding), encoding),
+          CAPTION
+        );
+      });
+    }
+
+    it("should keep characters split across chunks", () => {
+      const bytes = Buffer.from(CAPTION, "utf8");
+      const decoder = createDecoder("utf8");
+      let text = "";
+      for (let i = 0; i < bytes.length; i++) {
+        text += decoder.write(bytes.subarray(i, i + 1));
+      }
+      text += decoder.end();
+      assert.strictEqual(text, CAPTION);
+    });
+
+    it("should write unknown characters in single byte code pages as ?", () => {
+      assert.strictEqual(
+        encodeText("€ ü", "cp850").toString("latin1"),
+        "? \u0081"
+      );
+    });
+  });
+
+  describe("splitting encoded exports", () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "encodingHelper-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should split a cp850 export into UTF-8 files", async () => {
+      const sourceFile = path.join(tempDir, "export.txt");
+      fs.writeFileSync(
+        sourceFile,
+        encodeText(
+          `OBJECT Table 50000 Größe\r\n{\r\n  ${CAPTION}\r\n}\r\n`,
+          "cp850"
+        )
+      );
+
+      const result = await splitObjectFile(
+        sourceFile,
+        path.join(tempDir, "out")
+      );
+
+      assert.strictEqual(result.sourceEncoding, "cp850");
+      const content = fs.readFileSync(
+        path.join(tempDir, "out", "Tables", "Table50000_Größe.txt"),
+        "utf8"
+      );
+      assert.ok(content.includes(CAPTION));
+    });
+
+    it("should honour the source encoding override and target encoding", async () => {
+      const sourceFile = path.join(tempDir, "export.txt");
+      fs.writeFileSync(
+        sourceFile,
+        encodeText(
+          `OBJECT Table 50000 Test\r\n{\r\n  ${CAPTION}\r\n}\r\n`,
+          "cp1252"
+        )
+      );
+
+      const result = await splitObjectFile(
+        sourceFile,
+        path.join(tempDir, "out"),
+        true,
+        { sourceEncoding: "cp1252", targetEncoding: "utf16le" }
+      );
+
+      assert.strictEqual(result.sourceEncoding, "cp1252");
+      const buffer = fs.readFileSync(
+        path.join(tempDir, "out", "Tables", "Table50000_Test.txt")
+      );
+      assert.deepStrictEqual([...buffer.subarray(0, 2)], [0xff, 0xfe]);
+      assert.ok(decodeBuffer(buffer, "utf16le").includes(CAPTION));
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  normalizeExpression,
+  extractCalElements,
+  extractAlElements,
+  alignElements,
+  filterCustomisedElements,
+  scoreCompleteness,
+  formatCompleteness,
+} = require("../src/utils/migrationCompare.js");
+const {
+  getDocumentationStates,
+} = require("../src/utils/documentationStates.js");
+
+const CAL_TABLE = [
+  "OBJECT Table 50000 Sales Bonus",
+  "{",
+  "  PROPERTIES",
+  "  {",
+  "    OnInsert=BEGIN",
+  '               TESTFIELD("No.");',
+  "             END;",
+  "",
+  "  }",
+  "  FIELDS",
+  "  {",
+  "    { 1   ;   ;No.                 ;Code20        ;OnValidate=BEGIN",
+  "                                                                CheckNo;",
+  "                                                              END;",
+  "                                                   NotBlank=Yes }",
+  "    { 2   ;   ;Name                ;Text50         }",
+  "    { 3   ;   ;Amount              ;Decimal        }",
+  "  }",
+  "  CODE",
+  "  {",
+  "",
+  "    PROCEDURE CheckNo@1();",
+  "    BEGIN",
+  "    END;",
+  "",
+  "    LOCAL PROCEDURE CalcBonus@2();",
+  "    BEGIN",
+  "    END;",
+  "",
+  "    BEGIN",
+  "    END.",
+  "  }",
+  "}",
+].join("\n");
+
+const AL_TABLE = [
+  'table 50000 "Sales Bonus"',
+  "{",
+  "    fields",
+  "    {",
+  '        field(1; "No."; Code[20])',
+  "        {",
+  "            NotBlank = true;",
+  "",
+  "            trigger OnValidate()",
+  "            begin",
+  "                CheckNo(); // { not a block",
+  "            end;",
+  "        }",
+  "        field(2; Name; Text[50]) { }",
+  '        field(10; "Bonus Group"; Integer) { }',
+  "    }",
+  "",
+  "    trigger OnInsert()",
+  "    begin",
+  "        Message('{');",
+  "    end;",
+  "",
+  "    procedure CheckNo()",
+  "    begin",
+  "    end;",
+  "}",
+].join("\n");
+
+describe("Migration Compare", () => {
+  it("should normalize field expressions of both sides", () => {
+    assert.strictEqual(normalizeExpression('Rec."No."'), "no.");
+    assert.strictEqual(normalizeExpression('"No."'), "no.");
+    assert.strictEqual(normalizeExpression("Amount * 2"), "amount * 2");
+  });
+
+  it("should align C/AL and AL elements and mark missing ones", () => {
+    const cal = extractCalElements(CAL_TABLE);
+    const al = extractAlElements(AL_TABLE);
+
+    assert.deepStrictEqual(al.object, {
+      type: "table",
+      id: 50000,
+      name: "Sales Bonus",
+    });
+    assert.deepStrictEqual(
+      cal.elements.map((element) => [element.key, element.line]),
+      [
+        ["trigger::oninsert", 4],
+        ["field:no.", 11],
+        ["trigger:field:no.:onvalidate", 11],
+        ["field:name", 15],
+        ["field:amount", 16],
+        ["procedure:checkno", 21],
+        ["procedure:calcbonus", 25],
+      ]
+    );
+
+    const { rows, summary } = alignElements(cal.elements, al.elements);
+    assert.deepStrictEqual(
+      rows.map((row) => [
+        row.cal && row.cal.label,
+        row.al && row.al.label,
+        row.status,
+      ]),
+      [
+        ["1 No.", "1 No.", "matched"],
+        ["2 Name", "2 Name", "matched"],
+        ["3 Amount", null, "missing"],
+        [null, "10 Bonus Group", "added"],
+        ["OnInsert", "OnInsert", "matched"],
+        ['"No." - OnValidate', '"No." - OnValidate', "matched"],
+        ["CheckNo", "CheckNo", "matched"],
+        ["CalcBonus", null, "missing"],
+      ]
+    );
+    assert.deepStrictEqual(summary, {
+      matched: 5,
+      missing: 2,
+      added: 1,
+      completeness: 71,
+    });
+  });
+
+  it("should match extension triggers and keep only customised elements", () => {
+    const cal = extractCalElements(CAL_TABLE);
+    const al = extractAlElements(
+      [
+        'tableextension 50100 "Sales Bonus Ext" extends "Sales Bonus"',
+        "{",
+        "    fields",
+        "    {",
+        '        modify("No.")',
+        "        {",
+        "            trigger OnAfterValidate()",
+        "            begin",
+        "            end;",
+        "        }",
+        "    }",
+        "}",
+      ].join("\n")
+    );
+    const customised = filterCustomisedElements(cal.elements, {
+      fields: { added: [], modified: [{ id: 1, name: "No." }], removed: [] },
+      controls: null,
+      procedures: { added: [], modified: [], removed: [] },
+      triggers: [
+        { scope: "Field 1 No.", name: "OnValidate", change: "modified" },
+      ],
+    });
+
+    const { rows, summary } = alignElements(customised, al.elements);
+    assert.deepStrictEqual(
+      rows.map((row) => [row.kind, row.status]),
+      [
+        ["field", "matched"],
+        ["trigger", "matched"],
+      ]
+    );
+    assert.strictEqual(summary.completeness, 100);
+  });
+
+  it("should score completeness from elements and documentation references", () => {
+    const { rows } = alignElements(
+      extractCalElements(CAL_TABLE).elements,
+      extractAlElements(AL_TABLE).elements
+    );
+    const score = scoreCompleteness(rows, [
+      { id: "VAT001", done: true },
+      { id: "VAT001", notImplemented: true },
+      { id: "VAT002" },
+    ]);
+
+    assert.deepStrictEqual(score, {
+      fields: { done: 2, total: 3 },
+      controls: { done: 0, total: 0 },
+      procedures: { done: 1, total: 2 },
+      documentation: { done: 2, total: 3 },
+      percent: 62,
+    });
+    assert.strictEqual(
+      formatCompleteness(score),
+      "Migration 62% complete\nFields: 2/3\nProcedures: 1/2\nDocumentation references: 2/3"
+    );
+    assert.strictEqual(scoreCompleteness([], []).percent, null);
+
+    const states = getDocumentationStates([
+      { id: "migrated", countsAsDone: true },
+      { id: "blocked" },
+    ]);
+    assert.deepStrictEqual(
+      scoreCompleteness(
+        [],
+        [{ state: "migrated" }, { state: "blocked" }, { done: true }],
+        states
+      ).documentation,
+      { done: 2, total: 3 }
+    );
+  });
+});
@@ -0,0 +1,179 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getDocumentationStates,
+} = require("../src/utils/documentationStates.js");
+const {
+  MIGRATION_SNAPSHOTS_FILE,
+  buildDashboardData,
+  loadSnapshots,
+  recordSnapshot,
+  renderBurnDownSvg,
+} = require("../src/utils/migrationDashboard.js");
+
+const REFS = [
+  {
+    id: "VAT001",
+    lineNumber: 10,
+    filePath: "Table18.txt",
+    objectType: "Table",
+    done: true,
+    userId: "anna",
+  },
+  {
+    id: "VAT001",
+    lineNumber: 20,
+    filePath: "Table18.txt",
+    objectType: "Table",
+  },
+  {
+    id: "VAT001",
+    lineNumber: 5,
+    filePath: "Page21.txt",
+    objectType: "Page",
+    notImplemented: true,
+    userId: "ben",
+  },
+  {
+    id: "CRM002",
+    lineNumber: 7,
+    filePath: "Page21.txt",
+    objectType: "Page",
+  },
+  {
+    id: "CRM002",
+    lineNumber: 9,
+    filePath: "Page21.txt",
+    objectType: "Page",
+  },
+];
+
+describe("Migration Dashboard", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrationDashboard-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should group progress by documentation ID, object type and user", () => {
+    const data = buildDashboardData(REFS);
+
+    assert.deepStrictEqual(data.totals, {
+      total: 5,
+      done: 1,
+      notImplemented: 1,
+      completed: 0,
+      pending: 3,
+      percent: 40,
+      byState: { pending: 3, done: 1, notImplemented: 1 },
+    });
+    assert.deepStrictEqual(
+      data.byId.map((group) => [group.name, group.percent, group.pending]),
+      [
+        ["CRM002", 0, 2],
+        ["VAT001", 66, 1],
+      ]
+    );
+    assert.deepStrictEqual(
+      data.byObjectType.map((group) => [group.name, group.total]),
+      [
+        ["Page", 3],
+        ["Table", 2],
+      ]
+    );
+    assert.deepStrictEqual(
+      data.byUser.map((group) => [group.name, group.done, group.total]),
+      [
+        ["anna", 1, 1],
+        ["ben", 0, 1],
+      ]
+    );
+    assert.deepStrictEqual(data.topPendingFiles, [
+      { filePath: "Page21.txt", pending: 2, total: 3, lineNumber: 7 },
+      { filePath: "Table18.txt", pending: 1, total: 2, lineNumber: 20 },
+    ]);
+  });
+
+  it("should count references in configured states by whether they count as done", () => {
+    const states = getDocumentationStates([
+      { id: "migrated", label: "Migrated", countsAsDone: true },
+      { id: "blocked", label: "Blocked" },
+    ]);
+    const refs = REFS.map((ref, index) =>
+      index === 1
+        ? { ...ref, state: "migrated", userId: "anna" }
+        : index === 3
+        ? { ...ref, state: "blocked" }
+        : ref
+    );
+    const data = buildDashboardData(refs, states);
+
+    assert.strictEqual(data.states, states);
+    assert.deepStrictEqual(data.totals, {
+      total: 5,
+      done: 1,
+      notImplemented: 1,
+      completed: 1,
+      pending: 2,
+      percent: 60,
+      byState: {
+        pending: 1,
+        done: 1,
+        notImplemented: 1,
+        migrated: 1,
+        blocked: 1,
+      },
+    });
+    assert.deepStrictEqual(
+      data.byUser.map((group) => [group.name, group.completed, group.total]),
+      [
+        ["anna", 1, 2],
+        ["ben", 0, 1],
+      ]
+    );
+    assert.deepStrictEqual(data.topPendingFiles, [
+      { filePath: "Page21.txt", pending: 2, total: 3, lineNumber: 7 },
+    ]);
+  });
+
+  it("should keep one snapshot per day for the burn-down chart", () => {
+    const indexPath = path.join(tempDir, ".index");
+    assert.deepStrictEqual(loadSnapshots(indexPath), []);
+
+    const totals = buildDashboardData(REFS).totals;
+    recordSnapshot(indexPath, totals, new Date("2024-05-02T08:00:00Z"));
+    recordSnapshot(
+      indexPath,
+      { ...totals, done: 0, pending: 4 },
+      new Date("2024-05-01T08:00:00Z")
+    );
+    const snapshots = recordSnapshot(
+      indexPath,
+      { ...totals, done: 2, pending: 2 },
+      new Date("2024-05-02T17:00:00Z")
+    );
+
+    assert.deepStrictEqual(
+      snapshots.map((snapshot) => [snapshot.date, snapshot.pending]),
+      [
+        ["2024-05-01", 4],
+        ["2024-05-02", 2],
+      ]
+    );
+    assert.ok(fs.existsSync(path.join(indexPath, MIGRATION_SNAPSHOTS_FILE)));
+    assert.deepStrictEqual(loadSnapshots(indexPath), snapshots);
+
+    const svg = renderBurnDownSvg(snapshots);
+    assert.ok(
+      svg.includes('<polyline class="pending" points="30,58 570,114"/>')
+    );
+    assert.ok(svg.includes(">2024-05-01</text>"));
+  });
+});
@@ -0,0 +1,213 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  compileRule,
+  parseRuleFile,
+  findVariableType,
+  findRuleMatches,
+  createRuleEdits,
+  createMatchesEdits,
+  applyRules,
+  runRuleTests,
+} = require("../src/utils/migrationRuleEngine.js");
+
+const GET_NEXT_NO_RULE = {
+  id: "noseries-getnextno",
+  description: 'NoSeriesManagement is obsolete, use codeunit "No. Series"',
+  pattern: "{{mgt}}.GetNextNo({{series}}, {{date}}, {{modify}})",
+  replacement: "NoSeries.GetNextNo({{series}}, {{date}})",
+  condition: {
+    types: { mgt: ["Codeunit NoSeriesManagement", "Codeunit 396"] },
+  },
+  variables: [{ name: "NoSeries", type: 'Codeunit "No. Series"' }],
+  tests: [
+    {
+      input:
+        "procedure Test()\nvar\n    NoSeriesMgt: Codeunit NoSeriesManagement;\nbegin\n    No := NoSeriesMgt.GetNextNo(Series, Today, true);\nend;",
+      output:
+        'procedure Test()\nvar\n    NoSeriesMgt: Codeunit NoSeriesManagement;\n    NoSeries: Codeunit "No. Series";\nbegin\n    No := NoSeries.GetNextNo(Series, Today);\nend;',
+    },
+  ],
+};
+
+const SAMPLE_CODEUNIT = [
+  "codeunit 50100 Posting",
+  "{",
+  "    var",
+  "        NoSeriesMgt: Codeunit 396;",
+  "",
+  '    procedure Post(var SalesHeader: Record "Sales Header")',
+  "    begin",
+  "        if SalesHeader.\"Posting No.\" = '' then",
+  '            SalesHeader."Posting No." := NOSERIESMGT.GETNEXTNO(SalesHeader."Posting No. Series", WorkDate() + 1, true);',
+  "        ApplicationManagement.CheckLicense();",
+  "    end;",
+  "",
+  "    local procedure Other()",
+  "    var",
+  "        NoSeriesMgt: Codeunit Other;",
+  "    begin",
+  "        NoSeriesMgt.GetNextNo(A, B, C);",
+  "    end;",
+  "}",
+].join("\n");
+
+describe("Migration Rule Engine", () => {
+  it("should validate rules", () => {
+    assert.throws(
+      () => compileRule({ id: "x", pattern: "Foo()", replacement: "{{a}}" }),
+      /uses \{\{a\}\} in the replacement/
+    );
+    assert.throws(
+      () => compileRule({ id: "x", pattern: "", replacement: "" }),
+      /needs a pattern/
+    );
+    assert.throws(
+      () =>
+        compileRule({
+          id: "x",
+          pattern: "Foo()",
+          replacement: "",
+          condition: { fileContains: "(" },
+        }),
+      /Rule x has an invalid fileContains condition/
+    );
+
+    const { rules, errors } = parseRuleFile(
+      [
+        "rules:",
+        "  - id: drop-check-license",
+        "    pattern: ApplicationManagement.CheckLicense();",
+        '    replacement: ""',
+        "  - id: broken",
+        "    pattern: Foo()",
+      ].join("\n"),
+      "al-migration-rules.yaml"
+    );
+    assert.deepStrictEqual(
+      rules.map((rule) => rule.id),
+      ["drop-check-license"]
+    );
+    assert.deepStrictEqual(errors, [
+      "al-migration-rules.yaml: Rule broken needs a replacement (may be empty)",
+    ]);
+  });
+
+  it("should find variable types with local variables first", () => {
+    const localOffset = SAMPLE_CODEUNIT.indexOf("NoSeriesMgt.GetNextNo(A");
+    assert.strictEqual(
+      findVariableType(SAMPLE_CODEUNIT, "NoSeriesMgt", 0),
+      "Codeunit 396"
+    );
+    assert.strictEqual(
+      findVariableType(SAMPLE_CODEUNIT, "NoSeriesMgt", localOffset),
+      "Codeunit Other"
+    );
+    assert.strictEqual(
+      findVariableType(SAMPLE_CODEUNIT, "SalesHeader", localOffset),
+      'Record "Sales Header"'
+    );
+  });
+
+  it("should match patterns with conditions", () => {
+    const matches = findRuleMatches(SAMPLE_CODEUNIT, [
+      compileRule(GET_NEXT_NO_RULE),
+    ]);
+    assert.strictEqual(matches.length, 1);
+    assert.deepStrictEqual(matches[0].values, {
+      mgt: "NOSERIESMGT",
+      series: 'SalesHeader."Posting No. Series"',
+      date: "WorkDate() + 1",
+      modify: "true",
+    });
+  });
+
+  it("should apply rules and add missing variables", () => {
+    const result = applyRules(SAMPLE_CODEUNIT, [
+      compileRule(GET_NEXT_NO_RULE),
+      compileRule({
+        id: "drop-check-license",
+        pattern: "ApplicationManagement.CheckLicense();",
+        replacement: "",
+      }),
+    ]);
+
+    assert.strictEqual(
+      result,
+      [
+        "codeunit 50100 Posting",
+        "{",
+        "    var",
+        "        NoSeriesMgt: Codeunit 396;",
+        "",
+        '    procedure Post(var SalesHeader: Record "Sales Header")',
+        "    var",
+        '        NoSeries: Codeunit "No. Series";',
+        "    begin",
+        "        if SalesHeader.\"Posting No.\" = '' then",
+        '            SalesHeader."Posting No." := NoSeries.GetNextNo(SalesHeader."Posting No. Series", WorkDate() + 1);',
+        "    end;",
+        "",
+        "    local procedure Other()",
+        "    var",
+        "        NoSeriesMgt: Codeunit Other;",
+        "    begin",
+        "        NoSeriesMgt.GetNextNo(A, B, C);",
+        "    end;",
+        "}",
+      ].join("\n")
+    );
+  });
+
+  it("should declare the variables of several rules in one var section", () => {
+    const rules = [
+      compileRule({
+        id: "old-x",
+        pattern: "OldX();",
+        replacement: "X.Run();",
+        variables: [{ name: "X", type: "Codeunit X" }],
+      }),
+      compileRule({
+        id: "old-y",
+        pattern: "OldY();",
+        replacement: "Y.Run();\nX.Run();",
+        variables: [
+          { name: "Y", type: "Codeunit Y" },
+          { name: "x", type: "Codeunit X" },
+        ],
+      }),
+    ];
+
+    assert.strictEqual(
+      applyRules("procedure P()\nbegin\n    OldY();\n    OldX();\nend;", rules),
+      [
+        "procedure P()",
+        "var",
+        "    Y: Codeunit Y;",
+        "    x: Codeunit X;",
+        "begin",
+        "    Y.Run();",
+        "    X.Run();",
+        "    X.Run();",
+        "end;",
+      ].join("\n")
+    );
+  });
+
+  it("should create the edits of matches found before", () => {
+    const rules = [compileRule(GET_NEXT_NO_RULE)];
+    assert.deepStrictEqual(
+      createMatchesEdits(
+        SAMPLE_CODEUNIT,
+        findRuleMatches(SAMPLE_CODEUNIT, rules)
+      ),
+      createRuleEdits(SAMPLE_CODEUNIT, rules)
+    );
+  });
+
+  it("should run the test samples of a rule", () => {
+    const [result] = runRuleTests(compileRule(GET_NEXT_NO_RULE));
+    assert.strictEqual(result.actual, result.expected);
+    assert.strictEqual(result.passed, true);
+  });
+});
@@ -0,0 +1,75 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MIGRATION_RULE_LOG_FILE,
+  loadMigrationRuleLog,
+  appendMigrationRuleRun,
+  classifyChanges,
+} = require("../src/utils/migrationRuleLog.js");
+
+describe("Migration Rule Log", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrationRuleLog-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should append runs to the log in the .index folder", () => {
+    const indexPath = path.join(tempDir, ".index");
+    assert.deepStrictEqual(loadMigrationRuleLog(indexPath), { runs: [] });
+
+    const logFile = appendMigrationRuleRun(indexPath, {
+      runAt: "2024-05-01T10:00:00.000Z",
+      status: "cancelled",
+      changes: [],
+    });
+    appendMigrationRuleRun(indexPath, {
+      runAt: "2024-05-02T10:00:00.000Z",
+      status: "applied",
+      changes: [],
+    });
+
+    assert.strictEqual(logFile, path.join(indexPath, MIGRATION_RULE_LOG_FILE));
+    assert.deepStrictEqual(
+      loadMigrationRuleLog(indexPath).runs.map((run) => run.status),
+      ["cancelled", "applied"]
+    );
+  });
+
+  it("should mark changes whose code still matches as rejected", () => {
+    const change = {
+      file: "Codeunit/Posting.al",
+      ruleId: "noseries-getnextno",
+      original: "NoSeriesMgt.GetNextNo(Series, Today, true)",
+    };
+    const classified = classifyChanges(
+      [
+        { ...change, line: 10 },
+        { ...change, line: 20 },
+        { ...change, file: "Table/Bonus.al", line: 5 },
+      ],
+      {
+        "Codeunit/Posting.al": [
+          { ruleId: change.ruleId, original: change.original },
+        ],
+        "Table/Bonus.al": [],
+      }
+    );
+
+    assert.deepStrictEqual(
+      classified.map((item) => [item.file, item.line, item.status]),
+      [
+        ["Codeunit/Posting.al", 10, "rejected"],
+        ["Codeunit/Posting.al", 20, "applied"],
+        ["Table/Bonus.al", 5, "applied"],
+      ]
+    );
+  });
+});
@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseIdRanges,
+  createObjectFilter,
+  describeObjectFilter,
+} = require("../src/utils/objectFilter.js");
+const {
+  parseObjectProperties,
+} = require("../src/utils/calObjectProperties.js");
+const {
+  splitObjectFile,
+  previewObjectFile,
+} = require("../src/utils/objectSplitter.js");
+
+const objectText = (type, id, name, versionList) => [
+  `OBJECT ${type} ${id} ${name}`,
+  "{",
+  "  OBJECT-PROPERTIES",
+  "  {",
+  "    Date=25.10.18;",
+  "    Time=12:00:00;",
+  "    Modified=Yes;",
+  `    Version List=${versionList};`,
+  "  }",
+  "  PROPERTIES",
+  "  {",
+  "  }",
+  "}",
+];
+
+const EXPORT = [
+  ...objectText("Table", 18, "Customer", "NAVW114.00,ABC1.02"),
+  ...objectText("Table", 50000, "ABC Setup", "ABC1.00"),
+  ...objectText("Page", 50001, "ABC Setup Card", "ABC1.00"),
+  ...objectText("Codeunit", 80, "Sales-Post", "NAVW114.00"),
+].join("\r\n");
+
+describe("Object Filter", () => {
+  describe("parseObjectProperties", () => {
+    it("should parse the OBJECT-PROPERTIES block", () => {
+      assert.deepStrictEqual(
+        parseObjectProperties(
+          objectText("Table", 18, "Customer", "NAVW114.00,ABC1.02")
+        ),
+        {
+          date: "25.10.18",
+          time: "12:00:00",
+          modified: true,
+          versionList: "NAVW114.00,ABC1.02",
+          versions: ["NAVW114.00", "ABC1.02"],
+        }
+      );
+    });
+
+    it("should return null without OBJECT-PROPERTIES", () => {
+      assert.strictEqual(
+        parseObjectProperties("OBJECT Table 1 X\n{\n  PROPERTIES\n  {\n  }\n}"),
+        null
+      );
+    });
+  });
+
+  describe("parseIdRanges", () => {
+    it("should parse ranges and single IDs", () => {
+      assert.deepStrictEqual(parseIdRanges("50000-99999, 18, 36..37"), [
+        { from: 50000, to: 99999 },
+        { from: 18, to: 18 },
+        { from: 36, to: 37 },
+      ]);
+      assert.deepStrictEqual(parseIdRanges(""), []);
+    });
+
+    it("should reject invalid ranges", () => {
+      assert.throws(() => parseIdRanges("abc"));
+      assert.throws(() => parseIdRanges("100-50"));
+    });
+  });
+
+  describe("createObjectFilter", () => {
+    const customer = {
+      type: "Table",
+      id: "18",
+      name: "Customer",
+      content: objectText("Table", 18, "Customer", "NAVW114.00,ABC1.02"),
+    };
+
+    it("should match everything without criteria", () => {
+      assert.ok(createObjectFilter({})(customer));
+      assert.strictEqual(describeObjectFilter({}), "all objects");
+    });
+
+    it("should combine criteria", () => {
+      assert.ok(createObjectFilter({ types: ["table"] })(customer));
+      assert.ok(!createObjectFilter({ types: ["Page"] })(customer));
+      assert.ok(
+        !createObjectFilter({ idRanges: [{ from: 50000, to: 99999 }] })(
+          customer
+        )
+      );
+      assert.ok(createObjectFilter({ namePatterns: ["cust*"] })(customer));
+      assert.ok(!createObjectFilter({ namePatterns: ["Cust"] })(customer));
+      assert.ok(
+        createObjectFilter({ versionListContains: ["abc1"] })(customer)
+      );
+      assert.ok(
+        !createObjectFilter({ types: ["Table"], versionListContains: ["XYZ"] })(
+          customer
+        )
+      );
+    });
+  });
+
+  describe("filtered split", () => {
+    let tempDir;
+    let sourceFile;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "objectFilter-"));
+      sourceFile = path.join(tempDir, "export.txt");
+      fs.writeFileSync(sourceFile, EXPORT);
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should preview without writing anything", async () => {
+      const outDir = path.join(tempDir, "out");
+      const preview = await previewObjectFile(sourceFile, outDir, true, {
+        filter: { versionListContains: ["ABC"] },
+      });
+
+      assert.strictEqual(preview.includedCount, 3);
+      assert.strictEqual(preview.excludedCount, 1);
+      assert.deepStrictEqual(preview.objects[1], {
+        type: "Table",
+        id: 50000,
+        name: "ABC Setup",
+        versionList: "ABC1.00",
+        file: path.join("Tables", "Table50000_ABC_Setup.txt"),
+        exists: false,
+      });
+      assert.ok(!fs.existsSync(outDir));
+    });
+
+    it("should only write matching objects", async () => {
+      const outDir = path.join(tempDir, "out");
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        filter: { idRanges: parseIdRanges("50000-99999") },
+      });
+
+      assert.deepStrictEqual(
+        result.objects.map((o) => o.id),
+        [50000, 50001]
+      );
+      assert.strictEqual(result.excludedCount, 2);
+    });
+
+    it("should not report filtered objects as removed", async () => {
+      const outDir = path.join(tempDir, "out");
+      await splitObjectFile(sourceFile, outDir, true);
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        filter: { types: ["Page"] },
+      });
+
+      assert.strictEqual(result.changes.removed.length, 0);
+      const state = JSON.parse(
+        fs.readFileSync(path.join(outDir, ".index", "split-state.json"), "utf8")
+      );
+      assert.strictEqual(Object.keys(state.objects).length, 4);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseAlObjectDeclaration,
+  readIndexedObjects,
+  createObjectIdAllocator,
+} = require("../src/utils/objectIdAllocator.js");
+
+describe("Object ID Allocator", () => {
+  it("should hand out the free IDs of the ranges per object type", () => {
+    const nextObjectId = createObjectIdAllocator(
+      [
+        { from: 50000, to: 50002 },
+        { from: 60000, to: 60001 },
+      ],
+      [
+        { type: "enum", id: 50000 },
+        { type: "Enum", id: 50002 },
+        { type: "table", id: 50001 },
+      ]
+    );
+
+    assert.strictEqual(nextObjectId("enum"), 50001);
+    assert.strictEqual(nextObjectId("enum"), 60000);
+    assert.strictEqual(nextObjectId("table"), 50000);
+    assert.strictEqual(nextObjectId("enum"), 60001);
+    assert.throws(() => nextObjectId("enum"), /No free enum ID left/);
+  });
+
+  it("should find the objects of AL files and the .index folder", () => {
+    assert.deepStrictEqual(
+      parseAlObjectDeclaration(
+        '// Converted\nTableExtension 50100 "Customer Ext" extends Customer\n{\n}\n'
+      ),
+      { type: "tableextension", id: 50100 }
+    );
+    assert.strictEqual(parseAlObjectDeclaration("// no object"), null);
+
+    const indexPath = fs.mkdtempSync(path.join(os.tmpdir(), "objectIds-"));
+    try {
+      fs.mkdirSync(path.join(indexPath, "enum", "50000"), { recursive: true });
+      fs.mkdirSync(path.join(indexPath, "table", "18"), { recursive: true });
+      fs.mkdirSync(path.join(indexPath, "documentation-references", "1"), {
+        recursive: true,
+      });
+      assert.deepStrictEqual(
+        readIndexedObjects(indexPath).sort((a, b) => a.id - b.id),
+        [
+          { type: "table", id: 18 },
+          { type: "enum", id: 50000 },
+        ]
+      );
+    } finally {
+      fs.rmSync(indexPath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,364 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  splitObjectFile,
+  renderPathTemplate,
+  getTypeFolder,
+  validatePathTemplate,
+} = require("../src/utils/objectSplitter.js");
+const { parseArgs, run } = require("../src/cli/splitCalObjects.js");
+
+const SAMPLE_EXPORT = [
+  "OBJECT Table 18 Customer",
+  "{",
+  "  OBJECT-PROPERTIES",
+  "  {",
+  "    Date=01.01.20;",
+  "  }",
+  "}",
+  "",
+  "OBJECT Page 21 Customer Card",
+  "{",
+  "}",
+  "",
+  "OBJECT Table 27 Item",
+  "{",
+  "}",
+].join("\r\n");
+
+describe("Object Splitter", () => {
+  let tempDir;
+  let sourceFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "objectSplitter-"));
+    sourceFile = path.join(tempDir, "export.txt");
+    fs.writeFileSync(sourceFile, SAMPLE_EXPORT);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("splitObjectFile", () => {
+    it("should write one file per object organized by type", async () => {
+      const outDir = path.join(tempDir, "out");
+      const result = await splitObjectFile(sourceFile, outDir, true);
+
+      assert.strictEqual(result.objects.length, 3);
+      assert.deepStrictEqual(result.objectCountsByType, { Table: 2, Page: 1 });
+      assert.ok(
+        fs.existsSync(path.join(outDir, "Tables", "Table18_Customer.txt"))
+      );
+      assert.ok(
+        fs.existsSync(path.join(outDir, "Pages", "Page21_Customer_Card.txt"))
+      );
+      assert.deepStrictEqual(result.objects[0], {
+        type: "Table",
+        id: 18,
+        name: "Customer",
+        file: path.join("Tables", "Table18_Customer.txt"),
+        lines: 8,
+        action: "created",
+        change: "added",
+      });
+    });
+
+    it("should write a flat folder when not organizing by type", async () => {
+      const outDir = path.join(tempDir, "flat");
+      const result = await splitObjectFile(sourceFile, outDir, false);
+
+      assert.deepStrictEqual(
+        result.objects.map((o) => o.file),
+        ["Table18_Customer.txt", "Page21_Customer_Card.txt", "Table27_Item.txt"]
+      );
+    });
+  });
+
+  describe("path templates", () => {
+    it("should render placeholders and clean names", () => {
+      const file = renderPathTemplate("{typeLower}/{id}_{name}.txt", {
+        type: "Page",
+        id: "21",
+        name: "Customer Card",
+      });
+      assert.strictEqual(file, path.join("page", "21_Customer_Card.txt"));
+    });
+
+    it("should find the folder shared by the objects of a type", () => {
+      assert.strictEqual(
+        getTypeFolder("{type}s/{type}{id}_{name}.txt", "Table"),
+        "Tables"
+      );
+      assert.strictEqual(
+        getTypeFolder("objects/{typeLower}/{id}/{name}.txt", "Page"),
+        path.join("objects", "page")
+      );
+      assert.strictEqual(
+        getTypeFolder("{type}/{id}/{name}.txt", "Table"),
+        "Table"
+      );
+      assert.strictEqual(getTypeFolder("{type}{id}_{name}.txt", "Table"), null);
+      assert.strictEqual(getTypeFolder("{id}/{type}.txt", "Table"), null);
+    });
+
+    it("should reject invalid templates", () => {
+      assert.throws(() => validatePathTemplate(""));
+      assert.throws(() => validatePathTemplate("../{name}.txt"));
+      assert.throws(() => validatePathTemplate("/abs/{name}.txt"));
+      assert.throws(() => validatePathTemplate("{version}/{name}.txt"));
+    });
+
+    it("should write objects using the template", async () => {
+      const outDir = path.join(tempDir, "templated");
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        pathTemplate: "{type}/{id}_{name}.txt",
+      });
+
+      assert.ok(fs.existsSync(path.join(outDir, "Table", "18_Customer.txt")));
+      assert.strictEqual(result.objectLocations.Table, "Table");
+    });
+  });
+
+  describe("conflict policies", () => {
+    let outDir;
+    let existingFile;
+
+    beforeEach(async () => {
+      outDir = path.join(tempDir, "conflicts");
+      await splitObjectFile(sourceFile, outDir, true);
+      existingFile = path.join(outDir, "Tables", "Table18_Customer.txt");
+      fs.writeFileSync(existingFile, "my migration notes\n");
+      // The customer sends an updated export of table 18
+      fs.writeFileSync(
+        sourceFile,
+        SAMPLE_EXPORT.replace("Date=01.01.20;", "Date=02.02.22;")
+      );
+    });
+
+    it("should overwrite existing files", async () => {
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "overwrite",
+      });
+      assert.ok(fs.readFileSync(existingFile, "utf8").startsWith("OBJECT"));
+      assert.strictEqual(result.conflicts.overwritten, 1);
+      assert.strictEqual(result.conflicts.unchanged, 2);
+    });
+
+    it("should skip existing files", async () => {
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "skip",
+      });
+      assert.strictEqual(
+        fs.readFileSync(existingFile, "utf8"),
+        "my migration notes\n"
+      );
+      assert.strictEqual(result.conflicts.skipped, 1);
+      assert.strictEqual(result.files.length, 0);
+    });
+
+    it("should keep both files with a suffix", async () => {
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "keepBoth",
+      });
+      assert.strictEqual(
+        fs.readFileSync(existingFile, "utf8"),
+        "my migration notes\n"
+      );
+      assert.ok(
+        fs.existsSync(path.join(outDir, "Tables", "Table18_Customer_1.txt"))
+      );
+      assert.strictEqual(result.conflicts.keptBoth, 1);
+    });
+
+    it("should ask the resolver when prompting", async () => {
+      const asked = [];
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "prompt",
+        resolveConflict: async (filePath) => {
+          asked.push(filePath);
+          return "skip";
+        },
+      });
+      assert.deepStrictEqual(asked, [existingFile]);
+      assert.strictEqual(result.conflicts.skipped, 1);
+    });
+
+    it("should require a resolver for the prompt policy", async () => {
+      await assert.rejects(
+        splitObjectFile(sourceFile, outDir, true, { conflictPolicy: "prompt" })
+      );
+    });
+  });
+
+  describe("incremental split", () => {
+    let outDir;
+
+    beforeEach(async () => {
+      outDir = path.join(tempDir, "incremental");
+      await splitObjectFile(sourceFile, outDir, true);
+    });
+
+    it("should store content hashes in the .index folder", () => {
+      const state = JSON.parse(
+        fs.readFileSync(path.join(outDir, ".index", "split-state.json"), "utf8")
+      );
+      assert.deepStrictEqual(Object.keys(state.objects), [
+        "page/21",
+        "table/18",
+        "table/27",
+      ]);
+      assert.strictEqual(
+        state.objects["table/18"].file,
+        "Tables/Table18_Customer.txt"
+      );
+    });
+
+    it("should only rewrite new or changed objects and report removed ones", async () => {
+      fs.writeFileSync(
+        sourceFile,
+        [
+          "OBJECT Table 18 Customer",
+          "{",
+          "  Changed=Yes;",
+          "}",
+          "OBJECT Page 21 Customer Card",
+          "{",
+          "}",
+          "",
+          "OBJECT Codeunit 80 Sales-Post",
+          "{",
+          "}",
+        ].join("\r\n")
+      );
+
+      const result = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "skip",
+      });
+
+      assert.deepStrictEqual(
+        result.changes.added.map((o) => `${o.type} ${o.id}`),
+        ["Codeunit 80"]
+      );
+      assert.deepStrictEqual(
+        result.changes.changed.map((o) => `${o.type} ${o.id}`),
+        ["Table 18"]
+      );
+      assert.deepStrictEqual(
+        result.changes.removed.map((o) => `${o.type} ${o.id}`),
+        ["Table 27"]
+      );
+      assert.strictEqual(result.changes.unchangedCount, 1);
+      // Untouched file of the previous split is replaced without a conflict
+      assert.strictEqual(result.conflicts.updated, 1);
+      assert.strictEqual(result.conflicts.skipped, 0);
+      assert.ok(
+        fs
+          .readFileSync(
+            path.join(outDir, "Tables", "Table18_Customer.txt"),
+            "utf8"
+          )
+          .includes("Changed=Yes;")
+      );
+      assert.ok(
+        fs.existsSync(path.join(outDir, ".index", "split-report.json"))
+      );
+    });
+
+    it("should keep the previous hash of skipped files", async () => {
+      const customerFile = path.join(outDir, "Tables", "Table18_Customer.txt");
+      const statePath = path.join(outDir, ".index", "split-state.json");
+      const readHash = () =>
+        JSON.parse(fs.readFileSync(statePath, "utf8")).objects["table/18"].hash;
+      const previousHash = readHash();
+      fs.writeFileSync(customerFile, "my migration notes\n");
+      fs.writeFileSync(
+        sourceFile,
+        SAMPLE_EXPORT.replace("Date=01.01.20;", "Date=02.02.22;")
+      );
+
+      const first = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "skip",
+      });
+      assert.strictEqual(first.conflicts.skipped, 1);
+      assert.strictEqual(readHash(), previousHash);
+
+      const second = await splitObjectFile(sourceFile, outDir, true, {
+        conflictPolicy: "skip",
+      });
+      assert.strictEqual(second.conflicts.skipped, 1);
+      assert.deepStrictEqual(second.changes.removed, []);
+      assert.strictEqual(
+        fs.readFileSync(customerFile, "utf8"),
+        "my migration notes\n"
+      );
+    });
+
+    it("should flag changed objects with references marked done", async () => {
+      const customerFile = path.join(outDir, "Tables", "Table18_Customer.txt");
+      fs.writeFileSync(
+        path.join(outDir, ".index", "documentation-references.json"),
+        JSON.stringify({
+          [customerFile.replace(/\\/g, "/")]: {
+            references: [
+              { id: "PROJ01", lineNumber: 3, done: true, userId: "jdoe" },
+              { id: "PROJ02", lineNumber: 4, done: false },
+            ],
+          },
+        })
+      );
+      fs.writeFileSync(
+        sourceFile,
+        SAMPLE_EXPORT.replace("Date=01.01.20;", "Date=02.02.22;")
+      );
+
+      const result = await splitObjectFile(sourceFile, outDir, true);
+
+      assert.strictEqual(result.changes.doneReferencesAffected.length, 1);
+      assert.deepStrictEqual(
+        result.changes.doneReferencesAffected[0].references,
+        [{ id: "PROJ01", lineNumber: 3, userId: "jdoe" }]
+      );
+    });
+  });
+
+  describe("splitCalObjects CLI", () => {
+    it("should parse arguments", () => {
+      const options = parseArgs([
+        "export.txt",
+        "--out",
+        "objects",
+        "--layout",
+        "flat",
+      ]);
+      assert.strictEqual(options.source, "export.txt");
+      assert.strictEqual(options.out, "objects");
+      assert.strictEqual(options.layout, "flat");
+    });
+
+    it("should reject unknown layouts and options", () => {
+      assert.throws(() => parseArgs(["a.txt", "--layout", "nested"]));
+      assert.throws(() => parseArgs(["a.txt", "--verbose"]));
+      assert.throws(() => parseArgs(["a.txt", "--out"]));
+      assert.throws(() => parseArgs(["a.txt", "--on-conflict", "prompt"]));
+    });
+
+    it("should produce and write a manifest", async () => {
+      const manifestFile = path.join(tempDir, "manifest.json");
+      const manifest = await run({
+        source: sourceFile,
+        out: path.join(tempDir, "cli"),
+        layout: "type",
+        manifest: manifestFile,
+      });
+
+      assert.strictEqual(manifest.objectCount, 3);
+      assert.strictEqual(manifest.layout, "type");
+      const written = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+      assert.deepStrictEqual(written.objects, manifest.objects);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  extractObsoleteSymbols,
+  selectObsoleteSymbols,
+  parseSymbolReference,
+  findObsoleteUsages,
+  formatObsoleteMessage,
+} = require("../src/utils/obsoleteSymbols.js");
+
+const obsoleteProperties = (state, reason, tag) => [
+  { Name: "ObsoleteState", Value: state },
+  { Name: "ObsoleteReason", Value: reason },
+  { Name: "ObsoleteTag", Value: tag },
+];
+
+const SYMBOL_REFERENCE = {
+  Tables: [
+    {
+      Id: 18,
+      Name: "Customer",
+      Fields: [
+        { Id: 1, Name: "No.", Properties: [] },
+        {
+          Id: 9,
+          Name: "Telex No.",
+          Properties: obsoleteProperties("Removed", "Not used.", "22.0"),
+        },
+      ],
+      Methods: [
+        {
+          Name: "GetTotals",
+          Attributes: [
+            { Name: "Obsolete", Arguments: [{ Value: "Use CalcTotals." }] },
+          ],
+        },
+        { Name: "GetTotals", Attributes: [] },
+      ],
+    },
+    { Id: 27, Name: "Item", Fields: [{ Id: 1, Name: "No." }] },
+  ],
+  Namespaces: [
+    {
+      Name: "Microsoft.Foundation.NoSeries",
+      Codeunits: [
+        {
+          Id: 396,
+          Name: "NoSeriesManagement",
+          Properties: obsoleteProperties(
+            "Pending",
+            'Use codeunit "No. Series" instead.',
+            "24.0"
+          ),
+          Methods: [
+            {
+              Name: "OnBeforeGetNextNo",
+              Attributes: [
+                { Name: "IntegrationEvent" },
+                {
+                  Name: "Obsolete",
+                  Arguments: [
+                    { Value: "'Use OnBeforeGetNextNo of No. Series.'" },
+                    { Value: "'24.0'" },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+const SAMPLE_CODEUNIT = [
+  "codeunit 50100 Posting",
+  "{",
+  "    procedure Post(var Cust: Record Customer)",
+  "    var",
+  "        NoSeriesMgt: Codeunit 396;",
+  "    begin",
+  '        // Cust."Telex No." is not checked',
+  '        Cust.TestField("Telex No.");',
+  "        Cust.GetTotals();",
+  "        Message('%1', Cust.\"No.\");",
+  "    end;",
+  "",
+  "    [EventSubscriber(ObjectType::Codeunit, Codeunit::NoSeriesManagement, 'OnBeforeGetNextNo', '', false, false)]",
+  "    local procedure HandleGetNextNo()",
+  "    begin",
+  "    end;",
+  "}",
+].join("\n");
+
+describe("Obsolete Symbols", () => {
+  it("should collect obsolete objects and members from SymbolReference.json", () => {
+    const obsolete = extractObsoleteSymbols(
+      parseSymbolReference("\uFEFF" + JSON.stringify(SYMBOL_REFERENCE))
+    );
+
+    assert.deepStrictEqual(Object.keys(obsolete), [
+      "table:customer",
+      "codeunit:noseriesmanagement",
+    ]);
+    assert.deepStrictEqual(obsolete["table:customer"].members, {
+      "telex no.": {
+        kind: "field",
+        name: "Telex No.",
+        state: "Removed",
+        reason: "Not used.",
+        tag: "22.0",
+      },
+    });
+    assert.strictEqual(obsolete["table:customer"].state, undefined);
+    assert.strictEqual(
+      obsolete["codeunit:noseriesmanagement"].state,
+      "Pending"
+    );
+    assert.deepStrictEqual(
+      obsolete["codeunit:noseriesmanagement"].members.onbeforegetnextno,
+      {
+        kind: "event",
+        name: "OnBeforeGetNextNo",
+        state: "Pending",
+        reason: "Use OnBeforeGetNextNo of No. Series.",
+        tag: "24.0",
+      }
+    );
+  });
+
+  it("should find usages of obsolete symbols in AL code", () => {
+    const obsolete = extractObsoleteSymbols(SYMBOL_REFERENCE);
+    const usages = findObsoleteUsages(SAMPLE_CODEUNIT, obsolete);
+
+    assert.deepStrictEqual(
+      usages.map((usage) => [
+        SAMPLE_CODEUNIT.slice(usage.start, usage.end),
+        usage.kind,
+        usage.state,
+      ]),
+      [
+        ["396", "object", "Pending"],
+        ['"Telex No."', "field", "Removed"],
+        ["NoSeriesManagement", "object", "Pending"],
+        ["OnBeforeGetNextNo", "event", "Pending"],
+      ]
+    );
+    assert.strictEqual(
+      formatObsoleteMessage(usages[1]),
+      'field Telex No. of Table "Customer" is obsolete (removed, since 22.0): Not used.'
+    );
+  });
+
+  it("should resolve variables to their closest declaration", () => {
+    const code = [
+      "codeunit 50101 Shadowing",
+      "{",
+      "    var",
+      "        Cust: Record Customer;",
+      '        "Old Cust": Record Customer;',
+      "",
+      "    procedure Clear()",
+      "    var",
+      "        Cust: Record Vendor;",
+      "    begin",
+      "        Cust.\"Telex No.\" := '';",
+      '        "Old Cust".TestField("Telex No.");',
+      "    end;",
+      "}",
+    ].join("\n");
+    const usages = findObsoleteUsages(
+      code,
+      extractObsoleteSymbols(SYMBOL_REFERENCE)
+    );
+
+    assert.deepStrictEqual(
+      usages.map((usage) => [
+        code.slice(usage.start, usage.end),
+        code.slice(0, usage.start).split("\n").length,
+      ]),
+      [['"Telex No."', 12]]
+    );
+  });
+
+  it("should take the obsolete symbols of the target version of each app", () => {
+    const baseApp = (version, state) => ({
+      app: { id: "base", name: "Base Application", version },
+      obsolete: { "table:Customer": { name: "Customer", state } },
+    });
+    const apps = [
+      baseApp("24.0.0.0", "Pending"),
+      baseApp("25.0.0.0", "Removed"),
+      {
+        app: { id: "system", name: "System Application", version: "25.0.0.0" },
+        obsolete: { "codeunit:Mail": { name: "Mail", state: "Pending" } },
+      },
+    ];
+    const states = (obsolete) =>
+      Object.values(obsolete)
+        .map((symbol) => `${symbol.name}: ${symbol.state}`)
+        .sort();
+
+    // The latest version, in any order of the cached apps
+    for (const ordered of [apps, [...apps].reverse()]) {
+      assert.deepStrictEqual(states(selectObsoleteSymbols(ordered)), [
+        "Customer: Removed",
+        "Mail: Pending",
+      ]);
+    }
+    // The version app.json depends on
+    assert.strictEqual(
+      selectObsoleteSymbols(apps, ["24.0.0.0"])["table:Customer"].state,
+      "Pending"
+    );
+  });
+});
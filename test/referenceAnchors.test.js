@@ -0,0 +1,156 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  createAnchors,
+  reanchorReferences,
+  formatOrphanedReferencesReport,
+} = require("../src/utils/referenceAnchors.js");
+
+const CAL_OBJECT = [
+  "OBJECT Codeunit 50000 Bonus",
+  "{",
+  "  CODE",
+  "  {",
+  "",
+  "    PROCEDURE CheckNo@1();",
+  "    BEGIN",
+  "      // VAT001 check",
+  "      // VAT001 check",
+  "    END;",
+  "",
+  "    PROCEDURE CalcBonus@2();",
+  "    BEGIN",
+  "      // VAT001 check",
+  "      // VAT001 bonus",
+  "    END;",
+  "",
+  "    BEGIN",
+  "    END.",
+  "  }",
+  "}",
+];
+
+// Documentation references of the lines containing "VAT001"
+function findRefs(lines) {
+  return lines
+    .map((line, index) => ({
+      id: "VAT001",
+      lineNumber: index + 1,
+      context: line.trim(),
+    }))
+    .filter((ref) => ref.context.includes("VAT001"));
+}
+
+function currentRefs(lines) {
+  const refs = findRefs(lines);
+  const anchors = createAnchors(lines.join("\n"), refs);
+  return refs.map((ref, index) => ({ ...ref, anchor: anchors[index] }));
+}
+
+describe("Reference Anchors", () => {
+  it("should fingerprint references by context, scope and occurrence", () => {
+    const refs = findRefs(CAL_OBJECT);
+    assert.deepStrictEqual(createAnchors(CAL_OBJECT.join("\n"), refs), [
+      { context: "// VAT001 check", scope: "procedure CheckNo", occurrence: 0 },
+      { context: "// VAT001 check", scope: "procedure CheckNo", occurrence: 1 },
+      {
+        context: "// VAT001 check",
+        scope: "procedure CalcBonus",
+        occurrence: 0,
+      },
+      {
+        context: "// VAT001 bonus",
+        scope: "procedure CalcBonus",
+        occurrence: 0,
+      },
+    ]);
+  });
+
+  it("should re-attach moved statuses and orphan the removed ones", () => {
+    // Legacy entries without anchor get one while their line is unchanged
+    const stamped = reanchorReferences(
+      [
+        { id: "VAT001", lineNumber: 9, done: true },
+        { id: "VAT001", lineNumber: 14, notImplemented: true },
+        { id: "VAT001", lineNumber: 15, userDescription: "Moved to AL" },
+        { id: "VAT001", lineNumber: 99, done: true },
+      ],
+      [],
+      currentRefs(CAL_OBJECT)
+    );
+    assert.strictEqual(stamped.changed, true);
+    assert.deepStrictEqual(
+      stamped.references.map((entry) => [entry.lineNumber, entry.anchor.scope]),
+      [
+        [9, "procedure CheckNo"],
+        [14, "procedure CalcBonus"],
+        [15, "procedure CalcBonus"],
+      ]
+    );
+    assert.deepStrictEqual(
+      stamped.newlyOrphaned.map((entry) => entry.lineNumber),
+      [99]
+    );
+    assert.strictEqual(
+      reanchorReferences(
+        stamped.references,
+        stamped.orphaned,
+        currentRefs(CAL_OBJECT)
+      ).changed,
+      false
+    );
+
+    // Two lines are inserted at the top and the "bonus" line is removed
+    const edited = [
+      ...CAL_OBJECT.slice(0, 2),
+      "  OBJECT-PROPERTIES",
+      "  {",
+      ...CAL_OBJECT.slice(2, 14),
+      ...CAL_OBJECT.slice(15),
+    ];
+    const moved = reanchorReferences(
+      stamped.references,
+      stamped.orphaned,
+      currentRefs(edited)
+    );
+    assert.deepStrictEqual(moved.moved, [
+      { id: "VAT001", from: 9, to: 11 },
+      { id: "VAT001", from: 14, to: 16 },
+    ]);
+    assert.deepStrictEqual(
+      moved.references.map((entry) => [
+        entry.lineNumber,
+        !!entry.done,
+        !!entry.notImplemented,
+      ]),
+      [
+        [11, true, false],
+        [16, false, true],
+      ]
+    );
+    assert.deepStrictEqual(
+      moved.orphaned.map((entry) => entry.userDescription || entry.lineNumber),
+      [99, "Moved to AL"]
+    );
+
+    // The removed line comes back and its status with it
+    const restored = reanchorReferences(
+      moved.references,
+      moved.orphaned,
+      currentRefs(CAL_OBJECT)
+    );
+    assert.deepStrictEqual(
+      restored.reattached.map((entry) => [
+        entry.lineNumber,
+        entry.userDescription,
+      ]),
+      [[15, "Moved to AL"]]
+    );
+    assert.ok(!("orphanedAt" in restored.references[2]));
+
+    const report = formatOrphanedReferencesReport(
+      restored.orphaned.map((entry) => ({ ...entry, filePath: "Bonus.txt" }))
+    );
+    assert.ok(report.includes("| Bonus.txt | 99 | VAT001 | Done |"));
+  });
+});
@@ -0,0 +1,132 @@
+/* eslint-env mocha */
+const assert = require("assert");
+const {
+  createSymbolInventory,
+  compareSymbolInventories,
+  toBreakingChangeSymbols,
+  describeBreakingUsage,
+  formatBreakingChangeReport,
+} = require("../src/utils/symbolInventory.js");
+const { findObsoleteUsages } = require("../src/utils/obsoleteSymbols.js");
+
+const BC14 = {
+  Name: "Base Application",
+  Publisher: "Microsoft",
+  Version: "14.0.0.0",
+  Tables: [
+    {
+      Id: 18,
+      Name: "Customer",
+      Fields: [
+        { Id: 1, Name: "No." },
+        { Id: 9, Name: "Telex No." },
+        { Id: 10, Name: "Telex Answer Back" },
+      ],
+      Methods: [
+        { Name: "CheckBlockedCustOnDocs" },
+        {
+          Name: "OnAfterCheckBlocked",
+          Attributes: [{ Name: "IntegrationEvent" }],
+        },
+      ],
+    },
+  ],
+  Codeunits: [{ Id: 396, Name: "NoSeriesManagement", Methods: [] }],
+};
+
+const BC22 = {
+  Name: "Base Application",
+  Publisher: "Microsoft",
+  Version: "22.0.0.0",
+  Namespaces: [
+    {
+      Name: "Microsoft.Sales.Customer",
+      Tables: [
+        {
+          Id: 18,
+          Name: "Customer",
+          Fields: [
+            { Id: 1, Name: "No." },
+            { Id: 10, Name: "Telex Answerback" },
+          ],
+          Methods: [{ Name: "CheckBlockedCustOnDocs" }],
+        },
+      ],
+    },
+  ],
+};
+
+describe("Symbol Inventory", () => {
+  it("should report removed and renamed symbols between two versions", () => {
+    const from = createSymbolInventory(
+      BC14,
+      "BC14/Microsoft_Base Application.app"
+    );
+    const to = createSymbolInventory(BC22);
+
+    assert.deepStrictEqual(from.app, {
+      id: "",
+      name: "Base Application",
+      publisher: "Microsoft",
+      version: "14.0.0.0",
+      appPath: "BC14/Microsoft_Base Application.app",
+    });
+    assert.deepStrictEqual(from.objects["table:18"].events, [
+      "OnAfterCheckBlocked",
+    ]);
+
+    const changes = compareSymbolInventories(from, to);
+    assert.deepStrictEqual(
+      changes.map((change) => [
+        change.change,
+        change.kind,
+        change.name,
+        change.newName,
+      ]),
+      [
+        ["removed", "field", "Telex No.", null],
+        ["renamed", "field", "Telex Answer Back", "Telex Answerback"],
+        ["removed", "event", "OnAfterCheckBlocked", null],
+        ["removed", "object", "NoSeriesManagement", null],
+      ]
+    );
+  });
+
+  it("should find the usages of breaking changes in AL code", () => {
+    const from = createSymbolInventory(BC14);
+    const to = createSymbolInventory(BC22);
+    const changes = compareSymbolInventories(from, to);
+    const code = [
+      "codeunit 50100 Telex",
+      "{",
+      "    var",
+      "        NoSeriesMgt: Codeunit NoSeriesManagement;",
+      "",
+      "    procedure Check(Customer: Record Customer)",
+      "    begin",
+      '        Customer.TestField("Telex Answer Back");',
+      "    end;",
+      "}",
+    ].join("\n");
+
+    const usages = findObsoleteUsages(code, toBreakingChangeSymbols(changes));
+    assert.deepStrictEqual(usages.map(describeBreakingUsage), [
+      'Codeunit "NoSeriesManagement" was removed',
+      'field "Telex Answer Back" of Table "Customer" was renamed: Use "Telex Answerback" instead',
+    ]);
+
+    const report = formatBreakingChangeReport({
+      from,
+      to,
+      changes,
+      usages: [{ file: "Telex.al", line: 8, change: "renamed" }],
+    });
+    assert.ok(
+      report.startsWith(
+        "# Breaking Changes: Base Application 14.0.0.0 → Base Application 22.0.0.0"
+      )
+    );
+    assert.ok(report.includes("| fields removed | 1 |"));
+    assert.ok(report.includes("| Telex.al | 8 | renamed |"));
+  });
+});